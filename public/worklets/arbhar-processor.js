@@ -176,6 +176,11 @@ class ArbharProcessor extends AudioWorkletProcessor {
         // === SMOOTHING ===
         this.smoothedMix = 0.5;
 
+        // === RANDOM STATE ===
+        // Seeded PRNG (mulberry32, same as src/engine/random.js) so a session seed
+        // reproduces the same grains; reseeded with a 'setSeed' message
+        this.randomState = (options.processorOptions?.seed ?? Math.random() * 0x100000000) >>> 0;
+
         // === MESSAGE HANDLING ===
         this.port.onmessage = (e) => this._handleMessage(e.data);
     }
@@ -238,6 +243,9 @@ class ArbharProcessor extends AudioWorkletProcessor {
             case 'setExternalClock':
                 this.externalClock = !!data.enabled;
                 break;
+            case 'setSeed':
+                this.randomState = data.seed >>> 0;
+                break;
         }
     }
 
@@ -318,7 +326,7 @@ class ArbharProcessor extends AudioWorkletProcessor {
 
         // Add spray
         if (withSpray && this.params.pitchSpray > 0) {
-            pitch += (Math.random() * 2 - 1) * this.params.pitchSpray * PITCH_RANGE_OCTAVES;
+            pitch += (this._pseudoRandom() * 2 - 1) * this.params.pitchSpray * PITCH_RANGE_OCTAVES;
         }
 
         // Quantize if enabled
@@ -361,9 +369,18 @@ class ArbharProcessor extends AudioWorkletProcessor {
         return (octave * 12 + closestNote) / 12;
     }
 
+    // Seeded replacement for this._pseudoRandom(): [0, 1)
+    _pseudoRandom() {
+        this.randomState = (this.randomState + 0x6d2b79f5) >>> 0;
+        let t = this.randomState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
     _getGrainDirection() {
         // direction param: 0 = all reverse, 0.5 = 50/50, 1 = all forward
-        return Math.random() < this.params.direction ? 1 : -1;
+        return this._pseudoRandom() < this.params.direction ? 1 : -1;
     }
 
     _getGrainPan() {
@@ -371,7 +388,7 @@ class ArbharProcessor extends AudioWorkletProcessor {
         let pan = this.params.pan;
         if (this.params.panSpray > 0) {
             // Coin-toss style panning
-            pan = Math.random() < 0.5 ?
+            pan = this._pseudoRandom() < 0.5 ?
                 this.params.pan - this.params.panSpray * 0.5 :
                 this.params.pan + this.params.panSpray * 0.5;
         }
@@ -387,7 +404,7 @@ class ArbharProcessor extends AudioWorkletProcessor {
                 // Scan mode: position based on scan param with spray
                 position = this.params.scan * bufferLength;
                 if (this.params.spray > 0) {
-                    position += (Math.random() * 2 - 1) * this.params.spray * bufferLength;
+                    position += (this._pseudoRandom() * 2 - 1) * this.params.spray * bufferLength;
                 }
                 break;
 
@@ -395,7 +412,7 @@ class ArbharProcessor extends AudioWorkletProcessor {
                 // Follow mode: position follows playhead
                 position = this.followPosition;
                 if (this.params.spray > 0) {
-                    position += (Math.random() * 2 - 1) * this.params.spray * bufferLength * 0.1;
+                    position += (this._pseudoRandom() * 2 - 1) * this.params.spray * bufferLength * 0.1;
                 }
                 break;
 
@@ -130,8 +130,10 @@ class DataBenderProcessor extends AudioWorkletProcessor {
         // === SMOOTHING ===
         this.smoothingRate = 0.001;
 
-        // === RANDOM STATE FOR MACRO MODE ===
-        this.randomSeed = Math.random();
+        // === RANDOM STATE ===
+        // Seeded PRNG (mulberry32, same as src/engine/random.js) so a session seed
+        // reproduces the same bends, breaks and corruption; reseeded with a 'setSeed' message
+        this.randomState = (options.processorOptions?.seed ?? Math.random() * 0x100000000) >>> 0;
 
         // === MESSAGE HANDLING ===
         this.port.onmessage = (e) => this._handleMessage(e.data);
@@ -195,6 +197,9 @@ class DataBenderProcessor extends AudioWorkletProcessor {
                 this.currentRepeat = 0;
                 this.repeatPhase = 0;
                 break;
+            case 'setSeed':
+                this.randomState = data.seed >>> 0;
+                break;
         }
     }
 
@@ -315,19 +320,19 @@ class DataBenderProcessor extends AudioWorkletProcessor {
 
         // Zone 1 (0-0.17): Reverse only
         if (amount > 0 && rand < amount * 0.3) {
-            reversed = Math.random() < 0.5;
+            reversed = this._pseudoRandom() < 0.5;
         }
 
         // Zone 2 (0.17-0.33): Add octave jumps
         if (amount > 0.17 && rand < amount * 0.4) {
             const octaves = [0.5, 1, 2];
-            speed = octaves[Math.floor(Math.random() * octaves.length)];
+            speed = octaves[Math.floor(this._pseudoRandom() * octaves.length)];
         }
 
         // Zone 3 (0.33-0.5): Add 2-octave jumps
         if (amount > 0.33 && rand < amount * 0.5) {
             const octaves = [0.25, 0.5, 1, 2, 4];
-            speed = octaves[Math.floor(Math.random() * octaves.length)];
+            speed = octaves[Math.floor(this._pseudoRandom() * octaves.length)];
         }
 
         // Zone 4 (0.5-0.67): Add tape stop effect
@@ -361,37 +366,40 @@ class DataBenderProcessor extends AudioWorkletProcessor {
 
         // Zone 1 (0-0.17): 2 subsections
         if (amount > 0 && rand < amount * 0.3) {
-            section = Math.floor(Math.random() * 2);
+            section = Math.floor(this._pseudoRandom() * 2);
         }
 
         // Zone 2 (0.17-0.33): Jumping to random sections
         if (amount > 0.17 && rand < amount * 0.4) {
-            section = Math.floor(Math.random() * Math.min(8, this.repeats));
+            section = Math.floor(this._pseudoRandom() * Math.min(8, this.repeats));
         }
 
         // Zone 3 (0.33-0.5): More subsections possible
         if (amount > 0.33 && rand < amount * 0.5) {
-            section = Math.floor(Math.random() * this.repeats);
-            extraRepeats = Math.floor(Math.random() * 4);
+            section = Math.floor(this._pseudoRandom() * this.repeats);
+            extraRepeats = Math.floor(this._pseudoRandom() * 4);
         }
 
         // Zone 4 (0.5-0.67): Audio rate repeats
         if (amount > 0.5 && rand < amount * 0.3) {
-            extraRepeats = Math.floor(Math.random() * 32);
+            extraRepeats = Math.floor(this._pseudoRandom() * 32);
         }
 
         // Zone 5 (0.67-0.83): Add silence
         if (amount > 0.67 && rand < amount * 0.4) {
-            silence = Math.random() < 0.5;
+            silence = this._pseudoRandom() < 0.5;
         }
 
         return { section, extraRepeats, silence };
     }
 
+    // Seeded replacement for this._pseudoRandom(): [0, 1)
     _pseudoRandom() {
-        // Simple PRNG for deterministic-ish behavior
-        this.randomSeed = (this.randomSeed * 9301 + 49297) % 233280;
-        return this.randomSeed / 233280;
+        this.randomState = (this.randomState + 0x6d2b79f5) >>> 0;
+        let t = this.randomState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
     }
 
     // === CORRUPT EFFECTS ===
@@ -444,13 +452,13 @@ class DataBenderProcessor extends AudioWorkletProcessor {
         if (!this.dropoutActive) {
             // Check if we should start a dropout
             const probability = this.corruptAmount * 0.01; // Base probability per sample
-            if (Math.random() < probability) {
+            if (this._pseudoRandom() < probability) {
                 this.dropoutActive = true;
                 // Length inversely proportional to amount
                 // Low amount = long dropouts, high amount = short dropouts
                 const maxLength = this.sampleRate * 0.5 * (1 - this.corruptAmount * 0.8);
                 const minLength = this.sampleRate * 0.001;
-                this.dropoutLength = Math.floor(minLength + Math.random() * (maxLength - minLength));
+                this.dropoutLength = Math.floor(minLength + this._pseudoRandom() * (maxLength - minLength));
                 this.dropoutCounter = 0;
             }
         }
@@ -580,21 +588,21 @@ class DataBenderProcessor extends AudioWorkletProcessor {
 
         // 2. Surface noise (constant hiss)
         const noiseLevel = amount * 0.02;
-        outL += (Math.random() * 2 - 1) * noiseLevel;
-        outR += (Math.random() * 2 - 1) * noiseLevel;
+        outL += (this._pseudoRandom() * 2 - 1) * noiseLevel;
+        outR += (this._pseudoRandom() * 2 - 1) * noiseLevel;
 
         // 3. Pops and clicks
         this.vinylClickTimer--;
         if (this.vinylClickTimer <= 0) {
             // Random interval based on amount
             const avgInterval = this.sampleRate * (2 - amount * 1.8); // 0.2s to 2s
-            this.vinylClickTimer = Math.floor(avgInterval * (0.5 + Math.random()));
+            this.vinylClickTimer = Math.floor(avgInterval * (0.5 + this._pseudoRandom()));
 
             // Generate click/pop
-            const clickVolume = 0.1 + Math.random() * 0.3 * amount;
-            const isLeft = Math.random() < 0.5;
-            this.vinylPopSampleL = isLeft ? clickVolume * (Math.random() > 0.5 ? 1 : -1) : 0;
-            this.vinylPopSampleR = !isLeft ? clickVolume * (Math.random() > 0.5 ? 1 : -1) : 0;
+            const clickVolume = 0.1 + this._pseudoRandom() * 0.3 * amount;
+            const isLeft = this._pseudoRandom() < 0.5;
+            this.vinylPopSampleL = isLeft ? clickVolume * (this._pseudoRandom() > 0.5 ? 1 : -1) : 0;
+            this.vinylPopSampleR = !isLeft ? clickVolume * (this._pseudoRandom() > 0.5 ? 1 : -1) : 0;
         }
 
         // Decay pops quickly
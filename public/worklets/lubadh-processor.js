@@ -185,6 +185,11 @@ class LubadhProcessor extends AudioWorkletProcessor {
         // For seamless loop transitions
         this.crossfadeSamples = Math.floor(MAX_CROSSFADE_MS * this.sampleRate / 1000);
 
+        // === RANDOM STATE ===
+        // Seeded PRNG (mulberry32, same as src/engine/random.js) so a session seed
+        // reproduces the same tape wobble; reseeded with a 'setSeed' message
+        this.randomState = (options.processorOptions?.seed ?? Math.random() * 0x100000000) >>> 0;
+
         // === MESSAGE HANDLING ===
         this.port.onmessage = (e) => this._handleMessage(e.data);
     }
@@ -221,6 +226,10 @@ class LubadhProcessor extends AudioWorkletProcessor {
                 this._loadBuffer(data.deck, data.bufferL, data.bufferR);
                 break;
 
+            case 'exportBuffer':
+                this._exportBuffer(data.deck, data.requestId);
+                break;
+
             case 'setLink':
                 this.linkEnabled = !!data.enabled;
                 break;
@@ -290,6 +299,10 @@ class LubadhProcessor extends AudioWorkletProcessor {
                     if (data.state.quantization) deck.quantization = data.state.quantization;
                 }
                 break;
+
+            case 'setSeed':
+                this.randomState = data.seed >>> 0;
+                break;
         }
     }
 
@@ -326,6 +339,21 @@ class LubadhProcessor extends AudioWorkletProcessor {
         });
     }
 
+    // Send a copy of a deck's recorded audio to the main thread
+    _exportBuffer(deckId, requestId) {
+        const deck = this._getDeck(deckId);
+        const buffer = deck.buffer.slice(0, deck.recordedLength);
+
+        this.port.postMessage({
+            type: 'bufferExport',
+            requestId,
+            deck: deckId,
+            buffer,
+            recordedLength: deck.recordedLength,
+            sampleRate: this.sampleRate
+        }, [buffer.buffer]);
+    }
+
     // === RECORDING ===
 
     _startRecording(deckId) {
@@ -621,6 +649,15 @@ class LubadhProcessor extends AudioWorkletProcessor {
         return { sample: filtered, state: filtered };
     }
 
+    // Seeded replacement for this._pseudoRandom(): [0, 1)
+    _pseudoRandom() {
+        this.randomState = (this.randomState + 0x6d2b79f5) >>> 0;
+        let t = this.randomState;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    }
+
     _getWowFlutter(amount) {
         if (amount < 0.01) return 0;
 
@@ -635,7 +672,7 @@ class LubadhProcessor extends AudioWorkletProcessor {
         const flutter = Math.sin(this.flutterPhase) * 0.004 * amount;
 
         // Add some randomness for more organic feel
-        const noise = (Math.random() - 0.5) * 0.001 * amount;
+        const noise = (this._pseudoRandom() - 0.5) * 0.001 * amount;
 
         // Update phases
         this.wowPhase += (2 * Math.PI * wowRate) / this.sampleRate;
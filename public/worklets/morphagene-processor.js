@@ -211,6 +211,10 @@ class MorphageneProcessor extends AudioWorkletProcessor {
                 this._loadBuffer(data.bufferL, data.bufferR, data.splices);
                 break;
 
+            case 'exportBuffer':
+                this._exportBuffer(data.requestId);
+                break;
+
             case 'setMorphChordRatios':
                 if (Array.isArray(data.ratios) && data.ratios.length === 4) {
                     this.morphChordRatios = data.ratios;
@@ -257,6 +261,22 @@ class MorphageneProcessor extends AudioWorkletProcessor {
         }
     }
 
+    // Send a copy of the filled part of the reel (and its splice markers) to the main thread
+    _exportBuffer(requestId) {
+        const bufferL = this.reelBufferL.slice(0, this.reelLength);
+        const bufferR = this.reelBufferR.slice(0, this.reelLength);
+
+        this.port.postMessage({
+            type: 'bufferExport',
+            requestId,
+            bufferL,
+            bufferR,
+            splices: this.splices.slice(),
+            reelLength: this.reelLength,
+            sampleRate: this.sampleRate
+        }, [bufferL.buffer, bufferR.buffer]);
+    }
+
     // === RECORDING ===
 
     _startRecording(newSplice = false) {
@@ -0,0 +1,212 @@
+// RECORDER PROCESSOR - AudioWorkletProcessor
+// Sample-accurate multitrack capture (master recorder, stems)
+// Each input is one stereo track; all captured tracks share the same start and stop frame
+
+// Frames per chunk posted back to the main thread
+const CHUNK_FRAMES = 16384;
+
+// Chunks' worth of buffers allocated up front per track; AudioRecorder copies each chunk
+// and hands its buffers back, so capture reuses them instead of allocating
+const CHUNK_POOL_DEPTH = 3;
+
+class RecorderProcessor extends AudioWorkletProcessor {
+    constructor(options) {
+        super();
+
+        this.trackCount = options.processorOptions?.trackCount || 1;
+
+        // Track indices captured by the current take
+        this.activeTracks = [];
+
+        // === CAPTURE WINDOW (frames on the context timeline) ===
+        this.isArmed = false;       // Waiting for startFrame
+        this.isRecording = false;
+        this.startFrame = 0;
+        this.stopFrame = Infinity;
+        this.prerollFrames = 0;     // Frames from before startFrame to include
+        this.firstFrame = 0;        // Actual first captured frame (startFrame - pre-roll)
+        this.framesRecorded = 0;
+
+        // === OUTGOING CHUNK ===
+        this.chunk = null;          // [active track][channel] Float32Array
+        this.chunkFill = 0;
+        this.chunkPool = [];        // Free [L, R] buffer pairs
+        for (let i = 0; i < this.trackCount * CHUNK_POOL_DEPTH; i++) {
+            this.chunkPool.push([new Float32Array(CHUNK_FRAMES), new Float32Array(CHUNK_FRAMES)]);
+        }
+
+        // === PRE-ROLL RING BUFFER ===
+        // Allocated by AudioRecorder and handed over, so the audio thread never allocates it
+        this.ring = null;           // [ring track][channel] Float32Array
+        this.ringTracks = [];       // Track index held by each ring track
+        this.ringSize = 0;
+        this.ringWrite = 0;
+        this.ringFilled = 0;
+
+        // === MESSAGE HANDLING ===
+        this.port.onmessage = (e) => this._handleMessage(e.data);
+    }
+
+    // === MESSAGE HANDLING ===
+
+    _handleMessage(data) {
+        switch (data.type) {
+            case 'setPrerollCapacity':
+                // A new ring starts empty (it changes with the pre-roll and stems settings, not tempo)
+                this.ring = data.frames > 0 && data.ring?.length ? data.ring : null;
+                this.ringTracks = this.ring ? data.tracks : [];
+                this.ringSize = this.ring ? data.frames : 0;
+                this.ringWrite = 0;
+                this.ringFilled = 0;
+                break;
+
+            case 'start':
+                this.isArmed = true;
+                this.isRecording = false;
+                this.startFrame = data.startFrame;
+                this.stopFrame = Infinity;
+                this.prerollFrames = Math.max(0, Math.floor(data.prerollFrames || 0));
+                this.activeTracks = Array.isArray(data.tracks)
+                    ? data.tracks.filter(t => t >= 0 && t < this.trackCount)
+                    : Array.from({ length: this.trackCount }, (_, t) => t);
+                this.framesRecorded = 0;
+                this._releaseChunk();
+                this.chunk = this._createChunk();
+                this.chunkFill = 0;
+                break;
+
+            case 'stop':
+                if (this.isArmed || this.isRecording) {
+                    this.stopFrame = Math.max(data.stopFrame, this.startFrame);
+                }
+                break;
+
+            case 'returnChunk':
+                this.chunkPool.push(...data.tracks);
+                break;
+
+            case 'cancel':
+                this.isArmed = false;
+                this.isRecording = false;
+                this._releaseChunk();
+                this.chunkFill = 0;
+                this.port.postMessage({ type: 'cancelled' });
+                break;
+        }
+    }
+
+    // One [L, R] pair per active track, in activeTracks order, from the pool
+    // (allocating only if the main thread has fallen behind returning them)
+    _createChunk() {
+        return this.activeTracks.map(() =>
+            this.chunkPool.pop() || [new Float32Array(CHUNK_FRAMES), new Float32Array(CHUNK_FRAMES)]);
+    }
+
+    // Put an unsent chunk's buffers back in the pool
+    _releaseChunk() {
+        if (this.chunk) this.chunkPool.push(...this.chunk);
+        this.chunk = null;
+    }
+
+    // === CAPTURE ===
+
+    _flushChunk() {
+        if (this.chunkFill === 0) return;
+
+        const transfer = [];
+        for (const track of this.chunk) {
+            transfer.push(track[0].buffer, track[1].buffer);
+        }
+        this.port.postMessage({ type: 'chunk', tracks: this.chunk, frames: this.chunkFill }, transfer);
+
+        this.chunk = this._createChunk();
+        this.chunkFill = 0;
+    }
+
+    _advanceChunk() {
+        this.chunkFill++;
+        this.framesRecorded++;
+        if (this.chunkFill >= CHUNK_FRAMES) {
+            this._flushChunk();
+        }
+    }
+
+    // Begin capture: emit the requested pre-roll from the ring first
+    _beginCapture(frame) {
+        this.isArmed = false;
+        this.isRecording = true;
+
+        // Ring track per active track (-1: not buffered, its pre-roll is silent)
+        const ringIndex = this.activeTracks.map(t => this.ringTracks.indexOf(t));
+        const preroll = Math.min(this.prerollFrames, this.ringFilled);
+        for (let i = 0; i < preroll; i++) {
+            const src = (this.ringWrite - preroll + i + this.ringSize) % this.ringSize;
+            for (let a = 0; a < this.activeTracks.length; a++) {
+                const r = ringIndex[a];
+                this.chunk[a][0][this.chunkFill] = r >= 0 ? this.ring[r][0][src] : 0;
+                this.chunk[a][1][this.chunkFill] = r >= 0 ? this.ring[r][1][src] : 0;
+            }
+            this._advanceChunk();
+        }
+
+        this.firstFrame = frame - preroll;
+        this.port.postMessage({ type: 'started', frame, firstFrame: this.firstFrame });
+    }
+
+    _endCapture() {
+        this.isRecording = false;
+        this.isArmed = false;
+        this._flushChunk();
+        this._releaseChunk();
+
+        this.port.postMessage({
+            type: 'done',
+            firstFrame: this.firstFrame,
+            frames: this.framesRecorded
+        });
+    }
+
+    process(inputs) {
+        const blockSize = 128;
+
+        for (let i = 0; i < blockSize; i++) {
+            const frame = currentFrame + i;
+
+            if (this.isArmed && frame >= this.startFrame) {
+                this._beginCapture(frame);
+            }
+
+            if (this.isRecording && frame >= this.stopFrame) {
+                this._endCapture();
+            }
+
+            if (this.isRecording) {
+                for (let a = 0; a < this.activeTracks.length; a++) {
+                    const input = inputs[this.activeTracks[a]];
+                    const inL = input && input[0] ? input[0][i] : 0;
+                    this.chunk[a][0][this.chunkFill] = inL;
+                    this.chunk[a][1][this.chunkFill] = input && input[1] ? input[1][i] : inL;
+                }
+                this._advanceChunk();
+            }
+
+            if (this.ring) {
+                for (let r = 0; r < this.ringTracks.length; r++) {
+                    const input = inputs[this.ringTracks[r]];
+                    const inL = input && input[0] ? input[0][i] : 0;
+                    this.ring[r][0][this.ringWrite] = inL;
+                    this.ring[r][1][this.ringWrite] = input && input[1] ? input[1][i] : inL;
+                }
+            }
+
+            if (this.ring) {
+                this.ringWrite = (this.ringWrite + 1) % this.ringSize;
+                this.ringFilled = Math.min(this.ringFilled + 1, this.ringSize);
+            }
+        }
+
+        return true;
+    }
+}
+
+registerProcessor('recorder-processor', RecorderProcessor);
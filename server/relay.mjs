@@ -0,0 +1,316 @@
+// GLASS MACHINE RELAY
+// Local-network relay for phones running Glass Machine (run it on a laptop)
+// Phones connect over WebSocket; every message a client sends is passed on to every other client.
+// Binary messages are OSC packets and are also bridged to and from UDP, so TouchOSC, Max
+// or a laptop script can drive the phones with plain OSC.
+// Text messages are JSON with a `type`; the relay itself answers two of them:
+//   { type: 'time', t0 }   -> { type: 'time', t0, relayTime } to the sender (clock sync)
+//   { type: 'retained' }   -> { type: 'retained', messages } to the sender
+// and keeps the latest message of each type sent with `retain: true` (shared session state).
+//
+//   node server/relay.mjs [--port 8080] [--osc-in 9000] [--osc-out host:port]
+//
+// --osc-in:  UDP port controllers send OSC to (replies go back to whoever sent last)
+// --osc-out: extra UDP destination for OSC coming from the phones
+//
+// No dependencies: the WebSocket handshake and framing (RFC 6455) are implemented here.
+
+import { createServer } from 'node:http';
+import { createHash } from 'node:crypto';
+import { createSocket } from 'node:dgram';
+import { networkInterfaces } from 'node:os';
+import { pathToFileURL } from 'node:url';
+
+const WS_GUID = '258EAFA5-E914-47DA-95CA-C5AB0DC85B11';
+const MAX_MESSAGE_BYTES = 1 << 20;
+
+const OPCODE_CONTINUATION = 0x0;
+const OPCODE_TEXT = 0x1;
+const OPCODE_BINARY = 0x2;
+const OPCODE_CLOSE = 0x8;
+const OPCODE_PING = 0x9;
+const OPCODE_PONG = 0xa;
+
+// === OPTIONS ===
+
+function parseArgs(argv) {
+    const options = { port: 8080, oscIn: 9000, oscOut: null };
+    for (let i = 0; i < argv.length; i++) {
+        const value = argv[i + 1];
+        switch (argv[i]) {
+            case '--port': options.port = parseInt(value); i++; break;
+            case '--osc-in': options.oscIn = parseInt(value); i++; break;
+            case '--osc-out': {
+                const [host, port] = value.split(':');
+                options.oscOut = { host, port: parseInt(port) };
+                i++;
+                break;
+            }
+        }
+    }
+    return options;
+}
+
+// === WEBSOCKET ===
+
+class WebSocketClient {
+    constructor(socket, onMessage, onClose) {
+        this.socket = socket;
+        this.onMessage = onMessage;     // (client, data: Buffer, isBinary)
+        this.onClose = onClose;         // (client)
+
+        this._buffer = Buffer.alloc(0);
+        this._fragments = [];
+        this._fragmentOpcode = null;
+        this.closed = false;
+
+        socket.on('data', (chunk) => this._receive(chunk));
+        socket.on('close', () => this._closed());
+        socket.on('error', () => socket.destroy());
+    }
+
+    send(data, isBinary) {
+        if (this.closed) return;
+        this.socket.write(encodeFrame(isBinary ? OPCODE_BINARY : OPCODE_TEXT, data));
+    }
+
+    close() {
+        if (this.closed) return;
+        this.socket.end(encodeFrame(OPCODE_CLOSE, Buffer.alloc(0)));
+        this._closed();
+    }
+
+    _closed() {
+        if (this.closed) return;
+        this.closed = true;
+        this.onClose(this);
+    }
+
+    _receive(chunk) {
+        this._buffer = Buffer.concat([this._buffer, chunk]);
+
+        let frame;
+        while ((frame = decodeFrame(this._buffer))) {
+            this._buffer = this._buffer.subarray(frame.length);
+            this._handleFrame(frame);
+            if (this.closed) return;
+        }
+
+        if (this._buffer.length > MAX_MESSAGE_BYTES) {
+            this.close();
+        }
+    }
+
+    _handleFrame({ fin, opcode, payload }) {
+        switch (opcode) {
+            case OPCODE_PING:
+                this.socket.write(encodeFrame(OPCODE_PONG, payload));
+                return;
+            case OPCODE_PONG:
+                return;
+            case OPCODE_CLOSE:
+                this.close();
+                return;
+        }
+
+        // Data frames, possibly fragmented
+        if (opcode !== OPCODE_CONTINUATION) {
+            this._fragmentOpcode = opcode;
+            this._fragments = [];
+        }
+        this._fragments.push(payload);
+
+        if (fin) {
+            const data = Buffer.concat(this._fragments);
+            const isBinary = this._fragmentOpcode === OPCODE_BINARY;
+            this._fragments = [];
+            this.onMessage(this, data, isBinary);
+        }
+    }
+}
+
+// Complete frame at the start of the buffer, or null if more bytes are needed
+function decodeFrame(buffer) {
+    if (buffer.length < 2) return null;
+
+    const fin = (buffer[0] & 0x80) !== 0;
+    const opcode = buffer[0] & 0x0f;
+    const masked = (buffer[1] & 0x80) !== 0;
+    let length = buffer[1] & 0x7f;
+    let offset = 2;
+
+    if (length === 126) {
+        if (buffer.length < 4) return null;
+        length = buffer.readUInt16BE(2);
+        offset = 4;
+    } else if (length === 127) {
+        if (buffer.length < 10) return null;
+        length = Number(buffer.readBigUInt64BE(2));
+        offset = 10;
+    }
+
+    const maskOffset = offset;
+    if (masked) offset += 4;
+    if (buffer.length < offset + length) return null;
+
+    const payload = Buffer.from(buffer.subarray(offset, offset + length));
+    if (masked) {
+        for (let i = 0; i < payload.length; i++) {
+            payload[i] ^= buffer[maskOffset + (i & 3)];
+        }
+    }
+
+    return { fin, opcode, payload, length: offset + length };
+}
+
+// Server frames are never masked
+function encodeFrame(opcode, payload) {
+    const data = Buffer.isBuffer(payload) ? payload : Buffer.from(payload);
+    let header;
+
+    if (data.length < 126) {
+        header = Buffer.from([0x80 | opcode, data.length]);
+    } else if (data.length < 65536) {
+        header = Buffer.alloc(4);
+        header[0] = 0x80 | opcode;
+        header[1] = 126;
+        header.writeUInt16BE(data.length, 2);
+    } else {
+        header = Buffer.alloc(10);
+        header[0] = 0x80 | opcode;
+        header[1] = 127;
+        header.writeBigUInt64BE(BigInt(data.length), 2);
+    }
+
+    return Buffer.concat([header, data]);
+}
+
+function acceptKey(key) {
+    return createHash('sha1').update(key + WS_GUID).digest('base64');
+}
+
+// === RELAY ===
+
+export function startRelay(options = {}) {
+    const { port = 8080, oscIn = 9000, oscOut = null, log = console.log } = options;
+
+    const clients = new Set();
+    const udpPeers = new Map();     // "host:port" -> { host, port }
+    const retained = new Map();     // type -> latest retained message
+
+    // WebSocket -> every other client; OSC also goes out over UDP
+    const relay = (sender, data, isBinary) => {
+        if (!isBinary && answerText(sender, data)) return;
+
+        for (const client of clients) {
+            if (client !== sender) client.send(data, isBinary);
+        }
+        if (isBinary) {
+            for (const peer of udpPeers.values()) {
+                udp.send(data, peer.port, peer.host);
+            }
+        }
+    };
+
+    // Requests the relay answers itself; returns true if the message stops here
+    const answerText = (sender, data) => {
+        let message;
+        try {
+            message = JSON.parse(data.toString('utf8'));
+        } catch {
+            return false;
+        }
+
+        switch (message?.type) {
+            case 'time':
+                sender.send(JSON.stringify({ type: 'time', t0: message.t0, relayTime: performance.now() }), false);
+                return true;
+            case 'retained':
+                sender.send(JSON.stringify({ type: 'retained', messages: [...retained.values()] }), false);
+                return true;
+        }
+
+        if (message?.retain && typeof message.type === 'string') {
+            retained.set(message.type, message);
+        }
+        return false;
+    };
+
+    const server = createServer((req, res) => {
+        res.writeHead(426, { 'Content-Type': 'text/plain' });
+        res.end('Glass Machine relay: connect with a WebSocket\n');
+    });
+
+    server.on('upgrade', (req, socket) => {
+        const key = req.headers['sec-websocket-key'];
+        if (!key || (req.headers.upgrade || '').toLowerCase() !== 'websocket') {
+            socket.end('HTTP/1.1 400 Bad Request\r\n\r\n');
+            return;
+        }
+
+        socket.write([
+            'HTTP/1.1 101 Switching Protocols',
+            'Upgrade: websocket',
+            'Connection: Upgrade',
+            `Sec-WebSocket-Accept: ${acceptKey(key)}`,
+            '', ''
+        ].join('\r\n'));
+        socket.setNoDelay(true);
+
+        const client = new WebSocketClient(socket, relay, (closed) => {
+            clients.delete(closed);
+            log(`Client left (${clients.size} connected)`);
+        });
+        clients.add(client);
+        log(`Client joined from ${socket.remoteAddress} (${clients.size} connected)`);
+    });
+
+    // UDP OSC in: forward to every phone, remember the sender for replies
+    const udp = createSocket('udp4');
+    udp.on('message', (msg, rinfo) => {
+        udpPeers.set(`${rinfo.address}:${rinfo.port}`, { host: rinfo.address, port: rinfo.port });
+        for (const client of clients) {
+            client.send(msg, true);
+        }
+    });
+    udp.on('error', (error) => log(`OSC UDP error: ${error.message}`));
+
+    if (oscOut) {
+        udpPeers.set(`${oscOut.host}:${oscOut.port}`, oscOut);
+    }
+
+    server.listen(port);
+    udp.bind(oscIn);
+
+    return {
+        server,
+        udp,
+        clients,
+        retained,
+        close() {
+            for (const client of clients) client.close();
+            server.close();
+            udp.close();
+        }
+    };
+}
+
+// === MAIN ===
+
+if (process.argv[1] && import.meta.url === pathToFileURL(process.argv[1]).href) {
+    const options = parseArgs(process.argv.slice(2));
+    startRelay(options);
+
+    const addresses = Object.values(networkInterfaces()).flat()
+        .filter(iface => iface && iface.family === 'IPv4' && !iface.internal)
+        .map(iface => iface.address);
+
+    console.log(`Glass Machine relay`);
+    for (const address of addresses.length ? addresses : ['localhost']) {
+        console.log(`  phones:      ws://${address}:${options.port}`);
+        console.log(`  OSC (UDP):   ${address}:${options.oscIn}`);
+    }
+    if (options.oscOut) {
+        console.log(`  OSC out:     ${options.oscOut.host}:${options.oscOut.port}`);
+    }
+}
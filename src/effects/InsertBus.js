@@ -6,28 +6,20 @@ import { DataBenderNode } from './databender/index.js';
 import { ArbharNode } from './arbhar/index.js';
 import { MorphageneNode } from './morphagene/index.js';
 import { LubadhNode } from './lubadh/index.js';
+import { deriveSeed } from '../engine/random.js';
 
 export class InsertBus {
     constructor(ctx, numVoices = 3) {
         this.ctx = ctx;
         this.numVoices = numVoices;
 
-        // Voice input nodes - voices connect here
-        this.voiceInputs = [];
-        for (let i = 0; i < numVoices; i++) {
-            const inputNode = ctx.createGain();
-            inputNode.gain.value = 1;
-            this.voiceInputs.push(inputNode);
-        }
-
         // Voice summer - combines all voice inputs
         this.voiceSummer = ctx.createGain();
         this.voiceSummer.gain.value = 1;
 
-        // Connect all voice inputs to summer
-        for (const input of this.voiceInputs) {
-            input.connect(this.voiceSummer);
-        }
+        // Voice input nodes - voices connect here (one per voice, connected to the summer)
+        this.voiceInputs = [];
+        this.setVoiceCount(numVoices);
 
         // Insert effects chain
         // Signal flow: voiceSummer → DataBender → Arbhar → Morphagene → Lubadh → outputGain
@@ -148,6 +140,9 @@ export class InsertBus {
         // Loading state
         this.isLoading = false;
         this.isLoaded = false;
+
+        // Session random seed (null = unseeded); each effect gets its own stream
+        this.seed = null;
     }
 
     // Get the input node for a voice to connect to
@@ -155,6 +150,20 @@ export class InsertBus {
         return this.voiceInputs[voiceIndex];
     }
 
+    // Grow or shrink the voice inputs (voices are added and removed at the end)
+    setVoiceCount(count) {
+        while (this.voiceInputs.length < count) {
+            const inputNode = this.ctx.createGain();
+            inputNode.gain.value = 1;
+            inputNode.connect(this.voiceSummer);
+            this.voiceInputs.push(inputNode);
+        }
+        while (this.voiceInputs.length > count) {
+            this.voiceInputs.pop().disconnect();
+        }
+        this.numVoices = count;
+    }
+
     // === DATA BENDER ===
 
     // Load Data Bender insert effect
@@ -179,6 +188,7 @@ export class InsertBus {
 
             // Create new Data Bender node
             const databender = new DataBenderNode(this.ctx);
+            this._seedInsert('databender', databender);
             await databender.initialize();
 
             // Connect: inputGain → databender → insert.outputGain → chainPoint
@@ -276,6 +286,7 @@ export class InsertBus {
 
             // Create new Arbhar node
             const arbhar = new ArbharNode(this.ctx);
+            this._seedInsert('arbhar', arbhar);
             await arbhar.initialize();
 
             // Connect: inputGain → arbhar → insert.outputGain → chainPoint2
@@ -470,6 +481,7 @@ export class InsertBus {
 
             // Create new Lubadh node
             const lubadh = new LubadhNode(this.ctx);
+            this._seedInsert('lubadh', lubadh);
             await lubadh.initialize();
 
             // Connect: inputGain → lubadh → insert.outputGain → outputGain
@@ -608,10 +620,24 @@ export class InsertBus {
         }
     }
 
+    // Seed the effects that roll dice (Data Bender, Arbhar, Lubadh); also restarts their sequences
+    setSeed(seed) {
+        this.seed = seed;
+        for (const name of ['databender', 'arbhar', 'lubadh']) {
+            this._seedInsert(name, this.inserts[name].node);
+        }
+    }
+
+    _seedInsert(name, node) {
+        if (this.seed === null || !node?.setSeed) return;
+        node.setSeed(deriveSeed(this.seed, name));
+    }
+
     // Get state for serialization
     getState() {
         return {
             isLoaded: this.isLoaded,
+            sendOutputLevel: this.getSendOutputLevel(),
             databender: {
                 isLoaded: this.inserts.databender.isLoaded,
                 enabled: this.inserts.databender.enabled,
@@ -640,11 +666,18 @@ export class InsertBus {
     }
 
     // Restore state
+    // Inserts that are already loaded are kept (not reloaded) so live buffers survive
     async restoreState(state) {
+        if (state.sendOutputLevel !== undefined) {
+            this.setSendOutputLevel(state.sendOutputLevel);
+        }
+
         // Restore Data Bender
         if (state.databender) {
             if (state.databender.isLoaded) {
-                await this.loadDataBender();
+                if (!this.inserts.databender.isLoaded) {
+                    await this.loadDataBender();
+                }
 
                 if (state.databender.enabled !== undefined) {
                     this.setDataBenderEnabled(state.databender.enabled);
@@ -661,7 +694,9 @@ export class InsertBus {
         // Restore Arbhar
         if (state.arbhar) {
             if (state.arbhar.isLoaded) {
-                await this.loadArbhar();
+                if (!this.inserts.arbhar.isLoaded) {
+                    await this.loadArbhar();
+                }
 
                 if (state.arbhar.enabled !== undefined) {
                     this.setArbharEnabled(state.arbhar.enabled);
@@ -678,7 +713,9 @@ export class InsertBus {
         // Restore Morphagene
         if (state.morphagene) {
             if (state.morphagene.isLoaded) {
-                await this.loadMorphagene();
+                if (!this.inserts.morphagene.isLoaded) {
+                    await this.loadMorphagene();
+                }
 
                 if (state.morphagene.enabled !== undefined) {
                     this.setMorphageneEnabled(state.morphagene.enabled);
@@ -695,7 +732,9 @@ export class InsertBus {
         // Restore Lubadh
         if (state.lubadh) {
             if (state.lubadh.isLoaded) {
-                await this.loadLubadh();
+                if (!this.inserts.lubadh.isLoaded) {
+                    await this.loadLubadh();
+                }
 
                 if (state.lubadh.enabled !== undefined) {
                     this.setLubadhEnabled(state.lubadh.enabled);
@@ -32,17 +32,6 @@ export class SendBus {
             };
             this.effects[effectType].inputGain.gain.value = 1;
 
-            // Create per-voice send gains for this effect
-            for (let i = 0; i < numVoices; i++) {
-                const sendGain = ctx.createGain();
-                sendGain.gain.value = 0;  // Off by default
-                sendGain.connect(this.effects[effectType].inputGain);
-                this.effects[effectType].voiceSends.push({
-                    node: sendGain,
-                    amount: 0
-                });
-            }
-
             // Create insert bus send gain for this effect (4th channel)
             const insertSendGain = ctx.createGain();
             insertSendGain.gain.value = 0;  // Off by default
@@ -56,16 +45,7 @@ export class SendBus {
         // Voice input nodes - voices connect here, then we split to each effect's sends
         // Each voice has a splitter node that feeds all effect sends
         this.voiceInputs = [];
-        for (let i = 0; i < numVoices; i++) {
-            const inputNode = ctx.createGain();
-            inputNode.gain.value = 1;
-            this.voiceInputs.push(inputNode);
-
-            // Connect this voice input to each effect's per-voice send
-            for (const effectType of this.availableEffects) {
-                inputNode.connect(this.effects[effectType].voiceSends[i].node);
-            }
-        }
+        this.setVoiceCount(numVoices);
 
         // Insert bus input node - insert bus sendOutput connects here
         // This feeds all effect's insert sends
@@ -87,6 +67,35 @@ export class SendBus {
         return this.voiceInputs[voiceIndex];
     }
 
+    // Grow or shrink the voice inputs and their per-effect sends (voices are added and removed at the end)
+    setVoiceCount(count) {
+        while (this.voiceInputs.length < count) {
+            const inputNode = this.ctx.createGain();
+            inputNode.gain.value = 1;
+
+            // Per-voice send gain for each effect (off by default)
+            for (const effectType of this.availableEffects) {
+                const sendGain = this.ctx.createGain();
+                sendGain.gain.value = 0;
+                sendGain.connect(this.effects[effectType].inputGain);
+                inputNode.connect(sendGain);
+                this.effects[effectType].voiceSends.push({
+                    node: sendGain,
+                    amount: 0
+                });
+            }
+
+            this.voiceInputs.push(inputNode);
+        }
+        while (this.voiceInputs.length > count) {
+            this.voiceInputs.pop().disconnect();
+            for (const effectType of this.availableEffects) {
+                this.effects[effectType].voiceSends.pop().node.disconnect();
+            }
+        }
+        this.numVoices = count;
+    }
+
     // Create a voice send connection (returns the node voice should connect to)
     // This is for backwards compatibility
     createVoiceSend(voiceIndex) {
@@ -390,7 +399,8 @@ export class SendBus {
                 inputLevel: slot.inputGain.gain.value,
                 voiceSends: slot.voiceSends.map(s => s.amount),
                 insertSend: slot.insertSend?.amount || 0,
-                params: slot.node?.getParams?.() || null
+                params: slot.node?.getParams?.() || null,
+                preset: slot.node?.getPreset?.() || null
             };
         }
 
@@ -409,8 +419,11 @@ export class SendBus {
 
         if (state.effects) {
             for (const [type, effectState] of Object.entries(state.effects)) {
-                if (effectState.isLoaded) {
-                    await this.loadEffect(type);
+                if (effectState.isLoaded && this.effects[type]) {
+                    // Keep an already running effect (and its buffers) rather than reloading it
+                    if (!this.effects[type].isLoaded) {
+                        await this.loadEffect(type);
+                    }
 
                     if (effectState.inputLevel !== undefined) {
                         this.setEffectInputLevel(type, effectState.inputLevel);
@@ -426,7 +439,9 @@ export class SendBus {
                         this.setInsertSendAmount(type, effectState.insertSend);
                     }
 
-                    if (effectState.params && this.effects[type].node?.setParams) {
+                    if (effectState.preset && this.effects[type].node?.loadPreset) {
+                        this.effects[type].node.loadPreset(effectState.preset);
+                    } else if (effectState.params && this.effects[type].node?.setParams) {
                         this.effects[type].node.setParams(effectState.params);
                     }
                 }
@@ -103,6 +103,9 @@ export class ArbharNode {
         this.clockBPM = 120;
         this.externalClock = false;
 
+        // Random seed for the processor (null = unseeded)
+        this.seed = null;
+
         // Parameter change callback
         this.onParamChange = null;
     }
@@ -119,7 +122,8 @@ export class ArbharNode {
                 numberOfOutputs: 1,
                 outputChannelCount: [2], // Stereo output
                 processorOptions: {
-                    sampleRate: this.ctx.sampleRate
+                    sampleRate: this.ctx.sampleRate,
+                    seed: this.seed ?? undefined
                 }
             });
 
@@ -244,6 +248,12 @@ export class ArbharNode {
         }
     }
 
+    // Seed the processor's random source (grain scatter); restarts its random sequence
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this._sendMessage({ type: 'setSeed', seed: this.seed });
+    }
+
     // === MODE CONTROL ===
 
     // Set Scan/Follow/Wavetable mode
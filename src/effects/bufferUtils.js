@@ -0,0 +1,33 @@
+// BUFFER UTILS
+// Helpers for moving recorded audio in and out of the looper worklets
+
+// Linear-interpolation resample of one channel
+// Used when a saved reel/deck was captured at a different context sample rate
+export function resampleChannel(data, fromRate, toRate) {
+    if (!fromRate || !toRate || fromRate === toRate || data.length === 0) {
+        return data;
+    }
+
+    const ratio = fromRate / toRate;
+    const length = Math.max(1, Math.round(data.length / ratio));
+    const out = new Float32Array(length);
+    const last = data.length - 1;
+
+    for (let i = 0; i < length; i++) {
+        const pos = i * ratio;
+        const i0 = Math.min(Math.floor(pos), last);
+        const i1 = Math.min(i0 + 1, last);
+        const frac = pos - i0;
+        out[i] = data[i0] + (data[i1] - data[i0]) * frac;
+    }
+
+    return out;
+}
+
+// Rescale sample positions (e.g. splice markers) between sample rates
+export function resamplePositions(positions, fromRate, toRate) {
+    if (!fromRate || !toRate || fromRate === toRate) {
+        return positions.slice();
+    }
+    return positions.map(p => Math.round(p * toRate / fromRate));
+}
@@ -81,6 +81,9 @@ export class DataBenderNode {
         this.clockBPM = 120;
         this.clockDivMult = 1;      // Clock division/multiplication
 
+        // Random seed for the processor (null = unseeded)
+        this.seed = null;
+
         // Parameter change callback
         this.onParamChange = null;
     }
@@ -97,7 +100,8 @@ export class DataBenderNode {
                 numberOfOutputs: 1,
                 outputChannelCount: [2], // Stereo output
                 processorOptions: {
-                    sampleRate: this.ctx.sampleRate
+                    sampleRate: this.ctx.sampleRate,
+                    seed: this.seed ?? undefined
                 }
             });
 
@@ -215,6 +219,12 @@ export class DataBenderNode {
         }
     }
 
+    // Seed the processor's random source (bends, breaks and corruption); restarts its random sequence
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this._sendMessage({ type: 'setSeed', seed: this.seed });
+    }
+
     // === MODE CONTROL ===
 
     // Set Macro/Micro mode
@@ -4,6 +4,8 @@
 // 10 minutes recording per deck, varispeed ±4x, overdub with feedback
 // Sound-on-sound looping with tape emulation characteristics
 
+import { resampleChannel } from '../bufferUtils.js';
+
 // Speed presets for the hardware's notch positions
 export const SPEED_NOTCHES = {
     REVERSE_4X: 0,      // Full CCW - 4x reverse
@@ -141,11 +143,18 @@ export class LubadhNode {
         this.loadedSampleA = null;
         this.loadedSampleB = null;
 
+        // Random seed for the processor (null = unseeded)
+        this.seed = null;
+
         // Callbacks
         this.onParamChange = null;
         this.onRecordingStopped = null;
         this.onLoopEnd = null;
         this.onClockPulse = null;
+
+        // Pending exportDeck() requests, keyed by request ID
+        this._pendingExports = new Map();
+        this._nextExportId = 1;
     }
 
     // Initialize the AudioWorklet
@@ -160,7 +169,8 @@ export class LubadhNode {
                 numberOfOutputs: 1,
                 outputChannelCount: [2], // Stereo output (deck A = L, deck B = R, or linked stereo)
                 processorOptions: {
-                    sampleRate: this.ctx.sampleRate
+                    sampleRate: this.ctx.sampleRate,
+                    seed: this.seed ?? undefined
                 }
             });
 
@@ -253,6 +263,20 @@ export class LubadhNode {
                     this.onMeter(data);
                 }
                 break;
+
+            case 'bufferExport': {
+                const resolve = this._pendingExports.get(data.requestId);
+                this._pendingExports.delete(data.requestId);
+                const deck = data.deck === 'A' ? this.deckA : this.deckB;
+                deck.recordedLength = data.recordedLength;
+                resolve?.(data.recordedLength > 0 ? {
+                    name: data.deck === 'A' ? this.loadedSampleA : this.loadedSampleB,
+                    sampleRate: data.sampleRate,
+                    length: data.recordedLength,
+                    buffer: data.buffer
+                } : null);
+                break;
+            }
         }
     }
 
@@ -289,6 +313,12 @@ export class LubadhNode {
         }
     }
 
+    // Seed the processor's random source (tape wobble); restarts its random sequence
+    setSeed(seed) {
+        this.seed = seed >>> 0;
+        this._sendMessage({ type: 'setSeed', seed: this.seed });
+    }
+
     // === SPEED CONTROL ===
 
     // Set speed for deck A (normalized 0-1)
@@ -845,6 +875,46 @@ export class LubadhNode {
         }
     }
 
+    // === DECK EXPORT / RESTORE ===
+
+    // Read a deck's recorded audio back out of the processor ('A' or 'B')
+    // Resolves to { name, sampleRate, length, buffer }, or null if the deck is empty
+    exportDeck(deck) {
+        if (!this.workletNode) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            const requestId = this._nextExportId++;
+            this._pendingExports.set(requestId, resolve);
+            this._sendMessage({ type: 'exportBuffer', deck, requestId });
+        });
+    }
+
+    // Load a deck produced by exportDeck(); null erases the deck
+    // Bypasses link mode so each deck gets exactly its own audio
+    loadDeck(deck, data) {
+        const state = deck === 'A' ? this.deckA : this.deckB;
+        const name = data?.name || null;
+
+        if (!data || !data.length) {
+            this._sendMessage({ type: 'erase', deck });
+            state.recordedLength = 0;
+        } else {
+            const buffer = resampleChannel(data.buffer, data.sampleRate, this.ctx.sampleRate);
+            this._sendMessage({ type: 'loadBuffer', deck, bufferL: buffer, bufferR: buffer });
+            state.recordedLength = buffer.length;
+        }
+
+        if (deck === 'A') {
+            this.loadedSampleA = name;
+        } else {
+            this.loadedSampleB = name;
+        }
+
+        if (this.onParamChange) {
+            this.onParamChange(`loadedSample${deck}`, name);
+        }
+    }
+
     // === CONNECTION ===
 
     get input() {
@@ -931,6 +1001,12 @@ export class LubadhNode {
     // === CLEANUP ===
 
     dispose() {
+        // Settle any outstanding exports
+        for (const resolve of this._pendingExports.values()) {
+            resolve(null);
+        }
+        this._pendingExports.clear();
+
         if (this.workletNode) {
             this.workletNode.disconnect();
             this.workletNode.port.close();
@@ -4,6 +4,8 @@
 // Next-generation Tape and Microsound music module
 // 2.9 minute Reels, up to 300 Splices, Granular Genes with Morph
 
+import { resampleChannel, resamplePositions } from '../bufferUtils.js';
+
 // Morph chord ratios (user configurable via options.txt on hardware)
 export const DEFAULT_MORPH_CHORD_RATIOS = [1, 2, 3, 4]; // Unison, +1oct, +1oct+5th, +2oct
 
@@ -75,6 +77,10 @@ export class MorphageneNode {
 
         // EOSG callback
         this.onEndOfSpliceGene = null;
+
+        // Pending exportReel() requests, keyed by request ID
+        this._pendingExports = new Map();
+        this._nextExportId = 1;
     }
 
     // Initialize the AudioWorklet
@@ -173,6 +179,22 @@ export class MorphageneNode {
                     this.onMeter(data.input, data.output);
                 }
                 break;
+
+            case 'bufferExport': {
+                const resolve = this._pendingExports.get(data.requestId);
+                this._pendingExports.delete(data.requestId);
+                this.reelLength = data.reelLength;
+                this.spliceCount = data.splices.length;
+                resolve?.(data.reelLength > 0 ? {
+                    name: this.loadedSampleName,
+                    sampleRate: data.sampleRate,
+                    length: data.reelLength,
+                    bufferL: data.bufferL,
+                    bufferR: data.bufferR,
+                    splices: data.splices
+                } : null);
+                break;
+            }
         }
     }
 
@@ -519,6 +541,43 @@ export class MorphageneNode {
         }
     }
 
+    // === REEL EXPORT / RESTORE ===
+
+    // Read the reel (recorded audio + splice markers) back out of the processor
+    // Resolves to { name, sampleRate, length, bufferL, bufferR, splices }, or null if the reel is empty
+    exportReel() {
+        if (!this.workletNode) return Promise.resolve(null);
+
+        return new Promise((resolve) => {
+            const requestId = this._nextExportId++;
+            this._pendingExports.set(requestId, resolve);
+            this._sendMessage({ type: 'exportBuffer', requestId });
+        });
+    }
+
+    // Load a reel produced by exportReel(); null clears the reel
+    loadReel(reel) {
+        if (!reel || !reel.length) {
+            this.clearReel();
+            return;
+        }
+
+        const rate = this.ctx.sampleRate;
+        const bufferL = resampleChannel(reel.bufferL, reel.sampleRate, rate);
+        const bufferR = resampleChannel(reel.bufferR || reel.bufferL, reel.sampleRate, rate);
+        const splices = resamplePositions(reel.splices || [0], reel.sampleRate, rate);
+
+        this._sendMessage({ type: 'loadBuffer', bufferL, bufferR, splices });
+
+        this.reelLength = bufferL.length;
+        this.spliceCount = Math.max(1, splices.length);
+        this.loadedSampleName = reel.name || null;
+
+        if (this.onParamChange) {
+            this.onParamChange('loadedSample', this.loadedSampleName);
+        }
+    }
+
     // === CONNECTION ===
 
     // Get input node for connecting sources
@@ -581,6 +640,12 @@ export class MorphageneNode {
     // === CLEANUP ===
 
     dispose() {
+        // Settle any outstanding exports
+        for (const resolve of this._pendingExports.values()) {
+            resolve(null);
+        }
+        this._pendingExports.clear();
+
         if (this.workletNode) {
             this.workletNode.disconnect();
             this.workletNode.port.close();
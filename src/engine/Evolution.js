@@ -0,0 +1,320 @@
+// EVOLUTION
+// Long-form composer mode for installations: over a 10, 30 or 60 minute arc the machine drifts
+// voice knobs, pattern shapes, interval spreads, the polymetric preset and effect sends along a
+// planned tension curve made of sections (rest, build, peak, release).
+// Knobs and sends move continuously around where they were when the arc began (a knob the user
+// moves becomes its new home); figures, spreads and the meter change at section boundaries.
+// When an arc ends the next one is planned from where it left off, so the piece develops
+// instead of looping. Time only passes while the transport runs.
+
+// Arc lengths, after evolvePatch10/30/60: longer arcs have more sections and travel further
+// depth: how far knobs and sends move from home; figures: share of voices that change figure
+// at each section; meters: chance the polymetric preset changes at each section
+export const EVOLUTION_ARCS = {
+    arc10: { name: '10 min', minutes: 10, sections: 4, depth: 0.4, figures: 0.3, meters: 0.3 },
+    arc30: { name: '30 min', minutes: 30, sections: 7, depth: 0.7, figures: 0.5, meters: 0.5 },
+    arc60: { name: '60 min', minutes: 60, sections: 11, depth: 1, figures: 0.7, meters: 0.7 }
+};
+
+// Section types: tension level, relative length, chord tones added to the voice's spread,
+// and the pattern shapes and polymetric presets that suit them
+const SECTIONS = {
+    rest: {
+        name: 'Rest',
+        tension: 0.1,
+        length: 0.8,
+        spread: -1,
+        shapes: ['trillStrict', 'trillBreathing', 'threeNote'],
+        meters: ['unison', 'glassCascade', 'reichPhase']
+    },
+    build: {
+        name: 'Build',
+        tension: 0.55,
+        length: 1.2,
+        spread: 0,
+        shapes: ['threeNote', 'threeNoteReverse', 'fourNote', 'fourNoteAlbertiBass', 'arpUpDown', 'additive'],
+        meters: ['threeAgainstTwo', 'hemiola', 'glassFlow', 'floeA', 'layered123']
+    },
+    peak: {
+        name: 'Peak',
+        tension: 0.9,
+        length: 0.7,
+        spread: 2,
+        shapes: ['fiveNote', 'fiveNoteGlass', 'reichPhase', 'arpUpDown'],
+        meters: ['polymetric345', 'layered234', 'africanBell', 'fiveAgainstFour', 'tripletAgainstDuple']
+    },
+    release: {
+        name: 'Release',
+        tension: 0.3,
+        length: 1,
+        spread: 1,
+        shapes: ['trillBreathing', 'threeNoteReverse', 'fourNote', 'euclidean', 'subtractive'],
+        meters: ['reichDrift', 'floeB', 'glassCascade', 'hemiola']
+    }
+};
+
+// What may follow each section (weighted): tension rises through builds and falls through releases
+const NEXT_SECTION = {
+    rest: [{ value: 'build', weight: 1 }],
+    build: [{ value: 'peak', weight: 3 }, { value: 'build', weight: 1 }, { value: 'release', weight: 1 }],
+    peak: [{ value: 'release', weight: 3 }, { value: 'peak', weight: 1 }],
+    release: [{ value: 'build', weight: 2 }, { value: 'rest', weight: 1 }]
+};
+
+// Knobs that drift, and the sends (see SendBus)
+const DRIFT_PARAMS = ['lpgCutoff', 'fmIndex', 'foldAmount', 'decay'];
+const DRIFT_SENDS = ['nautilus', 'basil', 'fdnr'];
+
+// Seconds of playing time between drift steps
+const UPDATE_INTERVAL = 0.5;
+// Longest gap counted as playing time (the page was in the background)
+const MAX_STEP = 1;
+// Random walk per voice: step size and pull back toward home per update
+const WALK_STEP = 0.04;
+const WALK_PULL = 0.995;
+
+const clamp01 = (value) => Math.max(0, Math.min(1, value));
+const smoothstep = (t) => t * t * (3 - 2 * t);
+
+function weightedPick(options, random) {
+    const total = options.reduce((sum, opt) => sum + opt.weight, 0);
+    let remaining = random() * total;
+    for (const opt of options) {
+        remaining -= opt.weight;
+        if (remaining <= 0) return opt.value;
+    }
+    return options[options.length - 1].value;
+}
+
+const pick = (array, random) => array[Math.floor(random() * array.length)];
+
+export class Evolution {
+    // machine: the GlassMachine to drive; options.random: () => [0, 1) (the seeded evolution stream)
+    constructor(machine, arc, options = {}) {
+        if (!EVOLUTION_ARCS[arc]) {
+            throw new Error(`Evolution: unknown arc "${arc}"`);
+        }
+
+        this.machine = machine;
+        this.arc = arc;
+        this.random = options.random || Math.random;
+
+        // Playing time into the current arc (seconds) and arcs completed
+        this.elapsed = 0;
+        this.arcCount = 0;
+        this._lastTime = null;
+        this._lastUpdate = -Infinity;
+
+        this.sections = [];
+        this.sectionIndex = -1;
+        this.tension = SECTIONS.rest.tension;
+
+        // Per voice: home values, the values last written (to spot user moves) and the random walk
+        this._homes = [];
+        this._written = [];
+        this._walks = [];
+
+        // Callbacks
+        this.onChange = options.onChange || null;   // (state) new section, or another minute passed
+        this._lastMinute = 0;
+
+        this._planArc('rest');
+    }
+
+    get duration() {
+        return EVOLUTION_ARCS[this.arc].minutes * 60;
+    }
+
+    getState() {
+        const section = this.sections[this.sectionIndex];
+        return {
+            arc: this.arc,
+            elapsed: this.elapsed,
+            duration: this.duration,
+            arcCount: this.arcCount,
+            tension: this.tension,
+            section: section ? SECTIONS[section.type].name : null,
+            sectionIndex: this.sectionIndex,
+            sectionCount: this.sections.length
+        };
+    }
+
+    // === PLAN ===
+
+    // Section sequence for one arc, starting with `first`; the first arc of a run also ends at rest
+    _planArc(first) {
+        const arc = EVOLUTION_ARCS[this.arc];
+        const types = [first];
+        while (types.length < arc.sections) {
+            types.push(weightedPick(NEXT_SECTION[types[types.length - 1]], this.random));
+        }
+        if (this.arcCount === 0) {
+            types[types.length - 1] = 'rest';
+        }
+
+        // Lengths vary ±30% around each type's share of the arc
+        const weights = types.map(type => SECTIONS[type].length * (0.7 + this.random() * 0.6));
+        const total = weights.reduce((a, b) => a + b, 0);
+
+        let start = 0;
+        let from = this.tension;
+        this.sections = types.map((type, i) => {
+            const end = start + this.duration * weights[i] / total;
+            const to = clamp01(SECTIONS[type].tension + (this.random() - 0.5) * 0.16);
+            const section = { type, start, end, from, to };
+            start = end;
+            from = to;
+            return section;
+        });
+        this.sectionIndex = -1;
+    }
+
+    // === UPDATE ===
+
+    // Called from the scheduler loop (and tick() when rendering offline)
+    update() {
+        const clock = this.machine.clock;
+        if (!clock?.isRunning) {
+            this._lastTime = null;
+            return;
+        }
+
+        const now = this.machine.ctx.currentTime;
+        if (this._lastTime !== null) {
+            this.elapsed += Math.max(0, Math.min(MAX_STEP, now - this._lastTime));
+        }
+        this._lastTime = now;
+
+        if (this.elapsed - this._lastUpdate < UPDATE_INTERVAL) return;
+        this._lastUpdate = this.elapsed;
+
+        // Arc finished: plan the next one from the last section
+        if (this.elapsed >= this.duration) {
+            const last = this.sections[this.sections.length - 1].type;
+            this.elapsed -= this.duration;
+            this._lastUpdate = this.elapsed;
+            this._lastMinute = 0;
+            this.arcCount++;
+            this._planArc(weightedPick(NEXT_SECTION[last], this.random));
+        }
+
+        const index = Math.max(0, this.sections.findIndex(s => this.elapsed < s.end));
+        const section = this.sections[index];
+        const local = (this.elapsed - section.start) / (section.end - section.start);
+        this.tension = section.from + (section.to - section.from) * smoothstep(clamp01(local));
+
+        if (index !== this.sectionIndex) {
+            this.sectionIndex = index;
+            this._enterSection(section);
+            this.onChange?.(this.getState());
+        } else if (Math.floor(this.elapsed / 60) !== this._lastMinute) {
+            this._lastMinute = Math.floor(this.elapsed / 60);
+            this.onChange?.(this.getState());
+        }
+
+        this._drift();
+    }
+
+    // Structural changes at a section boundary: some voices take a new figure and spread,
+    // and the meter may move
+    _enterSection(section) {
+        const arc = EVOLUTION_ARCS[this.arc];
+        const type = SECTIONS[section.type];
+        const m = this.machine;
+
+        const ids = m.voices.map((_, i) => i);
+        const count = Math.max(1, Math.round(ids.length * arc.figures));
+        for (let n = 0; n < count; n++) {
+            const [id] = ids.splice(Math.floor(this.random() * ids.length), 1);
+            m.voices[id].patternEngine.morphTo({ patternShape: pick(type.shapes, this.random) });
+            m.setVoiceSpreadOffset(id, type.spread);
+        }
+
+        if (this.random() < arc.meters) {
+            m.setPolymetricPreset(pick(type.meters, this.random));
+        }
+    }
+
+    // Knobs and sends follow the tension (brighter, denser and drier toward a peak) plus a slow
+    // random walk per voice
+    _drift() {
+        const depth = EVOLUTION_ARCS[this.arc].depth;
+        const lift = (this.tension - 0.5) * 2;     // -1 at rest, +1 at the top of a peak
+        const m = this.machine;
+
+        m.voices.forEach((voice, i) => {
+            const walk = this._walks[i] || (this._walks[i] = { brightness: 0, color: 0, space: 0 });
+            for (const key of Object.keys(walk)) {
+                walk[key] = Math.max(-1, Math.min(1, (walk[key] + (this.random() - 0.5) * WALK_STEP) * WALK_PULL));
+            }
+
+            const params = voice.getParams();
+            const sends = Object.fromEntries(DRIFT_SENDS.map(effect => [effect, m.getVoiceSendAmount(i, effect)]));
+            const home = this._home(i, params, sends);
+
+            const brightness = depth * (0.7 * lift + 0.3 * walk.brightness);
+            const color = depth * (0.6 * lift + 0.4 * walk.color);
+            const space = depth * (-0.7 * lift + 0.3 * walk.space);
+
+            const targets = {
+                lpgCutoff: home.params.lpgCutoff * Math.pow(2, 1.5 * brightness),
+                fmIndex: clamp01(home.params.fmIndex + 0.3 * color),
+                foldAmount: clamp01(home.params.foldAmount + 0.4 * Math.max(0, color)),
+                decay: home.params.decay * Math.pow(2, -0.8 * lift * depth)
+            };
+
+            const written = this._written[i];
+            for (const name of DRIFT_PARAMS) {
+                if (typeof params[name] !== 'number' || !Number.isFinite(targets[name])) continue;
+                m.setVoiceParam(i, name, targets[name]);
+            }
+            written.params = voice.getParams();
+
+            // Only sends the voice already uses, so the space breathes without new effects appearing
+            for (const effect of DRIFT_SENDS) {
+                if (home.sends[effect] <= 0) continue;
+                m.setVoiceSendAmount(i, effect, clamp01(home.sends[effect] + 0.35 * space));
+                written.sends[effect] = m.getVoiceSendAmount(i, effect);
+            }
+        });
+    }
+
+    // Home values for a voice; a value that differs from what we last wrote was moved by the
+    // user (or the voice changed engine) and becomes the new home
+    _home(index, params, sends) {
+        const home = this._homes[index] || (this._homes[index] = { params: {}, sends: {} });
+        const written = this._written[index] || (this._written[index] = { params: {}, sends: {} });
+
+        for (const name of DRIFT_PARAMS) {
+            if (typeof params[name] !== 'number') continue;
+            if (home.params[name] === undefined || Math.abs(params[name] - written.params[name]) > 1e-6) {
+                home.params[name] = params[name];
+            }
+        }
+        for (const effect of DRIFT_SENDS) {
+            if (home.sends[effect] === undefined || Math.abs(sends[effect] - written.sends[effect]) > 1e-6) {
+                home.sends[effect] = sends[effect];
+            }
+        }
+        return home;
+    }
+
+    // Voices were added or removed: forget the slots that are gone
+    voicesChanged() {
+        const count = this.machine.voices.length;
+        this._homes.length = Math.min(this._homes.length, count);
+        this._written.length = Math.min(this._written.length, count);
+        this._walks.length = Math.min(this._walks.length, count);
+    }
+
+    // === CLEANUP ===
+
+    dispose() {
+        this.machine = null;
+    }
+}
+
+// Factory function
+export function createEvolution(machine, arc, options = {}) {
+    return new Evolution(machine, arc, options);
+}
@@ -1,18 +1,130 @@
 // GLASS MACHINE ENGINE
-// Main orchestrator with Buchla 200-series inspired voices
-// Three voices, shared harmonic field, polymetric clocks, gesture control
+// Main orchestrator with Buchla 200-series inspired voices (or modular archetypes, per slot)
+// 1-8 voices (the trio by default), shared harmonic field, polymetric clocks, gesture control
 
-import { createClockSystem, POLYMETRIC_PRESETS, PHASE_PRESETS } from './clockSystem.js';
-import { SCALES } from './scales.js';
-import { createBuchlaVoice } from '../voices/BuchlaVoice.js';
+import { createClockSystem, POLYMETRIC_PRESETS, PHASE_PRESETS, presetValueForVoice } from './clockSystem.js';
+import { SCALES, notesToScaleDegrees } from './scales.js';
+import { createVoiceEngine, VOICE_ENGINES, DEFAULT_VOICE_ENGINE } from '../voices/voiceEngines.js';
 import { createLFOBank } from './LFOBank.js';
+import { createEvolution, EVOLUTION_ARCS } from './Evolution.js';
+import {
+    generatePatch, mutatePatch, crossoverPatches,
+    generateBuchlaPatch, mutateBuchlaPatch, crossoverBuchlaPatches, extractBuchlaPatch
+} from '../patches/patchGenerator.js';
 import { createSendBus } from '../effects/SendBus.js';
 import { createInsertBus } from '../effects/InsertBus.js';
+import { SESSION_FORMAT, SESSION_VERSION, migrateSession } from './session.js';
+import { createRandom, deriveSeed, generateSeed, normalizeSeed } from './random.js';
+import { createAudioRecorder, MESSAGE_LEAD_TIME } from '../recording/AudioRecorder.js';
+import { createNoteCapture } from '../midi/NoteCapture.js';
+import { createMidiOutput } from '../midi/MidiOutput.js';
+import { createMidiClockSync } from '../midi/MidiClockSync.js';
+import { createMidiCCMap } from '../midi/MidiCCMap.js';
+import { createMidiNoteInput } from '../midi/MidiNoteInput.js';
+import { createMidiMpeInput, DEFAULT_MEMBER_CHANNELS } from '../midi/MidiMpeInput.js';
+import { listPorts } from '../midi/midiUtils.js';
+import { createRelayConnection } from '../network/RelayConnection.js';
+import { createOscControl } from '../network/OscControl.js';
+import { createLinkSync } from '../network/LinkSync.js';
+import { createEnsemble } from '../network/Ensemble.js';
+
+// Setters a MIDI CC mapping may call (the CC value is appended to the mapping's args)
+const MIDI_CONTROL_METHODS = new Set([
+    'setVoiceParam', 'setVoiceXYAxis', 'setMasterVolume', 'setBpm',
+    'setLFORate', 'setLFODepth',
+    'setVoiceSendAmount', 'setVoiceBasilSend', 'setVoiceFDNRSend', 'setInsertSendAmount',
+    'setSendEffectParam', 'setBasilParam', 'setFDNRParam', 'setDataBenderParam',
+    'setArbharParam', 'setMorphageneParam', 'setLubadhParam'
+]);
+
+const gcd = (a, b) => (b ? gcd(b, a % b) : a);
+
+// Default chord the voices are drawn from (scale degrees above the root)
+const DEFAULT_CHORD = [0, 2, 4]; // Root, third, fifth
+
+// Ensemble size (voices can be added and removed at runtime)
+export const MIN_VOICES = 1;
+export const MAX_VOICES = 8;
+const DEFAULT_VOICE_COUNT = 3;
+
+// Randomize/mutate/breed steps kept for undo, per voice
+const VOICE_HISTORY_LENGTH = 20;
+
+// Starting settings for the Glass-style triad
+// Voice 0: ROOT - Lower register, foundational
+// Voice 1: THIRD - Middle register, fills harmony
+// Voice 2: FIFTH - Upper register, sparkle
+const VOICE_CONFIGS = [
+    {
+        name: 'Root Voice',
+        octave: -1,          // One octave down
+        division: 1,         // Quarter notes
+        phaseOffset: 0,
+        pan: -0.4,           // Left
+        fmRatio: 2,
+        fmIndex: 0.15,
+        lpgCutoff: 1500,
+        envMode: 'gate',
+        accentPattern: [1.2, 0.8, 1.0, 0.8]
+    },
+    {
+        name: 'Third Voice',
+        octave: 0,           // Middle
+        division: 1.5,       // Dotted quarter (2:3 polyrhythm)
+        phaseOffset: 0.25,
+        pan: 0,              // Center
+        fmRatio: 3,
+        fmIndex: 0.2,
+        lpgCutoff: 2500,
+        envMode: 'gate',
+        accentPattern: [1.0, 0.9, 1.1, 0.9, 1.0, 0.9]
+    },
+    {
+        name: 'Fifth Voice',
+        octave: 0,           // Same octave but higher notes from pattern
+        division: 2,         // Eighth notes
+        phaseOffset: 0.125,
+        pan: 0.4,            // Right
+        fmRatio: 4,
+        fmIndex: 0.25,
+        lpgCutoff: 3500,
+        envMode: 'trigger',  // Pluckier
+        accentPattern: [1.0, 0.8]
+    }
+];
+
+// Tempo range (setBpm); the record pre-roll is sized for the slowest
+const MIN_BPM = 20;
+const MAX_BPM = 300;
+
+// Voices beyond the trio double it an octave higher each time round, panned to the other side
+const clampVoiceCount = (count) => Math.max(MIN_VOICES, Math.min(MAX_VOICES, Math.round(count)));
+
+function voiceConfig(index) {
+    const base = VOICE_CONFIGS[index % VOICE_CONFIGS.length];
+    const round = Math.floor(index / VOICE_CONFIGS.length);
+    return {
+        ...base,
+        octave: Math.min(2, base.octave + round),
+        pan: round % 2 ? -base.pan : base.pan
+    };
+}
+
+// Voice roles: the chord tone each voice starts on, and how many chord tones its pattern spans
+// (with the default triad: root [0, 2, 4, 7], third [0, 2, 4], fifth [0, 2])
+const VOICE_ROLES = [
+    { chordTone: 0, spreadLength: 4 },  // Root: triadic with octave
+    { chordTone: 1, spreadLength: 3 },  // Third: tight triadic
+    { chordTone: 2, spreadLength: 2 }   // Fifth: tight trill
+];
 
 export class GlassMachine {
     constructor(options = {}) {
         // Audio context (created on user interaction)
+        // options.context supplies one instead, e.g. an OfflineAudioContext for rendering
         this.ctx = null;
+        this.externalContext = options.context || null;
+        this.isOffline = typeof this.externalContext?.startRendering === 'function';
         this.isInitialized = false;
 
         // Master output chain
@@ -29,15 +141,62 @@ export class GlassMachine {
         // Clock system
         this.clock = null;
 
-        // Three Buchla voices
+        // Buchla voices (MIN_VOICES-MAX_VOICES, the trio by default)
         this.voices = [];
+        this.initialVoiceCount = clampVoiceCount(options.voiceCount || DEFAULT_VOICE_COUNT);
+        this._voiceChanges = Promise.resolve();
+
+        // Undo stacks for randomize/mutate/breed, one per voice slot (voice states, newest last)
+        this._voiceHistory = [];
+
+        // Chord tones added to (or taken from) each voice role's pattern span
+        this.voiceSpreadOffsets = [];
+
+        // Fill mode: steps with a 'fill' condition play, 'notFill' steps rest (a performance
+        // switch, not saved in sessions)
+        this.fillActive = false;
 
         // Global LFO bank (12 LFOs with 2 destinations each)
         this.lfoBank = null;
 
+        // Recorder: post-limiter master plus stem taps (voices pre-insert, insert output, send return)
+        this.recorder = null;
+        this.recordQuantize = true;     // Start/stop on bar lines
+        this.recordPrerollBars = 0;     // Bars of audio before the start point to include
+        this.recordStems = false;       // Capture stems alongside the master
+
+        // Note stream: every scheduled note goes to these listeners (MIDI capture, MIDI out)
+        this.noteListeners = new Set();
+        this.midiCapture = null;
+
+        // Web MIDI (created on demand by enableMidi): note output, clock/transport sync,
+        // keyboard input, MPE expression
+        this.midiAccess = null;
+        this.midiOutput = null;
+        this.midiClock = null;
+        this.midiNoteInput = null;
+        this.midiMpeInput = null;
+
+        // MIDI learn mappings live here (and in sessions) even before MIDI is enabled
+        this.midiCCMap = createMidiCCMap({
+            onControl: (target, value, mapping) => this.applyControl(target, value, mapping),
+            onChange: (mappings) => this.onMidiMappingsChange?.(mappings)
+        });
+
+        // Local network relay (connected on demand by connectRelay): OSC control, Link-style sync,
+        // ensemble (one voice per device)
+        this.relay = null;
+        this.osc = null;
+        this.link = null;
+        this.ensemble = null;
+
+        // Long-form composer mode (null when off)
+        this.evolution = null;
+
         // Shared harmonic state
         this.rootMidi = options.rootMidi || 48; // C3
         this.scaleName = options.scaleName || 'major';
+        this.chordDegrees = [...DEFAULT_CHORD];
 
         // Master settings
         this.masterVolume = options.masterVolume || 0.8;
@@ -55,10 +214,24 @@ export class GlassMachine {
         this.transposeOffset = 0;
         this.lastTransposeBar = -1;
 
+        // Seeded randomness (random.js): the session seed, one stream per consumer
+        // (voice pattern traversals, patch generation, insert effect worklets)
+        this.seed = normalizeSeed(options.seed ?? generateSeed());
+        this.patchRandom = createRandom(deriveSeed(this.seed, 'patches'));
+
         // Event callbacks
         this.onStateChange = options.onStateChange || null;
         this.onBeat = options.onBeat || null;
         this.onTransposeStep = options.onTransposeStep || null;
+        this.onRecordStateChange = options.onRecordStateChange || null;
+        this.onMidiControl = options.onMidiControl || null;             // (mapping, value) after a CC moved a parameter
+        this.onMidiMappingsChange = options.onMidiMappingsChange || null;
+        this.onRelayStatusChange = options.onRelayStatusChange || null; // ('disconnected' | 'connecting' | 'connected')
+        this.onOscMessage = options.onOscMessage || null;               // (address, args, handled)
+        this.onEnsembleChange = options.onEnsembleChange || null;       // conductor state applied (player)
+        this.onVoicesChange = options.onVoicesChange || null;           // (count) voice added, removed or swapped
+        this.onEvolutionChange = options.onEvolutionChange || null;     // (state) new section or another minute
+        this.onFillChange = options.onFillChange || null;               // (active)
     }
 
     // Initialize audio (must be called from user gesture)
@@ -66,10 +239,10 @@ export class GlassMachine {
         if (this.isInitialized) return;
 
         // Create audio context
-        this.ctx = new (window.AudioContext || window.webkitAudioContext)();
+        this.ctx = this.externalContext || new (window.AudioContext || window.webkitAudioContext)();
 
-        // Resume if suspended
-        if (this.ctx.state === 'suspended') {
+        // Resume if suspended (offline contexts start when rendering does)
+        if (!this.isOffline && this.ctx.state === 'suspended') {
             await this.ctx.resume();
         }
 
@@ -81,15 +254,23 @@ export class GlassMachine {
             bpm: this.bpm,
             beatsPerBar: 4,
             alignmentBars: 4,
-            onBar: (bar) => this._onBar(bar)
+            manual: this.isOffline,
+            onBar: (bar) => this._onBar(bar),
+            onSchedule: (currentTime, scheduleUntil) => {
+                this.midiClock?.schedule(currentTime, scheduleUntil);
+                this.link?.update();
+            }
         });
 
         // Start transpose sequencer update loop
         this._startTransposeLoop();
 
-        // Create three Buchla voices
+        // Create the voices
         await this._createVoices();
 
+        // Seed the voices now and the insert effects as they load
+        this._applySeed();
+
         // Apply polymetric settings
         this._applyPolymetricPreset();
 
@@ -124,6 +305,12 @@ export class GlassMachine {
             console.warn('GlassMachine: Failed to load Lubadh:', error);
         }
 
+        // Recorder taps: post-limiter master, each voice before the InsertBus,
+        // the insert chain output and the SendBus return (live contexts only)
+        if (!this.isOffline) {
+            await this._createRecorder();
+        }
+
         // Load send effects (Nautilus, Basil delays, FDNR reverb)
         try {
             await this.sendBus.loadAllEffects();
@@ -150,10 +337,10 @@ export class GlassMachine {
 
         // Create insert effects bus (Data Bender)
         // Signal chain: Voices → InsertBus → SendBus → Master
-        this.insertBus = createInsertBus(this.ctx);
+        this.insertBus = createInsertBus(this.ctx, this.initialVoiceCount);
 
         // Create send effects bus (Nautilus, Basil)
-        this.sendBus = createSendBus(this.ctx);
+        this.sendBus = createSendBus(this.ctx, this.initialVoiceCount);
 
         // Master limiter
         this.masterLimiter = this.ctx.createDynamicsCompressor();
@@ -190,104 +377,104 @@ export class GlassMachine {
         this.masterAnalyser.connect(this.ctx.destination);
     }
 
-    // Create the three Buchla voices
-    async _createVoices() {
-        // Voice configurations for Glass-style triadic texture
-        // Voice 0: ROOT - Lower register, foundational
-        // Voice 1: THIRD - Middle register, fills harmony
-        // Voice 2: FIFTH - Upper register, sparkle
-        const voiceConfigs = [
-            {
-                name: 'Root Voice',
-                octave: -1,          // One octave down
-                division: 1,         // Quarter notes
-                phaseOffset: 0,
-                pan: -0.4,           // Left
-                fmRatio: 2,
-                fmIndex: 0.15,
-                lpgCutoff: 1500,
-                envMode: 'gate'
-            },
-            {
-                name: 'Third Voice',
-                octave: 0,           // Middle
-                division: 1.5,       // Dotted quarter (2:3 polyrhythm)
-                phaseOffset: 0.25,
-                pan: 0,              // Center
-                fmRatio: 3,
-                fmIndex: 0.2,
-                lpgCutoff: 2500,
-                envMode: 'gate'
-            },
-            {
-                name: 'Fifth Voice',
-                octave: 0,           // Same octave but higher notes from pattern
-                division: 2,         // Eighth notes
-                phaseOffset: 0.125,
-                pan: 0.4,            // Right
-                fmRatio: 4,
-                fmIndex: 0.25,
-                lpgCutoff: 3500,
-                envMode: 'trigger'   // Pluckier
-            }
-        ];
-
-        for (let i = 0; i < 3; i++) {
-            const config = voiceConfigs[i];
-
-            // Create Buchla voice
-            // Pass InsertBus voice input as the output destination (not masterGain!)
-            // This ensures the ONLY path to master is through InsertBus
-            const insertInput = this.insertBus.getVoiceInput(i);
-            const voice = createBuchlaVoice(
-                this.ctx,
-                insertInput,  // Voice connects here, NOT directly to masterGain
-                i,
-                {
-                    rootMidi: this.rootMidi,
-                    scaleName: this.scaleName
-                }
-            );
-
-            await voice.initialize();
-
-            // Apply initial parameters
-            voice.setParam('octave', config.octave);
-            voice.setParam('fmRatio', config.fmRatio);
-            voice.setParam('fmIndex', config.fmIndex);
-            voice.setParam('lpgCutoff', config.lpgCutoff);
-            voice.setParam('pan', config.pan);
-            voice.setParam('envMode', config.envMode);
-
-            // Configure pattern for voice role
-            const baseDegrees = [0, 2, 4]; // Root, third, fifth
-            voice.patternEngine.setBaseDegree(baseDegrees[i]);
-
-            // Set pattern intervals based on role
-            const intervalSpreads = [
-                [0, 2, 4, 7],  // Root: triadic with octave
-                [0, 2, 4],     // Third: tight triadic
-                [0, 2]         // Fifth: tight trill
-            ];
-            voice.patternEngine.setIntervalSpread(intervalSpreads[i]);
-
-            // Create voice clock with polymetric relationship
-            const voiceClock = this.clock.registerVoice(i, {
-                division: config.division,
-                phaseOffset: config.phaseOffset,
-                accentPattern: i === 0 ? [1.2, 0.8, 1.0, 0.8] :
-                              i === 1 ? [1.0, 0.9, 1.1, 0.9, 1.0, 0.9] :
-                                       [1.0, 0.8]
+    // Create the recorder and connect its taps
+    async _createRecorder() {
+        try {
+            // A stem track for every voice the ensemble can grow to (takes skip absent voices)
+            const voiceTracks = Array.from({ length: MAX_VOICES }, (_, i) => `voice${i + 1}`);
+            this.recorder = createAudioRecorder(this.ctx, {
+                tracks: ['master', ...voiceTracks, 'insert', 'send'],
+                onStateChange: (state) => this.onRecordStateChange?.(state)
             });
+            await this.recorder.initialize();
+            this.masterLimiter.connect(this.recorder.getInput('master'));
+            this.voices.forEach((_, i) => this._connectVoiceStem(i));
+            this.insertBus.output.connect(this.recorder.getInput('insert'));
+            this.sendBus.output.connect(this.recorder.getInput('send'));
+        } catch (error) {
+            console.warn('GlassMachine: Failed to load recorder:', error);
+            this.recorder = null;
+        }
+    }
 
-            // Connect voice to clock (callback is onStep, not onNote)
-            voiceClock.onStep = (event) => voice.scheduleNote(event);
-            voice.clock = voiceClock;
+    // Voice stem tap: the voice's InsertBus input (pre-insert)
+    _connectVoiceStem(index) {
+        if (!this.recorder) return;
+        this.insertBus.getVoiceInput(index).connect(this.recorder.getInput(`voice${index + 1}`));
+    }
 
-            this.voices.push(voice);
+    // Create the starting ensemble
+    async _createVoices() {
+        for (let i = 0; i < this.initialVoiceCount; i++) {
+            await this._createVoice(i);
         }
     }
 
+    // Create one voice at the end of the ensemble and register its clock
+    async _createVoice(index, engine = DEFAULT_VOICE_ENGINE) {
+        const config = voiceConfig(index);
+
+        // Create voice clock with polymetric relationship
+        const voiceClock = this.clock.registerVoice(index, {
+            division: config.division,
+            phaseOffset: config.phaseOffset,
+            accentPattern: config.accentPattern
+        });
+
+        const voice = await this._buildVoice(index, engine, voiceClock);
+        this.voices.push(voice);
+        return voice;
+    }
+
+    // A voice of the given engine for slot `index`, driven by the slot's clock
+    async _buildVoice(index, engine, voiceClock) {
+        const config = voiceConfig(index);
+
+        // Pass InsertBus voice input as the output destination (not masterGain!)
+        // This ensures the ONLY path to master is through InsertBus
+        const insertInput = this.insertBus.getVoiceInput(index);
+        const voice = createVoiceEngine(
+            engine,
+            this.ctx,
+            insertInput,  // Voice connects here, NOT directly to masterGain
+            index,
+            {
+                rootMidi: this.rootMidi,
+                scaleName: this.scaleName,
+                random: this._voiceRandom(index)
+            }
+        );
+
+        await voice.initialize();
+        voice.setScale(this.scaleName);
+
+        // Apply initial parameters (engines ignore the ones they don't have)
+        voice.setParam('octave', config.octave);
+        voice.setParam('fmRatio', config.fmRatio);
+        voice.setParam('fmIndex', config.fmIndex);
+        voice.setParam('lpgCutoff', config.lpgCutoff);
+        voice.setParam('pan', config.pan);
+        voice.setParam('envMode', config.envMode);
+
+        // Configure pattern for voice role (base degree and spread from the chord)
+        this._applyVoiceRole(voice, index);
+
+        // Trig conditions: the fill switch, and what the other voices play at the same moment
+        voice.patternEngine.fill = this.fillActive;
+        voice.patternEngine.voiceTrig = (other, time) => !!this.voices[other]?.patternEngine.trigAt(time);
+
+        // Connect voice to clock (callback is onStep, not onNote); each step is prepared
+        // alongside the other voices' before any of them is played (see MasterClock._schedule)
+        voiceClock.onPrepare = (event) => {
+            if (!voice.isMuted) voice.patternEngine.prepare(event.time, event.stepsPerBar);
+        };
+        voiceClock.onStep = (event) => voice.scheduleNote(event);
+        voice.clock = voiceClock;
+        voice.onNote = (note) => this._emitNote(note);
+
+        return voice;
+    }
+
     // Refresh LFO destinations from all voices
     _refreshLFODestinations() {
         if (!this.lfoBank) return;
@@ -305,14 +492,12 @@ export class GlassMachine {
         const divisions = POLYMETRIC_PRESETS[this.polymetricPreset] || [1, 1, 1];
         const phases = PHASE_PRESETS[this.phasePreset] || [0, 0, 0];
 
-        const baseDivisions = [1, 1.5, 2];
-
         for (let i = 0; i < this.voices.length; i++) {
             if (this.voices[i].clock) {
-                const baseDivision = baseDivisions[i];
-                const presetMultiplier = divisions[i];
+                const baseDivision = voiceConfig(i).division;
+                const presetMultiplier = presetValueForVoice(divisions, i);
                 this.voices[i].clock.setDivision(baseDivision * presetMultiplier);
-                this.voices[i].clock.setPhaseOffset(phases[i]);
+                this.voices[i].clock.setPhaseOffset(presetValueForVoice(phases, i));
             }
         }
     }
@@ -321,18 +506,25 @@ export class GlassMachine {
     async start() {
         if (!this.isInitialized) return;
 
-        if (this.ctx.state === 'suspended') {
+        if (!this.isOffline && this.ctx.state === 'suspended') {
             await this.ctx.resume();
         }
 
         this.clock.start();
+        this.link?.transportStarted();
+        this.midiClock?.transportStarted();
+        this.ensemble?.publish();
         this._triggerStateChange();
     }
 
     // Stop playback
     stop() {
         if (!this.isInitialized) return;
+        if (this.clock.isRunning) {
+            this.midiClock?.transportStopped();
+        }
         this.clock.stop();
+        this.ensemble?.publish();
         this._triggerStateChange();
     }
 
@@ -350,9 +542,39 @@ export class GlassMachine {
         if (!this.isInitialized) return;
         this.clock?.reset();
         this.resetTranspose();
+        this._applySeed();
+        if (this.clock?.isRunning) {
+            this.link?.transportStarted();
+            this.midiClock?.transportStarted();
+        }
+        this._triggerStateChange();
+    }
+
+    // === RANDOM SEED ===
+
+    // Same seed + same session = same performance (offline renders, patch A/B)
+    setSeed(seed) {
+        this.seed = normalizeSeed(seed);
+        this._applySeed();
         this._triggerStateChange();
     }
 
+    getSeed() {
+        return this.seed;
+    }
+
+    // Pattern stream for one voice
+    _voiceRandom(index) {
+        return createRandom(deriveSeed(this.seed, `voice:${index}`));
+    }
+
+    // Restart every random stream from the seed (also done on reset)
+    _applySeed() {
+        this.voices.forEach((voice, i) => voice.setRandom(this._voiceRandom(i)));
+        this.patchRandom = createRandom(deriveSeed(this.seed, 'patches'));
+        this.insertBus?.setSeed(this.seed);
+    }
+
     // === HARMONIC CONTROLS ===
 
     setRoot(midi) {
@@ -360,6 +582,7 @@ export class GlassMachine {
         for (const voice of this.voices) {
             voice.setRoot(midi);
         }
+        this.ensemble?.publish();
         this._triggerStateChange();
     }
 
@@ -367,12 +590,63 @@ export class GlassMachine {
         this.setRoot(this.rootMidi + semitones);
     }
 
+    // Play a chord (MIDI notes): the lowest note becomes the root,
+    // and two or more scale degrees also re-voice the patterns
+    setChord(notes) {
+        if (!notes || notes.length === 0) return;
+
+        const sorted = [...notes].sort((a, b) => a - b);
+        this.setRoot(sorted[0]);
+
+        // Notes that snap to a single degree (unisons, off-scale neighbours) leave the voicing alone
+        const degrees = notesToScaleDegrees(sorted, sorted[0], SCALES[this.scaleName]);
+        if (degrees.length >= 2) {
+            this.setChordDegrees(degrees);
+        }
+    }
+
+    // Voice base degrees and spreads from a chord (scale degrees above the root)
+    setChordDegrees(degrees) {
+        if (!Array.isArray(degrees) || degrees.length === 0) return;
+
+        this.chordDegrees = [...degrees].sort((a, b) => a - b);
+        this.voices.forEach((voice, i) => this._applyVoiceRole(voice, i, true));
+        this.ensemble?.publish();
+    }
+
+    // Each voice starts on its chord tone and traces the chord's shape upward
+    // (chord tones repeat an octave up when the role spans more tones than the chord has)
+    _applyVoiceRole(voice, index, preservePosition = false) {
+        const role = VOICE_ROLES[index % VOICE_ROLES.length];
+        const chord = this.chordDegrees;
+        const scaleLength = SCALES[this.scaleName]?.length || 7;
+        const chordInterval = (k) => chord[k % chord.length] - chord[0] + Math.floor(k / chord.length) * scaleLength;
+
+        const spreadLength = Math.max(2, Math.min(7, role.spreadLength + (this.voiceSpreadOffsets[index] || 0)));
+        const spread = Array.from({ length: spreadLength }, (_, k) => chordInterval(k));
+        const baseDegree = chord[0] + chordInterval(role.chordTone) + this.transposeOffset;
+
+        voice.patternEngine.setIntervalSpread(spread, preservePosition);
+        voice.patternEngine.setBaseDegree(baseDegree, preservePosition);
+    }
+
+    // Widen (or narrow) a voice's pattern by whole chord tones; kept through chord changes
+    setVoiceSpreadOffset(voiceId, offset) {
+        const voice = this.voices[voiceId];
+        if (!voice) return;
+
+        this.voiceSpreadOffsets[voiceId] = Math.round(offset);
+        this._applyVoiceRole(voice, voiceId, true);
+        this._triggerStateChange();
+    }
+
     setScale(scaleName) {
         if (SCALES[scaleName]) {
             this.scaleName = scaleName;
             for (const voice of this.voices) {
                 voice.setScale(scaleName);
             }
+            this.ensemble?.publish();
             this._triggerStateChange();
         }
     }
@@ -380,11 +654,12 @@ export class GlassMachine {
     // === TEMPO CONTROLS ===
 
     setBpm(bpm) {
-        this.bpm = Math.max(20, Math.min(300, bpm));
+        this.bpm = Math.max(MIN_BPM, Math.min(MAX_BPM, bpm));
         this.clock?.setBpm(this.bpm);
         this.lfoBank?.setBPM(this.bpm);
         this.insertBus?.setBPM(this.bpm);
         this.sendBus?.setBPM(this.bpm);
+        this.link?.tempoChanged(this.bpm);
         this._triggerStateChange();
     }
 
@@ -429,6 +704,64 @@ export class GlassMachine {
         return voice ? voice.getParams() : null;
     }
 
+    // Continuous trill ({ enabled, rate, depth, shape, skew }, any subset; see patternEngine.js)
+    // Buchla voices play it; the setting stays with the slot's pattern across engine changes
+    setVoiceTrill(voiceId, changes) {
+        this.voices[voiceId]?.patternEngine.setTrill(changes);
+    }
+
+    getVoiceTrill(voiceId) {
+        return this.voices[voiceId]?.patternEngine.getTrill() || null;
+    }
+
+    // Pattern shape by name (see PATTERN_SHAPES), morphing from the current figure
+    setVoicePatternShape(voiceId, shapeName) {
+        this.voices[voiceId]?.patternEngine.morphTo({ patternShape: shapeName });
+    }
+
+    // Pattern morph settings ({ length, unit: 'steps' | 'bars', mode }, any subset)
+    setVoiceMorph(voiceId, changes) {
+        this.voices[voiceId]?.patternEngine.setMorph(changes);
+    }
+
+    getVoiceMorph(voiceId) {
+        return this.voices[voiceId]?.patternEngine.getMorph() || null;
+    }
+
+    // Times each additive/subtractive stage plays before the figure grows or shrinks
+    setVoiceProcessRepeats(voiceId, repeats) {
+        this.voices[voiceId]?.patternEngine.setProcessRepeats(repeats);
+    }
+
+    // Process stage for display ({ process, stage, stageCount, length, repeat, repeats }), or null
+    getVoiceProcess(voiceId) {
+        return this.voices[voiceId]?.patternEngine.getProcess() || null;
+    }
+
+    // Authored steps, played with the 'steps' pattern shape (fields: see STEP_DEFAULTS)
+    setVoiceStep(voiceId, index, changes) {
+        this.voices[voiceId]?.patternEngine.setStep(index, changes);
+    }
+
+    setVoiceStepCount(voiceId, count) {
+        this.voices[voiceId]?.patternEngine.setStepCount(count);
+    }
+
+    getVoiceSteps(voiceId) {
+        return this.voices[voiceId]?.patternEngine.getSteps() || null;
+    }
+
+    // Fill mode for every voice (see the 'fill' and 'notFill' step conditions)
+    setFill(active) {
+        this.fillActive = !!active;
+        this.voices.forEach(voice => { voice.patternEngine.fill = this.fillActive; });
+        this.onFillChange?.(this.fillActive);
+    }
+
+    toggleFill() {
+        this.setFill(!this.fillActive);
+    }
+
     // Handle XY pad input for a voice
     setVoiceXY(voiceId, x, y) {
         const voice = this.voices[voiceId];
@@ -466,10 +799,196 @@ export class GlassMachine {
     }
 
     copyVoiceToAll(sourceId) {
-        const targetIds = [0, 1, 2].filter(id => id !== sourceId);
+        const targetIds = this.voices.map((_, id) => id).filter(id => id !== sourceId);
         this.copyVoice(sourceId, targetIds);
     }
 
+    // === PATCH RANDOMIZER ===
+    // Buchla voices get knob and pattern settings (patches/patchGenerator.js); modular voices
+    // also get a new module patch. Dice come from the seeded patch stream.
+
+    // Fresh settings for one voice
+    randomizeVoice(voiceId) {
+        const voice = this.voices[voiceId];
+        if (!voice) return;
+
+        const random = this.patchRandom;
+        const brightness = random();
+        const complexity = random();
+        this._applyVoicePatch(voiceId, {
+            ...generateBuchlaPatch({ brightness, complexity, random }),
+            patch: voice.patch ? generatePatch({ brightness, complexity, random }) : undefined
+        });
+    }
+
+    // Move a voice's settings by `amount` (0-1, 0.1 = 10%)
+    mutateVoice(voiceId, amount = 0.3) {
+        const voice = this.voices[voiceId];
+        if (!voice) return;
+
+        const intensity = Math.max(0, Math.min(1, amount));
+        const state = voice.getState();
+        this._applyVoicePatch(voiceId, {
+            ...mutateBuchlaPatch(extractBuchlaPatch(state), intensity, this.patchRandom),
+            patch: state.patch ? mutatePatch(state.patch, intensity, this.patchRandom) : undefined
+        });
+    }
+
+    // Replace a voice with a child of two voices (the target is usually one of the parents)
+    breedVoices(targetId, parentAId, parentBId) {
+        const parentA = this.voices[parentAId];
+        const parentB = this.voices[parentBId];
+        if (!this.voices[targetId] || !parentA || !parentB) return;
+
+        const stateA = parentA.getState();
+        const stateB = parentB.getState();
+        const child = crossoverBuchlaPatches(extractBuchlaPatch(stateA), extractBuchlaPatch(stateB), this.patchRandom);
+
+        // Module patches only cross between two modular parents
+        if (this.voices[targetId].patch && stateA.patch && stateB.patch) {
+            child.patch = crossoverPatches(stateA.patch, stateB.patch, this.patchRandom);
+        }
+        this._applyVoicePatch(targetId, child);
+    }
+
+    // Step a voice back to its settings before the last randomize, mutate or breed
+    undoVoice(voiceId) {
+        const state = this._voiceHistory[voiceId]?.pop();
+        const voice = this.voices[voiceId];
+        if (!state || !voice) return false;
+
+        // Restoring may rebuild the module patch: LFOs move to the new modules' params
+        voice.restoreState(state);
+        this._refreshLFODestinations();
+        this._triggerStateChange();
+        return true;
+    }
+
+    canUndoVoice(voiceId) {
+        return (this._voiceHistory[voiceId]?.length || 0) > 0;
+    }
+
+    // Apply { params, pattern, patch } on top of the voice, keeping the old state for undo
+    _applyVoicePatch(voiceId, { params, pattern, patch }) {
+        const voice = this.voices[voiceId];
+        const history = this._voiceHistory[voiceId] || (this._voiceHistory[voiceId] = []);
+        history.push(JSON.parse(JSON.stringify(voice.getState())));
+        if (history.length > VOICE_HISTORY_LENGTH) {
+            history.shift();
+        }
+
+        if (patch) {
+            voice.buildPatch(patch);
+            this._refreshLFODestinations();
+        }
+        voice.setParams(params);
+        voice.patternEngine.setConfig({ ...voice.patternEngine.getConfig(), ...pattern });
+        this._triggerStateChange();
+    }
+
+    // === ENSEMBLE SIZE ===
+
+    getVoiceCount() {
+        return this.voices.length;
+    }
+
+    // Add a voice at the end (up to MAX_VOICES); it takes the next role in the trio cycle
+    addVoice() {
+        return this.setVoiceCount(this.voices.length + 1);
+    }
+
+    // Remove the last voice (down to MIN_VOICES)
+    removeVoice() {
+        return this.setVoiceCount(this.voices.length - 1);
+    }
+
+    // Changes run one at a time (creating a voice waits on its worklets) and notify once
+    setVoiceCount(count) {
+        return this._queueVoiceChange(async () => {
+            if (!this.isInitialized) return;
+
+            const target = clampVoiceCount(count);
+            if (target === this.voices.length) return;
+
+            while (this.voices.length < target) {
+                await this._addVoice();
+            }
+            while (this.voices.length > target) {
+                this._removeVoice();
+            }
+
+            this._applyPolymetricPreset();
+            this._refreshLFODestinations();
+            this._voicesChanged();
+        });
+    }
+
+    // Swap the engine a slot runs (see voices/voiceEngines.js); clock, pattern, knobs and mute carry over
+    setVoiceEngine(voiceId, engine) {
+        if (!VOICE_ENGINES[engine]) {
+            return Promise.reject(new Error(`GlassMachine: unknown voice engine "${engine}"`));
+        }
+
+        return this._queueVoiceChange(async () => {
+            const previous = this.voices[voiceId];
+            if (!previous || previous.engine === engine) return;
+
+            const voice = await this._buildVoice(voiceId, engine, previous.clock);
+            voice.setParams(previous.getParams());
+            voice.patternEngine.setConfig(previous.patternEngine.getConfig());
+            voice.setMuted(previous.isMuted);
+
+            previous.dispose();
+            this.voices[voiceId] = voice;
+            this._voiceHistory[voiceId] = [];
+
+            this._refreshLFODestinations();
+            this.onVoicesChange?.(this.voices.length);
+            this._triggerStateChange();
+        });
+    }
+
+    getVoiceEngine(voiceId) {
+        return this.voices[voiceId]?.engine || null;
+    }
+
+    _queueVoiceChange(change) {
+        const run = this._voiceChanges.then(change);
+        this._voiceChanges = run.catch(() => {});
+        return run;
+    }
+
+    async _addVoice() {
+        const index = this.voices.length;
+        this.insertBus.setVoiceCount(index + 1);
+        this.sendBus.setVoiceCount(index + 1);
+
+        await this._createVoice(index);
+        this._connectVoiceStem(index);
+    }
+
+    _removeVoice() {
+        const voice = this.voices.pop();
+        const index = this.voices.length;
+        this.clock.unregisterVoice(index);
+        this.midiOutput?.setVoiceRoute(index, null);
+        this._voiceHistory.length = Math.min(this._voiceHistory.length, index);
+        this.voiceSpreadOffsets.length = Math.min(this.voiceSpreadOffsets.length, index);
+        voice.dispose();
+
+        this.insertBus.setVoiceCount(index);
+        this.sendBus.setVoiceCount(index);
+    }
+
+    _voicesChanged() {
+        this._updateMpeChannels();
+        this._updateRecordPreroll();
+        this.ensemble?.voicesChanged();
+        this.evolution?.voicesChanged();
+        this.onVoicesChange?.(this.voices.length);
+        this._triggerStateChange();
+    }
+
     // === SEND EFFECT CONTROLS ===
 
     // Set send amount for a voice to a specific effect (0-1)
@@ -1323,10 +1842,13 @@ export class GlassMachine {
 
     setTransposeSequence(sequence) {
         this.transposeSequence = sequence.map(v => Math.max(-12, Math.min(12, v)));
+        this.ensemble?.publish();
     }
 
     setTransposeBarsPerStep(bars) {
         this.transposeBarsPerStep = Math.max(1, Math.min(16, bars));
+        this.link?.setQuantum(this._linkQuantum());
+        this.ensemble?.publish();
     }
 
     setTransposeStepCount(count) {
@@ -1339,6 +1861,8 @@ export class GlassMachine {
                 this.onTransposeStep(0);
             }
         }
+        this.link?.setQuantum(this._linkQuantum());
+        this.ensemble?.publish();
     }
 
     getTransposeStepCount() {
@@ -1346,11 +1870,23 @@ export class GlassMachine {
     }
 
     _startTransposeLoop() {
+        // Offline rendering drives the transpose check from tick() instead
+        if (this.isOffline) return;
+
         this._transposeInterval = setInterval(() => {
             this._updateTranspose();
+            this.evolution?.update();
         }, 50);
     }
 
+    // One deterministic scheduler pass for offline rendering (replaces the timers)
+    // Nothing is scheduled at or after limitTime
+    tick(limitTime = Infinity) {
+        this._updateTranspose();
+        this.evolution?.update();
+        this.clock?.tick(limitTime);
+    }
+
     _updateTranspose() {
         if (!this.clock?.isRunning) return;
 
@@ -1408,6 +1944,7 @@ export class GlassMachine {
         if (POLYMETRIC_PRESETS[presetName]) {
             this.polymetricPreset = presetName;
             this._applyPolymetricPreset();
+            this.ensemble?.publish();
             this._triggerStateChange();
         }
     }
@@ -1416,6 +1953,7 @@ export class GlassMachine {
         if (PHASE_PRESETS[presetName]) {
             this.phasePreset = presetName;
             this._applyPolymetricPreset();
+            this.ensemble?.publish();
             this._triggerStateChange();
         }
     }
@@ -1450,6 +1988,412 @@ export class GlassMachine {
         return data;
     }
 
+    // === MASTER RECORDER ===
+
+    setRecordQuantize(enabled) {
+        this.recordQuantize = !!enabled;
+    }
+
+    // Stems mode: every take also captures the voice, insert and send tracks
+    setRecordStems(enabled) {
+        this.recordStems = !!enabled;
+        this._updateRecordPreroll();
+    }
+
+    setRecordPreroll(bars) {
+        this.recordPrerollBars = Math.max(0, bars);
+        this._updateRecordPreroll();
+    }
+
+    // Keep enough audio buffered for the pre-roll at the slowest tempo (so tempo changes never
+    // resize it), on the tracks a take would capture
+    _updateRecordPreroll() {
+        if (!this.recorder || !this.clock) return;
+        const slowestBar = this.clock.beatsPerBar * 60 / MIN_BPM;
+        this.recorder.setPrerollCapacity(this.recordPrerollBars * slowestBar, this._recordTracks());
+    }
+
+    // Tracks a take holds: the master, plus every stem track of the current voices in stems mode
+    _recordTracks() {
+        if (!this.recordStems) return ['master'];
+        const voiceTracks = new Set(this.voices.map((_, i) => `voice${i + 1}`));
+        return this.recorder.trackNames.filter(name => !name.startsWith('voice') || voiceTracks.has(name));
+    }
+
+    // Next reachable bar line when quantizing (and the clock is running), otherwise as soon as possible
+    _getRecordBoundaryTime() {
+        const earliest = this.ctx.currentTime + MESSAGE_LEAD_TIME;
+        return this.recordQuantize ? this.clock.getNextBarTime(earliest) : earliest;
+    }
+
+    getRecordState() {
+        return this.recorder?.state || 'idle';
+    }
+
+    // Arm the recorder; returns the audio time capture starts, or null
+    // Takes hold the master track, plus every stem track in stems mode (all sample-aligned)
+    startRecording() {
+        if (!this.recorder || this.recorder.state !== 'idle') return null;
+
+        const preroll = this.recordPrerollBars * this.clock.barDuration;
+        return this.recorder.start(this._getRecordBoundaryTime(), preroll, this._recordTracks());
+    }
+
+    // Stop the recorder
+    // Resolves to the take ({ sampleRate, startTime, length, tracks }), or null if nothing was recorded
+    stopRecording() {
+        if (!this.recorder) return Promise.resolve(null);
+        return this.recorder.stop(this._getRecordBoundaryTime());
+    }
+
+    cancelRecording() {
+        this.recorder?.cancel();
+    }
+
+    // === NOTE STREAM ===
+
+    // Listeners receive { voiceId, time, duration, degree, midi, accent } as notes are scheduled
+    // (time is an audio time up to one lookahead ahead of currentTime)
+    addNoteListener(listener) {
+        this.noteListeners.add(listener);
+    }
+
+    removeNoteListener(listener) {
+        this.noteListeners.delete(listener);
+    }
+
+    _emitNote(note) {
+        for (const listener of this.noteListeners) {
+            try {
+                listener(note);
+            } catch (error) {
+                console.error('GlassMachine: note listener failed:', error);
+            }
+        }
+    }
+
+    // === MIDI CAPTURE ===
+
+    isMidiCapturing() {
+        return this.midiCapture !== null;
+    }
+
+    // Start capturing notes to a MIDI file (from the next bar line when quantizing)
+    // Returns the audio time capture starts
+    startMidiCapture() {
+        if (this.midiCapture) return null;
+
+        const startTime = this._getRecordBoundaryTime();
+        const capture = createNoteCapture({
+            startTime,
+            bpm: this.clock.bpm,
+            trackNames: this.voices.map(v => `Voice ${v.id + 1}`)
+        });
+        capture.listener = (note) => capture.add(note);
+        this.addNoteListener(capture.listener);
+        this.midiCapture = capture;
+
+        return startTime;
+    }
+
+    // Stop capturing (at the next bar line when quantizing)
+    // Resolves to the SMF bytes (Uint8Array) once the end time has been reached
+    stopMidiCapture() {
+        const capture = this.midiCapture;
+        if (!capture) return Promise.resolve(null);
+        this.midiCapture = null;
+
+        const endTime = this._getRecordBoundaryTime();
+        capture.stop(endTime);
+
+        // Notes up to endTime are only scheduled one lookahead before it is reached
+        const waitMs = Math.max(0, (endTime - this.ctx.currentTime) * 1000);
+        return new Promise((resolve) => {
+            setTimeout(() => {
+                this.removeNoteListener(capture.listener);
+                resolve(capture.toMidiFile());
+            }, waitMs);
+        });
+    }
+
+    // === MIDI ===
+
+    // Request Web MIDI access and set up note output and clock sync
+    // options.requestMIDIAccess can replace navigator.requestMIDIAccess (tests, virtual ports)
+    // options.onPortsChange is called when devices are connected/disconnected
+    async enableMidi(options = {}) {
+        if (this.midiAccess) return this.midiAccess;
+
+        const requestMIDIAccess = options.requestMIDIAccess ||
+            (typeof navigator !== 'undefined' && navigator.requestMIDIAccess
+                ? navigator.requestMIDIAccess.bind(navigator)
+                : null);
+        if (!requestMIDIAccess) {
+            throw new Error('GlassMachine: Web MIDI is not supported');
+        }
+
+        const access = await requestMIDIAccess({ sysex: false });
+        access.onstatechange = () => {
+            this.midiCCMap.refreshInputs();
+            options.onPortsChange?.();
+        };
+        this.midiAccess = access;
+
+        // CC learn listens on every input
+        this.midiCCMap.attach(access);
+
+        // Note output follows the note stream
+        this.midiOutput = createMidiOutput(this.ctx, access);
+        this.midiOutput.listener = (note) => this.midiOutput.handleNote(note);
+        this.addNoteListener(this.midiOutput.listener);
+
+        // Clock sync: when receiving, the external transport drives ours
+        this.midiClock = createMidiClockSync(this.ctx, this.clock, access, {
+            onStart: (beat, time) => this._startFromMidiClock(beat, time),
+            onStop: () => this.stop(),
+            onTempo: (bpm) => this.setBpm(bpm)
+        });
+
+        // Keyboard: held notes steer root and chord
+        this.midiNoteInput = createMidiNoteInput(access, {
+            onChord: (notes) => this.setChord(notes)
+        });
+
+        // MPE: one member channel per voice plays that voice's expression
+        this.midiMpeInput = createMidiMpeInput(access, {
+            onExpression: (voiceId, expression) => this.voices[voiceId]?.setExpression(expression)
+        });
+        this._updateMpeChannels();
+
+        return access;
+    }
+
+    // [{ id, name }] of available ports
+    getMidiOutputs() {
+        return listPorts(this.midiAccess?.outputs);
+    }
+
+    getMidiInputs() {
+        return listPorts(this.midiAccess?.inputs);
+    }
+
+    // Send a voice's notes to a port (null = off) on a channel (0-15)
+    setVoiceMidiRoute(voiceId, portId, channel = 0) {
+        this.midiOutput?.setVoiceRoute(voiceId, portId, channel);
+    }
+
+    // MIDI clock: 'off', 'send' (output port) or 'receive' (input port)
+    setMidiClockMode(mode, portId = null) {
+        this.midiClock?.setMode(mode, portId);
+    }
+
+    // Keyboard input port (null = off) and channel (null = omni)
+    setMidiNoteInput(portId, channel = null) {
+        this.midiNoteInput?.setPort(portId);
+        this.midiNoteInput?.setChannel(channel);
+    }
+
+    // MPE input port (null = off); channels[i] is voice i's member channel (0-15)
+    // MPE member channels follow the ensemble size (consecutive from the first one)
+    _updateMpeChannels() {
+        if (!this.midiMpeInput) return;
+
+        const count = this.voices.length;
+        const current = this.midiMpeInput.getChannels();
+        if (current.length === count) return;
+
+        // Keep the lowest member channel (the default one when none are bound)
+        const first = Math.min(current[0] ?? DEFAULT_MEMBER_CHANNELS[0], 16 - count);
+        this.midiMpeInput.setChannels(Array.from({ length: count }, (_, i) => first + i));
+    }
+
+    setMpeInput(portId, channels = null) {
+        if (!this.midiMpeInput) return;
+        if (channels) {
+            this.midiMpeInput.setChannels(channels);
+        }
+        this.midiMpeInput.setPort(portId);
+    }
+
+    getMidiClockState() {
+        return this.midiClock?.getState() || { mode: 'off', portId: null };
+    }
+
+    // === NETWORK ===
+
+    // Connect to a local relay (ws://host:port, see server/relay.mjs); reconnects until disconnectRelay()
+    connectRelay(url) {
+        if (!this.relay) {
+            this.relay = createRelayConnection();
+            this.relay.addStatusListener((status) => this.onRelayStatusChange?.(status));
+        }
+        this.relay.connect(url);
+    }
+
+    disconnectRelay() {
+        this.relay?.disconnect();
+    }
+
+    getRelayStatus() {
+        return this.relay?.status || 'disconnected';
+    }
+
+    // Take OSC control messages from the relay
+    setOscEnabled(enabled) {
+        if (enabled && !this.osc && this.relay) {
+            this.osc = createOscControl(this, this.relay, {
+                onMessage: (address, args, handled) => this.onOscMessage?.(address, args, handled)
+            });
+        } else if (!enabled && this.osc) {
+            this.osc.dispose();
+            this.osc = null;
+        }
+    }
+
+    // Share tempo, beat phase and the 4-bar alignment cycle with the other devices on the relay
+    setLinkEnabled(enabled) {
+        if (enabled && !this.link && this.relay) {
+            this.link = createLinkSync(this.ctx, this.clock, this.relay, {
+                quantum: this._linkQuantum(),
+                onTempo: (bpm) => this.setBpm(bpm)
+            });
+        } else if (!enabled && this.link && !this.ensemble) {
+            this.link.dispose();
+            this.link = null;
+        }
+    }
+
+    getLinkState() {
+        return this.link ? { enabled: true, ...this.link.getState() } : { enabled: false, synced: false };
+    }
+
+    // Beats whose phase Link keeps equal across devices: the 4-bar alignment cycle, and in an
+    // ensemble the whole transposition cycle too, so every device is on the same step
+    _linkQuantum() {
+        const cycle = this.clock.beatsPerBar * this.clock.alignmentBars;
+        if (!this.ensemble) return cycle;
+
+        const transposeCycle = this.transposeStepCount * this.transposeBarsPerStep * this.clock.beatsPerBar;
+        return cycle * transposeCycle / gcd(cycle, transposeCycle);
+    }
+
+    // Ensemble: 'conductor' publishes the shared state, 'player' follows it, 'off' leaves
+    // voiceId is the one voice this device plays (null: a conductor keeps all its voices)
+    // Joining turns Link sync on; it stays on while in the ensemble
+    setEnsembleRole(role, voiceId = null) {
+        if (voiceId !== null && !this.voices[voiceId]) {
+            throw new Error(`GlassMachine: no voice ${voiceId} to play in the ensemble`);
+        }
+        if (this.ensemble) {
+            this.ensemble.dispose();
+            this.ensemble = null;
+        }
+
+        if ((role === 'conductor' || role === 'player') && this.relay) {
+            this.setLinkEnabled(true);
+            this.ensemble = createEnsemble(this, this.relay, {
+                role,
+                voiceId,
+                onRemoteChange: () => this.onEnsembleChange?.()
+            });
+        }
+        this.link?.setQuantum(this._linkQuantum());
+    }
+
+    getEnsembleState() {
+        return this.ensemble?.getState() || { role: 'off', voiceId: null };
+    }
+
+    // === EVOLUTION ===
+
+    // Start a 10, 30 or 60 minute arc (a key of EVOLUTION_ARCS), or stop with null
+    // The machine keeps whatever state the evolution left it in
+    setEvolutionArc(arc) {
+        if (arc !== null && !EVOLUTION_ARCS[arc]) {
+            throw new Error(`GlassMachine: unknown evolution arc "${arc}"`);
+        }
+        if (arc === (this.evolution?.arc ?? null)) return;
+
+        if (this.evolution) {
+            this.evolution.dispose();
+            this.evolution = null;
+        }
+        if (arc) {
+            this.evolution = createEvolution(this, arc, {
+                random: createRandom(deriveSeed(this.seed, 'evolution')),
+                onChange: (state) => this.onEvolutionChange?.(state)
+            });
+        }
+        this.onEvolutionChange?.(this.getEvolutionState());
+        this._triggerStateChange();
+    }
+
+    getEvolutionState() {
+        return this.evolution ? { enabled: true, ...this.evolution.getState() } : { enabled: false, arc: null };
+    }
+
+    // === MIDI LEARN ===
+
+    // Bind the next incoming CC to a target: { target: { method, args }, control, min, max, curve }
+    midiLearn(descriptor) {
+        if (!MIDI_CONTROL_METHODS.has(descriptor?.target?.method)) {
+            throw new Error(`GlassMachine: ${descriptor?.target?.method} cannot be MIDI mapped`);
+        }
+        this.midiCCMap.learn(descriptor);
+    }
+
+    cancelMidiLearn() {
+        this.midiCCMap.cancelLearn();
+    }
+
+    getMidiMappings() {
+        return this.midiCCMap.getMappings();
+    }
+
+    updateMidiMapping(index, changes) {
+        this.midiCCMap.updateMapping(index, changes);
+    }
+
+    removeMidiMapping(index) {
+        this.midiCCMap.removeMapping(index);
+    }
+
+    // Call a mapped setter with the shaped CC value
+    applyControl(target, value, mapping = null) {
+        if (!MIDI_CONTROL_METHODS.has(target.method)) return;
+
+        this[target.method](...target.args, value);
+        if (this.onMidiControl) {
+            this.onMidiControl(mapping, value);
+        }
+    }
+
+    // One XY pad axis (0-1), leaving the other where it is
+    setVoiceXYAxis(voiceId, axis, value) {
+        const voice = this.voices[voiceId];
+        if (!voice) return;
+
+        if (axis === 'x') {
+            voice.setXPosition(value);
+        } else {
+            voice.setYPosition(value);
+        }
+    }
+
+    // External Start/Continue: restart from the song position, aligned to the tick that started it
+    async _startFromMidiClock(beat, time) {
+        if (this.clock.isRunning) {
+            this.clock.stop();
+        }
+        if (beat === 0) {
+            this.resetTranspose();
+        }
+        this.clock.alignBeat(beat, time);
+
+        await this.start();
+        this.clock.alignBeat(beat, time);
+    }
+
     // === STATE ===
 
     getState() {
@@ -1462,8 +2406,11 @@ export class GlassMachine {
             masterVolume: this.masterVolume,
             polymetricPreset: this.polymetricPreset,
             phasePreset: this.phasePreset,
+            seed: this.seed,
+            evolution: this.evolution?.arc || null,
             voices: this.voices.map(v => ({
                 id: v.id,
+                engine: v.engine,
                 params: v.getParams(),
                 isMuted: v.isMuted
             })),
@@ -1473,6 +2420,199 @@ export class GlassMachine {
         };
     }
 
+    // Full, versioned session snapshot (see session.js)
+    // Covers everything restoreState() can rebuild; getState() stays the lightweight UI view
+    getSessionState() {
+        return {
+            format: SESSION_FORMAT,
+            version: SESSION_VERSION,
+            savedAt: new Date().toISOString(),
+            rootMidi: this.rootMidi,
+            scaleName: this.scaleName,
+            bpm: this.bpm,
+            masterVolume: this.masterVolume,
+            polymetricPreset: this.polymetricPreset,
+            phasePreset: this.phasePreset,
+            seed: this.seed,
+            evolution: this.evolution?.arc || null,
+            chordDegrees: [...this.chordDegrees],
+            voiceSpreadOffsets: [...this.voiceSpreadOffsets],
+            voices: this.voices.map(v => ({
+                ...v.getState(),
+                engine: v.engine,
+                clock: v.clock?.getState() || null
+            })),
+            transpose: {
+                sequence: [...this.transposeSequence],
+                stepCount: this.transposeStepCount,
+                barsPerStep: this.transposeBarsPerStep,
+                currentStep: this.currentTransposeStep,
+                offset: this.transposeOffset
+            },
+            lfoBank: this.lfoBank?.getState() || null,
+            insertBus: this.insertBus?.getState() || null,
+            sendBus: this.sendBus?.getState() || null,
+            midiMappings: this.midiCCMap.getMappings(),
+            audio: null
+        };
+    }
+
+    // Read the recorded Morphagene reel and Lubadh decks out of their processors
+    // Effects that aren't loaded are omitted (left untouched on restore); empty buffers are null
+    async captureAudio() {
+        const audio = {};
+
+        const morphagene = this.getMorphageneEffect();
+        if (morphagene?.isLoaded) {
+            audio.morphagene = await morphagene.exportReel();
+        }
+
+        const lubadh = this.getLubadhEffect();
+        if (lubadh?.isLoaded) {
+            audio.lubadh = {
+                A: await lubadh.exportDeck('A'),
+                B: await lubadh.exportDeck('B')
+            };
+        }
+
+        return audio;
+    }
+
+    // Session snapshot including recorded looper audio
+    async captureSession() {
+        const session = this.getSessionState();
+        session.audio = await this.captureAudio();
+        return session;
+    }
+
+    // Load captured reel/deck audio back into the looper processors
+    _restoreAudio(audio) {
+        const morphagene = this.getMorphageneEffect();
+        if (audio.morphagene !== undefined && morphagene?.isLoaded) {
+            morphagene.loadReel(audio.morphagene);
+        }
+
+        const lubadh = this.getLubadhEffect();
+        if (audio.lubadh !== undefined && lubadh?.isLoaded) {
+            lubadh.loadDeck('A', audio.lubadh?.A || null);
+            lubadh.loadDeck('B', audio.lubadh?.B || null);
+        }
+    }
+
+    // Restore a session produced by getSessionState() (or a legacy getState() snapshot)
+    // Must be called after initialize(); playback state is left as it is
+    async restoreState(data) {
+        if (!this.isInitialized) {
+            throw new Error('GlassMachine: initialize() before restoreState()');
+        }
+
+        const session = migrateSession(data);
+
+        // Harmonic field and tempo
+        if (session.bpm !== undefined) this.setBpm(session.bpm);
+        if (session.scaleName) this.setScale(session.scaleName);
+        if (session.rootMidi !== undefined) this.setRoot(session.rootMidi);
+        if (session.masterVolume !== undefined) this.setMasterVolume(session.masterVolume);
+
+        // Random seed (null: the session predates seeds, keep ours)
+        if (session.seed !== null && session.seed !== undefined) {
+            this.seed = normalizeSeed(session.seed);
+            this._applySeed();
+        }
+
+        // Chord the voice roles follow; set before the voices are built, and kept for later
+        // role changes (the saved patterns already carry its spreads, so it isn't re-applied)
+        this.chordDegrees = Array.isArray(session.chordDegrees) && session.chordDegrees.length
+            ? session.chordDegrees.map(degree => Math.round(degree) || 0).sort((a, b) => a - b)
+            : [...DEFAULT_CHORD];
+
+        // Ensemble size and each slot's engine follow the session's voices
+        if (session.voices?.length) {
+            await this.setVoiceCount(session.voices.length);
+            for (const [i, voiceState] of session.voices.entries()) {
+                if (VOICE_ENGINES[voiceState?.engine]) await this.setVoiceEngine(i, voiceState.engine);
+            }
+        }
+        this._voiceHistory = [];
+
+        // Chord-tone spreads evolution moved (the patterns below already carry them)
+        this.voiceSpreadOffsets = Array.isArray(session.voiceSpreadOffsets)
+            ? session.voiceSpreadOffsets.slice(0, this.voices.length).map(offset => Math.round(offset) || 0)
+            : [];
+
+        // Polymetric/phase presets first, per-voice clock nudges on top
+        if (POLYMETRIC_PRESETS[session.polymetricPreset]) {
+            this.polymetricPreset = session.polymetricPreset;
+        }
+        if (PHASE_PRESETS[session.phasePreset]) {
+            this.phasePreset = session.phasePreset;
+        }
+        this._applyPolymetricPreset();
+
+        // Transposition sequencer
+        // Pattern base degrees are saved with the offset already applied,
+        // so the offset is restored as-is rather than re-applied
+        const transpose = session.transpose;
+        if (transpose) {
+            if (Array.isArray(transpose.sequence)) this.setTransposeSequence(transpose.sequence);
+            if (transpose.barsPerStep !== undefined) this.setTransposeBarsPerStep(transpose.barsPerStep);
+            if (transpose.stepCount !== undefined) {
+                this.transposeStepCount = Math.max(1, Math.min(8, transpose.stepCount));
+            }
+            this.currentTransposeStep = transpose.currentStep || 0;
+            this.transposeOffset = transpose.offset || 0;
+            this.lastTransposeBar = -1;
+        }
+
+        // Voices, their patterns and clocks
+        (session.voices || []).forEach((voiceState, i) => {
+            const voice = this.voices[i];
+            if (!voice || !voiceState) return;
+
+            voice.restoreState(voiceState);
+            if (voiceState.clock && voice.clock) {
+                voice.clock.restoreState(voiceState.clock);
+            }
+            if (voiceState.isMuted !== undefined) {
+                this.setVoiceMuted(i, voiceState.isMuted);
+            }
+        });
+
+        // LFOs (destinations resolve against the rebuilt voice params)
+        this._refreshLFODestinations();
+        if (session.lfoBank) {
+            this.lfoBank?.restoreState(session.lfoBank);
+        }
+
+        // Effects
+        if (session.insertBus) {
+            await this.insertBus?.restoreState(session.insertBus);
+        }
+        if (session.sendBus) {
+            await this.sendBus?.restoreState(session.sendBus);
+        }
+
+        // Recorded looper audio (after the insert effects exist)
+        if (session.audio) {
+            this._restoreAudio(session.audio);
+        }
+
+        // MIDI learn mappings belong to the session
+        this.midiCCMap.setMappings(session.midiMappings);
+
+        // Composer mode carries on (a new arc from the restored state)
+        this.setEvolutionArc(EVOLUTION_ARCS[session.evolution] ? session.evolution : null);
+
+        this.link?.setQuantum(this._linkQuantum());
+        this.ensemble?.publish();
+        this._triggerStateChange();
+        if (this.onTransposeStep) {
+            this.onTransposeStep(this.currentTransposeStep);
+        }
+
+        return session;
+    }
+
     _triggerStateChange() {
         if (this.onStateChange) {
             this.onStateChange(this.getState());
@@ -1484,6 +2624,38 @@ export class GlassMachine {
     dispose() {
         this.stop();
 
+        this.midiCapture = null;
+        this.setEvolutionArc(null);
+        this.setOscEnabled(false);
+        this.setEnsembleRole('off');
+        this.setLinkEnabled(false);
+        if (this.relay) {
+            this.relay.dispose();
+            this.relay = null;
+        }
+        if (this.midiClock) {
+            this.midiClock.dispose();
+            this.midiClock = null;
+        }
+        this.midiCCMap.dispose();
+        if (this.midiMpeInput) {
+            this.midiMpeInput.dispose();
+            this.midiMpeInput = null;
+        }
+        if (this.midiNoteInput) {
+            this.midiNoteInput.dispose();
+            this.midiNoteInput = null;
+        }
+        if (this.midiOutput) {
+            this.midiOutput.dispose();
+            this.midiOutput = null;
+        }
+        if (this.midiAccess) {
+            this.midiAccess.onstatechange = null;
+            this.midiAccess = null;
+        }
+        this.noteListeners.clear();
+
         if (this._transposeInterval) {
             clearInterval(this._transposeInterval);
             this._transposeInterval = null;
@@ -1494,6 +2666,11 @@ export class GlassMachine {
             this.lfoBank = null;
         }
 
+        if (this.recorder) {
+            this.recorder.dispose();
+            this.recorder = null;
+        }
+
         if (this.insertBus) {
             this.insertBus.dispose();
             this.insertBus = null;
@@ -1509,10 +2686,11 @@ export class GlassMachine {
         }
         this.voices = [];
 
-        if (this.ctx) {
+        // Offline contexts have no close(); they are released once rendering ends
+        if (this.ctx && !this.isOffline) {
             this.ctx.close();
-            this.ctx = null;
         }
+        this.ctx = null;
 
         this.isInitialized = false;
     }
@@ -617,6 +617,40 @@ export class LFOBank {
         };
     }
 
+    // Restore state for all LFOs
+    // Destinations are resolved by ID against availableDestinations,
+    // so voices must be registered (setAvailableDestinations) before calling this
+    restoreState(state) {
+        if (!state?.lfos) return;
+
+        state.lfos.forEach((lfoState, i) => {
+            const lfo = this.lfos[i];
+            if (!lfo || !lfoState) return;
+
+            if (lfoState.rate !== undefined) lfo.setRate(lfoState.rate);
+            if (lfoState.depth !== undefined) lfo.setDepth(lfoState.depth);
+            if (lfoState.shape) lfo.setShape(lfoState.shape);
+            if (lfoState.syncDivision !== undefined) lfo.setSyncDivision(lfoState.syncDivision);
+            if (lfoState.synced !== undefined) lfo.setSync(!!lfoState.synced);
+            if (lfoState.polarity) lfo.setPolarity(lfoState.polarity);
+
+            (lfoState.destinations || []).forEach((destState, slot) => {
+                const dest = destState?.id ? this.findDestination(destState.id) : null;
+                if (dest) {
+                    lfo.setDestination(slot, dest);
+                } else {
+                    lfo.clearDestination(slot);
+                }
+            });
+
+            if (lfoState.enabled) {
+                lfo.enable();
+            } else {
+                lfo.disable();
+            }
+        });
+    }
+
     // Dispose all LFOs
     dispose() {
         for (const lfo of this.lfos) {
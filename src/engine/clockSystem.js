@@ -2,6 +2,9 @@
 // Master clock with per-voice phase-shiftable divisions
 // Supports polymetric relationships (3:4:5, etc.)
 
+// Steps this close together (seconds) fall on the same moment
+const SLOT_TOLERANCE = 0.001;
+
 export class MasterClock {
     constructor(audioContext, options = {}) {
         this.ctx = audioContext;
@@ -27,12 +30,16 @@ export class MasterClock {
         this.onBeat = options.onBeat || null;
         this.onBar = options.onBar || null;
         this.onAlignment = options.onAlignment || null;
+        this.onSchedule = options.onSchedule || null; // (currentTime, scheduleUntil) after each pass
 
         // Scheduler
         this.schedulerInterval = null;
         this.scheduleAheadTime = 0.1; // Look ahead 100ms
         this.schedulerResolution = 25; // Check every 25ms
 
+        // Manual mode: no setInterval, the owner calls tick() (offline rendering)
+        this.manual = !!options.manual;
+
         // Last scheduled times per voice
         this.lastScheduledBeat = {};
     }
@@ -54,7 +61,13 @@ export class MasterClock {
 
     // Set BPM
     setBpm(bpm) {
+        const beat = this.getCurrentBeat();
         this.bpm = Math.max(20, Math.min(300, bpm));
+
+        // Keep the current beat position across the tempo change
+        if (this.isRunning) {
+            this.startTime = this.ctx.currentTime - beat * this.beatDuration;
+        }
     }
 
     // Register a voice clock
@@ -176,22 +189,70 @@ export class MasterClock {
         return this.startTime + beat * this.beatDuration;
     }
 
+    // Shift the timeline so a beat falls at an audio time (external sync)
+    alignBeat(beat, time) {
+        if (this.isRunning) {
+            this.startTime = time - beat * this.beatDuration;
+        } else {
+            this.elapsedBeats = beat;
+        }
+    }
+
+    // Audio time of the first bar line at or after a given time (that time itself if stopped)
+    getNextBarTime(fromTime = this.ctx.currentTime) {
+        if (!this.isRunning) return fromTime;
+
+        const beat = (fromTime - this.startTime) / this.beatDuration;
+        const bar = Math.ceil(beat / this.beatsPerBar);
+        return this.beatToTime(bar * this.beatsPerBar);
+    }
+
     // Schedule all voices
     _startScheduler() {
+        if (this.manual) return;
+
         this.schedulerInterval = setInterval(() => {
             this._schedule();
         }, this.schedulerResolution);
     }
 
+    // Run one scheduler pass by hand (manual mode)
+    // Nothing is scheduled at or after limitTime (e.g. the end of an offline render)
+    tick(limitTime = Infinity) {
+        this._schedule(limitTime);
+    }
+
     // Main scheduling loop
-    _schedule() {
+    _schedule(limitTime = Infinity) {
         if (!this.isRunning) return;
 
         const currentTime = this.ctx.currentTime;
-        const scheduleUntil = currentTime + this.scheduleAheadTime;
+        const scheduleUntil = Math.min(currentTime + this.scheduleAheadTime, limitTime);
 
+        // Gather every voice's steps and play them moment by moment in time order: all voices
+        // prepare their step for a moment before any of them plays it, so a step that depends
+        // on another voice ('played:N' trig conditions) sees the same thing whatever the voice order
+        const pending = [];
         for (const voice of this.voices) {
-            voice._scheduleEvents(currentTime, scheduleUntil);
+            for (const event of voice._collectEvents(currentTime, scheduleUntil)) {
+                pending.push({ voice, event });
+            }
+        }
+        pending.sort((a, b) => a.event.time - b.event.time);
+
+        for (let start = 0; start < pending.length;) {
+            let end = start + 1;
+            while (end < pending.length && pending[end].event.time - pending[start].event.time < SLOT_TOLERANCE) {
+                end++;
+            }
+            const slot = pending.slice(start, end);
+            slot.forEach(({ voice, event }) => voice.onPrepare?.(event));
+            slot.forEach(({ voice, event }) => voice.onStep(event));
+            start = end;
+        }
+
+        if (this.onSchedule) {
+            this.onSchedule(currentTime, scheduleUntil);
         }
 
         // Update elapsed beats
@@ -237,8 +298,10 @@ export class VoiceClock {
         // Micro-phase offset (0-1, portion of one division)
         this.phaseOffset = options.phaseOffset || 0;
 
-        // Step callback
+        // Step callback, and an optional one run for every voice's step at a moment before
+        // any of them reaches onStep (see MasterClock._schedule)
         this.onStep = options.onStep || null;
+        this.onPrepare = options.onPrepare || null;
 
         // State - track last scheduled BEAT (not step) for continuity across division changes
         this.lastScheduledBeat = -1;
@@ -302,15 +365,39 @@ export class VoiceClock {
             phaseOffset: this.phaseOffset,
             currentStep: this.getCurrentStep(),
             isMuted: this.isMuted,
-            swing: this.swing
+            swing: this.swing,
+            accentPattern: this.accentPattern ? [...this.accentPattern] : null
         };
     }
 
-    // Internal: schedule events
+    // Restore state (currentStep is derived from the master clock, not restored)
+    restoreState(state) {
+        if (!state) return;
+
+        if (state.division !== undefined) {
+            this.setDivision(state.division);
+        }
+        if (state.phaseOffset !== undefined) {
+            this.setPhaseOffset(state.phaseOffset);
+        }
+        if (state.swing !== undefined) {
+            this.setSwing(state.swing);
+        }
+        if (state.accentPattern !== undefined) {
+            this.accentPattern = Array.isArray(state.accentPattern) ? [...state.accentPattern] : null;
+        }
+        if (state.isMuted !== undefined) {
+            this.setMuted(state.isMuted);
+        }
+    }
+
+    // Internal: the step events due before scheduleUntil, marking them scheduled
+    // (the master clock plays them, interleaved with the other voices')
     // KEY FIX: Track scheduling by beat time, not step number
     // This allows division changes without breaking the schedule
-    _scheduleEvents(currentTime, scheduleUntil) {
-        if (this.isMuted || !this.onStep) return;
+    _collectEvents(currentTime, scheduleUntil) {
+        const events = [];
+        if (this.isMuted || !this.onStep) return events;
 
         const masterBeat = this.master.getCurrentBeat();
         const stepDuration = this.stepDuration;
@@ -364,11 +451,11 @@ export class VoiceClock {
                     accent = this.accentPattern[stepNum % this.accentPattern.length] || 1;
                 }
 
-                // Trigger callback
-                this.onStep({
+                events.push({
                     time: Math.max(actualStepTime, currentTime),
                     step: stepNum,
                     duration: stepDuration,
+                    stepsPerBar: this.division * this.master.beatsPerBar,
                     accent: accent,
                     voiceId: this.id
                 });
@@ -379,6 +466,8 @@ export class VoiceClock {
             this.lastScheduledBeat = nextBeat;
             nextBeat += stepInterval;
         }
+
+        return events;
     }
 }
 
@@ -456,6 +545,12 @@ export const PHASE_PRESETS = {
     floeWave: [0, 0.167, 0.333]          // Eighth note wave
 };
 
+// Presets are written for the trio; larger ensembles repeat them
+// (voice 4 takes voice 1's value, voice 5 voice 2's, ...)
+export function presetValueForVoice(values, voiceId) {
+    return values[voiceId % values.length];
+}
+
 // Factory function
 export function createClockSystem(audioContext, options = {}) {
     return new MasterClock(audioContext, options);
@@ -1,6 +1,7 @@
 // MODULE DEFINITIONS
 // Hundreds of module types for the modular synth
-// Each module has: name, category, create(ctx, params), connect(source), disconnect(), process(input)
+// Each module has: name, category, create(ctx, params, random), connect(source), disconnect(), process(input)
+// Modules draw their variation from the random passed in (the voice's seeded stream)
 // Inspired by: Buchla, Serge, Ciani, Barbieri, Reich, Radigue, Basinski, Autechre
 
 export const MODULE_TYPES = {
@@ -11,10 +12,10 @@ export const MODULE_TYPES = {
     // Basic oscillators - pure waveforms
     sineOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'sine';
-            osc.frequency.value = 110 + Math.random() * 330;
+            osc.frequency.value = 110 + random() * 330;
             const gain = ctx.createGain();
             gain.gain.value = 0.3;
             osc.connect(gain);
@@ -25,10 +26,10 @@ export const MODULE_TYPES = {
 
     sawOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'sawtooth';
-            osc.frequency.value = 55 + Math.random() * 220;
+            osc.frequency.value = 55 + random() * 220;
             const gain = ctx.createGain();
             gain.gain.value = 0.2;
             osc.connect(gain);
@@ -39,10 +40,10 @@ export const MODULE_TYPES = {
 
     squareOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'square';
-            osc.frequency.value = 82.5 + Math.random() * 165;
+            osc.frequency.value = 82.5 + random() * 165;
             const gain = ctx.createGain();
             gain.gain.value = 0.15;
             osc.connect(gain);
@@ -53,10 +54,10 @@ export const MODULE_TYPES = {
 
     triangleOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'triangle';
-            osc.frequency.value = 220 + Math.random() * 440;
+            osc.frequency.value = 220 + random() * 440;
             const gain = ctx.createGain();
             gain.gain.value = 0.35;
             osc.connect(gain);
@@ -68,11 +69,11 @@ export const MODULE_TYPES = {
     // SPECTRAL OSCILLATORS (Caterina Barbieri, Kali Malone inspired)
     harmonicOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.15;
             const oscs = [];
-            const baseFreq = 55 + Math.random() * 55;
+            const baseFreq = 55 + random() * 55;
 
             for (let h = 1; h <= 8; h++) {
                 const osc = ctx.createOscillator();
@@ -92,11 +93,11 @@ export const MODULE_TYPES = {
 
     oddHarmonicOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.18;
             const oscs = [];
-            const baseFreq = 82.5 + Math.random() * 82.5;
+            const baseFreq = 82.5 + random() * 82.5;
 
             [1, 3, 5, 7, 9, 11].forEach((h, i) => {
                 const osc = ctx.createOscillator();
@@ -116,11 +117,11 @@ export const MODULE_TYPES = {
 
     perfectOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.2;
             const oscs = [];
-            const baseFreq = 55 + Math.random() * 55;
+            const baseFreq = 55 + random() * 55;
 
             const ratios = [1, 3/2, 9/4, 27/8].map(r => r > 2 ? r / 2 : r);
             ratios.forEach((ratio, i) => {
@@ -141,10 +142,10 @@ export const MODULE_TYPES = {
 
     phasingPair: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.25;
-            const baseFreq = 220 + Math.random() * 220;
+            const baseFreq = 220 + random() * 220;
 
             const osc1 = ctx.createOscillator();
             const osc2 = ctx.createOscillator();
@@ -205,11 +206,11 @@ export const MODULE_TYPES = {
 
     bellOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.12;
             const oscs = [];
-            const baseFreq = 200 + Math.random() * 200;
+            const baseFreq = 200 + random() * 200;
             const ratios = [1, 2.0, 3.0, 4.2, 5.4, 6.8, 8.1];
 
             ratios.forEach((ratio, i) => {
@@ -230,12 +231,12 @@ export const MODULE_TYPES = {
 
     pulseOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc1 = ctx.createOscillator();
             const osc2 = ctx.createOscillator();
             osc1.type = 'sawtooth';
             osc2.type = 'sawtooth';
-            const freq = 110 + Math.random() * 220;
+            const freq = 110 + random() * 220;
             osc1.frequency.value = freq;
             osc2.frequency.value = freq;
             const inv = ctx.createGain();
@@ -253,15 +254,15 @@ export const MODULE_TYPES = {
 
     superSaw: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.1;
             const oscs = [];
-            const baseFreq = 110 + Math.random() * 110;
+            const baseFreq = 110 + random() * 110;
             for (let i = 0; i < 5; i++) {
                 const osc = ctx.createOscillator();
                 osc.type = 'sawtooth';
-                osc.frequency.value = baseFreq * (1 + (i - 2) * 0.01 * Math.random());
+                osc.frequency.value = baseFreq * (1 + (i - 2) * 0.01 * random());
                 osc.connect(out);
                 osc.start();
                 oscs.push(osc);
@@ -272,12 +273,12 @@ export const MODULE_TYPES = {
 
     noiseWhite: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const bufferSize = ctx.sampleRate * 2;
             const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
             const data = buffer.getChannelData(0);
             for (let i = 0; i < bufferSize; i++) {
-                data[i] = Math.random() * 2 - 1;
+                data[i] = random() * 2 - 1;
             }
             const noise = ctx.createBufferSource();
             noise.buffer = buffer;
@@ -292,13 +293,13 @@ export const MODULE_TYPES = {
 
     noisePink: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const bufferSize = ctx.sampleRate * 2;
             const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
             const data = buffer.getChannelData(0);
             let b0 = 0, b1 = 0, b2 = 0, b3 = 0, b4 = 0, b5 = 0, b6 = 0;
             for (let i = 0; i < bufferSize; i++) {
-                const white = Math.random() * 2 - 1;
+                const white = random() * 2 - 1;
                 b0 = 0.99886 * b0 + white * 0.0555179;
                 b1 = 0.99332 * b1 + white * 0.0750759;
                 b2 = 0.96900 * b2 + white * 0.1538520;
@@ -321,13 +322,13 @@ export const MODULE_TYPES = {
 
     noiseBrown: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const bufferSize = ctx.sampleRate * 2;
             const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
             const data = buffer.getChannelData(0);
             let lastOut = 0;
             for (let i = 0; i < bufferSize; i++) {
-                const white = Math.random() * 2 - 1;
+                const white = random() * 2 - 1;
                 data[i] = (lastOut + (0.02 * white)) / 1.02;
                 lastOut = data[i];
                 data[i] *= 3.5;
@@ -345,13 +346,13 @@ export const MODULE_TYPES = {
 
     chaosOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc1 = ctx.createOscillator();
             const osc2 = ctx.createOscillator();
             osc1.type = 'sawtooth';
             osc2.type = 'square';
-            osc1.frequency.value = 37 + Math.random() * 100;
-            osc2.frequency.value = 41 + Math.random() * 100;
+            osc1.frequency.value = 37 + random() * 100;
+            osc2.frequency.value = 41 + random() * 100;
 
             const gain1 = ctx.createGain();
             const gain2 = ctx.createGain();
@@ -377,7 +378,7 @@ export const MODULE_TYPES = {
 
     fmOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const carrier = ctx.createOscillator();
             const modulator = ctx.createOscillator();
             const modGain = ctx.createGain();
@@ -385,12 +386,12 @@ export const MODULE_TYPES = {
             carrier.type = 'sine';
             modulator.type = 'sine';
 
-            const ratio = [1, 2, 3, 4, 5, 7][Math.floor(Math.random() * 6)];
-            const baseFreq = 110 + Math.random() * 220;
+            const ratio = [1, 2, 3, 4, 5, 7][Math.floor(random() * 6)];
+            const baseFreq = 110 + random() * 220;
 
             carrier.frequency.value = baseFreq;
             modulator.frequency.value = baseFreq * ratio;
-            modGain.gain.value = baseFreq * (0.5 + Math.random() * 2);
+            modGain.gain.value = baseFreq * (0.5 + random() * 2);
 
             modulator.connect(modGain);
             modGain.connect(carrier.frequency);
@@ -408,18 +409,18 @@ export const MODULE_TYPES = {
 
     additiveOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.15;
             const oscs = [];
-            const baseFreq = 55 + Math.random() * 110;
+            const baseFreq = 55 + random() * 110;
 
             for (let i = 1; i <= 8; i++) {
                 const osc = ctx.createOscillator();
                 osc.type = 'sine';
                 osc.frequency.value = baseFreq * i;
                 const g = ctx.createGain();
-                g.gain.value = (Math.random() * 0.5) / i;
+                g.gain.value = (random() * 0.5) / i;
                 osc.connect(g);
                 g.connect(out);
                 osc.start();
@@ -432,10 +433,10 @@ export const MODULE_TYPES = {
 
     subOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'sine';
-            osc.frequency.value = 27.5 + Math.random() * 55;
+            osc.frequency.value = 27.5 + random() * 55;
             const gain = ctx.createGain();
             gain.gain.value = 0.35;
             osc.connect(gain);
@@ -446,11 +447,11 @@ export const MODULE_TYPES = {
 
     metallicOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.1;
             const oscs = [];
-            const baseFreq = 100 + Math.random() * 200;
+            const baseFreq = 100 + random() * 200;
             const ratios = [1, 1.4, 2.8, 3.5, 5.9, 6.7];
 
             ratios.forEach(ratio => {
@@ -471,10 +472,10 @@ export const MODULE_TYPES = {
 
     formantOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const source = ctx.createOscillator();
             source.type = 'sawtooth';
-            source.frequency.value = 110 + Math.random() * 110;
+            source.frequency.value = 110 + random() * 110;
 
             const formants = [
                 { freq: 800, Q: 5 },
@@ -488,7 +489,7 @@ export const MODULE_TYPES = {
             formants.forEach(f => {
                 const filter = ctx.createBiquadFilter();
                 filter.type = 'bandpass';
-                filter.frequency.value = f.freq * (0.8 + Math.random() * 0.4);
+                filter.frequency.value = f.freq * (0.8 + random() * 0.4);
                 filter.Q.value = f.Q;
                 const g = ctx.createGain();
                 g.gain.value = 0.3;
@@ -511,20 +512,20 @@ export const MODULE_TYPES = {
     // Buchla-style complex oscillator with wavefolder-like harmonics
     buchlaComplex: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.18;
 
             // Primary oscillator
             const osc = ctx.createOscillator();
             osc.type = 'sine';
-            const baseFreq = 110 + Math.random() * 220;
+            const baseFreq = 110 + random() * 220;
             osc.frequency.value = baseFreq;
 
             // Waveshaper for that folded/sizzle character
             const folder = ctx.createWaveShaper();
             const curve = new Float32Array(256);
-            const foldAmount = 2 + Math.random() * 3;
+            const foldAmount = 2 + random() * 3;
             for (let i = 0; i < 256; i++) {
                 let x = (i - 128) / 128;
                 // Triangle fold approximation
@@ -540,12 +541,12 @@ export const MODULE_TYPES = {
             const sizzle = ctx.createBiquadFilter();
             sizzle.type = 'highshelf';
             sizzle.frequency.value = 3000;
-            sizzle.gain.value = 4 + Math.random() * 4;
+            sizzle.gain.value = 4 + random() * 4;
 
             // Subtle internal modulation
             const modOsc = ctx.createOscillator();
             modOsc.type = 'sine';
-            modOsc.frequency.value = baseFreq * (2 + Math.random());
+            modOsc.frequency.value = baseFreq * (2 + random());
             const modGain = ctx.createGain();
             modGain.gain.value = baseFreq * 0.3;
             modOsc.connect(modGain);
@@ -565,21 +566,21 @@ export const MODULE_TYPES = {
     // Buchla lowpass gate simulation - that characteristic plucky decay
     buchlaLPG: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.22;
 
             // Rich harmonic source
             const osc = ctx.createOscillator();
             osc.type = 'sawtooth';
-            const baseFreq = 110 + Math.random() * 220;
+            const baseFreq = 110 + random() * 220;
             osc.frequency.value = baseFreq;
 
             // The LPG filter - resonant lowpass
             const lpg = ctx.createBiquadFilter();
             lpg.type = 'lowpass';
-            lpg.frequency.value = 800 + Math.random() * 1500;
-            lpg.Q.value = 4 + Math.random() * 6; // Resonant for that plucky ring
+            lpg.frequency.value = 800 + random() * 1500;
+            lpg.Q.value = 4 + random() * 6; // Resonant for that plucky ring
 
             // Vactrol-like response simulation via envelope
             const vcaEnv = ctx.createGain();
@@ -588,7 +589,7 @@ export const MODULE_TYPES = {
             // Self-modulating filter for movement
             const filterMod = ctx.createOscillator();
             filterMod.type = 'sine';
-            filterMod.frequency.value = 0.2 + Math.random() * 0.5;
+            filterMod.frequency.value = 0.2 + random() * 0.5;
             const filterModGain = ctx.createGain();
             filterModGain.gain.value = 300;
             filterMod.connect(filterModGain);
@@ -608,14 +609,14 @@ export const MODULE_TYPES = {
     // Buchla-style "bongo" - plucky percussive with pitch decay
     buchlaBongo: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.2;
 
             // Sine with slight FM for richness
             const osc = ctx.createOscillator();
             osc.type = 'sine';
-            const baseFreq = 150 + Math.random() * 200;
+            const baseFreq = 150 + random() * 200;
             osc.frequency.value = baseFreq;
 
             // FM modulator for attack transient
@@ -660,11 +661,11 @@ export const MODULE_TYPES = {
     // Sizzle oscillator - bright harmonics with shimmer
     sizzleOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.15;
 
-            const baseFreq = 220 + Math.random() * 220;
+            const baseFreq = 220 + random() * 220;
 
             // Multiple detuned oscillators for shimmer
             const oscs = [];
@@ -700,11 +701,11 @@ export const MODULE_TYPES = {
     // West Coast style dual oscillator with hard sync character
     westCoastDual: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.18;
 
-            const baseFreq = 110 + Math.random() * 110;
+            const baseFreq = 110 + random() * 110;
 
             // Primary oscillator
             const osc1 = ctx.createOscillator();
@@ -714,7 +715,7 @@ export const MODULE_TYPES = {
             // Secondary at different ratio for beating
             const osc2 = ctx.createOscillator();
             osc2.type = 'triangle';
-            const ratio = [1.5, 2, 2.5, 3, 4][Math.floor(Math.random() * 5)];
+            const ratio = [1.5, 2, 2.5, 3, 4][Math.floor(random() * 5)];
             osc2.frequency.value = baseFreq * ratio;
 
             // Ring mod style mixing
@@ -740,11 +741,11 @@ export const MODULE_TYPES = {
     // Vactrol-style oscillator with organic response
     vactrolOsc: {
         category: 'osc',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const out = ctx.createGain();
             out.gain.value = 0.2;
 
-            const baseFreq = 110 + Math.random() * 220;
+            const baseFreq = 110 + random() * 220;
 
             // Triangle for that soft fundamental
             const osc = ctx.createOscillator();
@@ -759,7 +760,7 @@ export const MODULE_TYPES = {
 
             const filterLFO = ctx.createOscillator();
             filterLFO.type = 'sine';
-            filterLFO.frequency.value = 0.08 + Math.random() * 0.15; // Very slow
+            filterLFO.frequency.value = 0.08 + random() * 0.15; // Very slow
             const lfoGain = ctx.createGain();
             lfoGain.gain.value = 600;
 
@@ -792,10 +793,10 @@ export const MODULE_TYPES = {
 
     lfoGlacial: {
         category: 'mod',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'sine';
-            osc.frequency.value = 0.01 + Math.random() * 0.05;
+            osc.frequency.value = 0.01 + random() * 0.05;
             const gain = ctx.createGain();
             gain.gain.value = 20;
             osc.connect(gain);
@@ -806,10 +807,10 @@ export const MODULE_TYPES = {
 
     lfoSine: {
         category: 'mod',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'sine';
-            osc.frequency.value = 0.5 + Math.random() * 3;
+            osc.frequency.value = 0.5 + random() * 3;
             const gain = ctx.createGain();
             gain.gain.value = 15;
             osc.connect(gain);
@@ -820,10 +821,10 @@ export const MODULE_TYPES = {
 
     lfoSquare: {
         category: 'mod',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'square';
-            osc.frequency.value = 1 + Math.random() * 4;
+            osc.frequency.value = 1 + random() * 4;
             const gain = ctx.createGain();
             gain.gain.value = 12;
             osc.connect(gain);
@@ -834,10 +835,10 @@ export const MODULE_TYPES = {
 
     lfoSaw: {
         category: 'mod',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'sawtooth';
-            osc.frequency.value = 0.5 + Math.random() * 2;
+            osc.frequency.value = 0.5 + random() * 2;
             const gain = ctx.createGain();
             gain.gain.value = 18;
             osc.connect(gain);
@@ -848,17 +849,17 @@ export const MODULE_TYPES = {
 
     lfoRandom: {
         category: 'mod',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const bufferSize = ctx.sampleRate;
             const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
             const data = buffer.getChannelData(0);
             for (let i = 0; i < bufferSize; i++) {
-                data[i] = Math.random() * 2 - 1;
+                data[i] = random() * 2 - 1;
             }
             const source = ctx.createBufferSource();
             source.buffer = buffer;
             source.loop = true;
-            source.playbackRate.value = 0.2 + Math.random() * 0.5;
+            source.playbackRate.value = 0.2 + random() * 0.5;
             const gain = ctx.createGain();
             gain.gain.value = 20;
             source.connect(gain);
@@ -869,10 +870,10 @@ export const MODULE_TYPES = {
 
     lfoSmooth: {
         category: 'mod',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'sine';
-            osc.frequency.value = 0.1 + Math.random() * 0.4;
+            osc.frequency.value = 0.1 + random() * 0.4;
             const filter = ctx.createBiquadFilter();
             filter.type = 'lowpass';
             filter.frequency.value = 5;
@@ -887,10 +888,10 @@ export const MODULE_TYPES = {
 
     lfoFast: {
         category: 'mod',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'sine';
-            osc.frequency.value = 5 + Math.random() * 15;
+            osc.frequency.value = 5 + random() * 15;
             const gain = ctx.createGain();
             gain.gain.value = 8;
             osc.connect(gain);
@@ -901,13 +902,13 @@ export const MODULE_TYPES = {
 
     lfoChaotic: {
         category: 'mod',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc1 = ctx.createOscillator();
             const osc2 = ctx.createOscillator();
             osc1.type = 'sine';
             osc2.type = 'sine';
-            osc1.frequency.value = 0.3 + Math.random() * 0.5;
-            osc2.frequency.value = 0.37 + Math.random() * 0.5;
+            osc1.frequency.value = 0.3 + random() * 0.5;
+            osc2.frequency.value = 0.37 + random() * 0.5;
 
             const mult = ctx.createGain();
             mult.gain.value = 15;
@@ -922,16 +923,16 @@ export const MODULE_TYPES = {
 
     sampleHold: {
         category: 'mod',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const noise = ctx.createBufferSource();
             const bufferSize = ctx.sampleRate;
             const buffer = ctx.createBuffer(1, bufferSize, ctx.sampleRate);
             const data = buffer.getChannelData(0);
-            const stepSize = Math.floor(ctx.sampleRate / (2 + Math.random() * 8));
+            const stepSize = Math.floor(ctx.sampleRate / (2 + random() * 8));
             let currentValue = 0;
             for (let i = 0; i < bufferSize; i++) {
                 if (i % stepSize === 0) {
-                    currentValue = Math.random() * 2 - 1;
+                    currentValue = random() * 2 - 1;
                 }
                 data[i] = currentValue;
             }
@@ -975,12 +976,12 @@ export const MODULE_TYPES = {
 
     tapeWobble: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const delay = ctx.createDelay(0.1);
             delay.delayTime.value = 0.005;
             const lfo = ctx.createOscillator();
             lfo.type = 'sine';
-            lfo.frequency.value = 0.3 + Math.random() * 0.5;
+            lfo.frequency.value = 0.3 + random() * 0.5;
             const depth = ctx.createGain();
             depth.gain.value = 0.002;
             lfo.connect(depth);
@@ -992,13 +993,13 @@ export const MODULE_TYPES = {
 
     tapeLoss: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const hp = ctx.createBiquadFilter();
             hp.type = 'highpass';
-            hp.frequency.value = 40 + Math.random() * 60;
+            hp.frequency.value = 40 + random() * 60;
             const lp = ctx.createBiquadFilter();
             lp.type = 'lowpass';
-            lp.frequency.value = 4000 + Math.random() * 4000;
+            lp.frequency.value = 4000 + random() * 4000;
             const comp = ctx.createDynamicsCompressor();
             comp.threshold.value = -20;
             comp.ratio.value = 4;
@@ -1012,81 +1013,81 @@ export const MODULE_TYPES = {
 
     filterLP: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const filter = ctx.createBiquadFilter();
             filter.type = 'lowpass';
             // Higher minimum cutoff to avoid muffled/quiet patches
-            filter.frequency.value = 1500 + Math.random() * 4000;
-            filter.Q.value = 0.5 + Math.random() * 3;
+            filter.frequency.value = 1500 + random() * 4000;
+            filter.Q.value = 0.5 + random() * 3;
             return { node: filter, params: { freq: filter.frequency, Q: filter.Q } };
         }
     },
 
     filterHP: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const filter = ctx.createBiquadFilter();
             filter.type = 'highpass';
-            filter.frequency.value = 100 + Math.random() * 500;
-            filter.Q.value = 0.5 + Math.random() * 2;
+            filter.frequency.value = 100 + random() * 500;
+            filter.Q.value = 0.5 + random() * 2;
             return { node: filter, params: { freq: filter.frequency, Q: filter.Q } };
         }
     },
 
     filterBP: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const filter = ctx.createBiquadFilter();
             filter.type = 'bandpass';
-            filter.frequency.value = 500 + Math.random() * 2000;
-            filter.Q.value = 1 + Math.random() * 5;
+            filter.frequency.value = 500 + random() * 2000;
+            filter.Q.value = 1 + random() * 5;
             return { node: filter, params: { freq: filter.frequency, Q: filter.Q } };
         }
     },
 
     filterNotch: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const filter = ctx.createBiquadFilter();
             filter.type = 'notch';
-            filter.frequency.value = 1000 + Math.random() * 2000;
-            filter.Q.value = 2 + Math.random() * 6;
+            filter.frequency.value = 1000 + random() * 2000;
+            filter.Q.value = 2 + random() * 6;
             return { node: filter, params: { freq: filter.frequency, Q: filter.Q } };
         }
     },
 
     filterPeak: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const filter = ctx.createBiquadFilter();
             filter.type = 'peaking';
-            filter.frequency.value = 500 + Math.random() * 3000;
-            filter.Q.value = 1 + Math.random() * 4;
-            filter.gain.value = 3 + Math.random() * 9;
+            filter.frequency.value = 500 + random() * 3000;
+            filter.Q.value = 1 + random() * 4;
+            filter.gain.value = 3 + random() * 9;
             return { node: filter, params: { freq: filter.frequency, Q: filter.Q, gain: filter.gain } };
         }
     },
 
     filterResonant: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const filter = ctx.createBiquadFilter();
             filter.type = 'lowpass';
             // Higher cutoff to let sound through even with high resonance
-            filter.frequency.value = 1200 + Math.random() * 2500;
-            filter.Q.value = 4 + Math.random() * 6;
+            filter.frequency.value = 1200 + random() * 2500;
+            filter.Q.value = 4 + random() * 6;
             return { node: filter, params: { freq: filter.frequency, Q: filter.Q } };
         }
     },
 
     filterSVF: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const lp = ctx.createBiquadFilter();
             const hp = ctx.createBiquadFilter();
             lp.type = 'lowpass';
             hp.type = 'highpass';
-            lp.frequency.value = hp.frequency.value = 1000 + Math.random() * 2000;
+            lp.frequency.value = hp.frequency.value = 1000 + random() * 2000;
             lp.Q.value = hp.Q.value = 0.707;
 
             const mixer = ctx.createGain();
@@ -1101,11 +1102,11 @@ export const MODULE_TYPES = {
 
     combFilter: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const delay = ctx.createDelay(0.1);
-            delay.delayTime.value = 0.002 + Math.random() * 0.015;
+            delay.delayTime.value = 0.002 + random() * 0.015;
             const feedback = ctx.createGain();
-            feedback.gain.value = 0.4 + Math.random() * 0.4;
+            feedback.gain.value = 0.4 + random() * 0.4;
 
             const mix = ctx.createGain();
             mix.gain.value = 0.7;
@@ -1120,22 +1121,22 @@ export const MODULE_TYPES = {
 
     allpassFilter: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const filter = ctx.createBiquadFilter();
             filter.type = 'allpass';
-            filter.frequency.value = 500 + Math.random() * 2000;
-            filter.Q.value = 0.5 + Math.random() * 2;
+            filter.frequency.value = 500 + random() * 2000;
+            filter.Q.value = 0.5 + random() * 2;
             return { node: filter, params: { freq: filter.frequency, Q: filter.Q } };
         }
     },
 
     delayShort: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const delay = ctx.createDelay(1);
-            delay.delayTime.value = 0.1 + Math.random() * 0.3;
+            delay.delayTime.value = 0.1 + random() * 0.3;
             const feedback = ctx.createGain();
-            feedback.gain.value = 0.35 + Math.random() * 0.35;
+            feedback.gain.value = 0.35 + random() * 0.35;
             const mix = ctx.createGain();
             mix.gain.value = 0.6;
 
@@ -1149,11 +1150,11 @@ export const MODULE_TYPES = {
 
     delayLong: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const delay = ctx.createDelay(4);
-            delay.delayTime.value = 0.5 + Math.random() * 1.5;
+            delay.delayTime.value = 0.5 + random() * 1.5;
             const feedback = ctx.createGain();
-            feedback.gain.value = 0.5 + Math.random() * 0.3;
+            feedback.gain.value = 0.5 + random() * 0.3;
 
             const filter = ctx.createBiquadFilter();
             filter.type = 'lowpass';
@@ -1174,11 +1175,11 @@ export const MODULE_TYPES = {
 
     delayPingPong: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const delay1 = ctx.createDelay(1);
             const delay2 = ctx.createDelay(1);
-            delay1.delayTime.value = 0.15 + Math.random() * 0.2;
-            delay2.delayTime.value = 0.2 + Math.random() * 0.3;
+            delay1.delayTime.value = 0.15 + random() * 0.2;
+            delay2.delayTime.value = 0.2 + random() * 0.3;
 
             const fb = ctx.createGain();
             fb.gain.value = 0.4;
@@ -1198,9 +1199,9 @@ export const MODULE_TYPES = {
 
     distortion: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const shaper = ctx.createWaveShaper();
-            const amount = 10 + Math.random() * 40;
+            const amount = 10 + random() * 40;
             const curve = new Float32Array(256);
             for (let i = 0; i < 256; i++) {
                 const x = (i - 128) / 128;
@@ -1228,10 +1229,10 @@ export const MODULE_TYPES = {
 
     foldback: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const shaper = ctx.createWaveShaper();
             const curve = new Float32Array(256);
-            const threshold = 0.3 + Math.random() * 0.4;
+            const threshold = 0.3 + random() * 0.4;
             for (let i = 0; i < 256; i++) {
                 let x = (i - 128) / 128;
                 while (Math.abs(x) > threshold) {
@@ -1246,9 +1247,9 @@ export const MODULE_TYPES = {
 
     bitcrusher: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const shaper = ctx.createWaveShaper();
-            const bits = 4 + Math.floor(Math.random() * 4);
+            const bits = 4 + Math.floor(random() * 4);
             const levels = Math.pow(2, bits);
             const curve = new Float32Array(256);
             for (let i = 0; i < 256; i++) {
@@ -1262,10 +1263,10 @@ export const MODULE_TYPES = {
 
     ringMod: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const carrier = ctx.createOscillator();
             carrier.type = 'sine';
-            carrier.frequency.value = 100 + Math.random() * 500;
+            carrier.frequency.value = 100 + random() * 500;
 
             const modGain = ctx.createGain();
             modGain.gain.value = 0;
@@ -1279,27 +1280,27 @@ export const MODULE_TYPES = {
 
     compressor: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const comp = ctx.createDynamicsCompressor();
-            comp.threshold.value = -30 + Math.random() * 20;
-            comp.knee.value = 10 + Math.random() * 20;
-            comp.ratio.value = 4 + Math.random() * 12;
-            comp.attack.value = 0.003 + Math.random() * 0.05;
-            comp.release.value = 0.1 + Math.random() * 0.4;
+            comp.threshold.value = -30 + random() * 20;
+            comp.knee.value = 10 + random() * 20;
+            comp.ratio.value = 4 + random() * 12;
+            comp.attack.value = 0.003 + random() * 0.05;
+            comp.release.value = 0.1 + random() * 0.4;
             return { node: comp, params: { threshold: comp.threshold, ratio: comp.ratio } };
         }
     },
 
     convolver: {
         category: 'fx',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const conv = ctx.createConvolver();
-            const length = ctx.sampleRate * (0.1 + Math.random() * 0.5);
+            const length = ctx.sampleRate * (0.1 + random() * 0.5);
             const buffer = ctx.createBuffer(2, length, ctx.sampleRate);
             for (let c = 0; c < 2; c++) {
                 const data = buffer.getChannelData(c);
                 for (let i = 0; i < length; i++) {
-                    data[i] = (Math.random() * 2 - 1) * Math.exp(-i / (length * 0.3));
+                    data[i] = (random() * 2 - 1) * Math.exp(-i / (length * 0.3));
                 }
             }
             conv.buffer = buffer;
@@ -1318,10 +1319,10 @@ export const MODULE_TYPES = {
 
     clockSlow: {
         category: 'seq',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'square';
-            osc.frequency.value = 0.25 + Math.random() * 0.5;
+            osc.frequency.value = 0.25 + random() * 0.5;
             const gain = ctx.createGain();
             gain.gain.value = 25;
             osc.connect(gain);
@@ -1332,10 +1333,10 @@ export const MODULE_TYPES = {
 
     clockFast: {
         category: 'seq',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const osc = ctx.createOscillator();
             osc.type = 'square';
-            osc.frequency.value = 2 + Math.random() * 6;
+            osc.frequency.value = 2 + random() * 6;
             const gain = ctx.createGain();
             gain.gain.value = 20;
             osc.connect(gain);
@@ -1346,18 +1347,18 @@ export const MODULE_TYPES = {
 
     stepSeq: {
         category: 'seq',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const steps = 8;
             const buffer = ctx.createBuffer(1, steps, ctx.sampleRate / 1000);
             const data = buffer.getChannelData(0);
             const scale = [1, 9/8, 5/4, 4/3, 3/2, 5/3, 15/8, 2];
             for (let i = 0; i < steps; i++) {
-                data[i] = (Math.log2(scale[Math.floor(Math.random() * scale.length)]));
+                data[i] = (Math.log2(scale[Math.floor(random() * scale.length)]));
             }
             const source = ctx.createBufferSource();
             source.buffer = buffer;
             source.loop = true;
-            source.playbackRate.value = 1 + Math.random() * 3;
+            source.playbackRate.value = 1 + random() * 3;
             const gain = ctx.createGain();
             gain.gain.value = 50;
             source.connect(gain);
@@ -1368,9 +1369,9 @@ export const MODULE_TYPES = {
 
     euclideanSeq: {
         category: 'seq',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const steps = 16;
-            const hits = 3 + Math.floor(Math.random() * 5);
+            const hits = 3 + Math.floor(random() * 5);
             const buffer = ctx.createBuffer(1, steps, ctx.sampleRate / 1000);
             const data = buffer.getChannelData(0);
 
@@ -1392,7 +1393,7 @@ export const MODULE_TYPES = {
             const source = ctx.createBufferSource();
             source.buffer = buffer;
             source.loop = true;
-            source.playbackRate.value = 2 + Math.random() * 4;
+            source.playbackRate.value = 2 + random() * 4;
             const gain = ctx.createGain();
             gain.gain.value = 30;
             source.connect(gain);
@@ -1407,27 +1408,27 @@ export const MODULE_TYPES = {
 
     mixer: {
         category: 'logic',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const gain = ctx.createGain();
-            gain.gain.value = 0.5 + Math.random() * 0.5;
+            gain.gain.value = 0.5 + random() * 0.5;
             return { node: gain, params: { gain: gain.gain } };
         }
     },
 
     attenuator: {
         category: 'logic',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const gain = ctx.createGain();
-            gain.gain.value = 0.1 + Math.random() * 0.4;
+            gain.gain.value = 0.1 + random() * 0.4;
             return { node: gain, params: { gain: gain.gain } };
         }
     },
 
     amplifier: {
         category: 'logic',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const gain = ctx.createGain();
-            gain.gain.value = 1.5 + Math.random() * 2;
+            gain.gain.value = 1.5 + random() * 2;
             return { node: gain, params: { gain: gain.gain } };
         }
     },
@@ -1456,10 +1457,10 @@ export const MODULE_TYPES = {
 
     slewLimiter: {
         category: 'logic',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const filter = ctx.createBiquadFilter();
             filter.type = 'lowpass';
-            filter.frequency.value = 15 + Math.random() * 30;
+            filter.frequency.value = 15 + random() * 30;
             filter.Q.value = 0.707;
             return { node: filter, params: {} };
         }
@@ -1467,10 +1468,10 @@ export const MODULE_TYPES = {
 
     dcOffset: {
         category: 'logic',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const offset = ctx.createConstantSource ? ctx.createConstantSource() : ctx.createOscillator();
             if (offset.offset) {
-                offset.offset.value = Math.random() * 0.5;
+                offset.offset.value = random() * 0.5;
             }
             const gain = ctx.createGain();
             gain.gain.value = 1;
@@ -1486,9 +1487,9 @@ export const MODULE_TYPES = {
 
     vca: {
         category: 'util',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const gain = ctx.createGain();
-            gain.gain.value = 0.3 + Math.random() * 0.4;
+            gain.gain.value = 0.3 + random() * 0.4;
             return { node: gain, params: { gain: gain.gain } };
         }
     },
@@ -1505,11 +1506,11 @@ export const MODULE_TYPES = {
 
     autoPanner: {
         category: 'util',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const panner = ctx.createStereoPanner();
             const lfo = ctx.createOscillator();
             lfo.type = 'sine';
-            lfo.frequency.value = 0.1 + Math.random() * 1;
+            lfo.frequency.value = 0.1 + random() * 1;
             const depth = ctx.createGain();
             depth.gain.value = 0.6;
             lfo.connect(depth);
@@ -1521,11 +1522,11 @@ export const MODULE_TYPES = {
 
     ducker: {
         category: 'util',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const gain = ctx.createGain();
             const lfo = ctx.createOscillator();
             lfo.type = 'sine';
-            lfo.frequency.value = 0.5 + Math.random() * 2;
+            lfo.frequency.value = 0.5 + random() * 2;
             const depth = ctx.createGain();
             depth.gain.value = -0.4;
             const offset = ctx.createConstantSource ? ctx.createConstantSource() : null;
@@ -1557,14 +1558,14 @@ export const MODULE_TYPES = {
 
     feedbackLoop: {
         category: 'util',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const delay = ctx.createDelay(0.5);
-            delay.delayTime.value = 0.02 + Math.random() * 0.08;
+            delay.delayTime.value = 0.02 + random() * 0.08;
             const feedback = ctx.createGain();
-            feedback.gain.value = 0.2 + Math.random() * 0.25;
+            feedback.gain.value = 0.2 + random() * 0.25;
             const filter = ctx.createBiquadFilter();
             filter.type = 'lowpass';
-            filter.frequency.value = 2500 + Math.random() * 2000;
+            filter.frequency.value = 2500 + random() * 2000;
             filter.Q.value = 0.707;
 
             delay.connect(filter);
@@ -1590,11 +1591,11 @@ export const MODULE_TYPES = {
 
     stereoWidener: {
         category: 'util',
-        create: (ctx) => {
+        create: (ctx, params = {}, random = Math.random) => {
             const splitter = ctx.createChannelSplitter(2);
             const merger = ctx.createChannelMerger(2);
             const delay = ctx.createDelay(0.1);
-            delay.delayTime.value = 0.01 + Math.random() * 0.02;
+            delay.delayTime.value = 0.01 + random() * 0.02;
 
             splitter.connect(merger, 0, 0);
             splitter.connect(delay);
@@ -1609,8 +1610,8 @@ export const MODULE_TYPES = {
 export const MODULE_NAMES = Object.keys(MODULE_TYPES);
 
 // Get random module type
-export function getRandomModuleType() {
-    return MODULE_NAMES[Math.floor(Math.random() * MODULE_NAMES.length)];
+export function getRandomModuleType(random = Math.random) {
+    return MODULE_NAMES[Math.floor(random() * MODULE_NAMES.length)];
 }
 
 // Get module types by category
@@ -152,6 +152,29 @@ export const PATTERN_SHAPES = {
         traverse: 'loop'
     },
 
+    // Glass additive/subtractive process: the figure grows a note at a time (1, 1-2, 1-2-3...)
+    // and shrinks back, each stage repeated processRepeats times (see processStages)
+    additive: {
+        name: 'Additive',
+        generate: (degrees) => degrees,
+        traverse: 'process',
+        process: 'additive'
+    },
+
+    subtractive: {
+        name: 'Subtractive',
+        generate: (degrees) => degrees,
+        traverse: 'process',
+        process: 'subtractive'
+    },
+
+    // Authored step sequence (see setSteps): the figure is the voice's steps, not the spread
+    steps: {
+        name: 'Step Editor',
+        generate: (degrees) => degrees,
+        traverse: 'steps'
+    },
+
     // Euclidean-inspired patterns
     euclidean: {
         name: 'Euclidean',
@@ -177,6 +200,165 @@ export const PATTERN_SHAPES = {
     }
 };
 
+// Stage lengths for one cycle of a process shape over a figure of `length` notes
+// additive: 1, 2 ... length ... 2 (then 1 again); subtractive: length ... 1 ... length - 1
+export function processStages(process, length) {
+    if (length <= 1) return [1];
+
+    const up = Array.from({ length }, (_, i) => i + 1);
+    const down = [...up].reverse();
+    return process === 'subtractive'
+        ? [...down, ...up.slice(1, -1)]
+        : [...up, ...down.slice(1, -1)];
+}
+
+// Repeats per process stage
+export const PROCESS_REPEATS = { min: 1, max: 16 };
+
+// Authored steps: degree in scale steps above the voice's base degree (null: rest), octave
+// offset, velocity (accent multiplier), gate (share of the step), tie (holds the previous note
+// instead of striking), ratchet (strikes within the step), trig condition and trig probability
+export const STEP_DEFAULTS = { degree: 0, octave: 0, velocity: 1, gate: 0.8, tie: false, ratchet: 1, condition: 'always', probability: 1 };
+
+export const STEP_RANGES = {
+    degree: { min: -14, max: 21 },
+    octave: { min: -2, max: 2 },
+    velocity: { min: 0.1, max: 1.5 },
+    gate: { min: 0.1, max: 1 },
+    ratchet: { min: 1, max: 8 },
+    probability: { min: 0, max: 1 }
+};
+
+export const MAX_STEPS = 16;
+
+// Trig conditions, checked before the probability roll:
+//   'a:b'        loop a of every b passes through the steps ('1:4': the first of every four)
+//   'first'      the first pass only; 'notFirst' every pass but the first
+//   'fill'       only while fill mode is on; 'notFill' only while it is off
+//   'played:N'   only when voice N (0-based) strikes at the same moment, or struck on its latest
+//                step before it; 'rested:N' when it doesn't. A step that itself waits on another
+//                voice counts as struck if everything else lets it (these conditions don't chain)
+// Returns { type, ... } or null for an unknown condition
+export function parseCondition(condition) {
+    if (condition === 'always' || condition === 'first' || condition === 'notFirst' ||
+        condition === 'fill' || condition === 'notFill') {
+        return { type: condition };
+    }
+
+    let match = /^(\d+):(\d+)$/.exec(condition);
+    if (match) {
+        const [a, b] = [Number(match[1]), Number(match[2])];
+        return a >= 1 && a <= b ? { type: 'cycle', a, b } : null;
+    }
+
+    match = /^(played|rested):(\d+)$/.exec(condition);
+    return match ? { type: match[1], voice: Number(match[2]) } : null;
+}
+
+// Conditions offered by the step editor: [{ value, name }] for an ensemble of `voiceCount`
+export function stepConditionOptions(voiceCount) {
+    const cycles = [[1, 2], [2, 2], [1, 3], [2, 3], [3, 3], [1, 4], [2, 4], [3, 4], [4, 4], [1, 8]];
+    const voices = Array.from({ length: voiceCount }, (_, i) => i);
+    return [
+        { value: 'always', name: 'Always' },
+        ...cycles.map(([a, b]) => ({ value: `${a}:${b}`, name: `${a}:${b}` })),
+        { value: 'first', name: '1st' },
+        { value: 'notFirst', name: 'Not 1st' },
+        { value: 'fill', name: 'Fill' },
+        { value: 'notFill', name: 'Not fill' },
+        ...voices.map(i => ({ value: `played:${i}`, name: `V${i + 1} played` })),
+        ...voices.map(i => ({ value: `rested:${i}`, name: `V${i + 1} rested` }))
+    ];
+}
+
+// XY pad spread scaling (setComplexity): half to double the voice's spread
+const SPREAD_SCALE_RANGE = { min: 0.5, max: 2 };
+const clampSpreadScale = (scale) => Math.max(SPREAD_SCALE_RANGE.min, Math.min(SPREAD_SCALE_RANGE.max, Number(scale) || 1));
+
+// Steps kept per voice for 'played'/'rested' conditions on other voices
+const TRIG_HISTORY_LENGTH = 32;
+
+// One step with every field present and in range
+function normalizeStep(step = {}) {
+    const clampField = (name, value, round = false) => {
+        const { min, max } = STEP_RANGES[name];
+        const number = Number.isFinite(value) ? value : STEP_DEFAULTS[name];
+        return Math.max(min, Math.min(max, round ? Math.round(number) : number));
+    };
+
+    return {
+        degree: step.degree === null ? null : clampField('degree', step.degree, true),
+        octave: clampField('octave', step.octave, true),
+        velocity: clampField('velocity', step.velocity),
+        gate: clampField('gate', step.gate),
+        tie: !!step.tie,
+        ratchet: clampField('ratchet', step.ratchet, true),
+        condition: parseCondition(step.condition) ? step.condition : STEP_DEFAULTS.condition,
+        probability: clampField('probability', step.probability)
+    };
+}
+
+// Continuous trill shapes: one cycle of strikes as scale steps above the step's note,
+// for a trill `depth` scale steps wide
+const descending = (depth) => Array.from({ length: depth + 1 }, (_, i) => depth - i);
+
+export const TRILL_SHAPES = {
+    zigzag: {
+        name: 'Zigzag',
+        offsets: (depth) => [0, depth]
+    },
+
+    triangle: {
+        name: 'Triangle',
+        offsets: (depth) => {
+            const down = descending(depth);
+            return [...down.slice().reverse(), ...down.slice(1, -1)];
+        }
+    },
+
+    saw: {
+        name: 'Saw',
+        offsets: descending
+    },
+
+    // Three-note cell against the two-strike pulse: the accent walks through the cell
+    phasing: {
+        name: 'Phasing Cycle',
+        offsets: (depth) => [0, depth, Math.ceil(depth / 2)]
+    }
+};
+
+// Trill controls: rate in Hz (independent of the clock division), depth in scale steps,
+// skew moves time from the upstrike to the downstrike (negative: the other way)
+export const TRILL_RANGES = {
+    rate: { min: 2, max: 20 },
+    depth: { min: 1, max: 9 },
+    skew: { min: -0.8, max: 0.8 }
+};
+
+// Pattern morphing: when the figure changes (XY pad, complexity, evolution, the shape menu)
+// the old figure crossfades into the new one over `length` steps or bars (0: switch at once)
+// substitute: each step plays the new figure's note with a chance that grows to 1
+// interpolate: each step plays a degree between the old and new notes, sliding across
+export const MORPH_MODES = {
+    substitute: { name: 'Substitute' },
+    interpolate: { name: 'Interpolate' }
+};
+
+export const MORPH_RANGES = {
+    length: { min: 0, max: 64 }
+};
+
+const DEFAULT_MORPH = { length: 1, unit: 'bars', mode: 'substitute' };
+
+const DEFAULT_TRILL = { enabled: false, rate: 8, depth: 1, shape: 'zigzag', skew: 0 };
+
+// Upstrikes are softer than downstrikes
+const TRILL_UPSTRIKE_ACCENT = 0.75;
+
+// A gap longer than this (seconds) between steps restarts the trill cycle
+const TRILL_MAX_GAP = 1;
+
 export class PatternEngine {
     constructor(pitchBus, options = {}) {
         this.pitchBus = pitchBus;
@@ -188,6 +370,11 @@ export class PatternEngine {
         // Interval spread (determines which degrees are in the pattern)
         this.intervalSpread = options.intervalSpread || [0, 2]; // Default: trill on neighboring scale degrees
 
+        // XY pad X (setComplexity): widens or narrows the spread on top of it (1 = as set), and the
+        // shape it last picked (it only moves a shape nothing else has changed since)
+        this.spreadScale = clampSpreadScale(options.spreadScale ?? 1);
+        this._complexityShape = this.patternShape;
+
         // Custom degree pool (if not using intervalSpread)
         this.customDegrees = options.customDegrees || null;
 
@@ -196,6 +383,9 @@ export class PatternEngine {
         this.patternIndex = 0;
         this.randomWalkPosition = 0;
 
+        // Random source for the random/randomWalk traversals (seeded by GlassMachine)
+        this.random = options.random || Math.random;
+
         // Timing
         this.stepRate = options.stepRate || 8; // Steps per beat
         this.lastStepTime = 0;
@@ -208,16 +398,64 @@ export class PatternEngine {
         // Direction for patterns that support it
         this.direction = 1; // 1 = forward, -1 = backward
 
+        // Additive/subtractive process: current stage and how often it has played
+        // (kept when the figure is regenerated, so chord changes don't restart the process)
+        this.processRepeats = 2;
+        this._processStage = 0;
+        this._processRepeat = 0;
+        if (options.processRepeats) this.setProcessRepeats(options.processRepeats);
+
+        // Authored steps (null until the step editor is first used), passes through them
+        // (for trig conditions) and the fill switch (set for every voice by GlassMachine)
+        this.steps = null;
+        this._loop = 0;
+        this.fill = false;
+        if (options.steps) this.setSteps(options.steps);
+
+        // Morph settings and the figure being left behind ({ pattern, index, step } while morphing)
+        this.morph = { ...DEFAULT_MORPH };
+        this._morph = null;
+        this.stepsPerBar = 4;       // Updated by the voice clock with every step
+        if (options.morph) this.setMorph(options.morph);
+
+        // Recent steps ({ time, played }), the step prepared ahead of playing it ({ time, result }),
+        // and how to ask another voice about its own:
+        // (voiceIndex, time) => did it strike on its latest step at or before `time`
+        this._trigHistory = [];
+        this._prepared = null;
+        this.voiceTrig = options.voiceTrig || null;
+
+        // Continuous trill: strike times run on across steps
+        this.trill = { ...DEFAULT_TRILL };
+        this._trillNext = null;     // Time of the next strike
+        this._trillIndex = 0;       // Strikes since the trill started
+        if (options.trill) this.setTrill(options.trill);
+
         // Generate initial pattern
         this._generatePattern();
     }
 
+    // Replace the random source: () => [0, 1), e.g. from createRandom()
+    setRandom(random) {
+        this.random = random || Math.random;
+    }
+
     // Set pattern shape
     // preservePosition: if true, tries to maintain playback position after regeneration
     setPatternShape(shapeName, preservePosition = false) {
         if (PATTERN_SHAPES[shapeName]) {
             const oldIndex = this.patternIndex;
             const oldLength = this.pattern.length;
+            if (shapeName !== this.patternShape) {
+                this._processStage = 0;
+                this._processRepeat = 0;
+            }
+            // The editor starts from the figure that was playing
+            if (PATTERN_SHAPES[shapeName].traverse === 'steps' && !this.steps) {
+                this.steps = this.pattern.slice(0, MAX_STEPS).map(degree => normalizeStep({
+                    degree: degree === null ? null : degree - this.baseDegree
+                }));
+            }
             this.patternShape = shapeName;
             this._generatePattern();
 
@@ -233,6 +471,11 @@ export class PatternEngine {
     setBaseDegree(degree, preservePosition = false) {
         const oldIndex = this.patternIndex;
         const oldLength = this.pattern.length;
+        // A figure being morphed away from moves with the harmony too
+        if (this._morph) {
+            const shift = degree - this.baseDegree;
+            this._morph.pattern = this._morph.pattern.map(d => (d === null ? null : d + shift));
+        }
         this.baseDegree = degree;
         this._generatePattern();
 
@@ -272,6 +515,141 @@ export class PatternEngine {
         this.gateLength = Math.max(0.1, Math.min(1, length));
     }
 
+    // Set how many times each process stage plays before the figure grows or shrinks
+    setProcessRepeats(repeats) {
+        this.processRepeats = Math.max(PROCESS_REPEATS.min, Math.min(PROCESS_REPEATS.max, Math.round(repeats)));
+        this._processRepeat = Math.min(this._processRepeat, this.processRepeats - 1);
+    }
+
+    // Process position for display, or null when the shape isn't a process
+    getProcess() {
+        const shape = PATTERN_SHAPES[this.patternShape];
+        if (shape?.traverse !== 'process' || this.pattern.length === 0) return null;
+
+        const stages = processStages(shape.process, this.pattern.length);
+        const stage = this._processStage % stages.length;
+        return {
+            process: shape.process,
+            stage: stage + 1,
+            stageCount: stages.length,
+            length: stages[stage],
+            repeat: this._processRepeat + 1,
+            repeats: this.processRepeats
+        };
+    }
+
+    // === MORPH ===
+
+    setMorph(changes) {
+        const next = { ...this.morph, ...changes };
+        const { min, max } = MORPH_RANGES.length;
+        this.morph = {
+            length: Number.isFinite(next.length) ? Math.max(min, Math.min(max, Math.round(next.length))) : this.morph.length,
+            unit: next.unit === 'steps' ? 'steps' : 'bars',
+            mode: MORPH_MODES[next.mode] ? next.mode : this.morph.mode
+        };
+    }
+
+    getMorph() {
+        return { ...this.morph };
+    }
+
+    // Change shape and/or spread ({ patternShape, intervalSpread, spreadScale }), crossfading from the
+    // figure that was playing; authored steps switch at once
+    morphTo(changes) {
+        const from = this._morphSource();
+        const oldIndex = this.patternIndex;
+        const oldLength = this.pattern.length;
+
+        if (Array.isArray(changes.intervalSpread)) {
+            this.intervalSpread = [...changes.intervalSpread];
+            this.customDegrees = null;
+        }
+        if (typeof changes.spreadScale === 'number') {
+            this.spreadScale = clampSpreadScale(changes.spreadScale);
+        }
+        if (changes.patternShape && PATTERN_SHAPES[changes.patternShape]) {
+            this.setPatternShape(changes.patternShape);
+        } else {
+            this._generatePattern();
+        }
+
+        if (oldLength > 0 && this.pattern.length > 0) {
+            this.patternIndex = Math.floor(oldIndex / oldLength * this.pattern.length);
+        }
+
+        const playsSteps = PATTERN_SHAPES[this.patternShape].traverse === 'steps';
+        this._morph = this.morph.length > 0 && from && !playsSteps
+            ? { pattern: from.pattern, index: from.index, step: 0 }
+            : null;
+    }
+
+    // Morph progress (0-1), or null when not morphing
+    getMorphProgress() {
+        return this._morph ? Math.min(1, this._morph.step / this._morphLength()) : null;
+    }
+
+    // Figure to morph from: the one playing, or, mid-morph, whichever side is ahead
+    _morphSource() {
+        if (this._morph && this.getMorphProgress() < 0.5) {
+            return { pattern: this._morph.pattern, index: this._morph.index };
+        }
+        if (PATTERN_SHAPES[this.patternShape].traverse === 'steps' || this.pattern.length === 0) {
+            return null;
+        }
+        return { pattern: [...this.pattern], index: this.patternIndex };
+    }
+
+    _morphLength() {
+        const length = this.morph.unit === 'bars' ? this.morph.length * this.stepsPerBar : this.morph.length;
+        return Math.max(1, Math.round(length));
+    }
+
+    // Blend the new figure's degree with the old figure's (which keeps looping underneath)
+    _morphDegree(target) {
+        const morph = this._morph;
+        const from = morph.pattern[morph.index % morph.pattern.length];
+        morph.index++;
+        morph.step++;
+
+        const progress = morph.step / this._morphLength();
+        if (progress >= 1) {
+            this._morph = null;
+            return target;
+        }
+
+        if (this.morph.mode === 'interpolate' && from !== null && target !== null) {
+            return Math.round(from + (target - from) * progress);
+        }
+        return this.random() < progress ? target : from;
+    }
+
+    // === STEP EDITOR ===
+
+    // Replace the authored steps (see STEP_DEFAULTS); at most MAX_STEPS, at least one
+    setSteps(steps) {
+        const list = Array.isArray(steps) ? steps.slice(0, MAX_STEPS) : [];
+        this.steps = (list.length > 0 ? list : [STEP_DEFAULTS]).map(step => normalizeStep(step));
+        this.patternIndex %= this.steps.length;
+    }
+
+    // Change fields of one step
+    setStep(index, changes) {
+        if (!this.steps?.[index]) return;
+        this.steps[index] = normalizeStep({ ...this.steps[index], ...changes });
+    }
+
+    // Lengthen (new steps rest) or shorten the sequence
+    setStepCount(count) {
+        const length = Math.max(1, Math.min(MAX_STEPS, Math.round(count)));
+        const steps = this.steps || [];
+        this.setSteps(Array.from({ length }, (_, i) => steps[i] || { ...STEP_DEFAULTS, degree: null }));
+    }
+
+    getSteps() {
+        return this.steps ? this.steps.map(step => ({ ...step })) : null;
+    }
+
     // Set accent pattern (array of accent multipliers)
     setAccentPattern(pattern) {
         this.accentPattern = pattern;
@@ -301,7 +679,11 @@ export class PatternEngine {
         }
     }
 
-    // Morph pattern complexity (0-1)
+    // Morph pattern complexity (0-1) - the XY pad's X axis on every engine
+    // Scales the voice's spread (its chord role) instead of replacing it: 0.5 leaves it as set,
+    // lower narrows it toward a trill, higher widens it. The shape follows along only while it is
+    // one of the complexity shapes this last picked (or the engine started with); process shapes,
+    // authored steps and shapes from the menu, randomize or evolution are left alone
     setComplexity(complexity) {
         // Map complexity to pattern shapes
         const patterns = [
@@ -315,19 +697,60 @@ export class PatternEngine {
         ];
 
         const index = Math.min(patterns.length - 1, Math.floor(complexity * patterns.length));
-        this.setPatternShape(patterns[index]);
+        const ownsShape = this.patternShape === this._complexityShape && patterns.includes(this.patternShape);
+        const shapeChanged = ownsShape && patterns[index] !== this.patternShape;
+
+        const spreadScale = clampSpreadScale(Math.pow(2, (complexity - 0.5) * 2));
+        const scaleChanged = Math.abs(spreadScale - this.spreadScale) > 0.01;
+
+        if (shapeChanged || scaleChanged) {
+            // Crossfade to the new figure rather than jumping (see MORPH_MODES)
+            this.morphTo({
+                spreadScale,
+                patternShape: shapeChanged ? patterns[index] : undefined
+            });
+            if (shapeChanged) this._complexityShape = patterns[index];
+        }
+    }
+
+    // Advance to the step at `time` without playing it yet, recording whether it strikes
+    // The clock prepares every voice's step at a moment before any of them plays, so other
+    // voices' 'played'/'rested' conditions see this step whatever order the voices run in
+    // stepsPerBar: from the voice clock, for morphs measured in bars
+    prepare(time, stepsPerBar) {
+        if (stepsPerBar > 0) this.stepsPerBar = stepsPerBar;
+
+        const result = this._nextStep(time);
+        this._prepared = { time, result };
+
+        this._trigHistory.push({ time, played: !!result && !result.isRest });
+        if (this._trigHistory.length > TRIG_HISTORY_LENGTH) this._trigHistory.shift();
+    }
+
+    // Step the pattern forward and return next degree (the prepared step, if it is this one)
+    step(time, stepsPerBar) {
+        if (!this._prepared || Math.abs(this._prepared.time - time) > 0.001) {
+            this.prepare(time, stepsPerBar);
+        }
+        const { result } = this._prepared;
+        this._prepared = null;
+
+        // A 'played'/'rested' step plays once every voice has prepared this moment
+        if (result?.voiceCondition && !this._voiceConditionMet(result.voiceCondition, time)) {
+            return { degree: null, isRest: true };
+        }
+        return result;
+    }
 
-        // Also adjust interval spread based on complexity
-        const noteCount = 2 + Math.floor(complexity * 4);
-        const spread = [];
-        for (let i = 0; i < noteCount; i++) {
-            spread.push(Math.round(i * (1 + complexity * 2)));
+    // Did this voice strike on its latest step at or before `time`? (false if it hasn't played)
+    trigAt(time) {
+        for (let i = this._trigHistory.length - 1; i >= 0; i--) {
+            if (this._trigHistory[i].time <= time + 0.001) return this._trigHistory[i].played;
         }
-        this.setIntervalSpread(spread);
+        return false;
     }
 
-    // Step the pattern forward and return next degree
-    step(time) {
+    _nextStep(time) {
         if (this.pattern.length === 0) return null;
 
         const shape = PATTERN_SHAPES[this.patternShape];
@@ -340,17 +763,39 @@ export class PatternEngine {
                 break;
 
             case 'random':
-                nextDegree = this.pattern[Math.floor(Math.random() * this.pattern.length)];
+                nextDegree = this.pattern[Math.floor(this.random() * this.pattern.length)];
                 break;
 
             case 'randomWalk':
                 // Move randomly to adjacent pattern position
-                const delta = Math.random() < 0.5 ? -1 : 1;
+                const delta = this.random() < 0.5 ? -1 : 1;
                 this.randomWalkPosition = Math.max(0, Math.min(this.pattern.length - 1,
                     this.randomWalkPosition + delta));
                 nextDegree = this.pattern[this.randomWalkPosition];
                 break;
 
+            case 'process': {
+                // Play the first `length` notes of the figure; after processRepeats passes move
+                // to the next stage
+                const stages = processStages(shape.process, this.pattern.length);
+                this._processStage %= stages.length;
+                const length = stages[this._processStage];
+
+                nextDegree = this.pattern[this.patternIndex % length];
+                this.patternIndex++;
+                if (this.patternIndex >= length) {
+                    this.patternIndex = 0;
+                    if (++this._processRepeat >= this.processRepeats) {
+                        this._processRepeat = 0;
+                        this._processStage = (this._processStage + 1) % stages.length;
+                    }
+                }
+                break;
+            }
+
+            case 'steps':
+                return this._stepAuthored(time);
+
             case 'loop':
             default:
                 nextDegree = this.pattern[this.patternIndex % this.pattern.length];
@@ -358,6 +803,10 @@ export class PatternEngine {
                 break;
         }
 
+        if (this._morph) {
+            nextDegree = this._morphDegree(nextDegree);
+        }
+
         // Handle rests (null values)
         if (nextDegree === null) {
             return { degree: null, isRest: true };
@@ -377,10 +826,145 @@ export class PatternEngine {
         };
     }
 
+    // Next authored step; ties and failed trigs come back as rests (tie: true keeps the note
+    // sounding), and a note's gate stretches over the tied steps that follow it
+    _stepAuthored(time) {
+        if (!this.steps) this.setSteps(null);
+
+        const steps = this.steps;
+        const index = this.patternIndex % steps.length;
+        const step = steps[index];
+        this.patternIndex = (index + 1) % steps.length;
+
+        const loop = this._loop;
+        if (this.patternIndex === 0) this._loop++;
+
+        if (step.tie) {
+            return { degree: null, isRest: true, tie: true };
+        }
+        if (step.degree === null || !this._conditionMet(step.condition, loop) ||
+            this.random() >= step.probability) {
+            return { degree: null, isRest: true };
+        }
+
+        let gateLength = step.gate;
+        for (let k = 1; k < steps.length && steps[(index + k) % steps.length].tie; k++) {
+            gateLength = k + steps[(index + k) % steps.length].gate;
+        }
+
+        const parsed = parseCondition(step.condition);
+        const scaleLength = this.pitchBus?.scale?.length || 7;
+        return {
+            degree: this.baseDegree + step.degree + step.octave * scaleLength,
+            isRest: false,
+            accent: step.velocity,
+            gateLength,
+            ratchet: step.ratchet,
+            // Checked by step() once the other voices have prepared this moment
+            voiceCondition: parsed?.type === 'played' || parsed?.type === 'rested' ? parsed : null
+        };
+    }
+
+    // Trig condition for a step on pass `loop` (0-based) of the sequence
+    // ('played'/'rested' pass here and are checked later, see _voiceConditionMet)
+    _conditionMet(condition, loop) {
+        const parsed = parseCondition(condition);
+        switch (parsed?.type) {
+            case 'cycle': return loop % parsed.b === parsed.a - 1;
+            case 'first': return loop === 0;
+            case 'notFirst': return loop > 0;
+            case 'fill': return this.fill;
+            case 'notFill': return !this.fill;
+            default: return true;
+        }
+    }
+
+    // 'played'/'rested' condition against another voice's step at `time`
+    _voiceConditionMet(parsed, time) {
+        const played = !!this.voiceTrig?.(parsed.voice, time);
+        return parsed.type === 'played' ? played : !played;
+    }
+
+    // Strikes for one step: [{ time, duration }], `ratchet` evenly spaced retriggers or one;
+    // a gate past the step (a tie) lengthens the last strike
+    stepHits(time, duration, step) {
+        const count = step.ratchet || 1;
+        const gate = step.gateLength || 0.8;
+        if (count <= 1) return [{ time, duration: duration * gate }];
+
+        const sub = duration / count;
+        return Array.from({ length: count }, (_, i) => ({
+            time: time + i * sub,
+            duration: sub * Math.min(1, gate) + (i === count - 1 ? duration * Math.max(0, gate - 1) : 0)
+        }));
+    }
+
+    // === CONTINUOUS TRILL ===
+    // A rhythmic LFO with pitch output: while enabled, each step's note is played as a trill
+    // of strikes at `rate` Hz, running on across steps rather than restarting with each one
+
+    setTrill(changes) {
+        const trill = { ...this.trill, ...changes };
+        const clamp = (value, { min, max }) => Math.max(min, Math.min(max, Number(value)));
+
+        this.trill = {
+            enabled: !!trill.enabled,
+            rate: clamp(trill.rate, TRILL_RANGES.rate),
+            depth: Math.round(clamp(trill.depth, TRILL_RANGES.depth)),
+            shape: TRILL_SHAPES[trill.shape] ? trill.shape : DEFAULT_TRILL.shape,
+            skew: clamp(trill.skew, TRILL_RANGES.skew)
+        };
+    }
+
+    getTrill() {
+        return { ...this.trill };
+    }
+
+    // Strikes falling inside one step: [{ time, duration, offset, accent }]
+    // offset is in scale steps above the step's note
+    trillStrikes(time, duration) {
+        const { rate, depth, shape, skew } = this.trill;
+        const offsets = TRILL_SHAPES[shape].offsets(depth);
+        const end = time + duration;
+
+        if (this._trillNext === null || this._trillNext < time - TRILL_MAX_GAP || this._trillNext > end + TRILL_MAX_GAP) {
+            this._trillNext = time;
+            this._trillIndex = 0;
+        }
+
+        const strikes = [];
+        while (this._trillNext < end) {
+            // Downstrikes (even) and upstrikes (odd) share the pair's time unevenly
+            const downstrike = this._trillIndex % 2 === 0;
+            const interval = (downstrike ? 1 + skew : 1 - skew) / rate;
+
+            // Strikes owed to a rest or a late step are skipped, not crammed in
+            if (this._trillNext >= time) {
+                strikes.push({
+                    time: this._trillNext,
+                    duration: interval,
+                    offset: offsets[this._trillIndex % offsets.length],
+                    accent: downstrike ? 1 : TRILL_UPSTRIKE_ACCENT
+                });
+            }
+
+            this._trillNext += interval;
+            this._trillIndex++;
+        }
+        return strikes;
+    }
+
     // Reset pattern to beginning
     reset() {
         this.patternIndex = 0;
         this.randomWalkPosition = Math.floor(this.pattern.length / 2);
+        this._processStage = 0;
+        this._processRepeat = 0;
+        this._morph = null;
+        this._loop = 0;
+        this._trigHistory = [];
+        this._prepared = null;
+        this._trillNext = null;
     }
 
     // Reverse direction
@@ -402,10 +986,80 @@ export class PatternEngine {
             baseDegree: this.baseDegree,
             intervalSpread: this.intervalSpread,
             stepRate: this.stepRate,
-            gateLength: this.gateLength
+            gateLength: this.gateLength,
+            process: this.getProcess()
         };
     }
 
+    // Get pattern configuration for session serialization
+    // (unlike getState, this is everything needed to rebuild the engine)
+    getConfig() {
+        return {
+            patternShape: this.patternShape,
+            baseDegree: this.baseDegree,
+            intervalSpread: [...this.intervalSpread],
+            spreadScale: this.spreadScale,
+            customDegrees: this.customDegrees ? [...this.customDegrees] : null,
+            stepRate: this.stepRate,
+            gateLength: this.gateLength,
+            accentPattern: this.accentPattern ? [...this.accentPattern] : null,
+            accentStrength: this.accentStrength,
+            direction: this.direction,
+            processRepeats: this.processRepeats,
+            steps: this.getSteps(),
+            morph: this.getMorph(),
+            trill: { ...this.trill }
+        };
+    }
+
+    // Restore pattern configuration (inverse of getConfig)
+    setConfig(config) {
+        if (!config) return;
+
+        if (config.patternShape && PATTERN_SHAPES[config.patternShape]) {
+            if (config.patternShape !== this.patternShape) {
+                this._processStage = 0;
+                this._processRepeat = 0;
+            }
+            this.patternShape = config.patternShape;
+        }
+        if (config.baseDegree !== undefined) {
+            this.baseDegree = config.baseDegree;
+        }
+        if (Array.isArray(config.intervalSpread)) {
+            this.intervalSpread = [...config.intervalSpread];
+        }
+        this.spreadScale = clampSpreadScale(config.spreadScale ?? 1);
+        this.customDegrees = Array.isArray(config.customDegrees) ? [...config.customDegrees] : null;
+
+        if (config.stepRate !== undefined) {
+            this.setStepRate(config.stepRate);
+        }
+        if (config.gateLength !== undefined) {
+            this.setGateLength(config.gateLength);
+        }
+        this.accentPattern = Array.isArray(config.accentPattern) ? [...config.accentPattern] : null;
+        if (config.accentStrength !== undefined) {
+            this.accentStrength = config.accentStrength;
+        }
+        if (config.direction === 1 || config.direction === -1) {
+            this.direction = config.direction;
+        }
+        if (Array.isArray(config.steps)) {
+            this.setSteps(config.steps);
+        } else {
+            this.steps = null;
+        }
+        this.setMorph({ ...DEFAULT_MORPH, ...config.morph });
+        this._morph = null;
+        if (config.processRepeats !== undefined) {
+            this.setProcessRepeats(config.processRepeats);
+        }
+        this.setTrill({ ...DEFAULT_TRILL, ...config.trill });
+
+        this._generatePattern();
+    }
+
     // Internal: generate pattern from current settings
     _generatePattern() {
         // Determine which degrees to use
@@ -414,7 +1068,7 @@ export class PatternEngine {
         if (this.customDegrees) {
             degrees = this.customDegrees;
         } else {
-            degrees = this.intervalSpread.map(interval => this.baseDegree + interval);
+            degrees = this.intervalSpread.map(interval => this.baseDegree + Math.round(interval * this.spreadScale));
         }
 
         // Get pattern generator
@@ -76,6 +76,12 @@ export class PitchBus {
         return this.currentFreq;
     }
 
+    // MIDI note a degree would sound (clamped to the range) without moving the bus
+    midiForDegree(degree) {
+        const clampedDegree = Math.max(this.rangeMin, Math.min(this.rangeMax, degree));
+        return scaleDegreeToMidi(clampedDegree, this.rootMidi, this.scale);
+    }
+
     // Set pitch by MIDI note (quantized to scale)
     setMidi(midi, glide = true) {
         // Quantize to scale
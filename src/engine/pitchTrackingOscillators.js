@@ -6,9 +6,10 @@ import { MODULE_TYPES } from './modules.js';
 
 // Base class for pitch-tracking oscillators
 class PitchTrackingOscillator {
-    constructor(ctx, baseFreq = 220) {
+    constructor(ctx, baseFreq = 220, random = Math.random) {
         this.ctx = ctx;
         this.baseFreq = baseFreq;
+        this.random = random; // Voice's seeded stream for spectral variation
         this.node = null;
         this.params = {};
     }
@@ -25,7 +26,7 @@ class PitchTrackingOscillator {
 // Harmonic Oscillator - tracks pitch across all partials
 export class HarmonicOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         this.numHarmonics = options.numHarmonics || 8;
         this.amplitudeDecay = options.amplitudeDecay || 1; // 1/h decay
@@ -87,7 +88,7 @@ export class HarmonicOscillator extends PitchTrackingOscillator {
 // Odd Harmonic Oscillator - hollow, clarinet-like
 export class OddHarmonicOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         this.harmonics = [1, 3, 5, 7, 9, 11];
 
@@ -140,7 +141,7 @@ export class OddHarmonicOscillator extends PitchTrackingOscillator {
 // Perfect Intervals Oscillator - stacked fifths (Riley/Young style)
 export class PerfectOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         // Just intonation ratios for perfect intervals
         this.ratios = [1, 3/2, 2, 3]; // Root, 5th, octave, 5th+octave
@@ -194,7 +195,7 @@ export class PerfectOscillator extends PitchTrackingOscillator {
 // Additive Oscillator - random amplitudes but pitch-tracking
 export class AdditiveOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         this.numPartials = options.numPartials || 8;
 
@@ -211,7 +212,7 @@ export class AdditiveOscillator extends PitchTrackingOscillator {
             osc.frequency.value = this.baseFreq * i;
 
             // Random amplitude with 1/i decay - ensure minimum presence
-            const amp = (0.2 + Math.random() * 0.4) / i;
+            const amp = (0.2 + this.random() * 0.4) / i;
             this.amplitudes.push(amp);
 
             const gain = ctx.createGain();
@@ -246,7 +247,7 @@ export class AdditiveOscillator extends PitchTrackingOscillator {
     randomizeAmplitudes() {
         const time = this.ctx.currentTime;
         for (let i = 0; i < this.gains.length; i++) {
-            const amp = (Math.random() * 0.5) / (i + 1);
+            const amp = (this.random() * 0.5) / (i + 1);
             this.amplitudes[i] = amp;
             this.gains[i].gain.setTargetAtTime(amp, time, 0.1);
         }
@@ -267,11 +268,11 @@ export class AdditiveOscillator extends PitchTrackingOscillator {
 // FM Oscillator - maintains carrier:modulator ratio
 export class FMOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         // FM parameters - randomize ratio for variety
-        this.ratio = options.ratio || [1.5, 2, 2.5, 3, 4, 5][Math.floor(Math.random() * 6)];
-        this.modulationIndex = options.modulationIndex || (0.5 + Math.random() * 2);
+        this.ratio = options.ratio || [1.5, 2, 2.5, 3, 4, 5][Math.floor(this.random() * 6)];
+        this.modulationIndex = options.modulationIndex || (0.5 + this.random() * 2);
 
         // Carrier
         this.carrier = ctx.createOscillator();
@@ -350,11 +351,11 @@ export class FMOscillator extends PitchTrackingOscillator {
 // Bell Oscillator - inharmonic partials that track pitch
 export class BellOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         // Inharmonic ratios for bell-like tones - randomize slightly for variety
         const baseRatios = [1, 2.0, 3.0, 4.2, 5.4, 6.8, 8.1];
-        this.ratios = baseRatios.map(r => r * (0.98 + Math.random() * 0.04));
+        this.ratios = baseRatios.map(r => r * (0.98 + this.random() * 0.04));
 
         this.node = ctx.createGain();
         this.node.gain.value = 0.35;
@@ -409,10 +410,10 @@ export class BellOscillator extends PitchTrackingOscillator {
 // Phasing Pair - two oscillators with slight detune
 export class PhasingPairOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         // Randomize detune for variety in phasing speed
-        this.detuneRatio = options.detuneRatio || (1 + 0.0005 + Math.random() * 0.002);
+        this.detuneRatio = options.detuneRatio || (1 + 0.0005 + this.random() * 0.002);
 
         this.node = ctx.createGain();
         this.node.gain.value = 0.5;
@@ -482,11 +483,11 @@ export class PhasingPairOscillator extends PitchTrackingOscillator {
 // Formant Oscillator - source tracks pitch, formants stay fixed
 export class FormantOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         // Formant frequencies (vowel-like, don't change with pitch)
         // Randomize for different vowel colors
-        const vowelType = Math.floor(Math.random() * 4);
+        const vowelType = Math.floor(this.random() * 4);
         const vowels = [
             [{ freq: 800, Q: 5 }, { freq: 1200, Q: 6 }, { freq: 2500, Q: 8 }],   // "ah"
             [{ freq: 400, Q: 5 }, { freq: 2000, Q: 7 }, { freq: 2800, Q: 8 }],   // "ee"
@@ -550,7 +551,7 @@ export class FormantOscillator extends PitchTrackingOscillator {
 // Simple oscillators that just need frequency tracking
 export class SimpleOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         this.osc = ctx.createOscillator();
         this.osc.type = options.type || 'sine';
@@ -587,12 +588,12 @@ export class SimpleOscillator extends PitchTrackingOscillator {
 // Buchla Complex - wavefolder with internal FM
 export class BuchlaComplexOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         // More varied parameters for distinct timbres
-        this.foldAmount = options.foldAmount || (1.5 + Math.random() * 4);
-        this.modRatio = options.modRatio || [1.5, 2, 2.5, 3, 3.5, 4][Math.floor(Math.random() * 6)];
-        this.modIndex = options.modIndex || (0.2 + Math.random() * 0.6);
+        this.foldAmount = options.foldAmount || (1.5 + this.random() * 4);
+        this.modRatio = options.modRatio || [1.5, 2, 2.5, 3, 3.5, 4][Math.floor(this.random() * 6)];
+        this.modIndex = options.modIndex || (0.2 + this.random() * 0.6);
 
         this.node = ctx.createGain();
         this.node.gain.value = 0.4;
@@ -628,7 +629,7 @@ export class BuchlaComplexOscillator extends PitchTrackingOscillator {
         this.sizzle = ctx.createBiquadFilter();
         this.sizzle.type = 'highshelf';
         this.sizzle.frequency.value = 3000;
-        this.sizzle.gain.value = 4 + Math.random() * 4;
+        this.sizzle.gain.value = 4 + this.random() * 4;
 
         this.osc.connect(this.folder);
         this.folder.connect(this.sizzle);
@@ -667,7 +668,7 @@ export class BuchlaComplexOscillator extends PitchTrackingOscillator {
 // Buchla LPG - resonant lowpass gate character
 export class BuchlaLPGOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         this.node = ctx.createGain();
         this.node.gain.value = 0.45;
@@ -680,14 +681,14 @@ export class BuchlaLPGOscillator extends PitchTrackingOscillator {
         // LPG filter - resonant lowpass
         this.lpg = ctx.createBiquadFilter();
         this.lpg.type = 'lowpass';
-        this.filterBaseFreq = 800 + Math.random() * 1500;
+        this.filterBaseFreq = 800 + this.random() * 1500;
         this.lpg.frequency.value = this.filterBaseFreq;
-        this.lpg.Q.value = 4 + Math.random() * 6;
+        this.lpg.Q.value = 4 + this.random() * 6;
 
         // Filter modulation
         this.filterMod = ctx.createOscillator();
         this.filterMod.type = 'sine';
-        this.filterMod.frequency.value = 0.2 + Math.random() * 0.5;
+        this.filterMod.frequency.value = 0.2 + this.random() * 0.5;
         this.filterModGain = ctx.createGain();
         this.filterModGain.gain.value = 300;
         this.filterMod.connect(this.filterModGain);
@@ -730,7 +731,7 @@ export class BuchlaLPGOscillator extends PitchTrackingOscillator {
 // Buchla Bongo - plucky percussive tone
 export class BuchlaBongoOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         this.node = ctx.createGain();
         this.node.gain.value = 0.45;
@@ -809,7 +810,7 @@ export class BuchlaBongoOscillator extends PitchTrackingOscillator {
 // Sizzle Oscillator - detuned with high shelf
 export class SizzleOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         this.node = ctx.createGain();
         this.node.gain.value = 0.35;
@@ -881,9 +882,9 @@ export class SizzleOscillator extends PitchTrackingOscillator {
 // West Coast Dual - two oscillators with ring-mod style interaction
 export class WestCoastDualOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
-        this.ratio = options.ratio || [1.5, 2, 2.5, 3, 4, 5, 6][Math.floor(Math.random() * 7)];
+        this.ratio = options.ratio || [1.5, 2, 2.5, 3, 4, 5, 6][Math.floor(this.random() * 7)];
 
         this.node = ctx.createGain();
         this.node.gain.value = 0.4;
@@ -940,7 +941,7 @@ export class WestCoastDualOscillator extends PitchTrackingOscillator {
 // Vactrol Oscillator - organic slow filter modulation
 export class VactrolOscillator extends PitchTrackingOscillator {
     constructor(ctx, options = {}) {
-        super(ctx, options.baseFreq || 220);
+        super(ctx, options.baseFreq || 220, options.random);
 
         this.node = ctx.createGain();
         this.node.gain.value = 0.45;
@@ -959,7 +960,7 @@ export class VactrolOscillator extends PitchTrackingOscillator {
 
         this.filterLFO = ctx.createOscillator();
         this.filterLFO.type = 'sine';
-        this.filterLFO.frequency.value = 0.08 + Math.random() * 0.15;
+        this.filterLFO.frequency.value = 0.08 + this.random() * 0.15;
         this.lfoGain = ctx.createGain();
         this.lfoGain.gain.value = 600;
         this.filterLFO.connect(this.lfoGain);
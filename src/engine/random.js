@@ -0,0 +1,50 @@
+// SEEDED RANDOM
+// One seedable PRNG (mulberry32) for everything that rolls dice: pattern traversals,
+// patch generation and the granular/corrupt worklets
+// Each consumer draws from its own stream derived from the session seed, so adding a
+// random call in one place never shifts the numbers another place sees.
+
+// New 32-bit seed (the only place that still asks Math.random)
+export function generateSeed() {
+    return Math.floor(Math.random() * 0x100000000) >>> 0;
+}
+
+// Seeds are stored as unsigned 32-bit integers; strings hash to one
+export function normalizeSeed(seed) {
+    if (typeof seed === 'string') {
+        const trimmed = seed.trim();
+        return /^\d+$/.test(trimmed) ? Number(trimmed) >>> 0 : hashString(trimmed);
+    }
+    if (!Number.isFinite(seed)) {
+        throw new Error(`Random: invalid seed "${seed}"`);
+    }
+    return Math.floor(seed) >>> 0;
+}
+
+// FNV-1a
+function hashString(text) {
+    let hash = 0x811c9dc5;
+    for (let i = 0; i < text.length; i++) {
+        hash ^= text.charCodeAt(i);
+        hash = Math.imul(hash, 0x01000193);
+    }
+    return hash >>> 0;
+}
+
+// Seed for a named stream ('voice:0', 'patches', 'databender', ...)
+export function deriveSeed(seed, label) {
+    return (hashString(label) ^ Math.imul(normalizeSeed(seed), 0x9e3779b1)) >>> 0;
+}
+
+// Drop-in replacement for Math.random: () => [0, 1)
+// The worklets carry the same algorithm inline (they cannot import this module)
+export function createRandom(seed) {
+    let state = normalizeSeed(seed);
+    return () => {
+        state = (state + 0x6d2b79f5) >>> 0;
+        let t = state;
+        t = Math.imul(t ^ (t >>> 15), t | 1);
+        t ^= t + Math.imul(t ^ (t >>> 7), t | 61);
+        return ((t ^ (t >>> 14)) >>> 0) / 4294967296;
+    };
+}
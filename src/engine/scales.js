@@ -204,3 +204,22 @@ export function generateChord(rootMidi, chordType) {
 export function transposeScale(scale, semitones) {
     return scale.map(degree => (degree + semitones) % 12);
 }
+
+// MIDI notes -> sorted, unique scale degrees above rootMidi (off-scale notes snap to the nearest degree)
+export function notesToScaleDegrees(notes, rootMidi, scale) {
+    const degrees = new Set();
+    for (const midi of notes) {
+        const offset = midi - rootMidi;
+        const octave = Math.floor(offset / 12);
+        const pitchClass = offset - octave * 12;
+
+        // Nearest scale step (the octave above counts as step scale.length)
+        const steps = [...scale, 12];
+        let best = 0;
+        steps.forEach((step, i) => {
+            if (Math.abs(step - pitchClass) < Math.abs(steps[best] - pitchClass)) best = i;
+        });
+        degrees.add(best + octave * scale.length);
+    }
+    return [...degrees].sort((a, b) => a - b);
+}
@@ -0,0 +1,130 @@
+// SESSION FORMAT
+// Versioned, JSON-safe snapshot of a whole GlassMachine patch
+// Produced by GlassMachine.getSessionState(), consumed by GlassMachine.restoreState()
+
+export const SESSION_FORMAT = 'glass-machine-session';
+
+// Bump when the shape changes and add a step to migrateSession()
+export const SESSION_VERSION = 6;
+
+// Bring any supported session object up to SESSION_VERSION
+// Accepts the current format, or a bare GlassMachine.getState() snapshot (treated as version 0)
+export function migrateSession(data) {
+    if (!data || typeof data !== 'object') {
+        throw new Error('Session: not a session object');
+    }
+
+    if (data.format !== undefined && data.format !== SESSION_FORMAT) {
+        throw new Error(`Session: unknown format "${data.format}"`);
+    }
+
+    let session = { ...data };
+    let version = session.version ?? 0;
+
+    if (version > SESSION_VERSION) {
+        throw new Error(`Session: version ${version} is newer than supported (${SESSION_VERSION})`);
+    }
+
+    // v0 → v1: plain getState() output (voice params, buses, presets only)
+    if (version === 0) {
+        session = {
+            rootMidi: session.rootMidi,
+            scaleName: session.scaleName,
+            bpm: session.bpm,
+            masterVolume: session.masterVolume,
+            polymetricPreset: session.polymetricPreset,
+            phasePreset: session.phasePreset,
+            voices: (session.voices || []).map(v => ({
+                id: v.id,
+                params: v.params,
+                isMuted: v.isMuted,
+                pattern: null,
+                clock: null
+            })),
+            transpose: null,
+            lfoBank: null,
+            insertBus: session.insertBus || null,
+            sendBus: session.sendBus || null
+        };
+        version = 1;
+    }
+
+    // v1 → v2: recorded looper audio (null = not captured, buffers left untouched on restore)
+    if (version === 1) {
+        session.audio = session.audio ?? null;
+        version = 2;
+    }
+
+    // v2 → v3: MIDI CC mappings (older sessions had none)
+    if (version === 2) {
+        session.midiMappings = session.midiMappings ?? [];
+        version = 3;
+    }
+
+    // v3 → v4: random seed (null = keep the machine's current seed)
+    if (version === 3) {
+        session.seed = session.seed ?? null;
+        version = 4;
+    }
+
+    // v4 → v5: voice engines (every slot ran the Buchla voice)
+    if (version === 4) {
+        session.voices = (session.voices || []).map(v => ({ ...v, engine: v?.engine ?? 'buchla' }));
+        version = 5;
+    }
+
+    // v5 → v6: evolution arc (composer mode was off), the chord-tone spreads it moved and the
+    // played chord behind the voice roles (null: the default triad)
+    if (version === 5) {
+        session.evolution = session.evolution ?? null;
+        session.chordDegrees = session.chordDegrees ?? null;
+        session.voiceSpreadOffsets = session.voiceSpreadOffsets ?? [];
+        version = 6;
+    }
+
+    session.format = SESSION_FORMAT;
+    session.version = version;
+    return session;
+}
+
+// === AUDIO ENCODING ===
+// Reel/deck buffers are Float32Arrays in memory and base64 strings in JSON
+
+function encodeFloat32(array) {
+    const bytes = new Uint8Array(array.buffer, array.byteOffset, array.byteLength);
+    const CHUNK = 0x8000;
+    let binary = '';
+    for (let i = 0; i < bytes.length; i += CHUNK) {
+        binary += String.fromCharCode.apply(null, bytes.subarray(i, i + CHUNK));
+    }
+    return btoa(binary);
+}
+
+function decodeFloat32(base64) {
+    const binary = atob(base64);
+    const bytes = new Uint8Array(binary.length);
+    for (let i = 0; i < binary.length; i++) {
+        bytes[i] = binary.charCodeAt(i);
+    }
+    return new Float32Array(bytes.buffer);
+}
+
+// Parse a session from JSON text (e.g. an imported file)
+export function parseSession(text) {
+    let data;
+    try {
+        data = JSON.parse(text, (key, value) =>
+            value && typeof value.$float32 === 'string' ? decodeFloat32(value.$float32) : value
+        );
+    } catch (error) {
+        throw new Error(`Session: invalid JSON (${error.message})`);
+    }
+    return migrateSession(data);
+}
+
+// Serialize a session to JSON text
+export function stringifySession(session) {
+    return JSON.stringify(session, (key, value) =>
+        value instanceof Float32Array ? { $float32: encodeFloat32(value) } : value
+    , 2);
+}
@@ -401,6 +401,13 @@ export class XYPad {
         this._triggerMove();
     }
 
+    // Public: Show a position set elsewhere (e.g. MIDI) without triggering onMove
+    showPosition(x, y) {
+        this.x = Math.max(0, Math.min(1, x));
+        this.y = Math.max(0, Math.min(1, y));
+        this._updateIndicator();
+    }
+
     // Public: Enable spring behavior
     enableSpring(targetX = 0.5, targetY = 0.5, strength = 0.1) {
         this.springTarget = { x: targetX, y: targetY };
@@ -438,38 +445,45 @@ export class XYPad {
 }
 
 // Create XY pads for all three voices
+// Initial positions matching voice roles (cycling for voices past the trio):
+// Y=0 is bottom, Y=1 is top
+const INITIAL_POSITIONS = [
+    { x: 0.5, y: 0.5 },   // Root: center
+    { x: 0.3, y: 0.6 },   // Third: upper-left
+    { x: 0.7, y: 0.4 }    // Fifth: lower-right
+];
+
+// One pad for a voice, appended to the container
+export function createXYPad(containerElement, voiceId, options = {}) {
+    // Create XY pad directly in container (no more voice-column wrapper)
+    const padElement = document.createElement('div');
+    padElement.className = 'xy-pad';
+    padElement.dataset.voiceId = voiceId;
+    padElement.dataset.role = voiceId % INITIAL_POSITIONS.length;
+
+    containerElement.appendChild(padElement);
+
+    const initial = INITIAL_POSITIONS[voiceId % INITIAL_POSITIONS.length];
+    return new XYPad(padElement, {
+        voiceId,
+        initialX: initial.x,
+        initialY: initial.y,
+        ...options,
+        onMove: (data) => options.onMove?.(data),
+        onGestureFlick: (data) => options.onGestureFlick?.(data),
+        onGestureLongPress: (data) => options.onGestureLongPress?.(data),
+        onGestureTap: (data) => options.onGestureTap?.(data),
+        onGestureOrbit: (data) => options.onGestureOrbit?.(data)
+    });
+}
+
+// options.count: number of pads (default: the trio)
 export function createXYPads(containerElement, options = {}) {
+    const { count = 3, ...padOptions } = options;
     const pads = [];
 
-    // Initial positions matching voice roles:
-    // Y=0 is bottom, Y=1 is top
-    const initialPositions = [
-        { x: 0.5, y: 0.5 },   // Root: center
-        { x: 0.3, y: 0.6 },   // Third: upper-left
-        { x: 0.7, y: 0.4 }    // Fifth: lower-right
-    ];
-
-    for (let i = 0; i < 3; i++) {
-        // Create XY pad directly in container (no more voice-column wrapper)
-        const padElement = document.createElement('div');
-        padElement.className = 'xy-pad';
-        padElement.dataset.voiceId = i;
-
-        containerElement.appendChild(padElement);
-
-        const pad = new XYPad(padElement, {
-            voiceId: i,
-            initialX: initialPositions[i].x,
-            initialY: initialPositions[i].y,
-            ...options,
-            onMove: (data) => options.onMove?.(data),
-            onGestureFlick: (data) => options.onGestureFlick?.(data),
-            onGestureLongPress: (data) => options.onGestureLongPress?.(data),
-            onGestureTap: (data) => options.onGestureTap?.(data),
-            onGestureOrbit: (data) => options.onGestureOrbit?.(data)
-        });
-
-        pads.push(pad);
+    for (let i = 0; i < count; i++) {
+        pads.push(createXYPad(containerElement, i, padOptions));
     }
 
     return pads;
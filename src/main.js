@@ -2,11 +2,20 @@
 // Gesture-driven Philip Glass-inspired synthesizer
 
 import { createGlassMachine } from './engine/GlassMachine.js';
-import { createXYPads } from './gestures/XYPad.js';
+import { createXYPad } from './gestures/XYPad.js';
 import { createGlobalGestureHandler } from './gestures/globalGestures.js';
 import { SCALES } from './engine/scales.js';
 import { POLYMETRIC_PRESETS, PHASE_PRESETS } from './engine/clockSystem.js';
 import { SYNC_DIVISIONS, LFO_SHAPES } from './engine/LFOBank.js';
+import { parseSession, stringifySession } from './engine/session.js';
+import { generateSeed } from './engine/random.js';
+import { EVOLUTION_ARCS } from './engine/Evolution.js';
+import { VOICE_ENGINES } from './voices/voiceEngines.js';
+import { PATTERN_SHAPES, PROCESS_REPEATS, MORPH_MODES, MORPH_RANGES, STEP_RANGES, MAX_STEPS, stepConditionOptions, TRILL_SHAPES, TRILL_RANGES } from './engine/patternEngine.js';
+import { createSessionLibrary } from './storage/sessionLibrary.js';
+import { encodeWAV } from './recording/wavEncoder.js';
+import { renderSession } from './recording/offlineRender.js';
+import { CURVES, invertCurve } from './midi/MidiCCMap.js';
 import './ui/styles.css';
 
 // App state
@@ -15,6 +24,9 @@ let xyPads = [];
 let globalGestures = null;
 let animationFrame = null;
 
+// Local session storage (IndexedDB)
+const sessionLibrary = createSessionLibrary({ onChange: () => renderSessionLibrary() });
+
 // DOM Elements
 const elements = {
     app: null,
@@ -34,7 +46,6 @@ const elements = {
     volumeSlider: null,
     polymetricSelect: null,
     phaseSelect: null,
-    voiceMutes: [],
     visualizerCanvas: null,
     transposeCells: [],
     transposeStepsSelect: null,
@@ -77,12 +88,18 @@ function createUI() {
                         <path d="M6 4h4v16H6V4zm8 0h4v16h-4V4z"/>
                     </svg>
                 </button>
+                <button class="btn rec-btn" id="rec-btn" title="Record">
+                    <svg viewBox="0 0 24 24" fill="currentColor">
+                        <circle cx="12" cy="12" r="6"/>
+                    </svg>
+                </button>
                 <button class="btn" id="reset-btn" title="Reset Clock">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <path d="M1 4v6h6"/>
                         <path d="M3.51 15a9 9 0 1 0 2.13-9.36L1 10"/>
                     </svg>
                 </button>
+                <button class="btn fill-btn" id="fill-btn" title="Fill (or long-press a pad)">FILL</button>
                 <button class="btn" id="settings-btn" title="Settings">
                     <svg viewBox="0 0 24 24" fill="none" stroke="currentColor" stroke-width="2">
                         <circle cx="12" cy="12" r="3"/>
@@ -115,312 +132,7 @@ function createUI() {
 
         <!-- Buchla Voice Panels -->
         <div class="buchla-voices" id="buchla-voices">
-            <!-- Voice 1 -->
-            <div class="buchla-panel" data-voice="0">
-                <div class="buchla-header">
-                    <button class="mute-btn" data-voice="0">V1</button>
-                    <span class="buchla-title">ROOT</span>
-                    <select class="copy-select" data-voice="0" title="Copy to...">
-                        <option value="">Copy→</option>
-                        <option value="1">→V2</option>
-                        <option value="2">→V3</option>
-                        <option value="1,2">→All</option>
-                    </select>
-                </div>
-                <div class="buchla-sections">
-                    <div class="buchla-section osc-section">
-                        <span class="section-label">OSC</span>
-                        <div class="octave-btns" data-voice="0">
-                            <button class="octave-btn" data-voice="0" data-oct="-2">-2</button>
-                            <button class="octave-btn" data-voice="0" data-oct="-1" class="active">-1</button>
-                            <button class="octave-btn" data-voice="0" data-oct="0">0</button>
-                            <button class="octave-btn" data-voice="0" data-oct="1">+1</button>
-                            <button class="octave-btn" data-voice="0" data-oct="2">+2</button>
-                        </div>
-                        <div class="wave-btns" data-voice="0">
-                            <button class="wave-btn active" data-voice="0" data-wave="sine" title="Sine">~</button>
-                            <button class="wave-btn" data-voice="0" data-wave="triangle" title="Triangle">△</button>
-                            <button class="wave-btn" data-voice="0" data-wave="sawtooth" title="Saw">⊿</button>
-                            <button class="wave-btn" data-voice="0" data-wave="square" title="Square">□</button>
-                        </div>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="0" data-param="fmRatio" min="0" max="100" value="25" title="FM Ratio">
-                                <span class="param-label">RATIO</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="0" data-param="fmIndex" min="0" max="100" value="20" title="FM Index">
-                                <span class="param-label">INDEX</span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="buchla-section fold-section">
-                        <span class="section-label">FOLD</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="0" data-param="foldAmount" min="0" max="100" value="0" title="Fold Amount">
-                                <span class="param-label">AMT</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="0" data-param="foldSymmetry" min="0" max="100" value="50" title="Fold Symmetry">
-                                <span class="param-label">SYM</span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="buchla-section lpg-section">
-                        <span class="section-label">LPG</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="0" data-param="lpgCutoff" min="0" max="100" value="50" title="Cutoff">
-                                <span class="param-label">CUT</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="0" data-param="lpgResonance" min="0" max="100" value="10" title="Resonance">
-                                <span class="param-label">RES</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="0" data-param="lpgResponse" min="0" max="100" value="50" title="Response">
-                                <span class="param-label">RSP</span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="buchla-section env-section">
-                        <span class="section-label">ENV</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="0" data-param="attack" min="0" max="100" value="5" title="Attack">
-                                <span class="param-label">ATK</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="0" data-param="decay" min="0" max="100" value="30" title="Decay">
-                                <span class="param-label">DCY</span>
-                            </div>
-                        </div>
-                        <div class="env-mode-btns" data-voice="0">
-                            <button class="env-mode-btn active" data-voice="0" data-mode="gate">Gate</button>
-                            <button class="env-mode-btn" data-voice="0" data-mode="trigger">Trig</button>
-                            <button class="env-mode-btn" data-voice="0" data-mode="drone">Drone</button>
-                        </div>
-                    </div>
-                    <div class="buchla-section out-section">
-                        <span class="section-label">OUT</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="0" data-param="level" min="0" max="100" value="80" title="Level">
-                                <span class="param-label">LVL</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="0" data-param="pan" min="0" max="100" value="30" title="Pan">
-                                <span class="param-label">PAN</span>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            <!-- Voice 2 -->
-            <div class="buchla-panel" data-voice="1">
-                <div class="buchla-header">
-                    <button class="mute-btn" data-voice="1">V2</button>
-                    <span class="buchla-title">THIRD</span>
-                    <select class="copy-select" data-voice="1" title="Copy to...">
-                        <option value="">Copy→</option>
-                        <option value="0">→V1</option>
-                        <option value="2">→V3</option>
-                        <option value="0,2">→All</option>
-                    </select>
-                </div>
-                <div class="buchla-sections">
-                    <div class="buchla-section osc-section">
-                        <span class="section-label">OSC</span>
-                        <div class="octave-btns" data-voice="1">
-                            <button class="octave-btn" data-voice="1" data-oct="-2">-2</button>
-                            <button class="octave-btn" data-voice="1" data-oct="-1">-1</button>
-                            <button class="octave-btn active" data-voice="1" data-oct="0">0</button>
-                            <button class="octave-btn" data-voice="1" data-oct="1">+1</button>
-                            <button class="octave-btn" data-voice="1" data-oct="2">+2</button>
-                        </div>
-                        <div class="wave-btns" data-voice="1">
-                            <button class="wave-btn active" data-voice="1" data-wave="sine" title="Sine">~</button>
-                            <button class="wave-btn" data-voice="1" data-wave="triangle" title="Triangle">△</button>
-                            <button class="wave-btn" data-voice="1" data-wave="sawtooth" title="Saw">⊿</button>
-                            <button class="wave-btn" data-voice="1" data-wave="square" title="Square">□</button>
-                        </div>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="1" data-param="fmRatio" min="0" max="100" value="38" title="FM Ratio">
-                                <span class="param-label">RATIO</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="1" data-param="fmIndex" min="0" max="100" value="15" title="FM Index">
-                                <span class="param-label">INDEX</span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="buchla-section fold-section">
-                        <span class="section-label">FOLD</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="1" data-param="foldAmount" min="0" max="100" value="0" title="Fold Amount">
-                                <span class="param-label">AMT</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="1" data-param="foldSymmetry" min="0" max="100" value="50" title="Fold Symmetry">
-                                <span class="param-label">SYM</span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="buchla-section lpg-section">
-                        <span class="section-label">LPG</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="1" data-param="lpgCutoff" min="0" max="100" value="60" title="Cutoff">
-                                <span class="param-label">CUT</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="1" data-param="lpgResonance" min="0" max="100" value="15" title="Resonance">
-                                <span class="param-label">RES</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="1" data-param="lpgResponse" min="0" max="100" value="40" title="Response">
-                                <span class="param-label">RSP</span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="buchla-section env-section">
-                        <span class="section-label">ENV</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="1" data-param="attack" min="0" max="100" value="10" title="Attack">
-                                <span class="param-label">ATK</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="1" data-param="decay" min="0" max="100" value="40" title="Decay">
-                                <span class="param-label">DCY</span>
-                            </div>
-                        </div>
-                        <div class="env-mode-btns" data-voice="1">
-                            <button class="env-mode-btn active" data-voice="1" data-mode="gate">Gate</button>
-                            <button class="env-mode-btn" data-voice="1" data-mode="trigger">Trig</button>
-                            <button class="env-mode-btn" data-voice="1" data-mode="drone">Drone</button>
-                        </div>
-                    </div>
-                    <div class="buchla-section out-section">
-                        <span class="section-label">OUT</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="1" data-param="level" min="0" max="100" value="80" title="Level">
-                                <span class="param-label">LVL</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="1" data-param="pan" min="0" max="100" value="50" title="Pan">
-                                <span class="param-label">PAN</span>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
-            <!-- Voice 3 -->
-            <div class="buchla-panel" data-voice="2">
-                <div class="buchla-header">
-                    <button class="mute-btn" data-voice="2">V3</button>
-                    <span class="buchla-title">FIFTH</span>
-                    <select class="copy-select" data-voice="2" title="Copy to...">
-                        <option value="">Copy→</option>
-                        <option value="0">→V1</option>
-                        <option value="1">→V2</option>
-                        <option value="0,1">→All</option>
-                    </select>
-                </div>
-                <div class="buchla-sections">
-                    <div class="buchla-section osc-section">
-                        <span class="section-label">OSC</span>
-                        <div class="octave-btns" data-voice="2">
-                            <button class="octave-btn" data-voice="2" data-oct="-2">-2</button>
-                            <button class="octave-btn" data-voice="2" data-oct="-1">-1</button>
-                            <button class="octave-btn active" data-voice="2" data-oct="0">0</button>
-                            <button class="octave-btn" data-voice="2" data-oct="1">+1</button>
-                            <button class="octave-btn" data-voice="2" data-oct="2">+2</button>
-                        </div>
-                        <div class="wave-btns" data-voice="2">
-                            <button class="wave-btn active" data-voice="2" data-wave="sine" title="Sine">~</button>
-                            <button class="wave-btn" data-voice="2" data-wave="triangle" title="Triangle">△</button>
-                            <button class="wave-btn" data-voice="2" data-wave="sawtooth" title="Saw">⊿</button>
-                            <button class="wave-btn" data-voice="2" data-wave="square" title="Square">□</button>
-                        </div>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="2" data-param="fmRatio" min="0" max="100" value="50" title="FM Ratio">
-                                <span class="param-label">RATIO</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="2" data-param="fmIndex" min="0" max="100" value="30" title="FM Index">
-                                <span class="param-label">INDEX</span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="buchla-section fold-section">
-                        <span class="section-label">FOLD</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="2" data-param="foldAmount" min="0" max="100" value="0" title="Fold Amount">
-                                <span class="param-label">AMT</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="2" data-param="foldSymmetry" min="0" max="100" value="50" title="Fold Symmetry">
-                                <span class="param-label">SYM</span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="buchla-section lpg-section">
-                        <span class="section-label">LPG</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="2" data-param="lpgCutoff" min="0" max="100" value="70" title="Cutoff">
-                                <span class="param-label">CUT</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="2" data-param="lpgResonance" min="0" max="100" value="5" title="Resonance">
-                                <span class="param-label">RES</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="2" data-param="lpgResponse" min="0" max="100" value="30" title="Response">
-                                <span class="param-label">RSP</span>
-                            </div>
-                        </div>
-                    </div>
-                    <div class="buchla-section env-section">
-                        <span class="section-label">ENV</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="2" data-param="attack" min="0" max="100" value="3" title="Attack">
-                                <span class="param-label">ATK</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="2" data-param="decay" min="0" max="100" value="25" title="Decay">
-                                <span class="param-label">DCY</span>
-                            </div>
-                        </div>
-                        <div class="env-mode-btns" data-voice="2">
-                            <button class="env-mode-btn" data-voice="2" data-mode="gate">Gate</button>
-                            <button class="env-mode-btn active" data-voice="2" data-mode="trigger">Trig</button>
-                            <button class="env-mode-btn" data-voice="2" data-mode="drone">Drone</button>
-                        </div>
-                    </div>
-                    <div class="buchla-section out-section">
-                        <span class="section-label">OUT</span>
-                        <div class="param-row">
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="2" data-param="level" min="0" max="100" value="75" title="Level">
-                                <span class="param-label">LVL</span>
-                            </div>
-                            <div class="param-knob">
-                                <input type="range" class="buchla-knob" data-voice="2" data-param="pan" min="0" max="100" value="70" title="Pan">
-                                <span class="param-label">PAN</span>
-                            </div>
-                        </div>
-                    </div>
-                </div>
-            </div>
+            <!-- One panel per voice (renderVoiceControls) -->
         </div>
 
         <!-- XY Pads -->
@@ -574,6 +286,19 @@ function createUI() {
                     </optgroup>
                 </select>
             </div>
+            <div class="control-group">
+                <label>Voices</label>
+                <select id="voice-count-select">
+                    <option value="1">1</option>
+                    <option value="2">2</option>
+                    <option value="3" selected>3</option>
+                    <option value="4">4</option>
+                    <option value="5">5</option>
+                    <option value="6">6</option>
+                    <option value="7">7</option>
+                    <option value="8">8</option>
+                </select>
+            </div>
         </div>
 
 
@@ -633,18 +358,6 @@ function createUI() {
                 <div class="fx-section fx-sends">
                     <span class="fx-section-label">SEND</span>
                     <div class="fx-send-controls">
-                        <div class="fx-send">
-                            <span class="fx-send-label">V1</span>
-                            <input type="range" class="fx-send-slider" data-voice="0" min="0" max="100" value="0" title="Voice 1 Send">
-                        </div>
-                        <div class="fx-send">
-                            <span class="fx-send-label">V2</span>
-                            <input type="range" class="fx-send-slider" data-voice="1" min="0" max="100" value="0" title="Voice 2 Send">
-                        </div>
-                        <div class="fx-send">
-                            <span class="fx-send-label">V3</span>
-                            <input type="range" class="fx-send-slider" data-voice="2" min="0" max="100" value="0" title="Voice 3 Send">
-                        </div>
                         <div class="fx-send insert-send">
                             <span class="fx-send-label insert-label">INS</span>
                             <input type="range" class="insert-send-slider" data-effect="nautilus" min="0" max="100" value="0" title="Insert FX Chain Send to Nautilus">
@@ -836,18 +549,6 @@ function createUI() {
                 <div class="fx-section basil-sends">
                     <span class="fx-section-label basil-section-label">SEND</span>
                     <div class="fx-send-controls">
-                        <div class="fx-send basil-send">
-                            <span class="fx-send-label">V1</span>
-                            <input type="range" class="basil-send-slider" data-voice="0" min="0" max="100" value="0" title="Voice 1 Send to Basil">
-                        </div>
-                        <div class="fx-send basil-send">
-                            <span class="fx-send-label">V2</span>
-                            <input type="range" class="basil-send-slider" data-voice="1" min="0" max="100" value="0" title="Voice 2 Send to Basil">
-                        </div>
-                        <div class="fx-send basil-send">
-                            <span class="fx-send-label">V3</span>
-                            <input type="range" class="basil-send-slider" data-voice="2" min="0" max="100" value="0" title="Voice 3 Send to Basil">
-                        </div>
                         <div class="fx-send basil-send insert-send">
                             <span class="fx-send-label insert-label">INS</span>
                             <input type="range" class="insert-send-slider" data-effect="basil" min="0" max="100" value="0" title="Insert FX Chain Send to Basil">
@@ -985,18 +686,6 @@ function createUI() {
                 <div class="fx-section fdnr-sends">
                     <span class="fx-section-label fdnr-section-label">SEND</span>
                     <div class="fx-send-controls">
-                        <div class="fx-send fdnr-send">
-                            <span class="fx-send-label">V1</span>
-                            <input type="range" class="fdnr-send-slider" data-voice="0" min="0" max="100" value="0" title="Voice 1 Send to FDNR">
-                        </div>
-                        <div class="fx-send fdnr-send">
-                            <span class="fx-send-label">V2</span>
-                            <input type="range" class="fdnr-send-slider" data-voice="1" min="0" max="100" value="0" title="Voice 2 Send to FDNR">
-                        </div>
-                        <div class="fx-send fdnr-send">
-                            <span class="fx-send-label">V3</span>
-                            <input type="range" class="fdnr-send-slider" data-voice="2" min="0" max="100" value="0" title="Voice 3 Send to FDNR">
-                        </div>
                         <div class="fx-send fdnr-send insert-send">
                             <span class="fx-send-label insert-label">INS</span>
                             <input type="range" class="insert-send-slider" data-effect="fdnr" min="0" max="100" value="0" title="Insert FX Chain Send to FDNR">
@@ -1793,10 +1482,144 @@ function createUI() {
                 <h3>Master Volume</h3>
                 <input type="range" id="volume-slider" min="0" max="100" value="80">
             </div>
+            <div class="settings-section">
+                <h3>Recording</h3>
+                <div class="settings-row">
+                    <label for="rec-quantize-select">Start/Stop</label>
+                    <select class="settings-select" id="rec-quantize-select">
+                        <option value="bar">On bar</option>
+                        <option value="free">Immediate</option>
+                    </select>
+                </div>
+                <div class="settings-row">
+                    <label for="rec-capture-select">Capture</label>
+                    <select class="settings-select" id="rec-capture-select">
+                        <option value="master">Master</option>
+                        <option value="stems">Master + stems</option>
+                    </select>
+                </div>
+                <div class="settings-row">
+                    <label for="rec-preroll-select">Pre-roll</label>
+                    <select class="settings-select" id="rec-preroll-select">
+                        <option value="0">Off</option>
+                        <option value="1">1 bar</option>
+                        <option value="2">2 bars</option>
+                    </select>
+                </div>
+                <div class="settings-row">
+                    <label for="render-bars-select">Offline render</label>
+                    <select class="settings-select" id="render-bars-select">
+                        <option value="4">4 bars</option>
+                        <option value="8" selected>8 bars</option>
+                        <option value="16">16 bars</option>
+                        <option value="32">32 bars</option>
+                        <option value="64">64 bars</option>
+                    </select>
+                </div>
+                <button class="randomize-btn" id="render-btn">Render WAV</button>
+                <button class="randomize-btn" id="midi-rec-btn">Record MIDI</button>
+            </div>
+            <div class="settings-section">
+                <h3>MIDI</h3>
+                <button class="randomize-btn" id="midi-enable-btn">Enable MIDI</button>
+                <div id="midi-settings" style="display:none;">
+                    <div class="settings-row">
+                        <label for="midi-clock-mode-select">Clock</label>
+                        <div class="settings-btn-row">
+                            <select class="settings-select" id="midi-clock-mode-select">
+                                <option value="off">Internal</option>
+                                <option value="send">Send</option>
+                                <option value="receive">Receive</option>
+                            </select>
+                            <select class="settings-select" id="midi-clock-port-select"></select>
+                        </div>
+                    </div>
+                    <div class="settings-row">
+                        <label for="midi-note-port-select">Keys in</label>
+                        <div class="settings-btn-row">
+                            <select class="settings-select" id="midi-note-port-select"></select>
+                            <select class="settings-select" id="midi-note-channel-select"></select>
+                        </div>
+                    </div>
+                    <div class="settings-row">
+                        <label for="midi-mpe-port-select">MPE in</label>
+                        <div class="settings-btn-row">
+                            <select class="settings-select" id="midi-mpe-port-select"></select>
+                            <select class="settings-select" id="midi-mpe-channel-select"></select>
+                        </div>
+                    </div>
+                    <div id="midi-out-routes"></div>
+                    <button class="randomize-btn" id="midi-learn-btn">MIDI Learn</button>
+                    <div class="midi-map-list" id="midi-map-list"></div>
+                </div>
+            </div>
+            <div class="settings-section">
+                <h3>Network</h3>
+                <input type="text" class="session-lib-input" id="relay-url-input" placeholder="ws://laptop:8080">
+                <button class="randomize-btn" id="relay-connect-btn">Connect</button>
+                <div class="settings-row">
+                    <label for="osc-enable-select">OSC control</label>
+                    <select class="settings-select" id="osc-enable-select">
+                        <option value="off">Off</option>
+                        <option value="on">On</option>
+                    </select>
+                </div>
+                <div class="settings-row">
+                    <label for="link-enable-select">Link sync</label>
+                    <select class="settings-select" id="link-enable-select">
+                        <option value="off">Off</option>
+                        <option value="on">On</option>
+                    </select>
+                </div>
+                <div class="settings-row">
+                    <label for="ensemble-role-select">Ensemble</label>
+                    <div class="settings-btn-row">
+                        <select class="settings-select" id="ensemble-role-select">
+                            <option value="off">Off</option>
+                            <option value="conductor">Conductor</option>
+                            <option value="player">Player</option>
+                        </select>
+                        <select class="settings-select" id="ensemble-voice-select">
+                            <option value="">All voices</option>
+                        </select>
+                    </div>
+                </div>
+            </div>
+            <div class="settings-section">
+                <h3>Evolution</h3>
+                <div class="settings-row">
+                    <label for="evolution-arc-select">Composer arc</label>
+                    <select class="settings-select" id="evolution-arc-select">
+                        <option value="">Off</option>
+                        ${Object.entries(EVOLUTION_ARCS).map(([key, arc]) => `<option value="${key}">${arc.name}</option>`).join('')}
+                    </select>
+                </div>
+                <div class="evolution-status" id="evolution-status"></div>
+            </div>
             <div class="settings-section">
                 <h3>Device Sensors</h3>
                 <button class="randomize-btn" id="calibrate-btn">Calibrate Tilt</button>
             </div>
+            <div class="settings-section">
+                <h3>Session</h3>
+                <div class="settings-btn-row">
+                    <button class="randomize-btn" id="session-export-btn">Export</button>
+                    <button class="randomize-btn" id="session-import-btn">Import</button>
+                </div>
+                <input type="file" id="session-file-input" accept="application/json,.json" style="display:none;">
+                <input type="text" class="session-lib-input" id="seed-input" placeholder="Random seed">
+                <button class="randomize-btn" id="seed-new-btn">New Seed</button>
+            </div>
+            <div class="settings-section">
+                <h3>Library</h3>
+                <input type="text" class="session-lib-input" id="session-name-input" placeholder="Session name">
+                <input type="text" class="session-lib-input" id="session-tags-input" placeholder="Tags (comma separated)">
+                <button class="randomize-btn" id="session-save-btn">Save to Library</button>
+                <select class="session-lib-filter" id="session-tag-filter">
+                    <option value="">All tags</option>
+                </select>
+                <div class="session-lib-list" id="session-lib-list"></div>
+            </div>
         </div>
     `;
 
@@ -1807,7 +1630,32 @@ function createUI() {
     elements.startScreen = document.getElementById('start-screen');
     elements.startBtn = document.getElementById('start-btn');
     elements.playBtn = document.getElementById('play-btn');
+    elements.fillBtn = document.getElementById('fill-btn');
     elements.resetBtn = document.getElementById('reset-btn');
+    elements.recBtn = document.getElementById('rec-btn');
+    elements.recQuantizeSelect = document.getElementById('rec-quantize-select');
+    elements.recPrerollSelect = document.getElementById('rec-preroll-select');
+    elements.recCaptureSelect = document.getElementById('rec-capture-select');
+    elements.renderBarsSelect = document.getElementById('render-bars-select');
+    elements.renderBtn = document.getElementById('render-btn');
+    elements.midiRecBtn = document.getElementById('midi-rec-btn');
+    elements.midiEnableBtn = document.getElementById('midi-enable-btn');
+    elements.midiSettings = document.getElementById('midi-settings');
+    elements.midiClockModeSelect = document.getElementById('midi-clock-mode-select');
+    elements.midiClockPortSelect = document.getElementById('midi-clock-port-select');
+    elements.midiNotePortSelect = document.getElementById('midi-note-port-select');
+    elements.midiNoteChannelSelect = document.getElementById('midi-note-channel-select');
+    elements.midiMpePortSelect = document.getElementById('midi-mpe-port-select');
+    elements.midiMpeChannelSelect = document.getElementById('midi-mpe-channel-select');
+    elements.midiLearnBtn = document.getElementById('midi-learn-btn');
+    elements.midiMapList = document.getElementById('midi-map-list');
+    elements.midiOutRoutes = document.getElementById('midi-out-routes');
+    elements.relayUrlInput = document.getElementById('relay-url-input');
+    elements.relayConnectBtn = document.getElementById('relay-connect-btn');
+    elements.oscEnableSelect = document.getElementById('osc-enable-select');
+    elements.linkEnableSelect = document.getElementById('link-enable-select');
+    elements.ensembleRoleSelect = document.getElementById('ensemble-role-select');
+    elements.ensembleVoiceSelect = document.getElementById('ensemble-voice-select');
     elements.settingsBtn = document.getElementById('settings-btn');
     elements.randomizeBtn = document.getElementById('randomize-btn');
     elements.settingsPanel = document.getElementById('settings-panel');
@@ -1821,18 +1669,27 @@ function createUI() {
     elements.polymetricSelect = document.getElementById('polymetric-select');
     elements.phaseSelect = document.getElementById('phase-select');
     elements.visualizerCanvas = document.getElementById('visualizer-canvas');
-    elements.voiceMutes = document.querySelectorAll('.mute-btn');
-    elements.copySelects = document.querySelectorAll('.copy-select');
     elements.transposeCells = document.querySelectorAll('.transpose-cell');
     elements.transposeStepsSelect = document.getElementById('transpose-steps');
     elements.transposeBarsSelect = document.getElementById('transpose-bars');
     elements.transposeClearBtn = document.getElementById('transpose-clear');
-
-    // Buchla panel elements
-    elements.buchlaKnobs = document.querySelectorAll('.buchla-knob');
-    elements.octaveBtns = document.querySelectorAll('.octave-btn');
-    elements.waveBtns = document.querySelectorAll('.wave-btn');
-    elements.envModeBtns = document.querySelectorAll('.env-mode-btn');
+    elements.sessionExportBtn = document.getElementById('session-export-btn');
+    elements.sessionImportBtn = document.getElementById('session-import-btn');
+    elements.sessionFileInput = document.getElementById('session-file-input');
+    elements.seedInput = document.getElementById('seed-input');
+    elements.seedNewBtn = document.getElementById('seed-new-btn');
+    elements.evolutionArcSelect = document.getElementById('evolution-arc-select');
+    elements.evolutionStatus = document.getElementById('evolution-status');
+    elements.sessionNameInput = document.getElementById('session-name-input');
+    elements.sessionTagsInput = document.getElementById('session-tags-input');
+    elements.sessionSaveBtn = document.getElementById('session-save-btn');
+    elements.sessionTagFilter = document.getElementById('session-tag-filter');
+    elements.sessionLibList = document.getElementById('session-lib-list');
+
+    // Buchla panels and per-voice send rows (re-rendered when voices are added or removed)
+    elements.buchlaVoices = document.getElementById('buchla-voices');
+    elements.voiceCountSelect = document.getElementById('voice-count-select');
+    renderVoiceControls(parseInt(elements.voiceCountSelect.value));
 
     // Generate LFO bank rows
     const lfoBankContent = document.getElementById('lfo-bank-content');
@@ -1906,7 +1763,6 @@ function createUI() {
     // Cache FX Drawer element references
     elements.fxDrawerToggle = document.getElementById('fx-drawer-toggle');
     elements.fxDrawerContent = document.getElementById('fx-drawer-content');
-    elements.fxSendSliders = document.querySelectorAll('.fx-send-slider');
     elements.fxKnobs = document.querySelectorAll('.fx-knob');
     elements.fxResolution = document.querySelector('.fx-resolution');
     elements.fxDelayModeBtns = document.querySelectorAll('#delay-mode-btns .fx-mode-btn');
@@ -1921,7 +1777,6 @@ function createUI() {
     // Cache Basil Drawer element references
     elements.basilDrawerToggle = document.getElementById('basil-drawer-toggle');
     elements.basilDrawerContent = document.getElementById('basil-drawer-content');
-    elements.basilSendSliders = document.querySelectorAll('.basil-send-slider');
     elements.basilKnobs = document.querySelectorAll('.basil-knob');
     elements.basilSpeedBtns = document.querySelectorAll('#basil-speed-btns .basil-mode-btn');
     elements.basilLoFiBtn = document.getElementById('basil-lofi-btn');
@@ -1934,7 +1789,6 @@ function createUI() {
     // FDNR Reverb elements
     elements.fdnrDrawerToggle = document.getElementById('fdnr-drawer-toggle');
     elements.fdnrDrawerContent = document.getElementById('fdnr-drawer-content');
-    elements.fdnrSendSliders = document.querySelectorAll('.fdnr-send-slider');
     elements.fdnrModeSelect = document.getElementById('fdnr-mode-select');
     elements.fdnrKnobs = document.querySelectorAll('.fdnr-knob');
     elements.fdnrSyncSelect = document.getElementById('fdnr-sync-select');
@@ -2041,195 +1895,467 @@ function setupEventListeners() {
         glassMachine?.toggle();
     });
 
-    // Reset button - resets clock for all voices and modulation
-    elements.resetBtn.addEventListener('click', () => {
-        glassMachine?.reset();
-        // Visual feedback
-        elements.resetBtn.classList.add('pulse');
-        setTimeout(() => elements.resetBtn.classList.remove('pulse'), 300);
+    // Fill button - steps with a Fill condition play while it is lit
+    elements.fillBtn.addEventListener('click', () => {
+        glassMachine?.toggleFill();
     });
 
-    // Settings button
-    elements.settingsBtn.addEventListener('click', () => {
-        elements.settingsPanel.classList.toggle('open');
-    });
+    // Record button - arm/stop the recorder, download one 24-bit WAV per track when done
+    elements.recBtn.addEventListener('click', async () => {
+        if (!glassMachine?.isInitialized) return;
 
-    // Close settings when clicking outside
-    document.addEventListener('click', (e) => {
-        if (elements.settingsPanel.classList.contains('open') &&
-            !elements.settingsPanel.contains(e.target) &&
-            !elements.settingsBtn.contains(e.target)) {
-            elements.settingsPanel.classList.remove('open');
+        const state = glassMachine.getRecordState();
+        if (state === 'idle') {
+            glassMachine.startRecording();
+            return;
         }
-    });
+        if (state === 'stopping') return;
 
-    // Scale select
-    elements.scaleSelect.addEventListener('change', (e) => {
-        glassMachine?.setScale(e.target.value);
-    });
+        const take = await glassMachine.stopRecording();
+        if (!take || take.length === 0) return;
 
-    // Polymetric select
-    elements.polymetricSelect.addEventListener('change', (e) => {
-        glassMachine?.setPolymetricPreset(e.target.value);
+        const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+        for (const track of take.tracks) {
+            const suffix = track.name === 'master' ? '' : `-${track.name}`;
+            downloadBlob(encodeWAV(track.channels, take.sampleRate, 24), `glass-machine-${stamp}${suffix}.wav`);
+        }
     });
 
-    // Phase select
-    elements.phaseSelect.addEventListener('change', (e) => {
-        glassMachine?.setPhasePreset(e.target.value);
+    elements.recCaptureSelect?.addEventListener('change', (e) => {
+        glassMachine?.setRecordStems(e.target.value === 'stems');
     });
 
-    // BPM slider
-    elements.bpmSlider.addEventListener('input', (e) => {
-        glassMachine?.setBpm(parseInt(e.target.value));
-    });
+    // Offline render - bounce N bars of the current session faster than realtime
+    elements.renderBtn?.addEventListener('click', async () => {
+        if (!glassMachine?.isInitialized || elements.renderBtn.disabled) return;
 
-    // Volume slider
-    elements.volumeSlider.addEventListener('input', (e) => {
-        glassMachine?.setMasterVolume(parseInt(e.target.value) / 100);
-    });
+        const bars = parseInt(elements.renderBarsSelect.value);
+        elements.renderBtn.disabled = true;
 
-    // Root select
-    document.getElementById('root-select')?.addEventListener('change', (e) => {
-        glassMachine?.setRoot(parseInt(e.target.value));
+        try {
+            const session = await glassMachine.captureSession();
+            const result = await renderSession(session, {
+                bars,
+                sampleRate: glassMachine.ctx.sampleRate,
+                onProgress: (progress) => {
+                    elements.renderBtn.textContent = `Rendering… ${Math.round(progress * 100)}%`;
+                }
+            });
+            const stamp = session.savedAt.slice(0, 19).replace(/[:T]/g, '-');
+            downloadBlob(encodeWAV(result.channels, result.sampleRate, 24), `glass-machine-${stamp}-${bars}bars.wav`);
+        } catch (error) {
+            console.error('Offline render failed:', error);
+        } finally {
+            elements.renderBtn.disabled = false;
+            elements.renderBtn.textContent = 'Render WAV';
+        }
     });
 
-    // Voice mutes
-    elements.voiceMutes.forEach((btn) => {
-        btn.addEventListener('click', () => {
-            const voiceId = parseInt(btn.dataset.voice);
-            btn.classList.toggle('muted');
-            glassMachine?.setVoiceMuted(voiceId, btn.classList.contains('muted'));
-        });
-    });
+    // MIDI capture - record the generated notes, download a Standard MIDI File when stopped
+    elements.midiRecBtn?.addEventListener('click', async () => {
+        if (!glassMachine?.isInitialized || elements.midiRecBtn.disabled) return;
 
-    // Copy voice selects
-    elements.copySelects.forEach((select) => {
-        select.addEventListener('change', () => {
-            const sourceId = parseInt(select.dataset.voice);
-            const targetValue = select.value;
-            if (!targetValue) return; // Empty option selected
+        if (!glassMachine.isMidiCapturing()) {
+            glassMachine.startMidiCapture();
+            elements.midiRecBtn.textContent = 'Stop MIDI';
+            return;
+        }
 
-            // Parse target IDs (can be "1" or "0,2" for multiple)
-            const targetIds = targetValue.split(',').map(id => parseInt(id));
-            glassMachine?.copyVoice(sourceId, targetIds);
+        elements.midiRecBtn.disabled = true;
+        try {
+            const bytes = await glassMachine.stopMidiCapture();
+            if (bytes) {
+                const stamp = new Date().toISOString().slice(0, 19).replace(/[:T]/g, '-');
+                downloadBlob(new Blob([bytes], { type: 'audio/midi' }), `glass-machine-${stamp}.mid`);
+            }
+        } finally {
+            elements.midiRecBtn.disabled = false;
+            elements.midiRecBtn.textContent = 'Record MIDI';
+        }
+    });
 
-            // Reset select to default option
-            select.selectedIndex = 0;
+    // MIDI - request Web MIDI access, then show clock sync and per-voice note routing
+    elements.midiEnableBtn?.addEventListener('click', async () => {
+        if (!glassMachine?.isInitialized || glassMachine.midiAccess) return;
 
-            // Visual feedback on the source Buchla panel
-            const panel = select.closest('.buchla-panel');
-            panel?.classList.add('pulse');
-            setTimeout(() => panel?.classList.remove('pulse'), 300);
-        });
+        try {
+            await glassMachine.enableMidi({ onPortsChange: () => renderMidiSettings() });
+            elements.midiEnableBtn.style.display = 'none';
+            elements.midiSettings.style.display = '';
+            renderMidiSettings();
+        } catch (error) {
+            elements.midiEnableBtn.textContent = 'MIDI unavailable';
+            console.error('Failed to enable MIDI:', error);
+        }
+    });
+
+    // Clock sync - send lists output ports, receive lists input ports
+    const applyMidiClock = () => {
+        renderMidiClockPorts();
+        glassMachine?.setMidiClockMode(elements.midiClockModeSelect.value, elements.midiClockPortSelect.value || null);
+    };
+    elements.midiClockModeSelect?.addEventListener('change', applyMidiClock);
+    elements.midiClockPortSelect?.addEventListener('change', applyMidiClock);
+
+    // Keyboard input - lowest held note sets the root, the held chord re-voices the patterns
+    const applyMidiNoteInput = () => {
+        const channel = elements.midiNoteChannelSelect.value;
+        glassMachine?.setMidiNoteInput(elements.midiNotePortSelect.value || null, channel === '' ? null : parseInt(channel));
+    };
+    elements.midiNotePortSelect?.addEventListener('change', applyMidiNoteInput);
+    elements.midiNoteChannelSelect?.addEventListener('change', applyMidiNoteInput);
+
+    // MPE input - each voice plays pressure/slide/bend from its own channel, starting at the selected one
+    const applyMpeInput = () => {
+        if (!glassMachine) return;
+        const first = parseInt(elements.midiMpeChannelSelect.value);
+        const channels = glassMachine.voices.map((_, i) => first + i);
+        glassMachine.setMpeInput(elements.midiMpePortSelect.value || null, channels);
+    };
+    elements.midiMpePortSelect?.addEventListener('change', applyMpeInput);
+    elements.midiMpeChannelSelect?.addEventListener('change', applyMpeInput);
+
+    // Network - a relay (server/relay.mjs) on the local network carries OSC control and Link sync
+    if (elements.relayUrlInput) {
+        elements.relayUrlInput.value = `ws://${location.hostname || 'localhost'}:8080`;
+    }
+    const applyNetworkFeatures = () => {
+        const role = elements.ensembleRoleSelect.value;
+        const voice = elements.ensembleVoiceSelect.value;
+        // A player always plays one voice; a conductor may keep them all
+        if (role === 'player' && voice === '') {
+            elements.ensembleVoiceSelect.value = '0';
+        }
+
+        glassMachine.setOscEnabled(elements.oscEnableSelect.value === 'on');
+        glassMachine.setLinkEnabled(elements.linkEnableSelect.value === 'on');
+        glassMachine.setEnsembleRole(role, elements.ensembleVoiceSelect.value === '' ? null : parseInt(elements.ensembleVoiceSelect.value));
+
+        // The ensemble runs on Link sync
+        if (glassMachine.ensemble) {
+            elements.linkEnableSelect.value = 'on';
+        }
+        syncUIFromSession(glassMachine.getSessionState());
+    };
+    elements.relayConnectBtn?.addEventListener('click', () => {
+        if (!glassMachine?.isInitialized) return;
+
+        if (glassMachine.getRelayStatus() !== 'disconnected') {
+            glassMachine.disconnectRelay();
+            return;
+        }
+        try {
+            glassMachine.connectRelay(elements.relayUrlInput.value.trim());
+            applyNetworkFeatures();
+        } catch (error) {
+            console.error('Failed to connect to relay:', error);
+        }
+    });
+    elements.oscEnableSelect?.addEventListener('change', () => {
+        if (glassMachine?.relay) applyNetworkFeatures();
+    });
+    elements.linkEnableSelect?.addEventListener('change', () => {
+        if (glassMachine?.relay) applyNetworkFeatures();
+    });
+    elements.ensembleRoleSelect?.addEventListener('change', () => {
+        if (glassMachine?.relay) applyNetworkFeatures();
+    });
+    elements.ensembleVoiceSelect?.addEventListener('change', () => {
+        if (glassMachine?.relay) applyNetworkFeatures();
+    });
+
+    // MIDI learn - while active, tapping a control arms it and the next CC binds to it
+    elements.midiLearnBtn?.addEventListener('click', () => {
+        setMidiLearnMode(!document.body.classList.contains('midi-learning'));
+    });
+
+    document.addEventListener('pointerdown', (e) => {
+        if (!document.body.classList.contains('midi-learning')) return;
+
+        const el = e.target.closest(MIDI_LEARN_SELECTOR);
+        const descriptor = el && describeMidiControl(el, e);
+        if (!descriptor) return;
+
+        // Arm instead of moving the control
+        e.preventDefault();
+        e.stopPropagation();
+
+        document.querySelectorAll('.midi-learn-pending').forEach(c => c.classList.remove('midi-learn-pending'));
+        el.classList.add('midi-learn-pending');
+        glassMachine?.midiLearn(descriptor);
+    }, true);
+
+    // Touch input would still drag sliders and pads; swallow it on learnable controls while learning
+    document.addEventListener('touchstart', (e) => {
+        if (!document.body.classList.contains('midi-learning')) return;
+        if (!e.target.closest(MIDI_LEARN_SELECTOR)) return;
+        e.preventDefault();
+        e.stopPropagation();
+    }, { capture: true, passive: false });
+
+    // Mapping list - edit range/curve, delete
+    elements.midiMapList?.addEventListener('change', (e) => {
+        const index = parseInt(e.target.closest('[data-index]')?.dataset.index);
+        const field = e.target.dataset.field;
+        if (isNaN(index) || !field) return;
+
+        const value = field === 'curve' ? e.target.value : parseFloat(e.target.value);
+        glassMachine?.updateMidiMapping(index, { [field]: value });
+    });
+
+    elements.midiMapList?.addEventListener('click', (e) => {
+        const btn = e.target.closest('[data-action="delete"]');
+        if (!btn) return;
+        glassMachine?.removeMidiMapping(parseInt(btn.closest('[data-index]').dataset.index));
+    });
+
+    elements.midiOutRoutes?.addEventListener('change', (e) => {
+        const row = e.target.closest('[data-voice]');
+        if (!row || !glassMachine) return;
+
+        const portId = row.querySelector('[data-field="port"]').value || null;
+        const channel = parseInt(row.querySelector('[data-field="channel"]').value);
+        glassMachine.setVoiceMidiRoute(parseInt(row.dataset.voice), portId, channel);
+    });
+
+    elements.recQuantizeSelect?.addEventListener('change', (e) => {
+        glassMachine?.setRecordQuantize(e.target.value === 'bar');
+    });
+
+    elements.recPrerollSelect?.addEventListener('change', (e) => {
+        glassMachine?.setRecordPreroll(parseInt(e.target.value));
+    });
+
+    // Reset button - resets clock for all voices and modulation
+    elements.resetBtn.addEventListener('click', () => {
+        glassMachine?.reset();
+        // Visual feedback
+        elements.resetBtn.classList.add('pulse');
+        setTimeout(() => elements.resetBtn.classList.remove('pulse'), 300);
+    });
+
+    // Settings button
+    elements.settingsBtn.addEventListener('click', () => {
+        elements.settingsPanel.classList.toggle('open');
+    });
+
+    // Close settings when clicking outside
+    document.addEventListener('click', (e) => {
+        if (elements.settingsPanel.classList.contains('open') &&
+            !elements.settingsPanel.contains(e.target) &&
+            !elements.settingsBtn.contains(e.target)) {
+            elements.settingsPanel.classList.remove('open');
+        }
+    });
+
+    // Scale select
+    elements.scaleSelect.addEventListener('change', (e) => {
+        glassMachine?.setScale(e.target.value);
+    });
+
+    // Polymetric select
+    elements.polymetricSelect.addEventListener('change', (e) => {
+        glassMachine?.setPolymetricPreset(e.target.value);
+    });
+
+    // Phase select
+    elements.phaseSelect.addEventListener('change', (e) => {
+        glassMachine?.setPhasePreset(e.target.value);
+    });
+
+    // BPM slider
+    elements.bpmSlider.addEventListener('input', (e) => {
+        glassMachine?.setBpm(parseInt(e.target.value));
+    });
+
+    // Volume slider
+    elements.volumeSlider.addEventListener('input', (e) => {
+        glassMachine?.setMasterVolume(parseInt(e.target.value) / 100);
+    });
+
+    // Root select
+    document.getElementById('root-select')?.addEventListener('change', (e) => {
+        glassMachine?.setRoot(parseInt(e.target.value));
+    });
+
+    // Voice count
+    elements.voiceCountSelect?.addEventListener('change', async () => {
+        if (!glassMachine?.isInitialized) return;
+        try {
+            await glassMachine.setVoiceCount(parseInt(elements.voiceCountSelect.value));
+        } catch (error) {
+            console.error('Failed to change voice count:', error);
+        }
     });
 
     // === BUCHLA PANEL CONTROLS ===
+    // Panels are re-rendered when voices are added or removed, so listen on the container
 
-    // Buchla knob sliders
-    elements.buchlaKnobs.forEach((slider) => {
-        slider.addEventListener('input', () => {
-            const voiceId = parseInt(slider.dataset.voice);
-            const param = slider.dataset.param;
-            const rawValue = parseInt(slider.value);
+    elements.buchlaVoices.addEventListener('click', (e) => {
+        const btn = e.target.closest('button[data-voice]');
+        if (!btn) return;
+        const voiceId = parseInt(btn.dataset.voice);
 
-            // Convert slider 0-100 to actual values based on param
-            let value;
-            switch (param) {
-                case 'fmRatio':
-                    // 0.5 to 8 (exponential feel)
-                    value = 0.5 + (rawValue / 100) * 7.5;
-                    break;
-                case 'fmIndex':
-                    // 0 to 1
-                    value = rawValue / 100;
-                    break;
-                case 'foldAmount':
-                    // 0 to 1
-                    value = rawValue / 100;
-                    break;
-                case 'foldSymmetry':
-                    // 0 to 1
-                    value = rawValue / 100;
-                    break;
-                case 'lpgCutoff':
-                    // 50 to 12000 Hz (exponential)
-                    value = 50 * Math.pow(240, rawValue / 100);
-                    break;
-                case 'lpgResonance':
-                    // 0 to 20
-                    value = rawValue / 5;
-                    break;
-                case 'lpgResponse':
-                    // 0 to 1
-                    value = rawValue / 100;
-                    break;
-                case 'attack':
-                    // 0.001 to 2 seconds (exponential)
-                    value = 0.001 * Math.pow(2000, rawValue / 100);
-                    break;
-                case 'decay':
-                    // 0.001 to 4 seconds (exponential)
-                    value = 0.001 * Math.pow(4000, rawValue / 100);
-                    break;
-                case 'level':
-                    // 0 to 1
-                    value = rawValue / 100;
-                    break;
-                case 'pan':
-                    // -1 to 1
-                    value = (rawValue / 50) - 1;
-                    break;
-                default:
-                    value = rawValue / 100;
+        // Voice mute
+        if (btn.classList.contains('mute-btn')) {
+            btn.classList.toggle('muted');
+            glassMachine?.setVoiceMuted(voiceId, btn.classList.contains('muted'));
+            return;
+        }
+
+        // Trill on/off
+        if (btn.classList.contains('trill-btn')) {
+            btn.classList.toggle('active');
+            glassMachine?.setVoiceTrill(voiceId, { enabled: btn.classList.contains('active') });
+            return;
+        }
+
+        // Randomize and undo
+        if (btn.classList.contains('patch-btn')) {
+            if (btn.dataset.action === 'undo') {
+                glassMachine?.undoVoice(voiceId);
+            } else {
+                glassMachine?.randomizeVoice(voiceId);
             }
+            voicePatchChanged(btn);
+            return;
+        }
+
+        // Octave, waveform and envelope mode buttons: one active per group
+        const groups = {
+            'octave-btn': ['octave', () => parseInt(btn.dataset.oct)],
+            'wave-btn': ['carrierType', () => btn.dataset.wave],
+            'env-mode-btn': ['envMode', () => btn.dataset.mode]
+        };
+        const group = Object.keys(groups).find(cls => btn.classList.contains(cls));
+        if (!group) return;
 
-            glassMachine?.setVoiceParam(voiceId, param, value);
+        document.querySelectorAll(`.${group}[data-voice="${voiceId}"]`).forEach(b => {
+            b.classList.toggle('active', b === btn);
         });
+
+        const [param, value] = groups[group];
+        glassMachine?.setVoiceParam(voiceId, param, value());
     });
 
-    // Octave buttons
-    elements.octaveBtns.forEach((btn) => {
-        btn.addEventListener('click', () => {
-            const voiceId = parseInt(btn.dataset.voice);
-            const octave = parseInt(btn.dataset.oct);
+    // Trill knob sliders (native units: Hz, scale steps, skew)
+    elements.buchlaVoices.addEventListener('input', (e) => {
+        const slider = e.target;
+        if (!slider.matches('.trill-knob')) return;
 
-            // Update active state for this voice's octave buttons
-            document.querySelectorAll(`.octave-btn[data-voice="${voiceId}"]`).forEach(b => {
-                b.classList.toggle('active', b === btn);
-            });
+        glassMachine?.setVoiceTrill(parseInt(slider.dataset.voice), { [slider.dataset.trill]: parseFloat(slider.value) });
+    });
 
-            glassMachine?.setVoiceParam(voiceId, 'octave', octave);
-        });
+    // Buchla knob sliders
+    elements.buchlaVoices.addEventListener('input', (e) => {
+        const slider = e.target;
+        if (!slider.matches('.buchla-knob')) return;
+
+        const voiceId = parseInt(slider.dataset.voice);
+        const param = slider.dataset.param;
+        const value = buchlaSliderToParam(param, parseInt(slider.value));
+        glassMachine?.setVoiceParam(voiceId, param, value);
+    });
+
+    // Pattern shape selects and process repeats
+    elements.buchlaVoices.addEventListener('change', (e) => {
+        const control = e.target;
+        const voiceId = parseInt(control.dataset.voice);
+
+        if (control.matches('.pattern-shape-select')) {
+            glassMachine?.setVoicePatternShape(voiceId, control.value);
+            updateProcessStages();
+            syncStepEditor(voiceId, { patternShape: control.value, steps: glassMachine?.getVoiceSteps(voiceId) });
+        } else if (control.matches('.morph-length')) {
+            glassMachine?.setVoiceMorph(voiceId, { length: parseInt(control.value) || 0 });
+            control.value = glassMachine?.getVoiceMorph(voiceId)?.length ?? control.value;
+        } else if (control.matches('.morph-unit')) {
+            glassMachine?.setVoiceMorph(voiceId, { unit: control.value });
+        } else if (control.matches('.morph-mode')) {
+            glassMachine?.setVoiceMorph(voiceId, { mode: control.value });
+        } else if (control.matches('.step-count')) {
+            glassMachine?.setVoiceStepCount(voiceId, parseInt(control.value) || 1);
+            syncStepEditor(voiceId, { patternShape: 'steps', steps: glassMachine?.getVoiceSteps(voiceId) });
+        } else if (control.matches('.step-field')) {
+            const field = control.dataset.field;
+            let value;
+            if (field === 'tie') {
+                value = control.checked;
+            } else if (field === 'condition') {
+                value = control.value;
+            } else if (control.value === '') {
+                value = field === 'degree' ? null : undefined;
+            } else {
+                value = parseFloat(control.value) / (field === 'probability' ? 100 : 1);
+            }
+            glassMachine?.setVoiceStep(voiceId, parseInt(control.dataset.step), { [field]: value });
+
+            // Show the value as stored (clamped, rounded)
+            const steps = glassMachine?.getVoiceSteps(voiceId);
+            const step = steps?.[parseInt(control.dataset.step)];
+            if (step && field !== 'tie' && field !== 'condition') {
+                control.value = field === 'probability' ? Math.round(step.probability * 100) : step[field] ?? '';
+            }
+            if (steps) renderedSteps.set(control.closest('.step-editor'), JSON.stringify(steps));
+        } else if (control.matches('.process-repeats')) {
+            glassMachine?.setVoiceProcessRepeats(voiceId, parseInt(control.value) || PROCESS_REPEATS.min);
+            control.value = glassMachine?.getVoiceProcess(voiceId)?.repeats ?? control.value;
+        }
     });
 
-    // Waveform buttons
-    elements.waveBtns.forEach((btn) => {
-        btn.addEventListener('click', () => {
-            const voiceId = parseInt(btn.dataset.voice);
-            const wave = btn.dataset.wave;
+    // Trill shape selects
+    elements.buchlaVoices.addEventListener('change', (e) => {
+        const select = e.target;
+        if (!select.matches('.trill-shape-select')) return;
 
-            // Update active state for this voice's wave buttons
-            document.querySelectorAll(`.wave-btn[data-voice="${voiceId}"]`).forEach(b => {
-                b.classList.toggle('active', b === btn);
-            });
+        glassMachine?.setVoiceTrill(parseInt(select.dataset.voice), { shape: select.value });
+    });
+
+    // Voice engine selects
+    elements.buchlaVoices.addEventListener('change', (e) => {
+        const select = e.target;
+        if (!select.matches('.engine-select')) return;
 
-            glassMachine?.setVoiceParam(voiceId, 'carrierType', wave);
+        glassMachine?.setVoiceEngine(parseInt(select.dataset.voice), select.value).catch((error) => {
+            console.error('Failed to change voice engine:', error);
         });
     });
 
-    // Envelope mode buttons
-    elements.envModeBtns.forEach((btn) => {
-        btn.addEventListener('click', () => {
-            const voiceId = parseInt(btn.dataset.voice);
-            const mode = btn.dataset.mode;
+    // Mutate and breed selects (act once, then fall back to their label)
+    elements.buchlaVoices.addEventListener('change', (e) => {
+        const select = e.target;
+        if (!select.matches('.mutate-select, .breed-select') || !select.value) return;
 
-            // Update active state for this voice's env mode buttons
-            document.querySelectorAll(`.env-mode-btn[data-voice="${voiceId}"]`).forEach(b => {
-                b.classList.toggle('active', b === btn);
-            });
+        const voiceId = parseInt(select.dataset.voice);
+        if (select.matches('.mutate-select')) {
+            glassMachine?.mutateVoice(voiceId, parseFloat(select.value));
+        } else {
+            glassMachine?.breedVoices(voiceId, voiceId, parseInt(select.value));
+        }
+        select.selectedIndex = 0;
+        voicePatchChanged(select);
+    });
 
-            glassMachine?.setVoiceParam(voiceId, 'envMode', mode);
-        });
+    // Copy voice selects
+    elements.buchlaVoices.addEventListener('change', (e) => {
+        const select = e.target;
+        if (!select.matches('.copy-select')) return;
+
+        const sourceId = parseInt(select.dataset.voice);
+        const targetValue = select.value;
+        if (!targetValue) return; // Empty option selected
+
+        // Parse target IDs (can be "1" or "0,2" for multiple)
+        const targetIds = targetValue.split(',').map(id => parseInt(id));
+        glassMachine?.copyVoice(sourceId, targetIds);
+
+        // Reset select to default option
+        select.selectedIndex = 0;
+
+        // Visual feedback on the source Buchla panel
+        const panel = select.closest('.buchla-panel');
+        panel?.classList.add('pulse');
+        setTimeout(() => panel?.classList.remove('pulse'), 300);
     });
 
     // Transposition sequencer cells - drag to change value
@@ -2302,6 +2428,123 @@ function setupEventListeners() {
         globalGestures?.calibrateOrientation();
     });
 
+    // === RANDOM SEED ===
+
+    // Numbers are used as-is, any other text is hashed to a seed
+    elements.seedInput?.addEventListener('change', () => {
+        if (!glassMachine?.isInitialized) return;
+        const value = elements.seedInput.value.trim();
+        if (value) glassMachine.setSeed(value);
+        elements.seedInput.value = glassMachine.getSeed();
+    });
+
+    elements.seedNewBtn?.addEventListener('click', () => {
+        if (!glassMachine?.isInitialized) return;
+        glassMachine.setSeed(generateSeed());
+        elements.seedInput.value = glassMachine.getSeed();
+    });
+
+    // === EVOLUTION ===
+
+    elements.evolutionArcSelect?.addEventListener('change', () => {
+        if (!glassMachine?.isInitialized) return;
+        glassMachine.setEvolutionArc(elements.evolutionArcSelect.value || null);
+    });
+
+    // === SESSION EXPORT / IMPORT ===
+
+    elements.sessionExportBtn?.addEventListener('click', async () => {
+        if (!glassMachine?.isInitialized) return;
+        const session = await glassMachine.captureSession();
+        const blob = new Blob([stringifySession(session)], { type: 'application/json' });
+        const stamp = session.savedAt.slice(0, 19).replace(/[:T]/g, '-');
+        downloadBlob(blob, `glass-machine-${stamp}.json`);
+    });
+
+    elements.sessionImportBtn?.addEventListener('click', () => {
+        elements.sessionFileInput?.click();
+    });
+
+    elements.sessionFileInput?.addEventListener('change', async (e) => {
+        const file = e.target.files?.[0];
+        e.target.value = '';
+        if (!file || !glassMachine?.isInitialized) return;
+
+        try {
+            const session = parseSession(await file.text());
+            await glassMachine.restoreState(session);
+            syncUIFromSession(glassMachine.getSessionState());
+        } catch (error) {
+            console.error('Failed to import session:', error);
+        }
+    });
+
+    // === SESSION LIBRARY ===
+
+    elements.sessionSaveBtn?.addEventListener('click', async () => {
+        if (!glassMachine?.isInitialized) return;
+        try {
+            await sessionLibrary.save(await glassMachine.captureSession(), {
+                name: elements.sessionNameInput.value,
+                tags: elements.sessionTagsInput.value
+            });
+            elements.sessionNameInput.value = '';
+            elements.sessionTagsInput.value = '';
+        } catch (error) {
+            console.error('Failed to save session:', error);
+        }
+    });
+
+    elements.sessionTagFilter?.addEventListener('change', () => {
+        renderSessionLibrary();
+    });
+
+    // One delegated handler for the per-entry buttons
+    elements.sessionLibList?.addEventListener('click', async (e) => {
+        const btn = e.target.closest('.session-lib-btn');
+        if (!btn) return;
+        const { id, action } = btn.dataset;
+
+        try {
+            const record = action === 'load' ? await sessionLibrary.load(id) : await sessionLibrary.get(id);
+            if (!record) return;
+
+            switch (action) {
+                case 'load':
+                    if (!glassMachine?.isInitialized) return;
+                    await glassMachine.restoreState(record.session);
+                    syncUIFromSession(glassMachine.getSessionState());
+                    break;
+                case 'rename': {
+                    const name = prompt('Rename session', record.name);
+                    if (name !== null) await sessionLibrary.rename(id, name);
+                    break;
+                }
+                case 'duplicate':
+                    await sessionLibrary.duplicate(id);
+                    break;
+                case 'tag': {
+                    const tags = prompt('Tags (comma separated)', record.tags.join(', '));
+                    if (tags !== null) await sessionLibrary.setTags(id, tags);
+                    break;
+                }
+                case 'delete':
+                    if (confirm(`Delete "${record.name}"?`)) await sessionLibrary.delete(id);
+                    break;
+            }
+        } catch (error) {
+            console.error(`Session library ${action} failed:`, error);
+        }
+    });
+
+    // Autosave the working session when the app is backgrounded or closed
+    document.addEventListener('visibilitychange', () => {
+        if (document.visibilityState === 'hidden') autosaveSession();
+    });
+    window.addEventListener('pagehide', autosaveSession);
+
+    renderSessionLibrary();
+
     // === LFO Bank Controls ===
 
     // LFO Bank expand/collapse toggle
@@ -2400,40 +2643,19 @@ function setupEventListeners() {
         elements.fxDrawerToggle.textContent = elements.fxDrawerContent.classList.contains('collapsed') ? '▶' : '▼';
     });
 
-    // Voice send sliders
-    elements.fxSendSliders?.forEach((slider) => {
-        slider.addEventListener('input', () => {
-            const voiceId = parseInt(slider.dataset.voice);
-            const amount = parseInt(slider.value) / 100;
-            glassMachine?.setVoiceSendAmount(voiceId, amount);
-        });
+    // Voice send sliders (rows follow the voice count, so listen on the section)
+    document.querySelector('.fx-sends')?.addEventListener('input', (e) => {
+        if (!e.target.matches('.fx-send-slider')) return;
+        const voiceId = parseInt(e.target.dataset.voice);
+        const amount = parseInt(e.target.value) / 100;
+        glassMachine?.setVoiceSendAmount(voiceId, amount);
     });
 
     // FX parameter knobs (sliders)
     elements.fxKnobs?.forEach((slider) => {
         slider.addEventListener('input', () => {
             const param = slider.dataset.param;
-            let value;
-
-            switch (param) {
-                case 'sensors':
-                    // Integer 1-8
-                    value = parseInt(slider.value);
-                    break;
-                case 'mix':
-                case 'feedback':
-                case 'dispersal':
-                case 'reversal':
-                case 'depth':
-                case 'reverbMix':
-                    // 0-1 normalized
-                    value = parseInt(slider.value) / 100;
-                    break;
-                default:
-                    value = parseInt(slider.value) / 100;
-            }
-
-            glassMachine?.setSendEffectParam(param, value);
+            glassMachine?.setSendEffectParam(param, fxSliderToParam(param, parseInt(slider.value)));
         });
     });
 
@@ -2517,49 +2739,24 @@ function setupEventListeners() {
         elements.basilDrawerToggle.textContent = elements.basilDrawerContent.classList.contains('collapsed') ? '▶' : '▼';
     });
 
-    // Basil voice send sliders
-    elements.basilSendSliders?.forEach((slider) => {
-        slider.addEventListener('input', () => {
-            const voiceId = parseInt(slider.dataset.voice);
-            const amount = parseInt(slider.value) / 100;
-            glassMachine?.setVoiceBasilSend(voiceId, amount);
-        });
+    // Basil voice send sliders (rows follow the voice count, so listen on the section)
+    document.querySelector('.basil-sends')?.addEventListener('input', (e) => {
+        if (!e.target.matches('.basil-send-slider')) return;
+        const voiceId = parseInt(e.target.dataset.voice);
+        const amount = parseInt(e.target.value) / 100;
+        glassMachine?.setVoiceBasilSend(voiceId, amount);
     });
 
     // Basil parameter knobs (sliders)
     elements.basilKnobs?.forEach((slider) => {
         slider.addEventListener('input', () => {
             const param = slider.dataset.param;
-            let value;
+            let value = basilSliderToParam(param, parseInt(slider.value));
 
-            switch (param) {
-                case 'time':
-                case 'mix':
-                case 'stereo':
-                    // 0-1 normalized
-                    value = parseInt(slider.value) / 100;
-                    break;
-                case 'feedback':
-                    // -1 to 1 (negative = ping-pong mode)
-                    // For now, map 0-100 to positive range 0-1
-                    // Ping-pong mode is controlled by separate button
-                    value = parseInt(slider.value) / 100;
-                    if (elements.basilPingPongBtn?.classList.contains('active')) {
-                        value = -value;
-                    }
-                    break;
-                case 'fine':
-                    // -1 to 1
-                    value = (parseInt(slider.value) / 50) - 1;
-                    break;
-                case 'blur':
-                case 'filter':
-                case 'taps':
-                    // -1 to 1 (0-50 maps to -1 to 0, 50-100 maps to 0 to 1)
-                    value = (parseInt(slider.value) / 50) - 1;
-                    break;
-                default:
-                    value = parseInt(slider.value) / 100;
+            // Feedback: -1 to 1 (negative = ping-pong mode)
+            // The slider sets the amount, ping-pong mode is controlled by separate button
+            if (param === 'feedback' && elements.basilPingPongBtn?.classList.contains('active')) {
+                value = -value;
             }
 
             glassMachine?.setBasilParam(param, value);
@@ -2637,13 +2834,12 @@ function setupEventListeners() {
         elements.fdnrDrawerToggle.textContent = elements.fdnrDrawerContent.classList.contains('collapsed') ? '▶' : '▼';
     });
 
-    // FDNR voice send sliders
-    elements.fdnrSendSliders?.forEach((slider) => {
-        slider.addEventListener('input', () => {
-            const voiceId = parseInt(slider.dataset.voice);
-            const amount = parseInt(slider.value) / 100;
-            glassMachine?.setVoiceFDNRSend(voiceId, amount);
-        });
+    // FDNR voice send sliders (rows follow the voice count, so listen on the section)
+    document.querySelector('.fdnr-sends')?.addEventListener('input', (e) => {
+        if (!e.target.matches('.fdnr-send-slider')) return;
+        const voiceId = parseInt(e.target.dataset.voice);
+        const amount = parseInt(e.target.value) / 100;
+        glassMachine?.setVoiceFDNRSend(voiceId, amount);
     });
 
     // FDNR mode selector
@@ -2658,30 +2854,7 @@ function setupEventListeners() {
     elements.fdnrKnobs?.forEach((slider) => {
         slider.addEventListener('input', () => {
             const param = slider.dataset.param;
-            let value;
-
-            switch (param) {
-                case 'modRate':
-                    // 0-500 maps to 0-5 Hz
-                    value = parseInt(slider.value) / 100;
-                    break;
-                case 'delay':
-                    // Direct ms value (0-1000)
-                    value = parseInt(slider.value);
-                    break;
-                case 'eq3Low':
-                case 'eq3Mid':
-                case 'eq3High':
-                case 'gateThresh':
-                    // Direct dB values (can be negative)
-                    value = parseInt(slider.value);
-                    break;
-                default:
-                    // Most params are 0-100
-                    value = parseInt(slider.value);
-            }
-
-            glassMachine?.setFDNRParam(param, value);
+            glassMachine?.setFDNRParam(param, fdnrSliderToParam(param, parseInt(slider.value)));
         });
     });
 
@@ -3416,15 +3589,40 @@ async function handleStart() {
     // 120 BPM is standard - with division 4, that's 8 Hz (musical trill range)
     glassMachine = createGlassMachine({
         bpm: 120,
+        voiceCount: parseInt(elements.voiceCountSelect.value),
         rootMidi: 48,
         scaleName: 'major',
         onStateChange: updateUI,
-        onTransposeStep: updateTransposeHighlight
+        onTransposeStep: updateTransposeHighlight,
+        onRecordStateChange: updateRecordButton,
+        onMidiControl: updateMidiMappedControl,
+        onMidiMappingsChange: renderMidiMappings,
+        onRelayStatusChange: updateRelayButton,
+        onOscMessage: (address, args, handled) => handled && scheduleRemoteUISync(),
+        onEnsembleChange: scheduleRemoteUISync,
+        onVoicesChange: handleVoicesChange,
+        onEvolutionChange: handleEvolutionChange,
+        onFillChange: (active) => elements.fillBtn.classList.toggle('active', active)
     });
 
     // Initialize audio
     await glassMachine.initialize();
 
+    // Recorder options chosen before the engine existed
+    glassMachine.setRecordQuantize(elements.recQuantizeSelect.value === 'bar');
+    glassMachine.setRecordPreroll(parseInt(elements.recPrerollSelect.value));
+    glassMachine.setRecordStems(elements.recCaptureSelect.value === 'stems');
+
+    // Pick up where the last visit left off
+    try {
+        const autosave = await sessionLibrary.loadAutosave();
+        if (autosave) {
+            await glassMachine.restoreState(autosave);
+        }
+    } catch (error) {
+        console.error('Failed to restore autosaved session:', error);
+    }
+
     // Set up Morphagene param change callback to sync UI
     const morphagene = glassMachine.getMorphageneEffect();
     if (morphagene) {
@@ -3447,31 +3645,7 @@ async function handleStart() {
     }
 
     // Create XY pads
-    xyPads = createXYPads(elements.xyContainer, {
-        onMove: handleXYMove,
-        onGestureFlick: handleFlick,
-        onGestureLongPress: handleLongPress,
-        onGestureTap: handleTap,
-        onGestureOrbit: handleOrbit
-    });
-
-    // Add voice labels
-    document.querySelectorAll('.xy-pad').forEach((pad, i) => {
-        const label = document.createElement('span');
-        label.className = 'voice-label';
-        label.textContent = `Voice ${i + 1}`;
-        pad.appendChild(label);
-
-        const xLabel = document.createElement('span');
-        xLabel.className = 'axis-label x-label';
-        xLabel.textContent = 'Complexity';
-        pad.appendChild(xLabel);
-
-        const yLabel = document.createElement('span');
-        yLabel.className = 'axis-label y-label';
-        yLabel.textContent = 'Speed';
-        pad.appendChild(yLabel);
-    });
+    syncXYPads(glassMachine.voices.length);
 
     // Setup global gestures (handlers are optional - just log for now)
     globalGestures = createGlobalGestureHandler({
@@ -3500,6 +3674,7 @@ async function handleStart() {
 
     // Initialize LFO destination dropdowns
     refreshLFODestinations();
+    syncUIFromSession(glassMachine.getSessionState());
 
     // Start visualization loop
     startVisualization();
@@ -3523,14 +3698,9 @@ function handleFlick(data) {
     }
 }
 
-// Long press handler - switch to drone mode temporarily
-function handleLongPress(data) {
-    const voice = glassMachine?.voices[data.voiceId];
-    if (voice) {
-        // Could toggle drone mode or trigger a sustained note
-        // For now, just log - could implement sustained trigger
-        console.log('Long press on voice', data.voiceId);
-    }
+// Long press handler - toggle fill mode (global, whichever pad is held)
+function handleLongPress() {
+    glassMachine?.toggleFill();
 }
 
 // Tap handler - reset pattern to beginning
@@ -3616,6 +3786,43 @@ function updateUI(state) {
     elements.volumeSlider.value = Math.round(state.masterVolume * 100);
 }
 
+// Relay connect button shows the connection state
+function updateRelayButton(status) {
+    if (!elements.relayConnectBtn) return;
+    elements.relayConnectBtn.textContent = status === 'connected' ? 'Disconnect'
+        : status === 'connecting' ? 'Connecting…'
+        : 'Connect';
+}
+
+// Composer arc progress; the drifted knobs are picked up at the same time
+function handleEvolutionChange(state) {
+    if (elements.evolutionArcSelect) elements.evolutionArcSelect.value = state.arc || '';
+    if (elements.evolutionStatus) {
+        elements.evolutionStatus.textContent = state.enabled && state.section
+            ? `${state.section} · ${state.sectionIndex + 1}/${state.sectionCount} · ${Math.floor(state.elapsed / 60)} of ${state.duration / 60} min`
+            : '';
+    }
+    scheduleRemoteUISync();
+}
+
+// Remote control (OSC, ensemble conductor) changes the engine directly; refresh the controls once per frame
+let remoteUISyncPending = false;
+function scheduleRemoteUISync() {
+    if (remoteUISyncPending) return;
+    remoteUISyncPending = true;
+    requestAnimationFrame(() => {
+        remoteUISyncPending = false;
+        syncUIFromSession(glassMachine.getSessionState());
+    });
+}
+
+// Reflect master recorder state on the record button
+function updateRecordButton(state) {
+    elements.recBtn.classList.toggle('armed', state === 'armed');
+    elements.recBtn.classList.toggle('recording', state === 'recording' || state === 'stopping');
+    elements.recBtn.title = state === 'idle' ? 'Record' : 'Stop Recording';
+}
+
 // MIDI to note name helper
 function midiToNoteName(midi) {
     const notes = ['C', 'C#', 'D', 'D#', 'E', 'F', 'F#', 'G', 'G#', 'A', 'A#', 'B'];
@@ -3627,6 +3834,25 @@ function formatScaleName(name) {
     return name.replace(/([A-Z])/g, ' $1').trim();
 }
 
+// Additive/subtractive stage per voice panel, e.g. "+ 1-2-3  2/4"
+function updateProcessStages() {
+    if (!glassMachine) return;
+
+    document.querySelectorAll('.process-stage').forEach((label) => {
+        const voiceId = parseInt(label.dataset.voice);
+        const process = glassMachine.getVoiceProcess(voiceId);
+        const text = process
+            ? `${process.process === 'additive' ? '+' : '−'} ${Array.from({ length: process.length }, (_, i) => i + 1).join('-')}  ${process.repeat}/${process.repeats}`
+            : '';
+        if (label.textContent === text) return;
+
+        label.textContent = text;
+        label.title = process ? `Stage ${process.stage} of ${process.stageCount}` : '';
+        const repeatsInput = document.querySelector(`.process-repeats[data-voice="${voiceId}"]`);
+        if (repeatsInput) repeatsInput.disabled = !process;
+    });
+}
+
 // Visualization loop
 function startVisualization() {
     const canvas = elements.visualizerCanvas;
@@ -3643,6 +3869,8 @@ function startVisualization() {
     window.addEventListener('resize', resize);
 
     function draw() {
+        updateProcessStages();
+
         const width = canvas.width / window.devicePixelRatio;
         const height = canvas.height / window.devicePixelRatio;
 
@@ -3727,6 +3955,874 @@ function refreshLFODestinations() {
     });
 }
 
+// Trigger a browser download for a Blob
+function downloadBlob(blob, filename) {
+    const url = URL.createObjectURL(blob);
+    const link = document.createElement('a');
+    link.href = url;
+    link.download = filename;
+    document.body.appendChild(link);
+    link.click();
+    link.remove();
+    setTimeout(() => URL.revokeObjectURL(url), 1000);
+}
+
+// === VOICES ===
+
+// Panel defaults per trio role; voices past the trio start from their role's defaults
+const VOICE_ROLES = [
+    { title: 'ROOT', octave: -1, envMode: 'gate', knobs: { fmRatio: 25, fmIndex: 20, foldAmount: 0, foldSymmetry: 50, lpgCutoff: 50, lpgResonance: 10, lpgResponse: 50, attack: 5, decay: 30, level: 80, pan: 30 } },
+    { title: 'THIRD', octave: 0, envMode: 'gate', knobs: { fmRatio: 38, fmIndex: 15, foldAmount: 0, foldSymmetry: 50, lpgCutoff: 60, lpgResonance: 15, lpgResponse: 40, attack: 10, decay: 40, level: 80, pan: 50 } },
+    { title: 'FIFTH', octave: 0, envMode: 'trigger', knobs: { fmRatio: 50, fmIndex: 30, foldAmount: 0, foldSymmetry: 50, lpgCutoff: 70, lpgResonance: 5, lpgResponse: 30, attack: 3, decay: 25, level: 75, pan: 70 } }
+];
+
+// Per-voice send rows in the effect drawers
+const VOICE_SEND_ROWS = [
+    { section: '.fx-sends', slider: 'fx-send-slider', row: 'fx-send', title: '' },
+    { section: '.basil-sends', slider: 'basil-send-slider', row: 'fx-send basil-send', title: ' to Basil' },
+    { section: '.fdnr-sends', slider: 'fdnr-send-slider', row: 'fx-send fdnr-send', title: ' to FDNR' }
+];
+
+function buchlaPanelHTML(voiceId, count) {
+    const roleIndex = voiceId % VOICE_ROLES.length;
+    const role = VOICE_ROLES[roleIndex];
+    const round = Math.floor(voiceId / VOICE_ROLES.length);
+    const others = Array.from({ length: count }, (_, i) => i).filter(i => i !== voiceId);
+
+    const knob = (param, title, label) => `
+                            <div class="param-knob">
+                                <input type="range" class="buchla-knob" data-voice="${voiceId}" data-param="${param}" min="0" max="100" value="${role.knobs[param]}" title="${title}">
+                                <span class="param-label">${label}</span>
+                            </div>`;
+    const trillKnob = (name, title, label, step) => `
+                            <div class="param-knob">
+                                <input type="range" class="trill-knob" data-voice="${voiceId}" data-trill="${name}" min="${TRILL_RANGES[name].min}" max="${TRILL_RANGES[name].max}" step="${step}" title="${title}">
+                                <span class="param-label">${label}</span>
+                            </div>`;
+    const buttons = (cls, key, current, items) => items.map(([value, label, title]) => `
+                            <button class="${cls}${value === current ? ' active' : ''}" data-voice="${voiceId}" data-${key}="${value}"${title ? ` title="${title}"` : ''}>${label}</button>`).join('');
+
+    return `
+            <div class="buchla-panel" data-voice="${voiceId}" data-role="${roleIndex}">
+                <div class="buchla-header">
+                    <button class="mute-btn" data-voice="${voiceId}" data-role="${roleIndex}">V${voiceId + 1}</button>
+                    <span class="buchla-title">${role.title}${round > 0 ? ` ${round + 1}` : ''}</span>
+                    <select class="engine-select" data-voice="${voiceId}" title="Voice engine">
+                        ${Object.entries(VOICE_ENGINES).map(([key, engine]) => `<option value="${key}">${engine.name}</option>`).join('')}
+                    </select>
+                    <button class="patch-btn" data-voice="${voiceId}" data-action="randomize" title="Randomize patch">RND</button>
+                    <select class="mutate-select" data-voice="${voiceId}" title="Mutate patch">
+                        <option value="">Mut</option>
+                        ${[10, 30, 60].map(pct => `<option value="${pct / 100}">${pct}%</option>`).join('')}
+                    </select>
+                    <select class="breed-select" data-voice="${voiceId}" title="Breed with..."${others.length === 0 ? ' disabled' : ''}>
+                        <option value="">Breed</option>
+                        ${others.map(i => `<option value="${i}">×V${i + 1}</option>`).join('')}
+                    </select>
+                    <button class="patch-btn undo-btn" data-voice="${voiceId}" data-action="undo" title="Undo patch change" disabled>↶</button>
+                    <select class="copy-select" data-voice="${voiceId}" title="Copy to..."${others.length === 0 ? ' disabled' : ''}>
+                        <option value="">Copy→</option>
+                        ${others.map(i => `<option value="${i}">→V${i + 1}</option>`).join('')}
+                        ${others.length > 1 ? `<option value="${others.join(',')}">→All</option>` : ''}
+                    </select>
+                </div>
+                <div class="buchla-sections">
+                    <div class="buchla-section osc-section">
+                        <span class="section-label">OSC</span>
+                        <div class="octave-btns" data-voice="${voiceId}">${buttons('octave-btn', 'oct', role.octave, [
+                            [-2, '-2'], [-1, '-1'], [0, '0'], [1, '+1'], [2, '+2']
+                        ])}
+                        </div>
+                        <div class="wave-btns" data-voice="${voiceId}">${buttons('wave-btn', 'wave', 'sine', [
+                            ['sine', '~', 'Sine'], ['triangle', '△', 'Triangle'], ['sawtooth', '⊿', 'Saw'], ['square', '□', 'Square']
+                        ])}
+                        </div>
+                        <div class="param-row">${knob('fmRatio', 'FM Ratio', 'RATIO')}${knob('fmIndex', 'FM Index', 'INDEX')}
+                        </div>
+                    </div>
+                    <div class="buchla-section fold-section">
+                        <span class="section-label">FOLD</span>
+                        <div class="param-row">${knob('foldAmount', 'Fold Amount', 'AMT')}${knob('foldSymmetry', 'Fold Symmetry', 'SYM')}
+                        </div>
+                    </div>
+                    <div class="buchla-section lpg-section">
+                        <span class="section-label">LPG</span>
+                        <div class="param-row">${knob('lpgCutoff', 'Cutoff', 'CUT')}${knob('lpgResonance', 'Resonance', 'RES')}${knob('lpgResponse', 'Response', 'RSP')}
+                        </div>
+                    </div>
+                    <div class="buchla-section env-section">
+                        <span class="section-label">ENV</span>
+                        <div class="param-row">${knob('attack', 'Attack', 'ATK')}${knob('decay', 'Decay', 'DCY')}
+                        </div>
+                        <div class="env-mode-btns" data-voice="${voiceId}">${buttons('env-mode-btn', 'mode', role.envMode, [
+                            ['gate', 'Gate'], ['trigger', 'Trig'], ['drone', 'Drone']
+                        ])}
+                        </div>
+                    </div>
+                    <div class="buchla-section out-section">
+                        <span class="section-label">OUT</span>
+                        <div class="param-row">${knob('level', 'Level', 'LVL')}${knob('pan', 'Pan', 'PAN')}
+                        </div>
+                    </div>
+                    <div class="buchla-section trill-section">
+                        <span class="section-label">TRILL</span>
+                        <div class="trill-btns">
+                            <button class="trill-btn" data-voice="${voiceId}" title="Continuous trill">On</button>
+                            <select class="trill-shape-select" data-voice="${voiceId}" title="Trill shape">
+                                ${Object.entries(TRILL_SHAPES).map(([key, shape]) => `<option value="${key}">${shape.name}</option>`).join('')}
+                            </select>
+                        </div>
+                        <div class="param-row">${trillKnob('rate', 'Trill Rate (Hz)', 'RATE', 0.5)}${trillKnob('depth', 'Trill Depth (scale steps)', 'DPTH', 1)}${trillKnob('skew', 'Trill Skew', 'SKEW', 0.05)}
+                        </div>
+                    </div>
+                </div>
+                <div class="pattern-bar">
+                    <span class="section-label">PATTERN</span>
+                    <select class="pattern-shape-select" data-voice="${voiceId}" title="Pattern shape">
+                        ${Object.entries(PATTERN_SHAPES).map(([key, shape]) => `<option value="${key}">${shape.name}</option>`).join('')}
+                    </select>
+                    <input type="number" class="process-repeats" data-voice="${voiceId}" min="${PROCESS_REPEATS.min}" max="${PROCESS_REPEATS.max}" value="2" title="Repeats per stage" disabled>
+                    <span class="process-stage" data-voice="${voiceId}"></span>
+                    <span class="morph-controls" title="Morph into a new figure over...">
+                        <span class="section-label">MORPH</span>
+                        <input type="number" class="morph-length" data-voice="${voiceId}" min="${MORPH_RANGES.length.min}" max="${MORPH_RANGES.length.max}" value="1" title="Morph length (0: switch at once)">
+                        <select class="morph-unit" data-voice="${voiceId}" title="Morph length unit">
+                            <option value="bars">bars</option>
+                            <option value="steps">steps</option>
+                        </select>
+                        <select class="morph-mode" data-voice="${voiceId}" title="Morph mode">
+                            ${Object.entries(MORPH_MODES).map(([key, mode]) => `<option value="${key}">${mode.name}</option>`).join('')}
+                        </select>
+                    </span>
+                </div>
+                <div class="step-editor" data-voice="${voiceId}" hidden></div>
+            </div>`;
+}
+
+// Step editor rows: [field, label, title, input attributes]; probability is shown in percent
+const STEP_EDITOR_ROWS = [
+    ['degree', 'DEG', 'Scale degree above the voice root (empty: rest)', `min="${STEP_RANGES.degree.min}" max="${STEP_RANGES.degree.max}" step="1"`],
+    ['octave', 'OCT', 'Octave', `min="${STEP_RANGES.octave.min}" max="${STEP_RANGES.octave.max}" step="1"`],
+    ['velocity', 'VEL', 'Velocity (accent)', `min="${STEP_RANGES.velocity.min}" max="${STEP_RANGES.velocity.max}" step="0.1"`],
+    ['gate', 'GATE', 'Gate length', `min="${STEP_RANGES.gate.min}" max="${STEP_RANGES.gate.max}" step="0.1"`],
+    ['tie', 'TIE', 'Tie to the previous note', null],
+    ['ratchet', 'RAT', 'Ratchet (strikes per step)', `min="${STEP_RANGES.ratchet.min}" max="${STEP_RANGES.ratchet.max}" step="1"`],
+    ['condition', 'COND', 'Trig condition (a:b plays on pass a of every b)', null],
+    ['probability', 'PROB', 'Trig probability (%)', 'min="0" max="100" step="5"']
+];
+
+// Grid of step fields for one voice: a row per field, a column per step
+function stepEditorHTML(voiceId, steps, voiceCount) {
+    const conditions = stepConditionOptions(voiceCount);
+    const cell = (field, attrs, step, i) => {
+        if (field === 'condition') {
+            return `<select class="step-field" data-voice="${voiceId}" data-step="${i}" data-field="condition">${conditions.map(({ value, name }) =>
+                `<option value="${value}"${value === step.condition ? ' selected' : ''}>${name}</option>`).join('')}</select>`;
+        }
+        if (field === 'tie') {
+            return `<input type="checkbox" class="step-field" data-voice="${voiceId}" data-step="${i}" data-field="tie"${step.tie ? ' checked' : ''}>`;
+        }
+        const value = field === 'probability' ? Math.round(step.probability * 100) : step[field] ?? '';
+        return `<input type="number" class="step-field" data-voice="${voiceId}" data-step="${i}" data-field="${field}" ${attrs} value="${value}"${field === 'degree' ? ' placeholder="–"' : ''}>`;
+    };
+
+    return `
+                    <div class="step-grid" style="--steps: ${steps.length}">
+                        <label class="step-count-label">LEN <input type="number" class="step-count" data-voice="${voiceId}" min="1" max="${MAX_STEPS}" value="${steps.length}" title="Steps"></label>
+                        ${steps.map((_, i) => `<span class="step-index">${i + 1}</span>`).join('')}
+                        ${STEP_EDITOR_ROWS.map(([field, label, title, attrs]) => `
+                        <span class="step-row-label" title="${title}">${label}</span>
+                        ${steps.map((step, i) => cell(field, attrs, step, i)).join('')}`).join('')}
+                    </div>`;
+}
+
+// Show the step editor while a voice plays authored steps; rebuilt only when the steps changed
+// elsewhere (sessions, OSC, remote sync), so typing never loses focus
+const renderedSteps = new WeakMap();
+function syncStepEditor(voiceId, pattern) {
+    const editor = document.querySelector(`.step-editor[data-voice="${voiceId}"]`);
+    if (!editor) return;
+
+    editor.hidden = PATTERN_SHAPES[pattern?.patternShape]?.traverse !== 'steps' || !pattern.steps;
+    if (editor.hidden) return;
+
+    const json = JSON.stringify(pattern.steps);
+    if (renderedSteps.get(editor) === json) return;
+    renderedSteps.set(editor, json);
+    editor.innerHTML = stepEditorHTML(voiceId, pattern.steps, glassMachine?.voices.length || 1);
+}
+
+// A panel action rewrote the voice: show the new knobs and pulse the panel
+function voicePatchChanged(control) {
+    if (glassMachine) syncUIFromSession(glassMachine.getSessionState());
+
+    const panel = control.closest('.buchla-panel');
+    panel?.classList.add('pulse');
+    setTimeout(() => panel?.classList.remove('pulse'), 300);
+}
+
+// Buchla panels, effect send rows and ensemble voice choices for `count` voices
+function renderVoiceControls(count) {
+    elements.buchlaVoices.innerHTML = Array.from({ length: count }, (_, i) => buchlaPanelHTML(i, count)).join('');
+
+    for (const { section, slider, row, title } of VOICE_SEND_ROWS) {
+        const controls = document.querySelector(`${section} .fx-send-controls`);
+        if (!controls) continue;
+
+        controls.querySelectorAll(`.${slider}`).forEach(el => el.parentElement.remove());
+        controls.querySelector('.insert-send').insertAdjacentHTML('beforebegin', Array.from({ length: count }, (_, i) => `
+                        <div class="${row}">
+                            <span class="fx-send-label">V${i + 1}</span>
+                            <input type="range" class="${slider}" data-voice="${i}" min="0" max="100" value="0" title="Voice ${i + 1} Send${title}">
+                        </div>`).join(''));
+    }
+
+    // Keep the ensemble voice if it still exists
+    const select = elements.ensembleVoiceSelect;
+    if (select) {
+        const current = select.value;
+        select.innerHTML = '<option value="">All voices</option>' +
+            Array.from({ length: count }, (_, i) => `<option value="${i}">Voice ${i + 1}</option>`).join('');
+        select.value = current !== '' && parseInt(current) < count ? current : '';
+    }
+
+    if (elements.voiceCountSelect) elements.voiceCountSelect.value = count;
+}
+
+// XY pads follow the voice count (pads are created here at startup too)
+function syncXYPads(count) {
+    while (xyPads.length > count) {
+        const pad = xyPads.pop();
+        pad.dispose();
+        pad.element.remove();
+    }
+
+    while (xyPads.length < count) {
+        const pad = createXYPad(elements.xyContainer, xyPads.length, {
+            onMove: handleXYMove,
+            onGestureFlick: handleFlick,
+            onGestureLongPress: handleLongPress,
+            onGestureTap: handleTap,
+            onGestureOrbit: handleOrbit
+        });
+
+        // Voice and axis labels
+        const label = document.createElement('span');
+        label.className = 'voice-label';
+        label.textContent = `Voice ${pad.voiceId + 1}`;
+        pad.element.appendChild(label);
+
+        const xLabel = document.createElement('span');
+        xLabel.className = 'axis-label x-label';
+        xLabel.textContent = 'Complexity';
+        pad.element.appendChild(xLabel);
+
+        const yLabel = document.createElement('span');
+        yLabel.className = 'axis-label y-label';
+        yLabel.textContent = 'Speed';
+        pad.element.appendChild(yLabel);
+
+        xyPads.push(pad);
+    }
+}
+
+// Voices were added or removed (voice count control, session load, ensemble conductor)
+function handleVoicesChange(count) {
+    renderVoiceControls(count);
+    syncXYPads(count);
+    renderMidiOutRoutes();
+
+    // The MPE channel choices depend on the voice count
+    if (elements.midiMpeChannelSelect) {
+        elements.midiMpeChannelSelect.innerHTML = '';
+        renderMpeInput();
+    }
+
+    syncUIFromSession(glassMachine.getSessionState());
+}
+
+// Buchla knob slider (0-100) to parameter value
+function buchlaSliderToParam(param, rawValue) {
+    switch (param) {
+        case 'fmRatio':
+            // 0.5 to 8 (exponential feel)
+            return 0.5 + (rawValue / 100) * 7.5;
+        case 'fmIndex':
+            // 0 to 1
+            return rawValue / 100;
+        case 'foldAmount':
+            // 0 to 1
+            return rawValue / 100;
+        case 'foldSymmetry':
+            // 0 to 1
+            return rawValue / 100;
+        case 'lpgCutoff':
+            // 50 to 12000 Hz (exponential)
+            return 50 * Math.pow(240, rawValue / 100);
+        case 'lpgResonance':
+            // 0 to 20
+            return rawValue / 5;
+        case 'lpgResponse':
+            // 0 to 1
+            return rawValue / 100;
+        case 'attack':
+            // 0.001 to 2 seconds (exponential)
+            return 0.001 * Math.pow(2000, rawValue / 100);
+        case 'decay':
+            // 0.001 to 4 seconds (exponential)
+            return 0.001 * Math.pow(4000, rawValue / 100);
+        case 'level':
+            // 0 to 1
+            return rawValue / 100;
+        case 'pan':
+            // -1 to 1
+            return (rawValue / 50) - 1;
+        default:
+            return rawValue / 100;
+    }
+}
+
+// Nautilus/send FX knob slider to parameter value
+function fxSliderToParam(param, rawValue) {
+    switch (param) {
+        case 'sensors':
+            // Integer 1-8
+            return rawValue;
+        case 'mix':
+        case 'feedback':
+        case 'dispersal':
+        case 'reversal':
+        case 'depth':
+        case 'reverbMix':
+            // 0-1 normalized
+            return rawValue / 100;
+        default:
+            return rawValue / 100;
+    }
+}
+
+// Basil knob slider to parameter value (feedback is the unsigned amount)
+function basilSliderToParam(param, rawValue) {
+    switch (param) {
+        case 'time':
+        case 'mix':
+        case 'stereo':
+        case 'feedback':
+            // 0-1 normalized
+            return rawValue / 100;
+        case 'fine':
+            // -1 to 1
+            return (rawValue / 50) - 1;
+        case 'blur':
+        case 'filter':
+        case 'taps':
+            // -1 to 1 (0-50 maps to -1 to 0, 50-100 maps to 0 to 1)
+            return (rawValue / 50) - 1;
+        default:
+            return rawValue / 100;
+    }
+}
+
+// FDNR knob slider to parameter value
+function fdnrSliderToParam(param, rawValue) {
+    switch (param) {
+        case 'modRate':
+            // 0-500 maps to 0-5 Hz
+            return rawValue / 100;
+        case 'delay':
+            // Direct ms value (0-1000)
+            return rawValue;
+        case 'eq3Low':
+        case 'eq3Mid':
+        case 'eq3High':
+        case 'gateThresh':
+            // Direct dB values (can be negative)
+            return rawValue;
+        default:
+            // Most params are 0-100
+            return rawValue;
+    }
+}
+
+// Inverse of buchlaSliderToParam (value -> 0-100 slider)
+function buchlaParamToSlider(param, value) {
+    switch (param) {
+        case 'fmRatio':
+            return ((value - 0.5) / 7.5) * 100;
+        case 'lpgCutoff':
+            return 100 * Math.log(value / 50) / Math.log(240);
+        case 'lpgResonance':
+            return value * 5;
+        case 'attack':
+            return 100 * Math.log(value / 0.001) / Math.log(2000);
+        case 'decay':
+            return 100 * Math.log(value / 0.001) / Math.log(4000);
+        case 'pan':
+            return (value + 1) * 50;
+        default:
+            return value * 100;
+    }
+}
+
+// Bring the panels in line with a restored session
+function syncUIFromSession(session) {
+    if (!session) return;
+
+    const rootSelect = document.getElementById('root-select');
+    if (rootSelect) rootSelect.value = session.rootMidi;
+    elements.scaleSelect.value = session.scaleName;
+    elements.polymetricSelect.value = session.polymetricPreset;
+    elements.phaseSelect.value = session.phasePreset;
+    if (elements.seedInput) elements.seedInput.value = session.seed;
+    if (elements.evolutionArcSelect) elements.evolutionArcSelect.value = session.evolution || '';
+    if (elements.voiceCountSelect) elements.voiceCountSelect.value = session.voices.length;
+
+    // Buchla panels
+    session.voices.forEach((voice, voiceId) => {
+        const params = voice.params || {};
+        document.querySelectorAll(`.buchla-knob[data-voice="${voiceId}"]`).forEach((slider) => {
+            const value = params[slider.dataset.param];
+            if (typeof value === 'number') {
+                slider.value = Math.round(buchlaParamToSlider(slider.dataset.param, value));
+            }
+        });
+        document.querySelectorAll(`.octave-btn[data-voice="${voiceId}"]`).forEach((btn) => {
+            btn.classList.toggle('active', parseInt(btn.dataset.oct) === params.octave);
+        });
+        document.querySelectorAll(`.wave-btn[data-voice="${voiceId}"]`).forEach((btn) => {
+            btn.classList.toggle('active', btn.dataset.wave === params.carrierType);
+        });
+        document.querySelectorAll(`.env-mode-btn[data-voice="${voiceId}"]`).forEach((btn) => {
+            btn.classList.toggle('active', btn.dataset.mode === params.envMode);
+        });
+        document.querySelector(`.mute-btn[data-voice="${voiceId}"]`)?.classList.toggle('muted', !!voice.isMuted);
+
+        // Engine (the panel greys out what a modular engine doesn't have)
+        const engine = voice.engine || 'buchla';
+        const engineSelect = document.querySelector(`.engine-select[data-voice="${voiceId}"]`);
+        if (engineSelect) engineSelect.value = engine;
+        const panel = document.querySelector(`.buchla-panel[data-voice="${voiceId}"]`);
+        if (panel) panel.dataset.engine = engine;
+
+        // Pattern shape and process repeats
+        const shapeSelect = document.querySelector(`.pattern-shape-select[data-voice="${voiceId}"]`);
+        if (shapeSelect && voice.pattern?.patternShape) shapeSelect.value = voice.pattern.patternShape;
+        const repeatsInput = document.querySelector(`.process-repeats[data-voice="${voiceId}"]`);
+        if (repeatsInput && voice.pattern?.processRepeats) repeatsInput.value = voice.pattern.processRepeats;
+        syncStepEditor(voiceId, voice.pattern);
+
+        const morph = voice.pattern?.morph;
+        if (morph) {
+            const morphLength = document.querySelector(`.morph-length[data-voice="${voiceId}"]`);
+            if (morphLength) morphLength.value = morph.length;
+            const morphUnit = document.querySelector(`.morph-unit[data-voice="${voiceId}"]`);
+            if (morphUnit) morphUnit.value = morph.unit;
+            const morphMode = document.querySelector(`.morph-mode[data-voice="${voiceId}"]`);
+            if (morphMode) morphMode.value = morph.mode;
+        }
+
+        // Trill (saved with the pattern)
+        const trill = voice.pattern?.trill;
+        if (trill) {
+            document.querySelector(`.trill-btn[data-voice="${voiceId}"]`)?.classList.toggle('active', trill.enabled);
+            const trillShapeSelect = document.querySelector(`.trill-shape-select[data-voice="${voiceId}"]`);
+            if (trillShapeSelect) trillShapeSelect.value = trill.shape;
+            document.querySelectorAll(`.trill-knob[data-voice="${voiceId}"]`).forEach((slider) => {
+                slider.value = trill[slider.dataset.trill];
+            });
+        }
+
+        const undoBtn = document.querySelector(`.undo-btn[data-voice="${voiceId}"]`);
+        if (undoBtn) undoBtn.disabled = !glassMachine?.canUndoVoice(voiceId);
+    });
+
+    // Transposition sequencer
+    const transpose = session.transpose;
+    if (transpose) {
+        elements.transposeCells.forEach((cell, i) => {
+            const value = transpose.sequence[i] || 0;
+            cell.dataset.value = value;
+            cell.textContent = value > 0 ? `+${value}` : value;
+            cell.classList.toggle('positive', value > 0);
+            cell.classList.toggle('negative', value < 0);
+            cell.classList.toggle('hidden', i >= transpose.stepCount);
+        });
+        elements.transposeStepsSelect.value = transpose.stepCount;
+        elements.transposeBarsSelect.value = transpose.barsPerStep;
+    }
+
+    // LFO rows
+    refreshLFODestinations();
+    (session.lfoBank?.lfos || []).forEach((lfo, i) => {
+        document.querySelector(`.lfo-toggle[data-lfo="${i}"]`)?.classList.toggle('active', lfo.enabled);
+        const rate = document.querySelector(`.lfo-rate[data-lfo="${i}"]`);
+        if (rate) {
+            rate.value = Math.round(100 * Math.log(lfo.rate / 0.01) / Math.log(2000));
+            rate.parentElement.style.display = lfo.synced ? 'none' : 'flex';
+        }
+        const depth = document.querySelector(`.lfo-depth[data-lfo="${i}"]`);
+        if (depth) depth.value = Math.round(lfo.depth * 100);
+        const shape = document.querySelector(`.lfo-shape[data-lfo="${i}"]`);
+        if (shape) shape.value = lfo.shape;
+        const sync = document.querySelector(`.lfo-sync[data-lfo="${i}"]`);
+        if (sync) sync.value = lfo.synced ? 'sync' : 'free';
+        const syncDiv = document.querySelector(`.lfo-sync-div[data-lfo="${i}"]`);
+        if (syncDiv) {
+            syncDiv.value = String(lfo.syncDivision);
+            syncDiv.style.display = lfo.synced ? 'block' : 'none';
+        }
+        const polarity = document.querySelector(`.lfo-polarity[data-lfo="${i}"]`);
+        if (polarity) polarity.value = lfo.polarity;
+        lfo.destinations.forEach((dest, slot) => {
+            const select = document.querySelector(`.lfo-dest[data-lfo="${i}"][data-slot="${slot}"]`);
+            if (select) select.value = dest.id || '';
+        });
+    });
+
+    // Effect sends
+    const effects = session.sendBus?.effects || {};
+    const sendSliders = {
+        nautilus: '.fx-send-slider',
+        basil: '.basil-send-slider',
+        fdnr: '.fdnr-send-slider'
+    };
+    for (const [type, selector] of Object.entries(sendSliders)) {
+        document.querySelectorAll(selector).forEach((slider) => {
+            const amount = effects[type]?.voiceSends?.[parseInt(slider.dataset.voice)];
+            if (amount !== undefined) slider.value = Math.round(amount * 100);
+        });
+    }
+    elements.insertSendSliders?.forEach((slider) => {
+        const amount = effects[slider.dataset.effect]?.insertSend;
+        if (amount !== undefined) slider.value = Math.round(amount * 100);
+    });
+}
+
+// Store the working session so the next visit resumes it
+// Looper audio needs a worklet round trip, so on page close it is best effort
+function autosaveSession() {
+    if (!glassMachine?.isInitialized) return;
+    glassMachine.captureSession().then(session => sessionLibrary.saveAutosave(session)).catch((error) => {
+        console.error('Failed to autosave session:', error);
+    });
+}
+
+// Rebuild the session library list and tag filter
+async function renderSessionLibrary() {
+    const list = elements.sessionLibList;
+    const filter = elements.sessionTagFilter;
+    if (!list || !filter) return;
+
+    let records;
+    let tags;
+    try {
+        tags = await sessionLibrary.listTags();
+        if (filter.value && !tags.includes(filter.value)) filter.value = '';
+        records = await sessionLibrary.list(filter.value || null);
+    } catch (error) {
+        list.textContent = 'Library unavailable';
+        console.error('Failed to read session library:', error);
+        return;
+    }
+
+    const selected = filter.value;
+    filter.innerHTML = '<option value="">All tags</option>' +
+        tags.map(tag => `<option value="${escapeHTML(tag)}">${escapeHTML(tag)}</option>`).join('');
+    filter.value = selected;
+
+    if (records.length === 0) {
+        list.innerHTML = '<div class="session-lib-empty">No saved sessions</div>';
+        return;
+    }
+
+    const actions = [
+        ['load', 'Load'],
+        ['rename', 'Ren'],
+        ['duplicate', 'Dup'],
+        ['tag', 'Tag'],
+        ['delete', 'Del']
+    ];
+
+    list.innerHTML = records.map(record => `
+        <div class="session-lib-item">
+            <div class="session-lib-name">${escapeHTML(record.name)}</div>
+            <div class="session-lib-meta">
+                ${new Date(record.updatedAt).toLocaleString()}
+                ${record.tags.map(tag => `<span class="session-lib-tag">${escapeHTML(tag)}</span>`).join('')}
+            </div>
+            <div class="session-lib-actions">
+                ${actions.map(([action, label]) =>
+                    `<button class="session-lib-btn" data-action="${action}" data-id="${record.id}">${label}</button>`
+                ).join('')}
+            </div>
+        </div>
+    `).join('');
+}
+
+// Refresh every MIDI selector (ports come and go)
+function renderMidiSettings() {
+    renderMidiClockPorts();
+    renderMidiNoteInput();
+    renderMpeInput();
+    renderMidiOutRoutes();
+    renderMidiMappings();
+}
+
+// Port choices for the selected clock mode (keeps the current port if still connected)
+function renderMidiClockPorts() {
+    const select = elements.midiClockPortSelect;
+    if (!select || !glassMachine?.midiAccess) return;
+
+    const mode = elements.midiClockModeSelect.value;
+    const ports = mode === 'send' ? glassMachine.getMidiOutputs()
+        : mode === 'receive' ? glassMachine.getMidiInputs()
+        : [];
+    const selected = select.value;
+
+    select.innerHTML = ports.map(port =>
+        `<option value="${escapeHTML(port.id)}">${escapeHTML(port.name)}</option>`
+    ).join('');
+    select.disabled = ports.length === 0;
+    if (ports.some(port => port.id === selected)) {
+        select.value = selected;
+    }
+}
+
+// Keyboard input port/channel choices (keeps the current selection)
+function renderMidiNoteInput() {
+    const portSelect = elements.midiNotePortSelect;
+    const channelSelect = elements.midiNoteChannelSelect;
+    if (!portSelect || !glassMachine?.midiAccess) return;
+
+    const selected = glassMachine.midiNoteInput?.portId || '';
+    portSelect.innerHTML = '<option value="">Off</option>' + glassMachine.getMidiInputs().map(port =>
+        `<option value="${escapeHTML(port.id)}"${port.id === selected ? ' selected' : ''}>${escapeHTML(port.name)}</option>`
+    ).join('');
+
+    if (channelSelect.options.length === 0) {
+        channelSelect.innerHTML = '<option value="">Omni</option>' +
+            Array.from({ length: 16 }, (_, c) => `<option value="${c}">Ch ${c + 1}</option>`).join('');
+    }
+}
+
+// MPE input port and channel layout (voices take consecutive channels from the first)
+function renderMpeInput() {
+    const portSelect = elements.midiMpePortSelect;
+    const channelSelect = elements.midiMpeChannelSelect;
+    if (!portSelect || !glassMachine?.midiMpeInput) return;
+
+    const selected = glassMachine.midiMpeInput.portId || '';
+    portSelect.innerHTML = '<option value="">Off</option>' + glassMachine.getMidiInputs().map(port =>
+        `<option value="${escapeHTML(port.id)}"${port.id === selected ? ' selected' : ''}>${escapeHTML(port.name)}</option>`
+    ).join('');
+
+    if (channelSelect.options.length === 0) {
+        const count = glassMachine.voices.length;
+        const first = glassMachine.midiMpeInput.getChannels()[0];
+        channelSelect.innerHTML = Array.from({ length: 17 - count }, (_, c) =>
+            `<option value="${c}"${c === first ? ' selected' : ''}>Ch ${c + 1}-${c + count}</option>`
+        ).join('');
+    }
+}
+
+// Rebuild the per-voice MIDI out port/channel selectors (keeps current routes)
+function renderMidiOutRoutes() {
+    const container = elements.midiOutRoutes;
+    if (!container || !glassMachine?.midiAccess) return;
+
+    const ports = glassMachine.getMidiOutputs();
+    const channels = Array.from({ length: 16 }, (_, c) => c);
+
+    container.innerHTML = glassMachine.voices.map(voice => {
+        const route = glassMachine.midiOutput.getVoiceRoute(voice.id);
+        const portOptions = ['<option value="">Off</option>', ...ports.map(port =>
+            `<option value="${escapeHTML(port.id)}"${route?.portId === port.id ? ' selected' : ''}>${escapeHTML(port.name)}</option>`
+        )].join('');
+        const channelOptions = channels.map(c =>
+            `<option value="${c}"${(route?.channel ?? voice.id) === c ? ' selected' : ''}>Ch ${c + 1}</option>`
+        ).join('');
+
+        return `
+            <div class="settings-row" data-voice="${voice.id}">
+                <label>Voice ${voice.id + 1}</label>
+                <div class="settings-btn-row">
+                    <select class="settings-select" data-field="port">${portOptions}</select>
+                    <select class="settings-select" data-field="channel">${channelOptions}</select>
+                </div>
+            </div>
+        `;
+    }).join('');
+}
+
+// === MIDI LEARN ===
+
+// Learnable controls: the GlassMachine setter each drives, and its native slider -> value mapping
+// (min/max default to the slider's range; curve is the mapping's shape)
+const MIDI_LEARN_CONTROLS = {
+    '.buchla-knob': (el) => ({
+        target: { method: 'setVoiceParam', args: [parseInt(el.dataset.voice), el.dataset.param] },
+        toParam: (raw) => buchlaSliderToParam(el.dataset.param, raw),
+        curve: ['lpgCutoff', 'attack', 'decay'].includes(el.dataset.param) ? 'exp' : 'linear'
+    }),
+    '.lfo-rate': (el) => ({
+        target: { method: 'setLFORate', args: [parseInt(el.dataset.lfo)] },
+        toParam: (raw) => 0.01 * Math.pow(2000, raw / 100),
+        curve: 'exp'
+    }),
+    '.lfo-depth': (el) => ({
+        target: { method: 'setLFODepth', args: [parseInt(el.dataset.lfo)] }
+    }),
+    '.fx-send-slider': (el) => ({
+        target: { method: 'setVoiceSendAmount', args: [parseInt(el.dataset.voice), 'nautilus'] }
+    }),
+    '.basil-send-slider': (el) => ({
+        target: { method: 'setVoiceBasilSend', args: [parseInt(el.dataset.voice)] }
+    }),
+    '.fdnr-send-slider': (el) => ({
+        target: { method: 'setVoiceFDNRSend', args: [parseInt(el.dataset.voice)] }
+    }),
+    '.insert-send-slider': (el) => ({
+        target: { method: 'setInsertSendAmount', args: [el.dataset.effect] }
+    }),
+    '.fx-knob': (el) => ({
+        target: { method: 'setSendEffectParam', args: [el.dataset.param] },
+        toParam: (raw) => fxSliderToParam(el.dataset.param, raw)
+    }),
+    '.basil-knob': (el) => ({
+        target: { method: 'setBasilParam', args: [el.dataset.param] },
+        toParam: (raw) => basilSliderToParam(el.dataset.param, raw)
+    }),
+    '.fdnr-knob': (el) => ({
+        target: { method: 'setFDNRParam', args: [el.dataset.param] },
+        toParam: (raw) => fdnrSliderToParam(el.dataset.param, raw)
+    }),
+    '.databender-knob': (el) => ({
+        target: { method: 'setDataBenderParam', args: [el.dataset.param] }
+    }),
+    '.arbhar-knob': (el) => ({
+        target: { method: 'setArbharParam', args: [el.dataset.param] }
+    }),
+    '.morphagene-knob': (el) => ({
+        target: { method: 'setMorphageneParam', args: [el.dataset.param] }
+    }),
+    '.lubadh-knob': (el) => ({
+        target: { method: 'setLubadhParam', args: [el.dataset.param] }
+    }),
+    '#volume-slider': () => ({
+        target: { method: 'setMasterVolume', args: [] }
+    }),
+    '#bpm-slider': () => ({
+        target: { method: 'setBpm', args: [] },
+        toParam: (raw) => raw
+    })
+};
+
+const MIDI_LEARN_SELECTOR = [...Object.keys(MIDI_LEARN_CONTROLS), '.xy-pad'].join(', ');
+
+// Learn descriptor for a control: { target, control, min, max, curve }
+// XY pads: the lower half learns X (complexity), the upper half Y
+function describeMidiControl(el, event = null) {
+    if (el.classList.contains('xy-pad')) {
+        const voiceId = parseInt(el.dataset.voiceId);
+        let axis = 'x';
+        if (event) {
+            const rect = el.getBoundingClientRect();
+            axis = event.clientY < rect.top + rect.height / 2 ? 'y' : 'x';
+        }
+        return {
+            target: { method: 'setVoiceXYAxis', args: [voiceId, axis] },
+            control: `.xy-pad[data-voice-id="${voiceId}"]`,
+            min: 0,
+            max: 1,
+            curve: 'linear'
+        };
+    }
+
+    const selector = Object.keys(MIDI_LEARN_CONTROLS).find(sel => el.matches(sel));
+    if (!selector) return null;
+
+    const { target, toParam = (raw) => raw / 100, curve = 'linear' } = MIDI_LEARN_CONTROLS[selector](el);
+    const dataAttrs = Object.entries(el.dataset)
+        .map(([key, value]) => `[data-${key.replace(/[A-Z]/g, ch => `-${ch.toLowerCase()}`)}="${value}"]`)
+        .join('');
+
+    return {
+        target,
+        control: selector + dataAttrs,
+        min: toParam(parseFloat(el.min || 0)),
+        max: toParam(parseFloat(el.max || 100)),
+        curve
+    };
+}
+
+function setMidiLearnMode(active) {
+    document.body.classList.toggle('midi-learning', active);
+    elements.midiLearnBtn.textContent = active ? 'Done' : 'MIDI Learn';
+    if (!active) {
+        glassMachine?.cancelMidiLearn();
+        document.querySelectorAll('.midi-learn-pending').forEach(c => c.classList.remove('midi-learn-pending'));
+    }
+}
+
+// Move the mapped control to follow a CC (without re-sending it to the engine)
+function updateMidiMappedControl(mapping, value) {
+    const el = mapping?.control && document.querySelector(mapping.control);
+    if (!el) return;
+
+    if (mapping.target.method === 'setVoiceXYAxis') {
+        const [voiceId, axis] = mapping.target.args;
+        const pad = xyPads[voiceId];
+        pad?.showPosition(axis === 'x' ? value : pad.x, axis === 'y' ? value : pad.y);
+        return;
+    }
+
+    // Position from the control's own range, so custom mapping ranges still land correctly
+    const native = describeMidiControl(el);
+    const rawMin = parseFloat(el.min || 0);
+    const rawMax = parseFloat(el.max || 100);
+    el.value = rawMin + invertCurve(value, native.min, native.max, native.curve) * (rawMax - rawMin);
+}
+
+// Label for a mapping target, e.g. "VoiceParam 1 lpgCutoff"
+function midiTargetLabel(target) {
+    const args = target.args.map(arg => typeof arg === 'number' ? arg + 1 : arg);
+    return [target.method.replace(/^set/, ''), ...args].join(' ');
+}
+
+// Rebuild the mapping list (also clears the learn highlight once a CC is bound)
+function renderMidiMappings(mappings = glassMachine?.getMidiMappings() || []) {
+    document.querySelectorAll('.midi-learn-pending').forEach(c => c.classList.remove('midi-learn-pending'));
+
+    const list = elements.midiMapList;
+    if (!list) return;
+
+    if (mappings.length === 0) {
+        list.innerHTML = '<div class="session-lib-empty">No MIDI mappings</div>';
+        return;
+    }
+
+    list.innerHTML = mappings.map((mapping, index) => `
+        <div class="midi-map-item" data-index="${index}">
+            <div class="midi-map-name">CC ${mapping.cc} · Ch ${mapping.channel + 1} → ${escapeHTML(midiTargetLabel(mapping.target))}</div>
+            <div class="midi-map-controls">
+                <input type="number" class="midi-map-input" data-field="min" step="any" value="${+mapping.min.toFixed(4)}" title="Min">
+                <input type="number" class="midi-map-input" data-field="max" step="any" value="${+mapping.max.toFixed(4)}" title="Max">
+                <select class="settings-select" data-field="curve">
+                    ${CURVES.map(curve => `<option value="${curve}"${curve === mapping.curve ? ' selected' : ''}>${curve}</option>`).join('')}
+                </select>
+                <button class="session-lib-btn" data-action="delete">Del</button>
+            </div>
+        </div>
+    `).join('');
+}
+
+// Escape user text for innerHTML templates
+function escapeHTML(text) {
+    return String(text).replace(/[&<>"']/g, ch => ({
+        '&': '&amp;', '<': '&lt;', '>': '&gt;', '"': '&quot;', "'": '&#39;'
+    })[ch]);
+}
+
 // Cleanup on page unload
 window.addEventListener('beforeunload', () => {
     if (animationFrame) {
@@ -0,0 +1,201 @@
+// MIDI CC MAP
+// MIDI learn: control change messages bound to GlassMachine setter calls
+// A mapping is { channel, cc, target: { method, args }, control, min, max, curve }
+// The CC value is shaped by the curve into min..max and appended to target.args;
+// control is an opaque key the UI uses to follow mapped changes
+
+const CONTROL_CHANGE = 0xb0;
+
+export const CURVES = ['linear', 'exp', 'log'];
+
+// === CURVES ===
+// linear: straight line; exp: geometric between min and max (frequencies, times),
+// or x² when the range crosses zero; log: √x (fast start, fine control at the top)
+
+// 0-1 -> min..max
+export function applyCurve(x, min, max, curve = 'linear') {
+    x = Math.max(0, Math.min(1, x));
+    switch (curve) {
+        case 'exp':
+            if (min > 0 && max > 0) return min * Math.pow(max / min, x);
+            return min + (max - min) * x * x;
+        case 'log':
+            return min + (max - min) * Math.sqrt(x);
+        default:
+            return min + (max - min) * x;
+    }
+}
+
+// min..max -> 0-1
+export function invertCurve(value, min, max, curve = 'linear') {
+    if (max === min) return 0;
+
+    let x;
+    if (curve === 'exp' && min > 0 && max > 0) {
+        x = value > 0 ? Math.log(value / min) / Math.log(max / min) : 0;
+    } else {
+        const linear = (value - min) / (max - min);
+        x = curve === 'exp' ? Math.sqrt(Math.max(0, linear))
+            : curve === 'log' ? linear * linear
+            : linear;
+    }
+    return Math.max(0, Math.min(1, x));
+}
+
+export class MidiCCMap {
+    constructor(options = {}) {
+        this.mappings = [];
+
+        // Pending learn: { target, control, min, max, curve } waiting for a CC
+        this.learnTarget = null;
+
+        // Inputs we listen on (every connected input)
+        this.access = null;
+        this._inputs = [];
+        this._messageHandler = (e) => this._handleMessage(e.data);
+
+        // Callbacks
+        this.onControl = options.onControl || null;   // (target, value, mapping)
+        this.onChange = options.onChange || null;     // mappings added/edited/removed
+    }
+
+    // Listen for CCs on every input of a MIDIAccess
+    attach(access) {
+        this.access = access;
+        this.refreshInputs();
+    }
+
+    // Re-scan inputs (call when devices are connected or disconnected)
+    refreshInputs() {
+        this._detachInputs();
+        if (!this.access) return;
+
+        for (const input of this.access.inputs.values()) {
+            if (input.state === 'disconnected') continue;
+            input.addEventListener('midimessage', this._messageHandler);
+            input.open?.();
+            this._inputs.push(input);
+        }
+    }
+
+    _detachInputs() {
+        for (const input of this._inputs) {
+            input.removeEventListener('midimessage', this._messageHandler);
+        }
+        this._inputs = [];
+    }
+
+    // === LEARN ===
+
+    // Bind the next incoming CC to a target
+    learn(descriptor) {
+        this.learnTarget = {
+            target: descriptor.target,
+            control: descriptor.control ?? null,
+            min: descriptor.min ?? 0,
+            max: descriptor.max ?? 1,
+            curve: CURVES.includes(descriptor.curve) ? descriptor.curve : 'linear'
+        };
+    }
+
+    cancelLearn() {
+        this.learnTarget = null;
+    }
+
+    isLearning() {
+        return this.learnTarget !== null;
+    }
+
+    // === MAPPINGS ===
+
+    getMappings() {
+        return this.mappings.map(m => ({ ...m, target: { ...m.target, args: [...m.target.args] } }));
+    }
+
+    // Replace all mappings (session restore); invalid entries are dropped
+    setMappings(list) {
+        this.mappings = (Array.isArray(list) ? list : [])
+            .filter(m => m && m.target && typeof m.target.method === 'string' &&
+                Number.isInteger(m.channel) && Number.isInteger(m.cc))
+            .map(m => ({
+                channel: m.channel & 0x0f,
+                cc: m.cc & 0x7f,
+                target: { method: m.target.method, args: Array.isArray(m.target.args) ? [...m.target.args] : [] },
+                control: m.control ?? null,
+                min: Number(m.min) || 0,
+                max: Number.isFinite(Number(m.max)) ? Number(m.max) : 1,
+                curve: CURVES.includes(m.curve) ? m.curve : 'linear'
+            }));
+        this._notifyChange();
+    }
+
+    // Edit min/max/curve of a mapping
+    updateMapping(index, changes) {
+        const mapping = this.mappings[index];
+        if (!mapping) return;
+
+        if (Number.isFinite(changes.min)) mapping.min = changes.min;
+        if (Number.isFinite(changes.max)) mapping.max = changes.max;
+        if (CURVES.includes(changes.curve)) mapping.curve = changes.curve;
+        this._notifyChange();
+    }
+
+    removeMapping(index) {
+        if (index < 0 || index >= this.mappings.length) return;
+        this.mappings.splice(index, 1);
+        this._notifyChange();
+    }
+
+    _notifyChange() {
+        if (this.onChange) {
+            this.onChange(this.getMappings());
+        }
+    }
+
+    // === MESSAGES ===
+
+    _handleMessage(data) {
+        if (!data || (data[0] & 0xf0) !== CONTROL_CHANGE) return;
+
+        const channel = data[0] & 0x0f;
+        const cc = data[1] & 0x7f;
+        const x = (data[2] & 0x7f) / 127;
+
+        if (this.learnTarget) {
+            this._bind(channel, cc);
+        }
+
+        for (const mapping of this.mappings) {
+            if (mapping.channel !== channel || mapping.cc !== cc) continue;
+
+            const value = applyCurve(x, mapping.min, mapping.max, mapping.curve);
+            if (this.onControl) {
+                this.onControl(mapping.target, value, mapping);
+            }
+        }
+    }
+
+    // A target has one CC at a time; one CC can drive several targets
+    _bind(channel, cc) {
+        const learned = this.learnTarget;
+        this.learnTarget = null;
+
+        const key = JSON.stringify(learned.target);
+        this.mappings = this.mappings.filter(m => JSON.stringify(m.target) !== key);
+        this.mappings.push({ channel, cc, ...learned });
+        this._notifyChange();
+    }
+
+    // === CLEANUP ===
+
+    dispose() {
+        this._detachInputs();
+        this.access = null;
+        this.learnTarget = null;
+    }
+}
+
+// Factory function
+export function createMidiCCMap(options = {}) {
+    return new MidiCCMap(options);
+}
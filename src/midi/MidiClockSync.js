@@ -0,0 +1,257 @@
+// MIDI CLOCK SYNC
+// MIDI beat clock (24 PPQN) and transport for the MasterClock, in either direction
+// send: ticks are timestamped from the scheduler's lookahead window, plus Start/Continue/Stop
+//       and Song Position Pointer
+// receive: incoming ticks drive tempo and phase; Start/Continue/Stop/SPP drive the transport
+
+import { audioTimeToTimestamp, timestampToAudioTime } from './midiUtils.js';
+
+export const PPQN = 24;
+
+const CLOCK = 0xf8;
+const START = 0xfa;
+const CONTINUE = 0xfb;
+const STOP = 0xfc;
+const SONG_POSITION = 0xf2;
+
+// Ticks averaged for the incoming tempo estimate (one beat)
+const TEMPO_WINDOW = PPQN;
+const MIN_TEMPO_TICKS = 6;
+
+// The windowed estimate is smoothed further (exponential average over about a beat), and only
+// reaches the engine when it is this far (BPM) from the current tempo, at most once a beat
+const TEMPO_SMOOTHING = 1 / PPQN;
+const TEMPO_HYSTERESIS = 0.25;
+const TEMPO_UPDATE_TICKS = PPQN;
+
+// Fraction of the phase error removed per incoming tick; larger errors snap
+const PHASE_CORRECTION = 0.1;
+const PHASE_SNAP = 0.1;
+
+export class MidiClockSync {
+    // access: a MIDIAccess (shared with the other MIDI modules)
+    constructor(ctx, clock, access, options = {}) {
+        this.ctx = ctx;
+        this.clock = clock;
+        this.access = access;
+
+        // 'off' | 'send' | 'receive'
+        this.mode = 'off';
+        this.portId = null;
+        this._port = null;
+        this._messageHandler = (e) => this._handleMessage(e.data, e.timeStamp);
+
+        // === SEND ===
+        this._lastSentTick = -1;
+
+        // === RECEIVE ===
+        this._tickTimes = [];           // Recent tick audio times
+        this._tempo = null;             // Smoothed incoming tempo (BPM)
+        this._ticksSinceTempo = 0;      // Ticks since tempo was last pushed to the engine
+        this._tickCount = 0;            // Tick position (ticks since beat 0)
+        this._pendingStartBeat = null;  // Start/Continue waits for the next tick
+        this._songPositionBeats = 0;
+
+        // Transport callbacks (the engine owns start/stop and tempo)
+        this.onStart = options.onStart || null;     // (fromBeat, time)
+        this.onStop = options.onStop || null;
+        this.onTempo = options.onTempo || null;     // (bpm)
+    }
+
+    // Choose direction and port (input port for receive, output port for send)
+    setMode(mode, portId = null) {
+        this._detach();
+
+        this.mode = portId && (mode === 'send' || mode === 'receive') ? mode : 'off';
+        this.portId = this.mode === 'off' ? null : portId;
+
+        if (this.mode === 'send') {
+            this._port = this.access.outputs.get(portId) || null;
+            // Joining mid-song: tell the receiver where we are
+            if (this.clock.isRunning) {
+                this.transportStarted();
+            }
+        } else if (this.mode === 'receive') {
+            this._port = this.access.inputs.get(portId) || null;
+            if (this._port) {
+                this._port.addEventListener('midimessage', this._messageHandler);
+                this._port.open?.();
+            }
+            this._resetReceive();
+        }
+    }
+
+    getState() {
+        return { mode: this.mode, portId: this.portId };
+    }
+
+    isReceiving() {
+        return this.mode === 'receive' && this._port !== null;
+    }
+
+    _detach() {
+        if (this.mode === 'receive' && this._port) {
+            this._port.removeEventListener('midimessage', this._messageHandler);
+        }
+        if (this.mode === 'send' && this.clock.isRunning) {
+            this._send([STOP]);
+        }
+        this._port = null;
+    }
+
+    _send(data, time) {
+        if (this.mode !== 'send' || !this._port) return;
+        this._port.send(data, time === undefined ? undefined : audioTimeToTimestamp(this.ctx, time));
+    }
+
+    // === SEND ===
+
+    // Clock started (or restarted): Start from zero, or Song Position + Continue mid-song
+    transportStarted() {
+        if (this.mode !== 'send') return;
+
+        const beat = this.clock.getCurrentBeat();
+        const startTime = Math.max(this.clock.beatToTime(beat), this.ctx.currentTime);
+
+        if (beat < 1 / PPQN) {
+            this._send([START], startTime);
+            this._lastSentTick = -1;
+        } else {
+            // SPP counts sixteenths; ticks resume from the next sixteenth boundary
+            const sixteenths = Math.ceil(beat * 4);
+            this._send([SONG_POSITION, sixteenths & 0x7f, (sixteenths >> 7) & 0x7f]);
+            this._send([CONTINUE], this.clock.beatToTime(sixteenths / 4));
+            this._lastSentTick = sixteenths * (PPQN / 4) - 1;
+        }
+    }
+
+    transportStopped() {
+        this._send([STOP]);
+    }
+
+    // Scheduler pass: send every tick that falls in the lookahead window
+    schedule(currentTime, scheduleUntil) {
+        if (this.mode !== 'send' || !this._port) return;
+
+        while (true) {
+            const tick = this._lastSentTick + 1;
+            const time = this.clock.beatToTime(tick / PPQN);
+            if (time >= scheduleUntil) break;
+
+            this._send([CLOCK], Math.max(time, currentTime));
+            this._lastSentTick = tick;
+        }
+    }
+
+    // === RECEIVE ===
+
+    _resetReceive() {
+        this._resetTempo();
+        this._pendingStartBeat = null;
+    }
+
+    // Forget the tick window: many devices stop sending clock while stopped, and a window
+    // spanning the pause would read as a very slow tempo
+    _resetTempo() {
+        this._tickTimes = [];
+        this._tempo = null;
+        this._ticksSinceTempo = 0;
+    }
+
+    _handleMessage(data, timeStamp) {
+        if (!data || data.length === 0) return;
+
+        switch (data[0]) {
+            case CLOCK:
+                this._handleTick(timeStamp ? timestampToAudioTime(this.ctx, timeStamp) : this.ctx.currentTime);
+                break;
+
+            case START:
+                this._resetTempo();
+                this._songPositionBeats = 0;
+                this._pendingStartBeat = 0;
+                break;
+
+            case CONTINUE:
+                this._resetTempo();
+                this._pendingStartBeat = this._songPositionBeats;
+                break;
+
+            case STOP:
+                this._resetTempo();
+                this._pendingStartBeat = null;
+                this.onStop?.();
+                break;
+
+            case SONG_POSITION:
+                this._songPositionBeats = ((data[1] & 0x7f) | ((data[2] & 0x7f) << 7)) / 4;
+                if (!this.clock.isRunning) {
+                    this.clock.alignBeat(this._songPositionBeats, this.ctx.currentTime);
+                }
+                break;
+        }
+    }
+
+    _handleTick(time) {
+        this._tickTimes.push(time);
+        if (this._tickTimes.length > TEMPO_WINDOW + 1) {
+            this._tickTimes.shift();
+        }
+
+        // The first tick after Start/Continue is the downbeat of the song position
+        if (this._pendingStartBeat !== null) {
+            const beat = this._pendingStartBeat;
+            this._pendingStartBeat = null;
+            this._tickCount = Math.round(beat * PPQN);
+            this.onStart?.(beat, time);
+            return;
+        }
+
+        this._tickCount++;
+        if (!this.clock.isRunning) return;
+
+        this._updateTempo();
+        this._updatePhase(time);
+    }
+
+    // Average tick interval over the window, smoothed; pushed to the engine only on a real change
+    _updateTempo() {
+        this._ticksSinceTempo++;
+
+        const n = this._tickTimes.length;
+        if (n < MIN_TEMPO_TICKS) return;
+
+        const interval = (this._tickTimes[n - 1] - this._tickTimes[0]) / (n - 1);
+        if (interval <= 0) return;
+
+        const bpm = 60 / (interval * PPQN);
+        this._tempo = this._tempo === null ? bpm : this._tempo + (bpm - this._tempo) * TEMPO_SMOOTHING;
+
+        if (this._ticksSinceTempo >= TEMPO_UPDATE_TICKS &&
+            Math.abs(this._tempo - this.clock.bpm) > TEMPO_HYSTERESIS) {
+            this._ticksSinceTempo = 0;
+            this.onTempo?.(this._tempo);
+        }
+    }
+
+    // Pull the timeline toward the tick position
+    _updatePhase(time) {
+        const error = this.clock.beatToTime(this._tickCount / PPQN) - time;
+        const correction = Math.abs(error) > PHASE_SNAP ? error : error * PHASE_CORRECTION;
+        this.clock.startTime -= correction;
+    }
+
+    // === CLEANUP ===
+
+    dispose() {
+        this._detach();
+        this.mode = 'off';
+        this.portId = null;
+        this.access = null;
+    }
+}
+
+// Factory function
+export function createMidiClockSync(ctx, clock, access, options = {}) {
+    return new MidiClockSync(ctx, clock, access, options);
+}
@@ -0,0 +1,200 @@
+// MIDI MPE INPUT
+// Per-voice expression from an MPE controller (lower zone): each voice listens on its own
+// member channel. Channel pressure / polyphonic aftertouch -> pressure, CC74 -> slide,
+// pitch bend -> bend. The master channel's bend moves every voice; releasing a voice's
+// note returns its expression to rest. Patterns keep running - only expression is played.
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const POLY_PRESSURE = 0xa0;
+const CONTROL_CHANGE = 0xb0;
+const CHANNEL_PRESSURE = 0xd0;
+const PITCH_BEND = 0xe0;
+
+const SLIDE_CC = 74;
+const DATA_ENTRY = 6;
+const RPN_LSB = 100;
+const RPN_MSB = 101;
+const ALL_NOTES_OFF = 123;
+
+export const MASTER_CHANNEL = 0;
+export const DEFAULT_MEMBER_CHANNELS = [1, 2, 3];
+
+// MPE default pitch bend sensitivity (semitones); changed by RPN 0
+const DEFAULT_MEMBER_BEND_RANGE = 48;
+const DEFAULT_MASTER_BEND_RANGE = 2;
+
+export class MidiMpeInput {
+    // access: a MIDIAccess (shared with the other MIDI modules)
+    constructor(access, options = {}) {
+        this.access = access;
+
+        this.portId = null;
+        this._port = null;
+
+        // Voice index -> member channel (0-15)
+        this.channels = [...DEFAULT_MEMBER_CHANNELS];
+
+        // Bend sensitivity; RPN 0 on the master channel sets the master range,
+        // on any member channel it sets the range for all members
+        this.memberBendRange = DEFAULT_MEMBER_BEND_RANGE;
+        this.masterBendRange = DEFAULT_MASTER_BEND_RANGE;
+        this._rpn = new Map();          // channel -> [msb, lsb] of the selected RPN
+
+        // Per-voice state: { pressure, slide, bend (member only, semitones) }
+        this._voices = this.channels.map(() => this._restState());
+        this._masterBend = 0;
+
+        this._messageHandler = (e) => this._handleMessage(e.data);
+
+        // Callbacks
+        this.onExpression = options.onExpression || null;   // (voiceId, { pressure, slide, bend })
+    }
+
+    // Listen on an input port (null = off); every voice returns to rest
+    setPort(portId) {
+        if (this._port) {
+            this._port.removeEventListener('midimessage', this._messageHandler);
+        }
+
+        this.portId = portId || null;
+        this._port = this.portId ? this.access.inputs.get(this.portId) || null : null;
+        if (this._port) {
+            this._port.addEventListener('midimessage', this._messageHandler);
+            this._port.open?.();
+        }
+
+        this._masterBend = 0;
+        this._rpn.clear();
+        this._voices.forEach((_, voiceId) => this._release(voiceId));
+    }
+
+    // Bind voices to member channels (one channel per voice, in voice order)
+    setChannels(channels) {
+        this._voices.forEach((_, voiceId) => this._release(voiceId));
+
+        this.channels = channels.map(c => Math.max(0, Math.min(15, Math.floor(c))));
+        this._voices = this.channels.map(() => this._restState());
+    }
+
+    getChannels() {
+        return [...this.channels];
+    }
+
+    _restState() {
+        return { pressure: 0, slide: 0, bend: 0 };
+    }
+
+    // === MESSAGES ===
+
+    _handleMessage(data) {
+        if (!data || data.length < 2) return;
+
+        const type = data[0] & 0xf0;
+        const channel = data[0] & 0x0f;
+
+        if (type === CONTROL_CHANGE && this._handleRpn(channel, data[1], data[2])) return;
+
+        if (channel === MASTER_CHANNEL && type === PITCH_BEND) {
+            this._masterBend = this._bendSemitones(data, this.masterBendRange);
+            this._voices.forEach((_, voiceId) => this._emit(voiceId));
+            return;
+        }
+
+        const voiceId = this.channels.indexOf(channel);
+        if (voiceId === -1) return;
+        const voice = this._voices[voiceId];
+
+        switch (type) {
+            case CHANNEL_PRESSURE:
+                voice.pressure = (data[1] & 0x7f) / 127;
+                break;
+
+            case POLY_PRESSURE:
+                voice.pressure = (data[2] & 0x7f) / 127;
+                break;
+
+            case PITCH_BEND:
+                voice.bend = this._bendSemitones(data, this.memberBendRange);
+                break;
+
+            case CONTROL_CHANGE:
+                if (data[1] === SLIDE_CC) {
+                    voice.slide = (data[2] & 0x7f) / 127;
+                } else if (data[1] === ALL_NOTES_OFF) {
+                    this._release(voiceId);
+                    return;
+                } else {
+                    return;
+                }
+                break;
+
+            case NOTE_OFF:
+                this._release(voiceId);
+                return;
+
+            case NOTE_ON:
+                if (data[2] === 0) this._release(voiceId);
+                return;
+
+            default:
+                return;
+        }
+
+        this._emit(voiceId);
+    }
+
+    // RPN 0 (pitch bend sensitivity); returns true if the CC was part of an RPN
+    _handleRpn(channel, cc, value) {
+        if (cc === RPN_MSB || cc === RPN_LSB) {
+            const rpn = this._rpn.get(channel) || [127, 127];
+            rpn[cc === RPN_MSB ? 0 : 1] = value;
+            this._rpn.set(channel, rpn);
+            return true;
+        }
+
+        if (cc !== DATA_ENTRY) return false;
+
+        const rpn = this._rpn.get(channel);
+        if (rpn && rpn[0] === 0 && rpn[1] === 0) {
+            if (channel === MASTER_CHANNEL) {
+                this.masterBendRange = value;
+            } else {
+                this.memberBendRange = value;
+            }
+        }
+        return true;
+    }
+
+    // 14-bit bend -> semitones
+    _bendSemitones(data, range) {
+        const value = ((data[2] & 0x7f) << 7) | (data[1] & 0x7f);
+        return ((value - 8192) / 8192) * range;
+    }
+
+    _release(voiceId) {
+        this._voices[voiceId] = this._restState();
+        this._emit(voiceId);
+    }
+
+    _emit(voiceId) {
+        const voice = this._voices[voiceId];
+        this.onExpression?.(voiceId, {
+            pressure: voice.pressure,
+            slide: voice.slide,
+            bend: voice.bend + this._masterBend
+        });
+    }
+
+    // === CLEANUP ===
+
+    dispose() {
+        this.setPort(null);
+        this.access = null;
+    }
+}
+
+// Factory function
+export function createMidiMpeInput(access, options = {}) {
+    return new MidiMpeInput(access, options);
+}
@@ -0,0 +1,77 @@
+// MIDI NOTE INPUT
+// Held notes from a keyboard, reported as a chord on every note-on
+// (the chord latches: releasing keys leaves the harmony where it is)
+
+const NOTE_OFF = 0x80;
+const NOTE_ON = 0x90;
+const CONTROL_CHANGE = 0xb0;
+const ALL_NOTES_OFF = 123;
+
+export class MidiNoteInput {
+    // access: a MIDIAccess (shared with the other MIDI modules)
+    constructor(access, options = {}) {
+        this.access = access;
+
+        this.portId = null;
+        this._port = null;
+        this.channel = null;        // 0-15, or null for omni
+        this.heldNotes = new Set();
+
+        this._messageHandler = (e) => this._handleMessage(e.data);
+
+        // Callbacks
+        this.onChord = options.onChord || null;     // (sorted MIDI notes)
+    }
+
+    // Listen on an input port (null = off)
+    setPort(portId) {
+        if (this._port) {
+            this._port.removeEventListener('midimessage', this._messageHandler);
+        }
+        this.heldNotes.clear();
+
+        this.portId = portId || null;
+        this._port = this.portId ? this.access.inputs.get(this.portId) || null : null;
+        if (this._port) {
+            this._port.addEventListener('midimessage', this._messageHandler);
+            this._port.open?.();
+        }
+    }
+
+    setChannel(channel) {
+        this.channel = channel === null || channel === undefined ? null : channel & 0x0f;
+        this.heldNotes.clear();
+    }
+
+    getHeldNotes() {
+        return [...this.heldNotes].sort((a, b) => a - b);
+    }
+
+    _handleMessage(data) {
+        if (!data || data.length < 3) return;
+
+        const type = data[0] & 0xf0;
+        if (this.channel !== null && (data[0] & 0x0f) !== this.channel) return;
+
+        if (type === NOTE_ON && data[2] > 0) {
+            this.heldNotes.add(data[1]);
+            this.onChord?.(this.getHeldNotes());
+        } else if (type === NOTE_OFF || type === NOTE_ON) {
+            this.heldNotes.delete(data[1]);
+        } else if (type === CONTROL_CHANGE && data[1] === ALL_NOTES_OFF) {
+            this.heldNotes.clear();
+        }
+    }
+
+    // === CLEANUP ===
+
+    dispose() {
+        this.setPort(null);
+        this.access = null;
+    }
+}
+
+// Factory function
+export function createMidiNoteInput(access, options = {}) {
+    return new MidiNoteInput(access, options);
+}
@@ -0,0 +1,86 @@
+// MIDI OUTPUT
+// Web MIDI note output: each voice can be routed to an output port and channel
+// Notes arrive from the note stream with lookahead audio times, which are
+// converted to DOMHighResTimeStamps so external synths play in time with the voices
+
+import { accentToVelocity, clampNote, audioTimeToTimestamp } from './midiUtils.js';
+
+const NOTE_ON = 0x90;
+const NOTE_OFF = 0x80;
+const CONTROL_CHANGE = 0xb0;
+const ALL_NOTES_OFF = 123;
+
+export class MidiOutput {
+    // access: a MIDIAccess (shared with the other MIDI modules)
+    constructor(ctx, access) {
+        this.ctx = ctx;
+        this.access = access;
+
+        // voiceId -> { portId, channel (0-15) }
+        this.routes = new Map();
+    }
+
+    // === ROUTING ===
+
+    // Route a voice to a port/channel; portId null turns its output off
+    setVoiceRoute(voiceId, portId, channel = 0) {
+        this._silenceRoute(this.routes.get(voiceId));
+
+        if (!portId) {
+            this.routes.delete(voiceId);
+            return;
+        }
+        this.routes.set(voiceId, {
+            portId,
+            channel: Math.max(0, Math.min(15, Math.floor(channel)))
+        });
+    }
+
+    getVoiceRoute(voiceId) {
+        return this.routes.get(voiceId) || null;
+    }
+
+    // === NOTES ===
+
+    // Note listener: { voiceId, time, duration, midi, accent }
+    handleNote(note) {
+        const route = this.routes.get(note.voiceId);
+        if (!route) return;
+
+        const port = this.access?.outputs.get(route.portId);
+        if (!port) return;
+
+        const pitch = clampNote(note.midi);
+        const onTime = audioTimeToTimestamp(this.ctx, note.time);
+        const offTime = audioTimeToTimestamp(this.ctx, note.time + note.duration);
+
+        port.send([NOTE_ON | route.channel, pitch, accentToVelocity(note.accent)], onTime);
+        port.send([NOTE_OFF | route.channel, pitch, 0], offTime);
+    }
+
+    // All notes off on every routed channel (e.g. when the transport stops)
+    panic() {
+        for (const route of this.routes.values()) {
+            this._silenceRoute(route);
+        }
+    }
+
+    _silenceRoute(route) {
+        if (!route) return;
+        const port = this.access?.outputs.get(route.portId);
+        port?.send([CONTROL_CHANGE | route.channel, ALL_NOTES_OFF, 0]);
+    }
+
+    // === CLEANUP ===
+
+    dispose() {
+        this.panic();
+        this.routes.clear();
+        this.access = null;
+    }
+}
+
+// Factory function
+export function createMidiOutput(ctx, access) {
+    return new MidiOutput(ctx, access);
+}
@@ -0,0 +1,66 @@
+// NOTE CAPTURE
+// Collects the generated note stream (as heard) between two audio times
+// and converts it to a Standard MIDI File, one track per voice
+
+import { encodeMidiFile } from './midiFile.js';
+import { accentToVelocity, clampNote } from './midiUtils.js';
+
+export class NoteCapture {
+    constructor(options = {}) {
+        this.startTime = options.startTime || 0;
+        this.endTime = Infinity;
+
+        // Tempo is fixed for the take; ticks are derived from audio time
+        this.bpm = options.bpm || 120;
+        this.ppq = options.ppq || 480;
+
+        // One track per voice id
+        this.trackNames = [...(options.trackNames || ['Voice 1', 'Voice 2', 'Voice 3'])];
+
+        this.notes = [];
+    }
+
+    // Note listener: { voiceId, time, duration, midi, accent }
+    // A voice added during the take gets its track on first use
+    add(note) {
+        if (note.time < this.startTime || note.time >= this.endTime) return;
+        for (let i = this.trackNames.length; i <= note.voiceId; i++) {
+            this.trackNames.push(`Voice ${i + 1}`);
+        }
+        this.notes.push(note);
+    }
+
+    // Notes starting at or after this time are ignored; held notes are cut here
+    stop(time) {
+        this.endTime = Math.max(time, this.startTime);
+    }
+
+    _toTicks(seconds) {
+        return Math.round(seconds * (this.bpm / 60) * this.ppq);
+    }
+
+    // Encode as an SMF (format 1) Uint8Array
+    toMidiFile() {
+        const tracks = this.trackNames.map((name, i) => ({ name, channel: i, notes: [] }));
+
+        for (const note of this.notes) {
+            const track = tracks[note.voiceId];
+            if (!track) continue;
+
+            const end = Math.min(note.time + note.duration, this.endTime);
+            track.notes.push({
+                tick: this._toTicks(note.time - this.startTime),
+                durationTicks: this._toTicks(end - note.time),
+                note: clampNote(note.midi),
+                velocity: accentToVelocity(note.accent)
+            });
+        }
+
+        return encodeMidiFile({ tracks, bpm: this.bpm, ppq: this.ppq });
+    }
+}
+
+// Factory function
+export function createNoteCapture(options = {}) {
+    return new NoteCapture(options);
+}
@@ -0,0 +1,108 @@
+// MIDI FILE
+// Standard MIDI File (format 1) encoding
+// Track 0 carries tempo/time signature; each following track is one part
+
+import { clampNote } from './midiUtils.js';
+
+// Encode a multi-track file
+// tracks: [{ name, channel, notes: [{ tick, durationTicks, note, velocity }] }]
+export function encodeMidiFile({ tracks, bpm = 120, ppq = 480, beatsPerBar = 4 }) {
+    const chunks = [
+        headerChunk(1, tracks.length + 1, ppq),
+        trackChunk(tempoTrackEvents(bpm, beatsPerBar)),
+        ...tracks.map(track => trackChunk(noteTrackEvents(track)))
+    ];
+
+    const length = chunks.reduce((sum, chunk) => sum + chunk.length, 0);
+    const bytes = new Uint8Array(length);
+    let offset = 0;
+    for (const chunk of chunks) {
+        bytes.set(chunk, offset);
+        offset += chunk.length;
+    }
+    return bytes;
+}
+
+// === EVENTS ===
+// Events are { tick, order, data: number[] }; order sorts note-offs before note-ons on the same tick
+
+function tempoTrackEvents(bpm, beatsPerBar) {
+    const microsPerBeat = Math.round(60000000 / bpm);
+    return [
+        { tick: 0, order: 0, data: [0xff, 0x03, ...metaText('Tempo')] },
+        { tick: 0, order: 0, data: [0xff, 0x51, 0x03, (microsPerBeat >> 16) & 0xff, (microsPerBeat >> 8) & 0xff, microsPerBeat & 0xff] },
+        // Time signature: beatsPerBar/4, 24 clocks per click, 8 32nds per quarter
+        { tick: 0, order: 0, data: [0xff, 0x58, 0x04, beatsPerBar, 0x02, 0x18, 0x08] }
+    ];
+}
+
+function noteTrackEvents(track) {
+    const channel = (track.channel || 0) & 0x0f;
+    const events = [
+        { tick: 0, order: 0, data: [0xff, 0x03, ...metaText(track.name || '')] }
+    ];
+
+    for (const note of track.notes) {
+        const pitch = clampNote(note.note);
+        const velocity = Math.max(1, Math.min(127, Math.round(note.velocity)));
+        const start = Math.max(0, Math.round(note.tick));
+        const end = start + Math.max(1, Math.round(note.durationTicks));
+
+        events.push({ tick: start, order: 2, data: [0x90 | channel, pitch, velocity] });
+        events.push({ tick: end, order: 1, data: [0x80 | channel, pitch, 0] });
+    }
+
+    return events;
+}
+
+// === CHUNKS ===
+
+function headerChunk(format, trackCount, ppq) {
+    return new Uint8Array([
+        ...asciiBytes('MThd'),
+        0, 0, 0, 6,
+        0, format,
+        (trackCount >> 8) & 0xff, trackCount & 0xff,
+        (ppq >> 8) & 0xff, ppq & 0xff
+    ]);
+}
+
+function trackChunk(events) {
+    const sorted = [...events].sort((a, b) => a.tick - b.tick || a.order - b.order);
+
+    const body = [];
+    let lastTick = 0;
+    for (const event of sorted) {
+        body.push(...variableLength(event.tick - lastTick), ...event.data);
+        lastTick = event.tick;
+    }
+    body.push(0x00, 0xff, 0x2f, 0x00); // End of track
+
+    const length = body.length;
+    return new Uint8Array([
+        ...asciiBytes('MTrk'),
+        (length >>> 24) & 0xff, (length >> 16) & 0xff, (length >> 8) & 0xff, length & 0xff,
+        ...body
+    ]);
+}
+
+// Variable-length quantity (7 bits per byte, high bit = more)
+function variableLength(value) {
+    const bytes = [value & 0x7f];
+    value >>= 7;
+    while (value > 0) {
+        bytes.unshift((value & 0x7f) | 0x80);
+        value >>= 7;
+    }
+    return bytes;
+}
+
+function asciiBytes(text) {
+    return Array.from(text, ch => ch.charCodeAt(0) & 0x7f);
+}
+
+// Meta-event text: length + ASCII
+function metaText(text) {
+    const bytes = asciiBytes(text);
+    return [...variableLength(bytes.length), ...bytes];
+}
@@ -0,0 +1,43 @@
+// MIDI UTILS
+// Shared conversions between the note stream and MIDI messages
+
+// Map a voice accent multiplier (1 = normal) to a MIDI velocity
+export function accentToVelocity(accent = 1) {
+    return Math.max(1, Math.min(127, Math.round(90 * accent)));
+}
+
+// Clamp to a valid MIDI note number
+export function clampNote(midi) {
+    return Math.max(0, Math.min(127, Math.round(midi)));
+}
+
+// === TIMING ===
+// Web MIDI timestamps are on the performance.now() timeline; the engine schedules in audio time
+
+// Audio time -> MIDI send timestamp
+export function audioTimeToTimestamp(ctx, time) {
+    const stamp = ctx.getOutputTimestamp?.();
+    if (stamp && stamp.performanceTime > 0) {
+        return stamp.performanceTime + (time - stamp.contextTime) * 1000;
+    }
+    return performance.now() + (time - ctx.currentTime) * 1000;
+}
+
+// MIDI receive timestamp -> audio time
+export function timestampToAudioTime(ctx, timeStamp) {
+    const stamp = ctx.getOutputTimestamp?.();
+    if (stamp && stamp.performanceTime > 0) {
+        return stamp.contextTime + (timeStamp - stamp.performanceTime) / 1000;
+    }
+    return ctx.currentTime + (timeStamp - performance.now()) / 1000;
+}
+
+// === PORTS ===
+
+// [{ id, name }] of connected ports in a MIDIAccess port map (access.inputs / access.outputs)
+export function listPorts(portMap) {
+    if (!portMap) return [];
+    return Array.from(portMap.values())
+        .filter(port => port.state !== 'disconnected')
+        .map(port => ({ id: port.id, name: port.name || port.id }));
+}
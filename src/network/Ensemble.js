@@ -0,0 +1,168 @@
+// ENSEMBLE
+// Phone orchestra: each device in the group renders one voice, one device conducts
+// The conductor owns the shared musical state (root, scale, chord, transposition sequence,
+// polymetric/phase presets, transport) and publishes it through the relay as a retained
+// message, so players who join late pick it up. Tempo and phase come from Link sync.
+
+// Shared state fields the conductor publishes and players apply
+function captureState(machine) {
+    return {
+        voiceCount: machine.voices.length,
+        rootMidi: machine.rootMidi,
+        scaleName: machine.scaleName,
+        chordDegrees: [...machine.chordDegrees],
+        transpose: {
+            sequence: [...machine.transposeSequence],
+            stepCount: machine.transposeStepCount,
+            barsPerStep: machine.transposeBarsPerStep
+        },
+        polymetricPreset: machine.polymetricPreset,
+        phasePreset: machine.phasePreset,
+        isPlaying: !!machine.clock?.isRunning
+    };
+}
+
+const sameList = (a, b) => a.length === b.length && a.every((v, i) => v === b[i]);
+
+export class Ensemble {
+    // machine: the GlassMachine; relay: a RelayConnection (shared with other network features)
+    // options.role: 'conductor' | 'player'; options.voiceId: the voice this device plays
+    // (null lets a conductor keep every voice as it is)
+    constructor(machine, relay, options = {}) {
+        this.machine = machine;
+        this.relay = relay;
+
+        this.role = options.role === 'conductor' ? 'conductor' : 'player';
+        this.voiceId = options.voiceId ?? (this.role === 'player' ? 0 : null);
+
+        // Mute states to restore when leaving the ensemble
+        this._savedMutes = machine.voices.map(voice => voice.isMuted);
+        this._publishPending = false;
+
+        this._messageHandler = (data) => this._handleMessage(data);
+        this._statusHandler = (status) => {
+            if (status === 'connected') this._join();
+        };
+        this.relay.addMessageListener(this._messageHandler);
+        this.relay.addStatusListener(this._statusHandler);
+
+        // Callbacks
+        this.onRemoteChange = options.onRemoteChange || null;  // player applied conductor state
+
+        this._focusVoice();
+        if (this.relay.isConnected()) {
+            this._join();
+        }
+    }
+
+    getState() {
+        return { role: this.role, voiceId: this.voiceId };
+    }
+
+    // Voices were added or removed on this device
+    voicesChanged() {
+        // Voices added while in the ensemble were unmuted before it, as far as leaving is concerned
+        const count = this.machine.voices.length;
+        this._savedMutes = Array.from({ length: count }, (_, i) => this._savedMutes[i] ?? false);
+
+        this._focusVoice();
+        this.publish();
+    }
+
+    // Only this device's voice sounds
+    _focusVoice() {
+        if (this.voiceId === null) return;
+        this.machine.voices.forEach((_, i) => this.machine.setVoiceMuted(i, i !== this.voiceId));
+    }
+
+    // === CONDUCTOR ===
+
+    // Shared state changed locally; batched so a chord or session load sends one message
+    publish() {
+        if (this.role !== 'conductor' || this._publishPending) return;
+
+        this._publishPending = true;
+        setTimeout(() => {
+            this._publishPending = false;
+            if (!this.relay) return;
+            this.relay.send({ type: 'ensemble', retain: true, state: captureState(this.machine) });
+        }, 0);
+    }
+
+    // === PLAYER ===
+
+    _join() {
+        if (this.role === 'conductor') {
+            this.publish();
+        } else {
+            this.relay.send({ type: 'retained' });
+        }
+    }
+
+    _handleMessage(data) {
+        if (this.role !== 'player' || data instanceof ArrayBuffer) return;
+
+        let state = null;
+        if (data.type === 'ensemble') {
+            state = data.state;
+        } else if (data.type === 'retained' && Array.isArray(data.messages)) {
+            state = data.messages.find(m => m.type === 'ensemble')?.state;
+        }
+
+        if (state) {
+            this._apply(state).catch(error => console.error('Ensemble: failed to apply state:', error));
+        }
+    }
+
+    // Apply only what changed, so pattern positions survive unrelated updates
+    async _apply(state) {
+        const m = this.machine;
+
+        // Same ensemble size as the conductor, but never fewer voices than the one we play
+        if (state.voiceCount) {
+            const count = Math.max(state.voiceCount, (this.voiceId ?? 0) + 1);
+            if (count !== m.voices.length) await m.setVoiceCount(count);
+            if (!this.machine) return;
+        }
+
+        if (state.scaleName !== m.scaleName) m.setScale(state.scaleName);
+        if (state.rootMidi !== m.rootMidi) m.setRoot(state.rootMidi);
+        if (Array.isArray(state.chordDegrees) && !sameList(state.chordDegrees, m.chordDegrees)) {
+            m.setChordDegrees(state.chordDegrees);
+        }
+
+        const transpose = state.transpose;
+        if (transpose) {
+            if (!sameList(transpose.sequence, m.transposeSequence)) m.setTransposeSequence(transpose.sequence);
+            if (transpose.stepCount !== m.transposeStepCount) m.setTransposeStepCount(transpose.stepCount);
+            if (transpose.barsPerStep !== m.transposeBarsPerStep) m.setTransposeBarsPerStep(transpose.barsPerStep);
+        }
+
+        if (state.polymetricPreset !== m.polymetricPreset) m.setPolymetricPreset(state.polymetricPreset);
+        if (state.phasePreset !== m.phasePreset) m.setPhasePreset(state.phasePreset);
+
+        // Transport follows the conductor (Link sync places us in phase)
+        if (state.isPlaying && !m.clock.isRunning) {
+            m.start();
+        } else if (!state.isPlaying && m.clock.isRunning) {
+            m.stop();
+        }
+
+        this.onRemoteChange?.();
+    }
+
+    // === CLEANUP ===
+
+    dispose() {
+        this.relay.removeMessageListener(this._messageHandler);
+        this.relay.removeStatusListener(this._statusHandler);
+        this._savedMutes.forEach((muted, i) => this.machine.setVoiceMuted(i, muted));
+        this.relay = null;
+        this.machine = null;
+    }
+}
+
+// Factory function
+export function createEnsemble(machine, relay, options = {}) {
+    return new Ensemble(machine, relay, options);
+}
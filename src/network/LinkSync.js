@@ -0,0 +1,201 @@
+// LINK SYNC
+// Ableton Link-style tempo and phase sharing between devices through the relay
+// Peers share one timeline { bpm, origin }: beat = (relayTime - origin) / 60000 * bpm,
+// with relay time estimated per device from round trips to the relay (lowest-latency sample).
+// Each device keeps its own beat count and only shifts its MasterClock.startTime so that the
+// phase within the quantum (default 16 beats = the 4-bar alignment cycle) matches the timeline.
+
+import { audioTimeToTimestamp } from '../midi/midiUtils.js';
+
+export const DEFAULT_QUANTUM = 16;
+
+// Relay clock offset: one round trip per interval, best of the recent samples
+const TIME_PING_INTERVAL = 1000;
+const TIME_SAMPLES = 8;
+
+// Fraction of the phase error removed per scheduler pass; larger errors (seconds) snap
+const PHASE_CORRECTION = 0.05;
+const PHASE_SNAP = 0.05;
+
+// Tempo differences smaller than this (BPM) are not re-published
+const TEMPO_EPSILON = 0.01;
+
+export class LinkSync {
+    // relay: a RelayConnection (shared with other network features)
+    constructor(ctx, clock, relay, options = {}) {
+        this.ctx = ctx;
+        this.clock = clock;
+        this.relay = relay;
+
+        this.quantum = options.quantum || DEFAULT_QUANTUM;
+
+        // Shared timeline (null until received or published)
+        this.timeline = null;
+
+        // Relay time = performance.now() + offset
+        this._timeSamples = [];     // { rtt, offset }
+        this.offset = null;
+
+        // The relay had no timeline for us: publish ours once the relay clock is known
+        this._seedTimeline = false;
+
+        this._messageHandler = (data) => this._handleMessage(data);
+        this._statusHandler = (status) => {
+            if (status === 'connected') this._join();
+        };
+        this.relay.addMessageListener(this._messageHandler);
+        this.relay.addStatusListener(this._statusHandler);
+        this._pingTimer = setInterval(() => this._ping(), TIME_PING_INTERVAL);
+
+        // Callbacks (the engine owns the tempo)
+        this.onTempo = options.onTempo || null;     // (bpm)
+
+        if (this.relay.isConnected()) {
+            this._join();
+        }
+    }
+
+    // Synced once the relay clock is known and a timeline exists
+    isSynced() {
+        return this.offset !== null && this.timeline !== null;
+    }
+
+    getState() {
+        return {
+            synced: this.isSynced(),
+            bpm: this.timeline?.bpm ?? null,
+            quantum: this.quantum
+        };
+    }
+
+    setQuantum(beats) {
+        this.quantum = Math.max(1, Math.round(beats));
+    }
+
+    // === TIMELINE ===
+
+    // Relay time (ms) at which an audio time is heard
+    _relayTime(audioTime) {
+        return audioTimeToTimestamp(this.ctx, audioTime) + this.offset;
+    }
+
+    _sharedBeat(audioTime) {
+        return (this._relayTime(audioTime) - this.timeline.origin) / 60000 * this.timeline.bpm;
+    }
+
+    // Shared-minus-local beat at an audio time, wrapped into [-quantum/2, quantum/2)
+    _phaseError(audioTime) {
+        const local = (audioTime - this.clock.startTime) / this.clock.beatDuration;
+        const diff = this._sharedBeat(audioTime) - local;
+        return diff - this.quantum * Math.round(diff / this.quantum);
+    }
+
+    // Announce our tempo with the current shared beat kept in place
+    _publish(bpm) {
+        const now = this.ctx.currentTime;
+        const beat = this.timeline ? this._sharedBeat(now)
+            : this.clock.isRunning ? this.clock.getCurrentBeat()
+            : 0;
+
+        this.timeline = { bpm, origin: this._relayTime(now) - beat / bpm * 60000 };
+        this.relay.send({ type: 'link', retain: true, ...this.timeline });
+    }
+
+    // Local tempo changed (knob, tap, MIDI clock); remote changes arrive here too and are not echoed
+    tempoChanged(bpm) {
+        if (this.offset === null) return;
+        if (this.timeline && Math.abs(this.timeline.bpm - bpm) < TEMPO_EPSILON) return;
+        this._publish(bpm);
+    }
+
+    // Transport started: jump forward into the shared phase (never backwards past the start)
+    transportStarted() {
+        if (!this.isSynced() || !this.clock.isRunning) return;
+
+        const now = this.ctx.currentTime;
+        const error = this._phaseError(now);
+        const forward = error < 0 ? error + this.quantum : error;
+        this.clock.alignBeat(this.clock.getCurrentBeat() + forward, now);
+    }
+
+    // Scheduler pass: pull the clock toward the shared phase
+    update() {
+        if (!this.isSynced() || !this.clock.isRunning) return;
+
+        const error = this._phaseError(this.ctx.currentTime) * this.clock.beatDuration;
+        const correction = Math.abs(error) > PHASE_SNAP ? error : error * PHASE_CORRECTION;
+        this.clock.startTime -= correction;
+    }
+
+    // === MESSAGES ===
+
+    // Ask for the session's timeline and start measuring the relay clock
+    _join() {
+        this._timeSamples = [];
+        this.relay.send({ type: 'retained' });
+        this._ping();
+    }
+
+    _ping() {
+        this.relay.send({ type: 'time', t0: performance.now() });
+    }
+
+    _handleMessage(data) {
+        if (data instanceof ArrayBuffer) return;
+
+        if (data.type === 'time' && Number.isFinite(data.relayTime)) {
+            this._addTimeSample(data.t0, performance.now(), data.relayTime);
+        } else if (data.type === 'link') {
+            this._adoptTimeline(data);
+        } else if (data.type === 'retained' && Array.isArray(data.messages)) {
+            const link = data.messages.find(m => m.type === 'link');
+            if (link) {
+                this._adoptTimeline(link);
+            } else {
+                this._seedTimeline = true;
+            }
+        }
+    }
+
+    _adoptTimeline({ bpm, origin }) {
+        if (!Number.isFinite(bpm) || !Number.isFinite(origin)) return;
+
+        this._seedTimeline = false;
+        this.timeline = { bpm, origin };
+        if (Math.abs(this.clock.bpm - bpm) >= TEMPO_EPSILON) {
+            this.onTempo?.(bpm);
+        }
+    }
+
+    _addTimeSample(t0, t1, relayTime) {
+        this._timeSamples.push({ rtt: t1 - t0, offset: relayTime - (t0 + t1) / 2 });
+        if (this._timeSamples.length > TIME_SAMPLES) {
+            this._timeSamples.shift();
+        }
+
+        const best = this._timeSamples.reduce((a, b) => (b.rtt < a.rtt ? b : a));
+        this.offset = best.offset;
+
+        // First device in the session (or the relay restarted): our timeline becomes the shared one
+        // (an older timeline is in another relay's time, so start again from the local clock)
+        if (this._seedTimeline) {
+            this._seedTimeline = false;
+            this.timeline = null;
+            this._publish(this.clock.bpm);
+        }
+    }
+
+    // === CLEANUP ===
+
+    dispose() {
+        clearInterval(this._pingTimer);
+        this.relay.removeMessageListener(this._messageHandler);
+        this.relay.removeStatusListener(this._statusHandler);
+        this.relay = null;
+    }
+}
+
+// Factory function
+export function createLinkSync(ctx, clock, relay, options = {}) {
+    return new LinkSync(ctx, clock, relay, options);
+}
@@ -0,0 +1,200 @@
+// OSC CONTROL
+// OSC over WebSocket: binary messages from the relay (see server/relay.mjs) are routed onto the
+// GlassMachine API. Voice and LFO numbers in addresses are 1-based.
+//
+//   /transport/start | /transport/stop | /transport/reset
+//   /clock/bpm f | /clock/tap
+//   /root i | /scale s | /transpose i | /chord i i ... | /master/volume f
+//   /polymetric s | /phase s | /voices i | /evolution s (arc10, arc30, arc60 or off) | /fill i
+//   /voice/N/param/<name> v | /voice/N/xy f f | /voice/N/mute i | /voice/N/send/<effect> f
+//   /voice/N/engine s (buchla, glassOrgan, barbieriLadder, fmShards, droneBase, bellTones)
+//   /voice/N/shape s (see PATTERN_SHAPES) | /voice/N/process/repeats i
+//   /voice/N/morph/length i | /voice/N/morph/unit s (steps, bars) | /voice/N/morph/mode s (substitute, interpolate)
+//   /voice/N/steps/count i | /voice/N/step/S/<degree|octave|velocity|gate|tie|ratchet|probability> v
+//   /voice/N/step/S/condition s (always, a:b, first, notFirst, fill, notFill, played:V, rested:V)
+//   /voice/N/trill/enabled i | /voice/N/trill/<rate|depth|skew> f | /voice/N/trill/shape s
+//   /voice/N/randomize | /voice/N/mutate f (0-1) | /voice/N/breed i (other parent) | /voice/N/undo
+//   /lfo/N/rate f | /lfo/N/depth f | /lfo/N/enabled i | /lfo/N/shape s | /lfo/N/sync i
+//   /lfo/N/division f | /lfo/N/polarity s | /lfo/N/dest/S s
+//   /fx/<effect>/param/<name> f | /fx/<effect>/freeze i | /fx/<effect>/purge | /fx/<effect>/enabled i
+//   /ping -> replies /pong
+
+import { encodeOscMessage, decodeOscPacket } from './osc.js';
+
+// Effect name -> GlassMachine methods for each action
+const EFFECTS = {
+    nautilus: { param: 'setSendEffectParam', freeze: 'freezeSendEffect', purge: 'purgeSendEffect' },
+    basil: { param: 'setBasilParam', freeze: 'freezeBasil', purge: 'purgeBasil' },
+    fdnr: { param: 'setFDNRParam', purge: 'purgeFDNR' },
+    databender: { param: 'setDataBenderParam', freeze: 'freezeDataBender', purge: 'purgeDataBender', enabled: 'setDataBenderEnabled' },
+    arbhar: { param: 'setArbharParam', freeze: 'freezeArbhar', enabled: 'setArbharEnabled' },
+    morphagene: { param: 'setMorphageneParam', freeze: 'freezeMorphagene', enabled: 'setMorphageneEnabled' },
+    lubadh: { param: 'setLubadhParam', enabled: 'setLubadhEnabled' }
+};
+
+// OSC senders use 0/1 (i or f) or T/F for switches
+const toBool = (value) => value === true || (typeof value === 'number' && value >= 0.5);
+
+// [address pattern, handler(machine, captures, args, control)]; '*' captures one segment
+const ROUTES = [
+    ['/transport/start', (m) => m.start()],
+    ['/transport/stop', (m) => m.stop()],
+    ['/transport/reset', (m) => m.reset()],
+
+    ['/clock/bpm', (m, _, [bpm]) => m.setBpm(bpm)],
+    ['/clock/tap', (m) => m.tapTempo(performance.now())],
+
+    ['/root', (m, _, [midi]) => m.setRoot(Math.round(midi))],
+    ['/scale', (m, _, [name]) => m.setScale(name)],
+    ['/transpose', (m, _, [semitones]) => m.transpose(Math.round(semitones))],
+    ['/chord', (m, _, notes) => m.setChord(notes.map(Math.round))],
+    ['/master/volume', (m, _, [volume]) => m.setMasterVolume(volume)],
+    ['/polymetric', (m, _, [name]) => m.setPolymetricPreset(name)],
+    ['/phase', (m, _, [name]) => m.setPhasePreset(name)],
+    ['/evolution', (m, _, [arc]) => m.setEvolutionArc(arc === 'off' ? null : arc)],
+    ['/fill', (m, _, [active]) => m.setFill(toBool(active))],
+    ['/voices', (m, _, [count]) => {
+        m.setVoiceCount(Math.round(count)).catch(error => console.error('OSC /voices failed:', error));
+    }],
+
+    ['/voice/*/param/*', (m, [voice, name], [value]) => m.setVoiceParam(voice, name, value)],
+    ['/voice/*/xy', (m, [voice], [x, y]) => m.setVoiceXY(voice, x, y)],
+    ['/voice/*/mute', (m, [voice], [muted]) => m.setVoiceMuted(voice, toBool(muted))],
+    ['/voice/*/send/*', (m, [voice, effect], [amount]) => m.setVoiceSendAmount(voice, effect, amount)],
+    ['/voice/*/engine', (m, [voice], [engine]) => {
+        m.setVoiceEngine(voice, engine).catch(error => console.error('OSC voice engine failed:', error));
+    }],
+    ['/voice/*/shape', (m, [voice], [shape]) => m.setVoicePatternShape(voice, shape)],
+    ['/voice/*/process/repeats', (m, [voice], [repeats]) => m.setVoiceProcessRepeats(voice, repeats)],
+    ['/voice/*/morph/*', (m, [voice, name], [value]) => m.setVoiceMorph(voice, { [name]: value })],
+    ['/voice/*/steps/count', (m, [voice], [count]) => m.setVoiceStepCount(voice, count)],
+    ['/voice/*/step/*/condition', (m, [voice, step], [condition]) => m.setVoiceStep(voice, step, {
+        condition: String(condition).replace(/^(played|rested):(\d+)$/, (_, type, other) => `${type}:${other - 1}`)
+    })],
+    ['/voice/*/step/*/tie', (m, [voice, step], [tie]) => m.setVoiceStep(voice, step, { tie: toBool(tie) })],
+    ['/voice/*/step/*/*', (m, [voice, step, name], [value]) => m.setVoiceStep(voice, step, { [name]: value })],
+    ['/voice/*/trill/enabled', (m, [voice], [enabled]) => m.setVoiceTrill(voice, { enabled: toBool(enabled) })],
+    ['/voice/*/trill/*', (m, [voice, name], [value]) => m.setVoiceTrill(voice, { [name]: value })],
+    ['/voice/*/randomize', (m, [voice]) => m.randomizeVoice(voice)],
+    ['/voice/*/mutate', (m, [voice], [amount = 0.3]) => m.mutateVoice(voice, amount)],
+    ['/voice/*/breed', (m, [voice], [other]) => m.breedVoices(voice, voice, Math.round(other) - 1)],
+    ['/voice/*/undo', (m, [voice]) => m.undoVoice(voice)],
+
+    ['/lfo/*/rate', (m, [lfo], [rate]) => m.setLFORate(lfo, rate)],
+    ['/lfo/*/depth', (m, [lfo], [depth]) => m.setLFODepth(lfo, depth)],
+    ['/lfo/*/enabled', (m, [lfo], [enabled]) => m.setLFOEnabled(lfo, toBool(enabled))],
+    ['/lfo/*/shape', (m, [lfo], [shape]) => m.setLFOShape(lfo, shape)],
+    ['/lfo/*/sync', (m, [lfo], [synced]) => m.setLFOSync(lfo, toBool(synced))],
+    ['/lfo/*/division', (m, [lfo], [division]) => m.setLFOSyncDivision(lfo, division)],
+    ['/lfo/*/polarity', (m, [lfo], [polarity]) => m.setLFOPolarity(lfo, polarity)],
+    ['/lfo/*/dest/*', (m, [lfo, slot], [destinationId]) => m.setLFODestination(lfo, slot, destinationId || null)],
+
+    ['/fx/*/param/*', (m, [effect, name], [value]) => callEffect(m, effect, 'param', name, value)],
+    ['/fx/*/freeze', (m, [effect], [active]) => callEffect(m, effect, 'freeze', toBool(active))],
+    ['/fx/*/purge', (m, [effect]) => callEffect(m, effect, 'purge')],
+    ['/fx/*/enabled', (m, [effect], [enabled]) => callEffect(m, effect, 'enabled', toBool(enabled))],
+
+    ['/ping', (m, _, args, control) => control.send('/pong', args)]
+].map(([pattern, handler]) => ({ segments: pattern.split('/').slice(1), handler }));
+
+// Segments captured under these names are 1-based indices in OSC, 0-based in the API
+const INDEX_SEGMENTS = new Set(['voice', 'lfo', 'dest', 'step']);
+
+function callEffect(machine, effect, action, ...args) {
+    const method = EFFECTS[effect]?.[action];
+    if (!method) return false;
+    machine[method](...args);
+}
+
+export class OscControl {
+    // machine: the GlassMachine to drive; relay: a RelayConnection (shared with other network features)
+    constructor(machine, relay, options = {}) {
+        this.machine = machine;
+        this.relay = relay;
+
+        this._messageHandler = (data) => {
+            // JSON messages belong to other relay protocols
+            if (data instanceof ArrayBuffer) this._handlePacket(data);
+        };
+        this.relay.addMessageListener(this._messageHandler);
+
+        // Callbacks
+        this.onMessage = options.onMessage || null;     // (address, args, handled)
+    }
+
+    // === MESSAGES ===
+
+    // Send a message to the relay (and from there to every other client)
+    send(address, args = [], options = {}) {
+        this.relay.send(encodeOscMessage(address, args, options));
+    }
+
+    _handlePacket(data) {
+        let messages;
+        try {
+            messages = decodeOscPacket(data);
+        } catch (error) {
+            console.error('Failed to decode OSC packet:', error);
+            return;
+        }
+
+        for (const { address, args } of messages) {
+            this.handleMessage(address, args);
+        }
+    }
+
+    // Route one message onto the machine; returns true if an address matched
+    handleMessage(address, args = []) {
+        const segments = address.split('/').slice(1);
+        let handled = false;
+
+        for (const route of ROUTES) {
+            const captures = matchRoute(route.segments, segments);
+            if (!captures) continue;
+
+            try {
+                handled = route.handler(this.machine, captures, args, this) !== false;
+            } catch (error) {
+                console.error(`OSC ${address} failed:`, error);
+            }
+            break;
+        }
+
+        this.onMessage?.(address, args, handled);
+        return handled;
+    }
+
+    // === CLEANUP ===
+
+    dispose() {
+        this.relay.removeMessageListener(this._messageHandler);
+        this.relay = null;
+        this.machine = null;
+    }
+}
+
+// Captures for a matching address, or null; index segments become 0-based numbers
+function matchRoute(pattern, segments) {
+    if (pattern.length !== segments.length) return null;
+
+    const captures = [];
+    for (let i = 0; i < pattern.length; i++) {
+        if (pattern[i] === '*') {
+            if (INDEX_SEGMENTS.has(pattern[i - 1])) {
+                const index = parseInt(segments[i]) - 1;
+                if (!(index >= 0)) return null;
+                captures.push(index);
+            } else {
+                captures.push(segments[i]);
+            }
+        } else if (pattern[i] !== segments[i]) {
+            return null;
+        }
+    }
+    return captures;
+}
+
+// Factory function
+export function createOscControl(machine, relay, options = {}) {
+    return new OscControl(machine, relay, options);
+}
@@ -0,0 +1,136 @@
+// RELAY CONNECTION
+// One WebSocket to the local relay (server/relay.mjs), shared by the network features
+// Binary messages are OSC packets; text messages are JSON objects with a `type`
+// The relay passes every message to every other client, except:
+//   { type: 'time', t0 }      answered to the sender only with { type: 'time', t0, relayTime }
+//   { type: 'retained' }      answered with the latest retained message of each type
+//   { ..., retain: true }     kept by type and sent to clients that join later
+
+// Seconds between reconnect attempts while the relay is unreachable
+const RECONNECT_DELAY = 2;
+
+export class RelayConnection {
+    // options.WebSocket can replace the global WebSocket (tests, Node)
+    constructor(options = {}) {
+        this.WebSocket = options.WebSocket || globalThis.WebSocket;
+
+        this.url = null;
+        this.socket = null;
+        this.status = 'disconnected';   // 'disconnected' | 'connecting' | 'connected'
+        this._reconnectTimer = null;
+
+        // (data) - ArrayBuffer for binary messages, parsed object for JSON
+        this.messageListeners = new Set();
+        // (status)
+        this.statusListeners = new Set();
+    }
+
+    // Connect to a relay (ws://host:port); keeps retrying until disconnect()
+    connect(url) {
+        this.disconnect();
+        if (!this.WebSocket) {
+            throw new Error('RelayConnection: WebSocket is not supported');
+        }
+
+        this.url = url;
+        this._open();
+    }
+
+    disconnect() {
+        this.url = null;
+        clearTimeout(this._reconnectTimer);
+        this._reconnectTimer = null;
+
+        if (this.socket) {
+            this.socket.onclose = null;
+            this.socket.close();
+            this.socket = null;
+        }
+        this._setStatus('disconnected');
+    }
+
+    isConnected() {
+        return this.status === 'connected';
+    }
+
+    _open() {
+        this._setStatus('connecting');
+
+        const socket = new this.WebSocket(this.url);
+        socket.binaryType = 'arraybuffer';
+        socket.onopen = () => this._setStatus('connected');
+        socket.onmessage = (e) => this._receive(e.data);
+        socket.onclose = () => {
+            this.socket = null;
+            this._setStatus('connecting');
+            this._reconnectTimer = setTimeout(() => this._open(), RECONNECT_DELAY * 1000);
+        };
+        this.socket = socket;
+    }
+
+    _setStatus(status) {
+        if (this.status === status) return;
+        this.status = status;
+        for (const listener of this.statusListeners) {
+            listener(status);
+        }
+    }
+
+    // === MESSAGES ===
+
+    // Uint8Array/ArrayBuffer go out as binary, objects as JSON text
+    send(data) {
+        if (!this.isConnected()) return;
+        const isBinary = data instanceof Uint8Array || data instanceof ArrayBuffer;
+        this.socket.send(isBinary ? data : JSON.stringify(data));
+    }
+
+    _receive(data) {
+        let message = data;
+        if (typeof data === 'string') {
+            try {
+                message = JSON.parse(data);
+            } catch (error) {
+                console.error('Failed to parse relay message:', error);
+                return;
+            }
+        }
+
+        for (const listener of this.messageListeners) {
+            try {
+                listener(message);
+            } catch (error) {
+                console.error('Relay listener failed:', error);
+            }
+        }
+    }
+
+    addMessageListener(listener) {
+        this.messageListeners.add(listener);
+    }
+
+    removeMessageListener(listener) {
+        this.messageListeners.delete(listener);
+    }
+
+    addStatusListener(listener) {
+        this.statusListeners.add(listener);
+    }
+
+    removeStatusListener(listener) {
+        this.statusListeners.delete(listener);
+    }
+
+    // === CLEANUP ===
+
+    dispose() {
+        this.disconnect();
+        this.messageListeners.clear();
+        this.statusListeners.clear();
+    }
+}
+
+// Factory function
+export function createRelayConnection(options = {}) {
+    return new RelayConnection(options);
+}
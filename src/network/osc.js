@@ -0,0 +1,176 @@
+// OSC
+// Open Sound Control 1.0 packet encoding/decoding (one packet per WebSocket message)
+// Types: i (int32), f (float32), d (float64), h (int64), s/S (string), b (blob),
+// T/F (booleans), N (nil), I (impulse). Bundles are flattened into their messages.
+
+const BUNDLE_TAG = '#bundle';
+
+// === ENCODING ===
+
+// Encode a message; numbers are sent as floats unless integers are listed in intArgs,
+// booleans as T/F, strings as s, Uint8Arrays as blobs, null as N
+export function encodeOscMessage(address, args = [], options = {}) {
+    const types = [','];
+    const parts = [oscString(address)];
+
+    args.forEach((arg, i) => {
+        if (arg === null || arg === undefined) {
+            types.push('N');
+        } else if (typeof arg === 'boolean') {
+            types.push(arg ? 'T' : 'F');
+        } else if (typeof arg === 'string') {
+            types.push('s');
+            parts.push(oscString(arg));
+        } else if (arg instanceof Uint8Array) {
+            types.push('b');
+            parts.push(oscBlob(arg));
+        } else if (typeof arg === 'number') {
+            const asInt = options.intArgs?.includes(i) && Number.isInteger(arg);
+            types.push(asInt ? 'i' : 'f');
+            const bytes = new Uint8Array(4);
+            const view = new DataView(bytes.buffer);
+            if (asInt) {
+                view.setInt32(0, arg);
+            } else {
+                view.setFloat32(0, arg);
+            }
+            parts.push(bytes);
+        } else {
+            throw new Error(`OSC: cannot encode argument of type ${typeof arg}`);
+        }
+    });
+
+    parts.splice(1, 0, oscString(types.join('')));
+    return concatBytes(parts);
+}
+
+// Null-terminated, padded to 4 bytes
+function oscString(text) {
+    const encoded = new TextEncoder().encode(text);
+    const bytes = new Uint8Array(padded(encoded.length + 1));
+    bytes.set(encoded);
+    return bytes;
+}
+
+// int32 size + data, padded to 4 bytes
+function oscBlob(data) {
+    const bytes = new Uint8Array(4 + padded(data.length));
+    new DataView(bytes.buffer).setInt32(0, data.length);
+    bytes.set(data, 4);
+    return bytes;
+}
+
+function padded(length) {
+    return Math.ceil(length / 4) * 4;
+}
+
+function concatBytes(parts) {
+    const bytes = new Uint8Array(parts.reduce((sum, part) => sum + part.length, 0));
+    let offset = 0;
+    for (const part of parts) {
+        bytes.set(part, offset);
+        offset += part.length;
+    }
+    return bytes;
+}
+
+// === DECODING ===
+
+// Decode a packet into [{ address, args }] (bundles flattened, timetags ignored)
+export function decodeOscPacket(data) {
+    const bytes = data instanceof Uint8Array ? data : new Uint8Array(data);
+    const reader = { bytes, view: new DataView(bytes.buffer, bytes.byteOffset, bytes.byteLength), offset: 0 };
+
+    if (bytes.length === 0) return [];
+
+    if (bytes[0] === 0x23) { // '#'
+        return decodeBundle(reader);
+    }
+    return [decodeMessage(reader)];
+}
+
+function decodeBundle(reader) {
+    if (readString(reader) !== BUNDLE_TAG) {
+        throw new Error('OSC: malformed bundle');
+    }
+    reader.offset += 8; // Timetag
+
+    const messages = [];
+    while (reader.offset < reader.bytes.length) {
+        const size = reader.view.getInt32(reader.offset);
+        reader.offset += 4;
+        const element = reader.bytes.subarray(reader.offset, reader.offset + size);
+        reader.offset += size;
+        messages.push(...decodeOscPacket(element));
+    }
+    return messages;
+}
+
+function decodeMessage(reader) {
+    const address = readString(reader);
+    if (!address.startsWith('/')) {
+        throw new Error(`OSC: malformed address "${address}"`);
+    }
+
+    // Type tags are optional in very old implementations
+    const types = reader.offset < reader.bytes.length ? readString(reader) : ',';
+    const args = [];
+
+    for (const type of types.slice(1)) {
+        switch (type) {
+            case 'i':
+                args.push(reader.view.getInt32(reader.offset));
+                reader.offset += 4;
+                break;
+            case 'f':
+                args.push(reader.view.getFloat32(reader.offset));
+                reader.offset += 4;
+                break;
+            case 'd':
+                args.push(reader.view.getFloat64(reader.offset));
+                reader.offset += 8;
+                break;
+            case 'h':
+                args.push(Number(reader.view.getBigInt64(reader.offset)));
+                reader.offset += 8;
+                break;
+            case 's':
+            case 'S':
+                args.push(readString(reader));
+                break;
+            case 'b': {
+                const size = reader.view.getInt32(reader.offset);
+                reader.offset += 4;
+                args.push(reader.bytes.slice(reader.offset, reader.offset + size));
+                reader.offset += padded(size);
+                break;
+            }
+            case 'T':
+                args.push(true);
+                break;
+            case 'F':
+                args.push(false);
+                break;
+            case 'N':
+                args.push(null);
+                break;
+            case 'I':
+                args.push(Infinity);
+                break;
+            default:
+                throw new Error(`OSC: unsupported type tag "${type}"`);
+        }
+    }
+
+    return { address, args };
+}
+
+function readString(reader) {
+    const { bytes } = reader;
+    let end = reader.offset;
+    while (end < bytes.length && bytes[end] !== 0) end++;
+
+    const text = new TextDecoder().decode(bytes.subarray(reader.offset, end));
+    reader.offset = padded(end + 1);
+    return text;
+}
@@ -78,18 +78,19 @@ const MODULATORS = {
 const UTILITIES = ['vca', 'attenuator', 'limiter', 'compressor'];
 
 // Random selection helper
-function pick(array) {
-    return array[Math.floor(Math.random() * array.length)];
+// random: () => [0, 1) - every generator takes one so a seeded stream reproduces its patches
+function pick(array, random = Math.random) {
+    return array[Math.floor(random() * array.length)];
 }
 
 // Weighted random selection
-function weightedPick(options) {
+function weightedPick(options, random = Math.random) {
     const total = options.reduce((sum, opt) => sum + opt.weight, 0);
-    let random = Math.random() * total;
+    let remaining = random() * total;
 
     for (const opt of options) {
-        random -= opt.weight;
-        if (random <= 0) return opt.value;
+        remaining -= opt.weight;
+        if (remaining <= 0) return opt.value;
     }
 
     return options[options.length - 1].value;
@@ -187,9 +188,9 @@ const MODULATION_PRESETS = {
 };
 
 // Get a random modulation preset
-export function getRandomModulationPreset() {
+export function getRandomModulationPreset(random = Math.random) {
     const presets = Object.keys(MODULATION_PRESETS);
-    return presets[Math.floor(Math.random() * presets.length)];
+    return presets[Math.floor(random() * presets.length)];
 }
 
 // Generate a single voice patch with musical bias
@@ -200,7 +201,8 @@ export function generatePatch(options = {}) {
         movement = 0.5,      // 0 = static, 1 = lots of modulation
         wetness = 0.5,       // 0 = dry, 1 = lots of effects
         character = 'balanced', // 'balanced', 'organ', 'bell', 'string', 'pad', 'buchla'
-        modulationPreset = null // Specific modulation preset, or null for auto
+        modulationPreset = null, // Specific modulation preset, or null for auto
+        random = Math.random    // Random source: () => [0, 1)
     } = options;
 
     const patch = {
@@ -211,7 +213,7 @@ export function generatePatch(options = {}) {
         spatial: [],
         // NEW: modulation macro settings
         modulation: {
-            preset: modulationPreset || getRandomModulationPreset(),
+            preset: modulationPreset || getRandomModulationPreset(random),
             amount: movement, // 0-1 controls how much of the preset is applied
             settings: null // Will be populated with actual values
         }
@@ -252,59 +254,59 @@ export function generatePatch(options = {}) {
         default:
             // "balanced" - truly random mix from all pools for maximum variety
             const allPools = [MELODIC_OSCILLATORS, BUCHLA_OSCILLATORS, COLOR_OSCILLATORS];
-            const selectedPool = allPools[Math.floor(Math.random() * allPools.length)];
+            const selectedPool = allPools[Math.floor(random() * allPools.length)];
             oscPool = selectedPool;
     }
 
     for (let i = 0; i < numOscs; i++) {
-        patch.oscillators.push({ type: pick(oscPool) });
+        patch.oscillators.push({ type: pick(oscPool, random) });
     }
 
     // Occasionally add a color oscillator (low volume, blended)
-    if (complexity > 0.6 && Math.random() < 0.3) {
-        patch.oscillators.push({ type: pick(COLOR_OSCILLATORS), mix: 0.2 });
+    if (complexity > 0.6 && random() < 0.3) {
+        patch.oscillators.push({ type: pick(COLOR_OSCILLATORS, random), mix: 0.2 });
     }
 
     // === FILTERS ===
     // Always one tone-shaping filter
-    patch.filters.push({ type: pick(FILTERS.toneShaping) });
+    patch.filters.push({ type: pick(FILTERS.toneShaping, random) });
 
     // Brightness affects filter choice
     if (brightness > 0.7) {
         // Bright: maybe add a peak filter for presence
-        if (Math.random() < 0.5) {
+        if (random() < 0.5) {
             patch.filters.push({ type: 'filterPeak' });
         }
     } else if (brightness < 0.3) {
         // Dark: add another LP or notch
-        if (Math.random() < 0.5) {
-            patch.filters.push({ type: pick(['filterLP', 'filterNotch']) });
+        if (random() < 0.5) {
+            patch.filters.push({ type: pick(['filterLP', 'filterNotch'], random) });
         }
     }
 
     // Complexity can add special filters
-    if (complexity > 0.7 && Math.random() < 0.4) {
-        patch.filters.push({ type: pick(FILTERS.special) });
+    if (complexity > 0.7 && random() < 0.4) {
+        patch.filters.push({ type: pick(FILTERS.special, random) });
     }
 
     // === EFFECTS ===
     // Tape effect for warmth (common)
-    if (Math.random() < 0.6 + wetness * 0.3) {
-        patch.effects.push({ type: pick(EFFECTS.tape) });
+    if (random() < 0.6 + wetness * 0.3) {
+        patch.effects.push({ type: pick(EFFECTS.tape, random) });
     }
 
     // Delay based on wetness
-    if (wetness > 0.3 && Math.random() < wetness) {
-        patch.effects.push({ type: pick(EFFECTS.delay) });
+    if (wetness > 0.3 && random() < wetness) {
+        patch.effects.push({ type: pick(EFFECTS.delay, random) });
     }
 
     // Saturation (subtle)
-    if (Math.random() < 0.3) {
+    if (random() < 0.3) {
         patch.effects.push({ type: 'softClip' }); // Prefer soft clip over hard distortion
     }
 
     // Convolver for space (occasional)
-    if (wetness > 0.6 && Math.random() < 0.3) {
+    if (wetness > 0.6 && random() < 0.3) {
         patch.effects.push({ type: 'convolver' });
     }
 
@@ -313,27 +315,27 @@ export function generatePatch(options = {}) {
     if (movement > 0.2) {
         // Slow modulator on filter (almost always)
         patch.modulators.push({
-            type: pick(MODULATORS.slow),
+            type: pick(MODULATORS.slow, random),
             target: 'filterCutoff',
-            depth: 0.3 + Math.random() * 0.4
+            depth: 0.3 + random() * 0.4
         });
     }
 
-    if (movement > 0.5 && Math.random() < 0.5) {
+    if (movement > 0.5 && random() < 0.5) {
         // Medium modulator
         patch.modulators.push({
-            type: pick(MODULATORS.medium),
+            type: pick(MODULATORS.medium, random),
             target: 'filterCutoff',
-            depth: 0.1 + Math.random() * 0.2
+            depth: 0.1 + random() * 0.2
         });
     }
 
     // Chaotic modulation only for high movement
-    if (movement > 0.8 && Math.random() < 0.3) {
+    if (movement > 0.8 && random() < 0.3) {
         patch.modulators.push({
-            type: pick(MODULATORS.chaotic),
+            type: pick(MODULATORS.chaotic, random),
             target: 'filterCutoff',
-            depth: 0.05 + Math.random() * 0.1
+            depth: 0.05 + random() * 0.1
         });
     }
 
@@ -343,7 +345,7 @@ export function generatePatch(options = {}) {
         { value: 'panner', weight: 3 },
         { value: 'autoPanner', weight: movement * 5 },
         { value: 'stereoWidener', weight: 2 }
-    ]);
+    ], random);
     patch.spatial.push({ type: spatialChoice });
 
     // === UTILITIES ===
@@ -359,7 +361,8 @@ export function generateTrioConfiguration(options = {}) {
         harmonyStyle = 'triadic',  // 'triadic', 'quartal', 'unison', 'spread'
         textureStyle = 'varied',   // 'varied', 'uniform', 'contrasting'
         rootMidi = 48,
-        scaleName = 'major'
+        scaleName = 'major',
+        random = Math.random       // Random source: () => [0, 1)
     } = options;
 
     // Determine voice roles based on harmony style
@@ -387,11 +390,11 @@ export function generateTrioConfiguration(options = {}) {
     switch (textureStyle) {
         case 'varied':
             // Pick 3 different random characters
-            const shuffled = [...allCharacters].sort(() => Math.random() - 0.5);
+            const shuffled = [...allCharacters].sort(() => random() - 0.5);
             characters = shuffled.slice(0, 3);
             break;
         case 'uniform':
-            const char = pick(allCharacters);
+            const char = pick(allCharacters, random);
             characters = [char, char, char];
             break;
         case 'contrasting':
@@ -402,21 +405,21 @@ export function generateTrioConfiguration(options = {}) {
                 ['string', 'bell', 'buchla'],
                 ['sizzle', 'organ', 'pad']
             ];
-            characters = pick(contrastPairs);
+            characters = pick(contrastPairs, random);
             break;
         default:
             // Each voice gets a random character for maximum variety
-            characters = [pick(allCharacters), pick(allCharacters), pick(allCharacters)];
+            characters = [pick(allCharacters, random), pick(allCharacters, random), pick(allCharacters, random)];
     }
 
     const voices = [];
 
     for (let i = 0; i < 3; i++) {
         // Vary parameters MORE between voices for distinct sounds
-        const brightness = 0.2 + Math.random() * 0.7;  // 0.2-0.9 (was 0.3-0.7)
-        const complexity = 0.2 + Math.random() * 0.7;  // 0.2-0.9 (was 0.3-0.8)
-        const movement = 0.1 + Math.random() * 0.8;    // 0.1-0.9 (was 0.2-0.8)
-        const wetness = 0.2 + Math.random() * 0.6;     // 0.2-0.8 (was 0.3-0.7)
+        const brightness = 0.2 + random() * 0.7;  // 0.2-0.9 (was 0.3-0.7)
+        const complexity = 0.2 + random() * 0.7;  // 0.2-0.9 (was 0.3-0.8)
+        const movement = 0.1 + random() * 0.8;    // 0.1-0.9 (was 0.2-0.8)
+        const wetness = 0.2 + random() * 0.6;     // 0.2-0.8 (was 0.3-0.7)
 
         // Generate patch
         const patch = generatePatch({
@@ -424,7 +427,8 @@ export function generateTrioConfiguration(options = {}) {
             complexity,
             movement,
             wetness,
-            character: characters[i]
+            character: characters[i],
+            random
         });
 
         // Determine range based on role
@@ -457,7 +461,7 @@ export function generateTrioConfiguration(options = {}) {
 
         // Pick a pattern preset
         const patternPresets = Object.keys(PATTERN_PRESETS);
-        const patternPreset = pick(patternPresets);
+        const patternPreset = pick(patternPresets, random);
 
         voices.push({
             id: i,
@@ -479,39 +483,39 @@ export function generateTrioConfiguration(options = {}) {
 }
 
 // Mutate an existing patch slightly
-export function mutatePatch(patch, intensity = 0.3) {
+export function mutatePatch(patch, intensity = 0.3, random = Math.random) {
     const mutated = JSON.parse(JSON.stringify(patch)); // Deep clone
 
     // Possibly swap one oscillator
-    if (Math.random() < intensity && mutated.oscillators.length > 0) {
-        const idx = Math.floor(Math.random() * mutated.oscillators.length);
+    if (random() < intensity && mutated.oscillators.length > 0) {
+        const idx = Math.floor(random() * mutated.oscillators.length);
         // Mix in Buchla oscillators too
-        const pool = Math.random() < 0.3 ? BUCHLA_OSCILLATORS : MELODIC_OSCILLATORS;
-        mutated.oscillators[idx] = { type: pick(pool) };
+        const pool = random() < 0.3 ? BUCHLA_OSCILLATORS : MELODIC_OSCILLATORS;
+        mutated.oscillators[idx] = { type: pick(pool, random) };
     }
 
     // Possibly swap a filter
-    if (Math.random() < intensity && mutated.filters.length > 1) {
-        const idx = Math.floor(Math.random() * (mutated.filters.length - 1)); // Keep limiter
-        mutated.filters[idx] = { type: pick([...FILTERS.toneShaping, ...FILTERS.color]) };
+    if (random() < intensity && mutated.filters.length > 1) {
+        const idx = Math.floor(random() * (mutated.filters.length - 1)); // Keep limiter
+        mutated.filters[idx] = { type: pick([...FILTERS.toneShaping, ...FILTERS.color], random) };
     }
 
     // Possibly add/remove an effect
-    if (Math.random() < intensity) {
-        if (mutated.effects.length > 2 && Math.random() < 0.5) {
+    if (random() < intensity) {
+        if (mutated.effects.length > 2 && random() < 0.5) {
             // Remove one (not limiter)
-            const idx = Math.floor(Math.random() * (mutated.effects.length - 1));
+            const idx = Math.floor(random() * (mutated.effects.length - 1));
             mutated.effects.splice(idx, 1);
         } else {
             // Add one
             const allEffects = [...EFFECTS.tape, ...EFFECTS.delay, ...EFFECTS.space];
-            mutated.effects.splice(mutated.effects.length - 1, 0, { type: pick(allEffects) });
+            mutated.effects.splice(mutated.effects.length - 1, 0, { type: pick(allEffects, random) });
         }
     }
 
     // Possibly change modulation preset
-    if (mutated.modulation && Math.random() < intensity * 0.5) {
-        mutated.modulation.preset = getRandomModulationPreset();
+    if (mutated.modulation && random() < intensity * 0.5) {
+        mutated.modulation.preset = getRandomModulationPreset(random);
         const modPreset = MODULATION_PRESETS[mutated.modulation.preset];
         mutated.modulation.settings = JSON.parse(JSON.stringify(modPreset));
     }
@@ -521,32 +525,32 @@ export function mutatePatch(patch, intensity = 0.3) {
 
 // MULTI-LEVEL RANDOMIZATION
 // 10% - Subtle evolution: tweak parameters, keep structure
-export function evolvePatch10(patch) {
+export function evolvePatch10(patch, random = Math.random) {
     const mutated = JSON.parse(JSON.stringify(patch));
 
     // Just nudge the modulation amount
     if (mutated.modulation) {
         mutated.modulation.amount = Math.max(0, Math.min(1,
-            mutated.modulation.amount + (Math.random() - 0.5) * 0.2
+            mutated.modulation.amount + (random() - 0.5) * 0.2
         ));
     }
 
     // Maybe slightly adjust filter parameters if they exist
     if (mutated.filters && mutated.filters.length > 0) {
         // Just randomize filter Q slightly (affects resonance/character)
-        mutated.filters[0].qOffset = (Math.random() - 0.5) * 2;
+        mutated.filters[0].qOffset = (random() - 0.5) * 2;
     }
 
     return mutated;
 }
 
 // 30% - Moderate evolution: may swap one component, adjust several params
-export function evolvePatch30(patch) {
+export function evolvePatch30(patch, random = Math.random) {
     const mutated = JSON.parse(JSON.stringify(patch));
 
     // 50% chance to swap one oscillator for similar type
-    if (Math.random() < 0.5 && mutated.oscillators && mutated.oscillators.length > 0) {
-        const idx = Math.floor(Math.random() * mutated.oscillators.length);
+    if (random() < 0.5 && mutated.oscillators && mutated.oscillators.length > 0) {
+        const idx = Math.floor(random() * mutated.oscillators.length);
         const currentType = mutated.oscillators[idx].type;
 
         // Find similar oscillators (same category)
@@ -559,85 +563,85 @@ export function evolvePatch30(patch) {
             similarPool = COLOR_OSCILLATORS;
         }
 
-        mutated.oscillators[idx] = { type: pick(similarPool) };
+        mutated.oscillators[idx] = { type: pick(similarPool, random) };
     }
 
     // Change modulation amount more significantly
     if (mutated.modulation) {
         mutated.modulation.amount = Math.max(0, Math.min(1,
-            mutated.modulation.amount + (Math.random() - 0.5) * 0.4
+            mutated.modulation.amount + (random() - 0.5) * 0.4
         ));
     }
 
     // 30% chance to swap modulation preset
-    if (Math.random() < 0.3 && mutated.modulation) {
-        mutated.modulation.preset = getRandomModulationPreset();
+    if (random() < 0.3 && mutated.modulation) {
+        mutated.modulation.preset = getRandomModulationPreset(random);
         const modPreset = MODULATION_PRESETS[mutated.modulation.preset];
         mutated.modulation.settings = JSON.parse(JSON.stringify(modPreset));
     }
 
     // 30% chance to swap one effect
-    if (Math.random() < 0.3 && mutated.effects && mutated.effects.length > 1) {
-        const idx = Math.floor(Math.random() * (mutated.effects.length - 1));
+    if (random() < 0.3 && mutated.effects && mutated.effects.length > 1) {
+        const idx = Math.floor(random() * (mutated.effects.length - 1));
         const allEffects = [...EFFECTS.tape, ...EFFECTS.delay, ...EFFECTS.saturation];
-        mutated.effects[idx] = { type: pick(allEffects) };
+        mutated.effects[idx] = { type: pick(allEffects, random) };
     }
 
     return mutated;
 }
 
 // 60% - Significant evolution: swap multiple components, could change character
-export function evolvePatch60(patch) {
+export function evolvePatch60(patch, random = Math.random) {
     const mutated = JSON.parse(JSON.stringify(patch));
 
     // 70% chance to swap primary oscillator
-    if (Math.random() < 0.7 && mutated.oscillators && mutated.oscillators.length > 0) {
+    if (random() < 0.7 && mutated.oscillators && mutated.oscillators.length > 0) {
         // Could switch between buchla and melodic
-        const pool = Math.random() < 0.4 ? BUCHLA_OSCILLATORS : MELODIC_OSCILLATORS;
-        mutated.oscillators[0] = { type: pick(pool) };
+        const pool = random() < 0.4 ? BUCHLA_OSCILLATORS : MELODIC_OSCILLATORS;
+        mutated.oscillators[0] = { type: pick(pool, random) };
     }
 
     // 50% chance to swap or add secondary oscillator
-    if (Math.random() < 0.5) {
+    if (random() < 0.5) {
         if (mutated.oscillators.length > 1) {
-            const pool = Math.random() < 0.4 ? BUCHLA_OSCILLATORS : MELODIC_OSCILLATORS;
-            mutated.oscillators[1] = { type: pick(pool) };
+            const pool = random() < 0.4 ? BUCHLA_OSCILLATORS : MELODIC_OSCILLATORS;
+            mutated.oscillators[1] = { type: pick(pool, random) };
         } else {
-            const pool = Math.random() < 0.4 ? BUCHLA_OSCILLATORS : COLOR_OSCILLATORS;
-            mutated.oscillators.push({ type: pick(pool), mix: 0.3 });
+            const pool = random() < 0.4 ? BUCHLA_OSCILLATORS : COLOR_OSCILLATORS;
+            mutated.oscillators.push({ type: pick(pool, random), mix: 0.3 });
         }
     }
 
     // Always change modulation preset
     if (mutated.modulation) {
-        mutated.modulation.preset = getRandomModulationPreset();
+        mutated.modulation.preset = getRandomModulationPreset(random);
         const modPreset = MODULATION_PRESETS[mutated.modulation.preset];
         mutated.modulation.settings = JSON.parse(JSON.stringify(modPreset));
-        mutated.modulation.amount = 0.3 + Math.random() * 0.5;
+        mutated.modulation.amount = 0.3 + random() * 0.5;
     }
 
     // 60% chance to swap filter
-    if (Math.random() < 0.6 && mutated.filters && mutated.filters.length > 0) {
+    if (random() < 0.6 && mutated.filters && mutated.filters.length > 0) {
         const allFilters = [...FILTERS.toneShaping, ...FILTERS.color];
-        mutated.filters[0] = { type: pick(allFilters) };
+        mutated.filters[0] = { type: pick(allFilters, random) };
     }
 
     // 50% chance to swap or add effect
-    if (Math.random() < 0.5 && mutated.effects) {
-        const idx = Math.floor(Math.random() * Math.max(1, mutated.effects.length - 1));
+    if (random() < 0.5 && mutated.effects) {
+        const idx = Math.floor(random() * Math.max(1, mutated.effects.length - 1));
         const allEffects = [...EFFECTS.tape, ...EFFECTS.delay, ...EFFECTS.saturation, ...EFFECTS.space];
-        mutated.effects[idx] = { type: pick(allEffects) };
+        mutated.effects[idx] = { type: pick(allEffects, random) };
     }
 
     return mutated;
 }
 
 // Randomize just the modulation macro settings
-export function randomizeModulation(patch) {
+export function randomizeModulation(patch, random = Math.random) {
     const mutated = JSON.parse(JSON.stringify(patch));
 
     if (mutated.modulation) {
-        mutated.modulation.preset = getRandomModulationPreset();
+        mutated.modulation.preset = getRandomModulationPreset(random);
         const modPreset = MODULATION_PRESETS[mutated.modulation.preset];
         mutated.modulation.settings = JSON.parse(JSON.stringify(modPreset));
     }
@@ -649,18 +653,212 @@ export function randomizeModulation(patch) {
 export { MODULATION_PRESETS };
 
 // Crossover between two patches
-export function crossoverPatches(patchA, patchB) {
+export function crossoverPatches(patchA, patchB, random = Math.random) {
     return {
-        oscillators: Math.random() < 0.5 ? [...patchA.oscillators] : [...patchB.oscillators],
-        filters: Math.random() < 0.5 ? [...patchA.filters] : [...patchB.filters],
+        oscillators: random() < 0.5 ? [...patchA.oscillators] : [...patchB.oscillators],
+        filters: random() < 0.5 ? [...patchA.filters] : [...patchB.filters],
         effects: [...new Set([
             ...patchA.effects.slice(0, 2),
             ...patchB.effects.slice(0, 2),
             { type: 'limiter' }
         ])],
-        modulators: Math.random() < 0.5 ? [...patchA.modulators] : [...patchB.modulators],
-        spatial: Math.random() < 0.5 ? [...patchA.spatial] : [...patchB.spatial]
+        modulators: random() < 0.5 ? [...patchA.modulators] : [...patchB.modulators],
+        spatial: random() < 0.5 ? [...patchA.spatial] : [...patchB.spatial]
+    };
+}
+
+// === BUCHLA VOICE PATCHES ===
+// A BuchlaVoice has no module chain: its patch is knob settings plus pattern settings,
+// { params, pattern } with the keys of voice.getParams() and patternEngine.getConfig().
+// Octave, level and pan (the mix) and the pattern's chord tones (the voice role) are left alone.
+
+// FM ratios that keep the carrier harmonic, weighted toward the tonal ones
+const BUCHLA_FM_RATIOS = [
+    { value: 0.5, weight: 1 },
+    { value: 1, weight: 3 },
+    { value: 1.5, weight: 2 },
+    { value: 2, weight: 4 },
+    { value: 3, weight: 3 },
+    { value: 4, weight: 2 },
+    { value: 5, weight: 1 },
+    { value: 7, weight: 0.5 }
+];
+
+const BUCHLA_CARRIERS = [
+    { value: 'sine', weight: 4 },
+    { value: 'triangle', weight: 3 },
+    { value: 'sawtooth', weight: 1 },
+    { value: 'square', weight: 1 }
+];
+
+// Shapes that keep the minimalist feel; random traversals and Fibonacci are left to the user
+const BUCHLA_PATTERN_SHAPES = [
+    { value: 'trillStrict', weight: 3 },
+    { value: 'trillBreathing', weight: 2 },
+    { value: 'threeNote', weight: 2 },
+    { value: 'threeNoteReverse', weight: 1 },
+    { value: 'fourNote', weight: 2 },
+    { value: 'fourNoteAlbertiBass', weight: 1 },
+    { value: 'fiveNoteGlass', weight: 2 },
+    { value: 'arpUpDown', weight: 2 },
+    { value: 'reichPhase', weight: 1 },
+    { value: 'additive', weight: 1 },
+    { value: 'euclidean', weight: 1 }
+];
+
+// Knob ranges for mutation; log ranges move by ratio rather than by amount
+const BUCHLA_RANGES = {
+    fmIndex: { min: 0, max: 1 },
+    foldAmount: { min: 0, max: 1 },
+    foldSymmetry: { min: 0, max: 1 },
+    lpgCutoff: { min: 200, max: 8000, log: true },
+    lpgResonance: { min: 0, max: 12 },
+    lpgResponse: { min: 0, max: 1 },
+    attack: { min: 0.001, max: 0.5, log: true },
+    decay: { min: 0.05, max: 2, log: true },
+    gateLength: { min: 0.2, max: 1 },
+    accentStrength: { min: 1, max: 1.8 }
+};
+
+// Knob groups as they sit on the panel; breeding takes each group whole from one parent
+const BUCHLA_SECTIONS = {
+    osc: ['carrierType', 'fmRatio', 'fmIndex'],
+    fold: ['foldAmount', 'foldSymmetry'],
+    lpg: ['lpgCutoff', 'lpgResonance', 'lpgResponse'],
+    env: ['attack', 'decay']
+};
+
+const BUCHLA_PATTERN_KEYS = ['patternShape', 'gateLength', 'accentStrength'];
+
+const clamp = (value, { min, max }) => Math.max(min, Math.min(max, value));
+
+// Random value in a range, skewed toward the low end by `skew` > 1
+function rangeValue(range, random, skew = 1) {
+    const t = Math.pow(random(), skew);
+    return range.log
+        ? range.min * Math.pow(range.max / range.min, t)
+        : range.min + (range.max - range.min) * t;
+}
+
+// Generate Buchla voice settings with musical bias
+export function generateBuchlaPatch(options = {}) {
+    const {
+        brightness = 0.5,    // 0 = dark, 1 = bright
+        complexity = 0.5,    // 0 = pure, 1 = lots of FM and folding
+        random = Math.random
+    } = options;
+
+    // FM and folding both add harmonics: the more of one, the less of the other
+    const fmIndex = complexity * (0.2 + random() * 0.5);
+    const foldAmount = random() < complexity ? complexity * random() * (1 - fmIndex) : 0;
+
+    // Brighter patches open the gate further; resonance stays low on open gates
+    const lpgCutoff = 300 * Math.pow(20, clamp(brightness + (random() - 0.5) * 0.3, { min: 0, max: 1 }));
+    const lpgResonance = rangeValue(BUCHLA_RANGES.lpgResonance, random, 2) * (1 - brightness * 0.5);
+
+    // Plucks mostly: fast attacks, decays that fit sixteenths to quarter notes
+    const attack = rangeValue(BUCHLA_RANGES.attack, random, 3);
+    const decay = rangeValue({ min: 0.08, max: 0.8, log: true }, random);
+
+    return {
+        params: {
+            carrierType: weightedPick(BUCHLA_CARRIERS, random),
+            fmRatio: weightedPick(BUCHLA_FM_RATIOS, random),
+            fmIndex,
+            foldAmount,
+            foldSymmetry: 0.5 + (random() - 0.5) * 0.4,
+            lpgCutoff,
+            lpgResonance,
+            lpgResponse: 0.2 + random() * 0.6,
+            attack,
+            decay
+        },
+        pattern: {
+            patternShape: weightedPick(BUCHLA_PATTERN_SHAPES, random),
+            gateLength: 0.5 + random() * 0.45,
+            accentStrength: 1.1 + random() * 0.4
+        }
+    };
+}
+
+// Nudge a knob by up to `amount` of its range
+function mutateValue(value, range, amount, random) {
+    const offset = (random() * 2 - 1) * amount;
+    if (range.log) {
+        return clamp(value * Math.pow(range.max / range.min, offset), range);
+    }
+    return clamp(value + offset * (range.max - range.min), range);
+}
+
+// Mutate Buchla voice settings: amount 0-1 (0.1 = 10%) scales both how far knobs move
+// and how likely the stepped choices (ratio, carrier, shape) are to change
+export function mutateBuchlaPatch(buchlaPatch, amount = 0.3, random = Math.random) {
+    const mutated = JSON.parse(JSON.stringify(buchlaPatch));
+    const { params = {}, pattern = {} } = mutated;
+
+    for (const target of [params, pattern]) {
+        for (const [name, value] of Object.entries(target)) {
+            if (BUCHLA_RANGES[name] && typeof value === 'number') {
+                target[name] = mutateValue(value, BUCHLA_RANGES[name], amount, random);
+            }
+        }
+    }
+
+    // FM ratio steps to a neighbouring harmonic ratio
+    if (params.fmRatio !== undefined && random() < amount) {
+        const ratios = BUCHLA_FM_RATIOS.map(r => r.value);
+        const nearest = ratios.reduce((best, r, i) =>
+            Math.abs(r - params.fmRatio) < Math.abs(ratios[best] - params.fmRatio) ? i : best, 0);
+        const step = random() < 0.5 ? -1 : 1;
+        params.fmRatio = ratios[Math.max(0, Math.min(ratios.length - 1, nearest + step))];
+    }
+
+    if (params.carrierType !== undefined && random() < amount * 0.5) {
+        params.carrierType = weightedPick(BUCHLA_CARRIERS, random);
+    }
+
+    if (pattern.patternShape !== undefined && random() < amount * 0.5) {
+        pattern.patternShape = weightedPick(BUCHLA_PATTERN_SHAPES, random);
+    }
+
+    return mutated;
+}
+
+// Crossover between two Buchla voice settings: each panel section and pattern setting comes
+// from one parent (settings only one parent has come from that parent)
+export function crossoverBuchlaPatches(patchA, patchB, random = Math.random) {
+    const child = { params: {}, pattern: {} };
+    const inherit = (target, a = {}, b = {}, keys) => {
+        const parent = random() < 0.5 ? a : b;
+        for (const key of keys) {
+            const value = key in parent ? parent[key] : (a[key] ?? b[key]);
+            if (value !== undefined) target[key] = value;
+        }
     };
+
+    for (const keys of Object.values(BUCHLA_SECTIONS)) {
+        inherit(child.params, patchA.params, patchB.params, keys);
+    }
+    for (const key of BUCHLA_PATTERN_KEYS) {
+        inherit(child.pattern, patchA.pattern, patchB.pattern, [key]);
+    }
+
+    return child;
+}
+
+// The Buchla settings of a voice state ({ params, pattern } from voice.getState())
+export function extractBuchlaPatch(state) {
+    const params = {};
+    for (const key of Object.values(BUCHLA_SECTIONS).flat()) {
+        if (state.params?.[key] !== undefined) params[key] = state.params[key];
+    }
+
+    const pattern = {};
+    for (const key of BUCHLA_PATTERN_KEYS) {
+        if (state.pattern?.[key] !== undefined) pattern[key] = state.pattern[key];
+    }
+
+    return { params, pattern };
 }
 
 // Preset patch collections
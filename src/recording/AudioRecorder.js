@@ -0,0 +1,240 @@
+// AUDIO RECORDER
+// Sample-accurate multitrack capture via recorder-processor.js
+// Every track is a stereo input; all tracks of a take share the same start sample
+
+// Seconds of headroom so a scheduled start/stop reaches the worklet before its frame
+export const MESSAGE_LEAD_TIME = 0.05;
+
+export class AudioRecorder {
+    constructor(ctx, options = {}) {
+        this.ctx = ctx;
+        this.trackNames = options.tracks || ['master'];
+
+        this.workletNode = null;
+        this.inputs = [];
+        this.isLoaded = false;
+
+        // Pre-roll ring the worklet holds ({ frames, tracks }), to skip reallocating an identical one
+        this._preroll = { frames: 0, tracks: [] };
+
+        // 'idle' | 'armed' (waiting for start time) | 'recording' | 'stopping'
+        this.state = 'idle';
+
+        // Take in progress
+        this._takeTracks = [];
+        this._chunks = [];
+        this._resolveTake = null;
+        this._takePromise = null;
+
+        // Callbacks
+        this.onStateChange = options.onStateChange || null;
+    }
+
+    // Initialize the AudioWorklet
+    async initialize() {
+        try {
+            await this.ctx.audioWorklet.addModule(new URL('/worklets/recorder-processor.js', import.meta.url).href);
+
+            const trackCount = this.trackNames.length;
+            this.workletNode = new AudioWorkletNode(this.ctx, 'recorder-processor', {
+                numberOfInputs: trackCount,
+                numberOfOutputs: 1,
+                outputChannelCount: [1],
+                channelCount: 2,
+                channelCountMode: 'explicit',
+                channelInterpretation: 'speakers',
+                processorOptions: { trackCount }
+            });
+
+            // One gain node per track so sources can connect/disconnect freely
+            for (let i = 0; i < trackCount; i++) {
+                const input = this.ctx.createGain();
+                input.connect(this.workletNode, 0, i);
+                this.inputs.push(input);
+            }
+
+            // The processor outputs silence; connecting it keeps it pulled by the graph
+            this.workletNode.connect(this.ctx.destination);
+
+            this.workletNode.port.onmessage = (e) => this._handleMessage(e.data);
+
+            this.isLoaded = true;
+            return this;
+
+        } catch (error) {
+            console.error('AudioRecorder: Failed to initialize:', error);
+            throw error;
+        }
+    }
+
+    // Input node for a track (by index or name)
+    getInput(track) {
+        const index = typeof track === 'string' ? this.trackNames.indexOf(track) : track;
+        return this.inputs[index] || null;
+    }
+
+    // Keep this many seconds of audio buffered for pre-roll on some tracks (names)
+    // The ring is allocated here and transferred, so the audio thread never allocates it;
+    // a new ring starts empty, so size it for the longest pre-roll rather than following tempo
+    setPrerollCapacity(seconds, tracks = this.trackNames) {
+        if (!this.workletNode) return;
+
+        const frames = Math.round(Math.max(0, seconds) * this.ctx.sampleRate);
+        const indices = frames > 0
+            ? tracks.filter(name => this.trackNames.includes(name)).map(name => this.trackNames.indexOf(name))
+            : [];
+        if (frames === this._preroll.frames && indices.join() === this._preroll.tracks.join()) return;
+        this._preroll = { frames, tracks: indices };
+
+        const ring = indices.map(() => [new Float32Array(frames), new Float32Array(frames)]);
+        this._sendMessage(
+            { type: 'setPrerollCapacity', frames, tracks: indices, ring },
+            ring.flatMap(channels => channels.map(channel => channel.buffer))
+        );
+    }
+
+    // === TRANSPORT ===
+
+    // Arm capture to begin at an audio time; prerollSeconds of earlier audio is included
+    // (up to the pre-roll capacity). tracks limits the take to some track names.
+    // Returns the actual start time.
+    start(time = 0, prerollSeconds = 0, tracks = this.trackNames) {
+        if (!this.isLoaded || this.state !== 'idle') return null;
+
+        const startTime = Math.max(time, this.ctx.currentTime + MESSAGE_LEAD_TIME);
+
+        this._takeTracks = tracks.filter(name => this.trackNames.includes(name));
+        this._chunks = [];
+        this._takePromise = new Promise((resolve) => {
+            this._resolveTake = resolve;
+        });
+
+        this._sendMessage({
+            type: 'start',
+            startFrame: Math.round(startTime * this.ctx.sampleRate),
+            prerollFrames: Math.round(prerollSeconds * this.ctx.sampleRate),
+            tracks: this._takeTracks.map(name => this.trackNames.indexOf(name))
+        });
+        this._setState('armed');
+
+        return startTime;
+    }
+
+    // Stop capture at an audio time
+    // Resolves to the take: { sampleRate, startTime, length, tracks: [{ name, channels: [L, R] }] }
+    stop(time = 0) {
+        if (this.state !== 'armed' && this.state !== 'recording') {
+            return this._takePromise || Promise.resolve(null);
+        }
+
+        const stopTime = Math.max(time, this.ctx.currentTime + MESSAGE_LEAD_TIME);
+        this._sendMessage({ type: 'stop', stopFrame: Math.round(stopTime * this.ctx.sampleRate) });
+        this._setState('stopping');
+
+        return this._takePromise;
+    }
+
+    // Abandon the take in progress
+    cancel() {
+        if (this.state === 'idle') return;
+        this._sendMessage({ type: 'cancel' });
+    }
+
+    _setState(state) {
+        this.state = state;
+        if (this.onStateChange) {
+            this.onStateChange(state);
+        }
+    }
+
+    // Send a message to the worklet (transfer: buffers handed over with it)
+    _sendMessage(message, transfer = []) {
+        this.workletNode?.port.postMessage(message, transfer);
+    }
+
+    // Handle messages from the worklet
+    _handleMessage(data) {
+        switch (data.type) {
+            case 'started':
+                if (this.state === 'armed') {
+                    this._setState('recording');
+                }
+                break;
+
+            case 'chunk':
+                // Keep a copy and hand the buffers back for the worklet to reuse
+                this._chunks.push({
+                    tracks: data.tracks.map(channels => channels.map(channel => channel.slice(0, data.frames))),
+                    frames: data.frames
+                });
+                this._sendMessage(
+                    { type: 'returnChunk', tracks: data.tracks },
+                    data.tracks.flatMap(channels => channels.map(channel => channel.buffer))
+                );
+                break;
+
+            case 'done':
+                this._finishTake(data.firstFrame, data.frames);
+                break;
+
+            case 'cancelled':
+                this._chunks = [];
+                this._resolveTake?.(null);
+                this._resolveTake = null;
+                this._takePromise = null;
+                this._setState('idle');
+                break;
+        }
+    }
+
+    // Stitch the received chunks into one buffer per track channel
+    _finishTake(firstFrame, length) {
+        const tracks = this._takeTracks.map((name, t) => {
+            const channels = [new Float32Array(length), new Float32Array(length)];
+            let offset = 0;
+            for (const chunk of this._chunks) {
+                for (let c = 0; c < 2; c++) {
+                    channels[c].set(chunk.tracks[t][c].subarray(0, chunk.frames), offset);
+                }
+                offset += chunk.frames;
+            }
+            return { name, channels };
+        });
+
+        const take = {
+            sampleRate: this.ctx.sampleRate,
+            startTime: firstFrame / this.ctx.sampleRate,
+            length,
+            tracks
+        };
+
+        this._chunks = [];
+        this._resolveTake?.(take);
+        this._resolveTake = null;
+        this._takePromise = null;
+        this._setState('idle');
+    }
+
+    // === CLEANUP ===
+
+    dispose() {
+        this._resolveTake?.(null);
+        this._resolveTake = null;
+
+        if (this.workletNode) {
+            this.workletNode.disconnect();
+            this.workletNode.port.close();
+            this.workletNode = null;
+        }
+
+        this.inputs.forEach(input => input.disconnect());
+        this.inputs = [];
+
+        this.isLoaded = false;
+    }
+}
+
+// Factory function
+export function createAudioRecorder(ctx, options = {}) {
+    return new AudioRecorder(ctx, options);
+}
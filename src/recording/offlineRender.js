@@ -0,0 +1,91 @@
+// OFFLINE RENDER
+// Faster-than-realtime bounce of a session through an OfflineAudioContext
+// A separate GlassMachine runs on the offline context with its timers replaced by
+// tick() calls at fixed audio times (suspend/resume), so scheduling is reproducible
+
+import { createGlassMachine } from '../engine/GlassMachine.js';
+import { migrateSession } from '../engine/session.js';
+
+// Silence rendered before the clock starts, then trimmed, so worklets have
+// received their restored params/buffers before the first note
+const SETTLE_TIME = 0.25;
+
+const BEATS_PER_BAR = 4;
+
+// Render `bars` bars of a session (plus a tail for reverb/delay decay)
+// Resolves to { sampleRate, length, channels: [L, R] }
+export async function renderSession(session, options = {}) {
+    const {
+        bars = 8,
+        sampleRate = 48000,
+        tailSeconds = 4,
+        onProgress = null
+    } = options;
+
+    const data = migrateSession(session);
+    const bpm = data.bpm || 120;
+    const musicDuration = bars * BEATS_PER_BAR * 60 / bpm;
+    const totalDuration = SETTLE_TIME + musicDuration + tailSeconds;
+
+    const ctx = new OfflineAudioContext({
+        numberOfChannels: 2,
+        length: Math.ceil(totalDuration * sampleRate),
+        sampleRate
+    });
+
+    const machine = createGlassMachine({
+        context: ctx,
+        bpm,
+        rootMidi: data.rootMidi,
+        scaleName: data.scaleName
+    });
+    await machine.initialize();
+    await machine.restoreState(data);
+
+    // Bounces always start at bar 0 of the transpose sequence
+    machine.resetTranspose();
+
+    const stepTime = machine.clock.schedulerResolution / 1000;
+    const endTime = SETTLE_TIME + musicDuration;
+
+    // Step the scheduler through the music section, one suspend per scheduler tick
+    // (always resume, or a failed tick would stall the render)
+    const scheduleTick = (time) => {
+        ctx.suspend(time).then(async () => {
+            try {
+                if (!machine.clock.isRunning) {
+                    await machine.start();
+                }
+
+                machine.tick(endTime);
+                onProgress?.(Math.min(1, (time - SETTLE_TIME) / musicDuration));
+
+                const next = time + stepTime;
+                if (next < endTime) {
+                    scheduleTick(next);
+                } else {
+                    machine.stop();
+                }
+            } catch (error) {
+                console.error('renderSession: scheduler tick failed:', error);
+            } finally {
+                ctx.resume();
+            }
+        });
+    };
+    scheduleTick(SETTLE_TIME);
+
+    const rendered = await ctx.startRendering();
+    machine.dispose();
+    onProgress?.(1);
+
+    // Trim the settle time
+    const offset = Math.round(SETTLE_TIME * sampleRate);
+    const channels = [0, 1].map(c => rendered.getChannelData(c).slice(offset));
+
+    return {
+        sampleRate,
+        length: channels[0].length,
+        channels
+    };
+}
@@ -0,0 +1,64 @@
+// WAV ENCODER
+// Interleaved PCM RIFF/WAVE files from Float32 channel data (24-bit by default)
+
+// Encode channels ([Float32Array, ...], equal lengths) as a WAV Blob
+export function encodeWAV(channels, sampleRate, bitDepth = 24) {
+    if (bitDepth !== 16 && bitDepth !== 24) {
+        throw new Error(`encodeWAV: unsupported bit depth ${bitDepth}`);
+    }
+
+    const numChannels = channels.length;
+    const length = numChannels > 0 ? channels[0].length : 0;
+    const bytesPerSample = bitDepth / 8;
+    const blockAlign = numChannels * bytesPerSample;
+    const dataSize = length * blockAlign;
+
+    const buffer = new ArrayBuffer(44 + dataSize);
+    const view = new DataView(buffer);
+
+    // RIFF header
+    writeString(view, 0, 'RIFF');
+    view.setUint32(4, 36 + dataSize, true);
+    writeString(view, 8, 'WAVE');
+
+    // fmt chunk (PCM)
+    writeString(view, 12, 'fmt ');
+    view.setUint32(16, 16, true);
+    view.setUint16(20, 1, true);
+    view.setUint16(22, numChannels, true);
+    view.setUint32(24, sampleRate, true);
+    view.setUint32(28, sampleRate * blockAlign, true);
+    view.setUint16(32, blockAlign, true);
+    view.setUint16(34, bitDepth, true);
+
+    // data chunk
+    writeString(view, 36, 'data');
+    view.setUint32(40, dataSize, true);
+
+    const maxValue = 2 ** (bitDepth - 1) - 1;
+    let offset = 44;
+
+    for (let i = 0; i < length; i++) {
+        for (let c = 0; c < numChannels; c++) {
+            const sample = Math.max(-1, Math.min(1, channels[c][i]));
+            const value = Math.round(sample * maxValue);
+
+            if (bitDepth === 16) {
+                view.setInt16(offset, value, true);
+            } else {
+                view.setUint8(offset, value & 0xff);
+                view.setUint8(offset + 1, (value >> 8) & 0xff);
+                view.setUint8(offset + 2, (value >> 16) & 0xff);
+            }
+            offset += bytesPerSample;
+        }
+    }
+
+    return new Blob([buffer], { type: 'audio/wav' });
+}
+
+function writeString(view, offset, text) {
+    for (let i = 0; i < text.length; i++) {
+        view.setUint8(offset + i, text.charCodeAt(i));
+    }
+}
@@ -0,0 +1,265 @@
+// SESSION LIBRARY
+// Named GlassMachine sessions persisted locally in IndexedDB (works offline as a PWA)
+// Records: { id, name, tags, createdAt, updatedAt, session }
+// Recorded looper audio (session.audio) lives in its own store so listing stays cheap
+
+const DB_NAME = 'glass-machine';
+const DB_VERSION = 2;
+
+const SESSIONS_STORE = 'sessions';
+const META_STORE = 'meta';
+const AUDIO_STORE = 'audio';
+
+// Meta key for the session autosaved when the app is backgrounded
+const AUTOSAVE_KEY = 'autosave';
+
+// Wrap an IDBRequest in a promise
+function promisify(request) {
+    return new Promise((resolve, reject) => {
+        request.onsuccess = () => resolve(request.result);
+        request.onerror = () => reject(request.error);
+    });
+}
+
+// Unique record ID
+function createId() {
+    if (globalThis.crypto?.randomUUID) {
+        return crypto.randomUUID();
+    }
+    return `${Date.now().toString(36)}-${Math.random().toString(36).slice(2, 10)}`;
+}
+
+// Normalize a tag list: trimmed, lowercase, unique, non-empty
+export function normalizeTags(tags) {
+    const list = Array.isArray(tags) ? tags : String(tags || '').split(',');
+    return [...new Set(list.map(t => String(t).trim().toLowerCase()).filter(Boolean))];
+}
+
+export class SessionLibrary {
+    constructor(options = {}) {
+        this.dbName = options.dbName || DB_NAME;
+        this.db = null;
+
+        // Called after any change to the library (save, rename, delete...)
+        this.onChange = options.onChange || null;
+    }
+
+    // Open (and upgrade) the database
+    async open() {
+        if (this.db) return this;
+
+        if (!globalThis.indexedDB) {
+            throw new Error('SessionLibrary: IndexedDB is not available');
+        }
+
+        const request = indexedDB.open(this.dbName, DB_VERSION);
+
+        request.onupgradeneeded = (e) => {
+            const db = request.result;
+
+            // v1: sessions + meta
+            if (e.oldVersion < 1) {
+                const sessions = db.createObjectStore(SESSIONS_STORE, { keyPath: 'id' });
+                sessions.createIndex('updatedAt', 'updatedAt');
+                sessions.createIndex('tags', 'tags', { multiEntry: true });
+                db.createObjectStore(META_STORE, { keyPath: 'key' });
+            }
+
+            // v2: session audio, keyed by session ID (or AUTOSAVE_KEY)
+            if (e.oldVersion < 2) {
+                db.createObjectStore(AUDIO_STORE);
+            }
+        };
+
+        this.db = await promisify(request);
+        return this;
+    }
+
+    // Run a callback against one or more object stores inside a single transaction
+    // The callback receives the stores in the order given
+    async _withStore(storeNames, mode, callback) {
+        await this.open();
+        const names = Array.isArray(storeNames) ? storeNames : [storeNames];
+        const tx = this.db.transaction(names, mode);
+        const done = new Promise((resolve, reject) => {
+            tx.oncomplete = resolve;
+            tx.onerror = () => reject(tx.error);
+            tx.onabort = () => reject(tx.error);
+        });
+        const result = await callback(...names.map(name => tx.objectStore(name)));
+        await done;
+        return result;
+    }
+
+    // Split captured audio off a session for separate storage
+    _splitAudio(session) {
+        const { audio = null, ...rest } = session;
+        return { session: { ...rest, audio: null }, audio };
+    }
+
+    _notifyChange() {
+        if (this.onChange) {
+            this.onChange();
+        }
+    }
+
+    // === SESSIONS ===
+
+    // List session summaries (no session payload), newest first
+    // Optional tag filter: only sessions carrying that tag
+    async list(tag = null) {
+        const records = await this._withStore(SESSIONS_STORE, 'readonly', (store) => {
+            const normalized = tag ? normalizeTags([tag])[0] : null;
+            return normalized
+                ? promisify(store.index('tags').getAll(normalized))
+                : promisify(store.getAll());
+        });
+
+        return records
+            .map(({ session, ...summary }) => summary)
+            .sort((a, b) => b.updatedAt - a.updatedAt);
+    }
+
+    // Get every tag in use, alphabetically
+    async listTags() {
+        const records = await this.list();
+        return [...new Set(records.flatMap(r => r.tags))].sort();
+    }
+
+    // Get a record (session without audio) by ID
+    async get(id) {
+        const record = await this._withStore(SESSIONS_STORE, 'readonly', (store) =>
+            promisify(store.get(id))
+        );
+        return record || null;
+    }
+
+    // Get a record with its session audio re-attached, ready for GlassMachine.restoreState()
+    async load(id) {
+        const [record, audio] = await this._withStore([SESSIONS_STORE, AUDIO_STORE], 'readonly',
+            (sessions, audioStore) => Promise.all([
+                promisify(sessions.get(id)),
+                promisify(audioStore.get(id))
+            ])
+        );
+        if (!record) return null;
+
+        return { ...record, session: { ...record.session, audio: audio ?? null } };
+    }
+
+    // Save a new session, or overwrite an existing one when options.id is given
+    async save(sessionWithAudio, options = {}) {
+        const now = Date.now();
+        const existing = options.id ? await this.get(options.id) : null;
+        const { session, audio } = this._splitAudio(sessionWithAudio);
+
+        const record = {
+            id: existing?.id || createId(),
+            name: (options.name ?? existing?.name ?? 'Untitled').trim() || 'Untitled',
+            tags: normalizeTags(options.tags ?? existing?.tags ?? []),
+            createdAt: existing?.createdAt || now,
+            updatedAt: now,
+            session
+        };
+
+        await this._withStore([SESSIONS_STORE, AUDIO_STORE], 'readwrite', (sessions, audioStore) =>
+            Promise.all([
+                promisify(sessions.put(record)),
+                promisify(audio ? audioStore.put(audio, record.id) : audioStore.delete(record.id))
+            ])
+        );
+        this._notifyChange();
+        return record;
+    }
+
+    // Apply a partial update to a record's metadata
+    async _update(id, changes) {
+        const record = await this.get(id);
+        if (!record) {
+            throw new Error(`SessionLibrary: no session with id "${id}"`);
+        }
+
+        const updated = { ...record, ...changes, updatedAt: Date.now() };
+        await this._withStore(SESSIONS_STORE, 'readwrite', (store) => promisify(store.put(updated)));
+        this._notifyChange();
+        return updated;
+    }
+
+    async rename(id, name) {
+        return this._update(id, { name: String(name).trim() || 'Untitled' });
+    }
+
+    async setTags(id, tags) {
+        return this._update(id, { tags: normalizeTags(tags) });
+    }
+
+    // Copy a session (and its audio) under a new ID (name defaults to "<name> copy")
+    async duplicate(id, name = null) {
+        const record = await this.load(id);
+        if (!record) {
+            throw new Error(`SessionLibrary: no session with id "${id}"`);
+        }
+
+        return this.save(structuredClone(record.session), {
+            name: name || `${record.name} copy`,
+            tags: record.tags
+        });
+    }
+
+    async delete(id) {
+        await this._withStore([SESSIONS_STORE, AUDIO_STORE], 'readwrite', (sessions, audioStore) =>
+            Promise.all([
+                promisify(sessions.delete(id)),
+                promisify(audioStore.delete(id))
+            ])
+        );
+        this._notifyChange();
+    }
+
+    // === AUTOSAVE ===
+
+    // Store the working session (overwritten on each call)
+    async saveAutosave(sessionWithAudio) {
+        const { session, audio } = this._splitAudio(sessionWithAudio);
+        await this._withStore([META_STORE, AUDIO_STORE], 'readwrite', (meta, audioStore) =>
+            Promise.all([
+                promisify(meta.put({ key: AUTOSAVE_KEY, savedAt: Date.now(), session })),
+                promisify(audio ? audioStore.put(audio, AUTOSAVE_KEY) : audioStore.delete(AUTOSAVE_KEY))
+            ])
+        );
+    }
+
+    // Get the working session (with audio), or null
+    async loadAutosave() {
+        const [entry, audio] = await this._withStore([META_STORE, AUDIO_STORE], 'readonly',
+            (meta, audioStore) => Promise.all([
+                promisify(meta.get(AUTOSAVE_KEY)),
+                promisify(audioStore.get(AUTOSAVE_KEY))
+            ])
+        );
+        if (!entry?.session) return null;
+
+        return { ...entry.session, audio: audio ?? null };
+    }
+
+    async clearAutosave() {
+        await this._withStore([META_STORE, AUDIO_STORE], 'readwrite', (meta, audioStore) =>
+            Promise.all([
+                promisify(meta.delete(AUTOSAVE_KEY)),
+                promisify(audioStore.delete(AUTOSAVE_KEY))
+            ])
+        );
+    }
+
+    // === CLEANUP ===
+
+    close() {
+        this.db?.close();
+        this.db = null;
+    }
+}
+
+// Factory function
+export function createSessionLibrary(options = {}) {
+    return new SessionLibrary(options);
+}
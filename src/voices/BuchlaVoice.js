@@ -4,6 +4,9 @@
 import { createPitchBus } from '../engine/pitchBus.js';
 import { createPatternEngine } from '../engine/patternEngine.js';
 
+// Full pressure opens the LPG this far above the cutoff knob (cents)
+const PRESSURE_CUTOFF_CENTS = 3600;
+
 export class BuchlaVoice {
     constructor(ctx, output, id, options = {}) {
         this.ctx = ctx;
@@ -60,12 +63,25 @@ export class BuchlaVoice {
         // AudioParam references for LFO modulation
         this.modulatableParams = {};
 
+        // Performance expression (MPE): offsets on top of the knobs, not part of the patch
+        // pressure 0-1, slide 0-1, bend in semitones
+        this.expression = { pressure: 0, slide: 0, bend: 0 };
+
         // Mute state
         this.isMuted = false;
 
+        // Last XY pad X, so small movements don't restart the pattern figure
+        this.padX = 0.5;
+
         // Options
         this.rootMidi = options.rootMidi || 48;
         this.scaleName = options.scaleName || 'major';
+
+        // Random source for pattern traversals (seeded stream from GlassMachine)
+        this.random = options.random || Math.random;
+
+        // Called with each resolved note ({ voiceId, time, duration, degree, midi, accent })
+        this.onNote = options.onNote || null;
     }
 
     // Initialize the voice audio graph
@@ -85,7 +101,8 @@ export class BuchlaVoice {
         this.patternEngine = createPatternEngine(this.pitchBus, null, {
             patternShape: 'trillStrict',
             baseDegree: 0,
-            intervalSpread: [0, 2]
+            intervalSpread: [0, 2],
+            random: this.random
         });
 
         // Build the audio graph
@@ -105,7 +122,7 @@ export class BuchlaVoice {
 
         // FM depth control (modulator → fmGain → carrier.frequency)
         this.fmGain = this.ctx.createGain();
-        this.fmGain.gain.value = this.currentFreq * this.params.fmIndex;
+        this.fmGain.gain.value = this.currentFreq * this._withSlide(this.params.fmIndex);
 
         // Carrier oscillator
         this.carrier = this.ctx.createOscillator();
@@ -183,6 +200,27 @@ export class BuchlaVoice {
         // Also connect to modulator detune to keep FM ratio consistent
         this.octaveToDetuneGain.connect(this.modulator.detune);
 
+        // Expression bend (cents), alongside the octave on both oscillators
+        this.bendSource = this.ctx.createConstantSource();
+        this.bendSource.offset.value = this.expression.bend * 100;
+        this.bendSource.start();
+        this.bendSource.connect(this.carrier.detune);
+        this.bendSource.connect(this.modulator.detune);
+
+        // Trill interval (cents above the step's note), scheduled at each trill strike
+        this.trillSource = this.ctx.createConstantSource();
+        this.trillSource.offset.value = 0;
+        this.trillSource.start();
+        this.trillSource.connect(this.carrier.detune);
+        this.trillSource.connect(this.modulator.detune);
+        this._trillActive = false;
+
+        // Expression pressure (cents on the LPG filter), so it follows the envelope
+        this.pressureSource = this.ctx.createConstantSource();
+        this.pressureSource.offset.value = this.expression.pressure * PRESSURE_CUTOFF_CENTS;
+        this.pressureSource.start();
+        this.pressureSource.connect(this.lpgFilter.detune);
+
         // Attack modulation source (0.001 to 2 seconds)
         this.attackSource = this.ctx.createConstantSource();
         this.attackSource.offset.value = this.params.attack;
@@ -276,7 +314,7 @@ export class BuchlaVoice {
         // Update FM depth (scales with frequency for consistent timbre)
         if (this.fmGain) {
             this.fmGain.gain.setTargetAtTime(
-                this.currentFreq * this.params.fmIndex,
+                this.currentFreq * this._withSlide(this.params.fmIndex),
                 this.ctx.currentTime,
                 0.005
             );
@@ -288,14 +326,68 @@ export class BuchlaVoice {
         if (this.isMuted) return;
 
         // step() advances the pattern and returns next step info
-        const step = this.patternEngine.step(event.time);
+        const step = this.patternEngine.step(event.time, event.stepsPerBar);
         if (!step || step.isRest) return;
 
         // Update pitch via the pitch bus (degree -> frequency)
         this.pitchBus.setDegree(step.degree, true);
+        const accent = step.accent || 1;
 
-        // Trigger envelope based on mode
-        this._trigger(event.time, event.duration * (step.gateLength || 0.8), step.accent || 1);
+        if (this.patternEngine.trill.enabled) {
+            this._scheduleTrill(event, step, accent);
+            return;
+        }
+        if (this._trillActive) {
+            this.trillSource.offset.setValueAtTime(0, event.time);
+            this._trillActive = false;
+        }
+
+        // Trigger envelope based on mode (more than once for a ratchet)
+        for (const hit of this.patternEngine.stepHits(event.time, event.duration, step)) {
+            this._trigger(hit.time, hit.duration, accent);
+
+            // Report the note as heard (octave knob applied via detune, so add it here)
+            if (this.onNote) {
+                this.onNote({
+                    voiceId: this.id,
+                    time: hit.time,
+                    duration: hit.duration,
+                    degree: step.degree,
+                    midi: this.pitchBus.currentMidi + Math.round(this.params.octave) * 12,
+                    accent
+                });
+            }
+        }
+    }
+
+    // Trill mode: every strike inside the step moves the pitch (detune, sample-accurate)
+    // and strikes the LPG; trills near the top of the range turn downward
+    _scheduleTrill(event, step, accent) {
+        const baseMidi = this.pitchBus.currentMidi;
+
+        for (const strike of this.patternEngine.trillStrikes(event.time, event.duration)) {
+            const degree = step.degree + strike.offset <= this.pitchBus.rangeMax
+                ? step.degree + strike.offset
+                : step.degree - strike.offset;
+            const midi = this.pitchBus.midiForDegree(degree);
+            const duration = strike.duration * (step.gateLength || 0.8);
+            const strikeAccent = accent * strike.accent;
+
+            this.trillSource.offset.setValueAtTime((midi - baseMidi) * 100, strike.time);
+            this._trigger(strike.time, duration, strikeAccent);
+
+            if (this.onNote) {
+                this.onNote({
+                    voiceId: this.id,
+                    time: strike.time,
+                    duration,
+                    degree,
+                    midi: midi + Math.round(this.params.octave) * 12,
+                    accent: strikeAccent
+                });
+            }
+        }
+        this._trillActive = true;
     }
 
     // Trigger the LPG envelope
@@ -406,7 +498,7 @@ export class BuchlaVoice {
 
     // Update wavefolder wet/dry mix based on fold amount
     _updateFoldMix() {
-        const amount = this.params.foldAmount;
+        const amount = this._withSlide(this.params.foldAmount);
         const now = this.ctx.currentTime;
 
         // Calculate drive (1 to 6 for more aggressive folding at high amounts)
@@ -427,6 +519,42 @@ export class BuchlaVoice {
         }
     }
 
+    // === EXPRESSION ===
+
+    // Set any of { pressure, slide, bend } from a performance controller
+    // pressure opens the LPG, slide pushes FM index and fold toward their maximum,
+    // bend detunes both oscillators (semitones)
+    setExpression(changes) {
+        const now = this.ctx.currentTime;
+
+        if (Number.isFinite(changes.pressure)) {
+            this.expression.pressure = Math.max(0, Math.min(1, changes.pressure));
+            this.pressureSource?.offset.setTargetAtTime(
+                this.expression.pressure * PRESSURE_CUTOFF_CENTS, now, 0.01
+            );
+        }
+
+        if (Number.isFinite(changes.slide)) {
+            this.expression.slide = Math.max(0, Math.min(1, changes.slide));
+            this._updateFrequencies();
+            this._updateFoldMix();
+        }
+
+        if (Number.isFinite(changes.bend)) {
+            this.expression.bend = changes.bend;
+            this.bendSource?.offset.setTargetAtTime(this.expression.bend * 100, now, 0.005);
+        }
+    }
+
+    resetExpression() {
+        this.setExpression({ pressure: 0, slide: 0, bend: 0 });
+    }
+
+    // Knob value (0-1) pushed toward 1 by slide
+    _withSlide(value) {
+        return value + (1 - value) * this.expression.slide;
+    }
+
     // === PARAMETER SETTERS ===
 
     setParam(name, value) {
@@ -557,6 +685,28 @@ export class BuchlaVoice {
         }
     }
 
+    // Get full voice state for session serialization
+    getState() {
+        return {
+            id: this.id,
+            params: this.getParams(),
+            isMuted: this.isMuted,
+            pattern: this.patternEngine?.getConfig() || null
+        };
+    }
+
+    // Restore voice state (mute is restored by GlassMachine alongside the voice clock)
+    restoreState(state) {
+        if (!state) return;
+
+        if (state.params) {
+            this.setParams(state.params);
+        }
+        if (state.pattern && this.patternEngine) {
+            this.patternEngine.setConfig(state.pattern);
+        }
+    }
+
     // === PITCH CONTROL ===
 
     setRoot(midi) {
@@ -584,6 +734,11 @@ export class BuchlaVoice {
         this.patternEngine.setDensity(density);
     }
 
+    setRandom(random) {
+        this.random = random || Math.random;
+        this.patternEngine?.setRandom(this.random);
+    }
+
     randomizePattern() {
         this.patternEngine.randomize();
     }
@@ -594,8 +749,7 @@ export class BuchlaVoice {
         this.setParams(sourceVoice.getParams());
         // Copy pattern as well
         if (sourceVoice.patternEngine && this.patternEngine) {
-            const sourcePattern = sourceVoice.patternEngine.getPattern();
-            this.patternEngine.setPattern(sourcePattern);
+            this.patternEngine.setConfig(sourceVoice.patternEngine.getConfig());
         }
     }
 
@@ -628,11 +782,17 @@ export class BuchlaVoice {
 
     // === XY PAD CONTROL ===
 
-    // X-axis typically controls filter/brightness
+    // X-axis controls filter/brightness and pattern complexity
     setXPosition(x) {
         // Map X (0-1) to LPG cutoff
         const cutoff = 50 + x * 11950; // 50 to 12000
         this.setParam('lpgCutoff', cutoff);
+
+        // Morph the figure as on the modular engines (same threshold as Voice.setXY)
+        if (this.patternEngine && Math.abs(x - this.padX) > 0.08) {
+            this.padX = x;
+            this.patternEngine.setComplexity(x);
+        }
     }
 
     // Y-axis typically controls FM depth/timbre
@@ -664,6 +824,18 @@ export class BuchlaVoice {
             if (this.octaveToDetuneGain) {
                 this.octaveToDetuneGain.disconnect();
             }
+            if (this.bendSource) {
+                this.bendSource.stop();
+                this.bendSource.disconnect();
+            }
+            if (this.trillSource) {
+                this.trillSource.stop();
+                this.trillSource.disconnect();
+            }
+            if (this.pressureSource) {
+                this.pressureSource.stop();
+                this.pressureSource.disconnect();
+            }
             if (this.attackSource) {
                 this.attackSource.stop();
                 this.attackSource.disconnect();
@@ -693,6 +865,9 @@ export class BuchlaVoice {
         this.modulator = null;
         this.octaveSource = null;
         this.octaveToDetuneGain = null;
+        this.bendSource = null;
+        this.trillSource = null;
+        this.pressureSource = null;
         this.attackSource = null;
         this.decaySource = null;
         this.fmGain = null;
@@ -1,12 +1,13 @@
 // VOICE CLASS
 // Combines pitch bus, pattern engine, and audio modules into a playable voice
 // Each voice is a complete trill/arpeggio instrument
+// Implements the same voice interface as BuchlaVoice, so GlassMachine can run it in any slot
 
 import { PitchBus, createPitchBus } from '../engine/pitchBus.js';
 import { PatternEngine, createPatternEngine } from '../engine/patternEngine.js';
 import { MODULE_TYPES } from '../engine/modules.js';
 import { createPitchTrackingOscillator, PITCH_TRACKING_OSCILLATORS } from '../engine/pitchTrackingOscillators.js';
-import { midiToFreq } from '../engine/scales.js';
+import { SCALES, midiToFreq } from '../engine/scales.js';
 
 export class Voice {
     constructor(audioContext, masterOutput, voiceId, options = {}) {
@@ -17,10 +18,16 @@ export class Voice {
         // Voice-specific settings
         this.name = options.name || `Voice ${voiceId}`;
 
+        // Module patch built by initialize() (archetype or generated)
+        this.patch = options.patch || null;
+
+        // Random source for pattern traversals and module construction (seeded stream from GlassMachine)
+        this.random = options.random || Math.random;
+
         // Create pitch bus with callback for pitch changes
         this.pitchBus = createPitchBus(audioContext, {
             rootMidi: options.rootMidi || 48,
-            scale: options.scale,
+            scale: options.scale || SCALES[options.scaleName],
             rangeMin: options.rangeMin || 0,
             rangeMax: options.rangeMax || 14,
             glideTime: options.glideTime || 0.02,
@@ -28,7 +35,10 @@ export class Voice {
         });
 
         // Create pattern engine
-        this.pattern = createPatternEngine(this.pitchBus, options.patternPreset, options.patternConfig);
+        this.patternEngine = createPatternEngine(this.pitchBus, options.patternPreset, {
+            ...options.patternConfig,
+            random: this.random
+        });
 
         // Audio chain
         this.modules = [];
@@ -40,14 +50,40 @@ export class Voice {
         this.envelope = this.ctx.createGain();
         this.envelope.gain.value = 0;
 
+        // Output pan (after any spatial modules in the patch)
+        this.panner = this.ctx.createStereoPanner();
+
         // Connect envelope to voice output
         this.envelope.connect(this.voiceGain);
-        this.voiceGain.connect(this.masterOutput);
+        this.voiceGain.connect(this.panner);
+        this.panner.connect(this.masterOutput);
 
         // Current note state
         this.isPlaying = false;
         this.currentNote = null;
-        this.currentFreq = midiToFreq(options.rootMidi || 48);
+        this.baseFreq = midiToFreq(options.rootMidi || 48);
+        this.currentFreq = this.baseFreq;
+
+        // Panel parameters shared with BuchlaVoice (the rest of its panel does not apply here)
+        this.params = {
+            octave: 0,              // -2 to +2
+            attack: 0.01,           // 0.001 to 2 seconds
+            decay: 0.3,             // 0.001 to 4 seconds (decay and release)
+            envMode: 'gate',        // gate, trigger, drone
+            lpgCutoff: 2000,        // 50 to 12000 Hz (patch filter cutoff)
+            lpgResonance: 1,        // 0 to 20 (patch filter Q)
+            level: options.volume || 0.7,
+            pan: 0                  // -1 to 1
+        };
+
+        // Performance expression (MPE): pressure 0-1, slide 0-1, bend in semitones
+        this.expression = { pressure: 0, slide: 0, bend: 0 };
+
+        // Mute state
+        this.isMuted = false;
+
+        // Called with each resolved note ({ voiceId, time, duration, degree, midi, accent })
+        this.onNote = options.onNote || null;
 
         // Voice clock reference (set by engine)
         this.clock = null;
@@ -73,13 +109,27 @@ export class Voice {
         };
     }
 
+    // Build the archetype/generated patch
+    async initialize() {
+        if (this.patch) {
+            this.buildPatch(this.patch);
+        }
+        return this;
+    }
+
     // Called when pitch bus changes frequency
     _onPitchChange(freq, midi, degree) {
-        this.currentFreq = freq;
+        this.baseFreq = freq;
+        this._updateFrequencies();
+    }
+
+    // Octave knob and bend on top of the pattern pitch
+    _updateFrequencies() {
+        this.currentFreq = this.baseFreq * Math.pow(2, this.params.octave + this.expression.bend / 12);
 
         // Update all pitch-tracking oscillators
         for (const osc of this.pitchTrackingOscs) {
-            osc.setFrequency(freq);
+            osc.setFrequency(this.currentFreq);
         }
     }
 
@@ -87,6 +137,7 @@ export class Voice {
     buildPatch(patch) {
         // Cleanup existing modules
         this.cleanup();
+        this.patch = patch;
 
         const chain = [];
         let lastNode = null;
@@ -100,7 +151,8 @@ export class Voice {
             // Use pitch-tracking oscillators for melodic types
             if (PITCH_TRACKING_OSCILLATORS.includes(typeName)) {
                 module = createPitchTrackingOscillator(this.ctx, typeName, {
-                    baseFreq: this.currentFreq
+                    baseFreq: this.currentFreq,
+                    random: this.random
                 });
                 this.pitchTrackingOscs.push(module);
             } else {
@@ -138,6 +190,9 @@ export class Voice {
                     this.modTargets.set('filterCutoff', module.params.freq);
                     this.filterCutoffBase = module.params.freq.value;
                 }
+                if (module.params.Q && !this.modTargets.has('filterQ')) {
+                    this.modTargets.set('filterQ', module.params.Q);
+                }
             }
         }
 
@@ -188,6 +243,11 @@ export class Voice {
 
         this.modules = chain;
 
+        // Function-generator modulation from generated patches
+        if (patch.modulation) {
+            this.applyModulation(patch.modulation);
+        }
+
         // Notify listeners that patch changed (for UI sync)
         if (this.onPatchChange) {
             this.onPatchChange(this);
@@ -203,7 +263,7 @@ export class Voice {
         }
 
         try {
-            return moduleType.create(this.ctx, params);
+            return moduleType.create(this.ctx, params, this.random);
         } catch (e) {
             console.error(`Failed to create module ${typeName}:`, e);
             return null;
@@ -219,16 +279,44 @@ export class Voice {
     // Handle clock step
     _onClockStep(event) {
         if (!this.isPlaying) return;
+        this.scheduleNote(event);
+    }
+
+    // Schedule the next pattern step from the clock
+    scheduleNote(event) {
+        if (this.isMuted) return;
 
         // Get next note from pattern
-        const step = this.pattern.step(event.time);
+        const step = this.patternEngine.step(event.time, event.stepsPerBar);
+        if (!step || step.isRest) {
+            // Schedule note off (a drone keeps sounding, a tie holds the previous note)
+            if (this.params.envMode !== 'drone' && !step?.tie) this._scheduleNoteOff(event.time);
+            return;
+        }
 
-        if (step.isRest) {
-            // Schedule note off
-            this._scheduleNoteOff(event.time);
-        } else {
-            // Schedule note
-            this._scheduleNote(event.time, step.degree, event.duration * step.gateLength, step.accent);
+        const accent = step.accent || 1;
+        if (this.params.envMode === 'drone') {
+            // Drone: the envelope stays open, only the pitch moves
+            this.pitchBus.setDegree(step.degree, true);
+        }
+
+        // One note, or several for a ratchet
+        for (const hit of this.patternEngine.stepHits(event.time, event.duration, step)) {
+            if (this.params.envMode !== 'drone') {
+                this._scheduleNote(hit.time, step.degree, hit.duration, accent);
+            }
+
+            // Report the note as heard (octave knob applied on top of the pitch bus)
+            if (this.onNote) {
+                this.onNote({
+                    voiceId: this.id,
+                    time: hit.time,
+                    duration: hit.duration,
+                    degree: step.degree,
+                    midi: this.pitchBus.currentMidi + Math.round(this.params.octave) * 12,
+                    accent
+                });
+            }
         }
     }
 
@@ -315,7 +403,7 @@ export class Voice {
 
     // Hard reset - called when clock resets
     hardReset() {
-        this.pattern.reset();
+        this.patternEngine.reset();
         this.envelope.gain.cancelScheduledValues(this.ctx.currentTime);
         this.envelope.gain.setTargetAtTime(0.0001, this.ctx.currentTime, 0.01);
     }
@@ -816,48 +904,7 @@ export class Voice {
         // Low X = tight intervals (trill), High X = wide intervals (arpeggio)
         // Use larger threshold to prevent constant pattern regeneration which kills notes
         if (Math.abs(x - prevX) > 0.08) {
-            // Don't use setComplexity - instead, directly control interval spread
-            // This preserves the voice's harmonic role while varying texture
-            const noteCount = 2 + Math.floor(x * 4); // 2-6 notes in pattern
-            const maxSpread = Math.round(2 + x * 10); // 2-12 scale degrees
-
-            // Build interval spread maintaining triadic feel
-            const spread = [];
-            for (let i = 0; i < noteCount; i++) {
-                // Use triadic intervals (0, 2, 4, 7...) scaled by spread
-                const triadicDegrees = [0, 2, 4, 7, 9, 11, 14];
-                spread.push(Math.min(maxSpread, triadicDegrees[i % triadicDegrees.length]));
-            }
-
-            // Determine target pattern shape based on X region
-            let targetShape;
-            if (x < 0.25) {
-                targetShape = 'trillStrict';
-            } else if (x < 0.5) {
-                targetShape = 'trillBiased';
-            } else if (x < 0.75) {
-                targetShape = 'threeNote';
-            } else {
-                targetShape = 'arpUpDown';
-            }
-
-            // Only update if shape or spread actually changed significantly
-            // This prevents killing notes during small movements
-            const currentSpread = this.pattern.intervalSpread;
-            const spreadChanged = !currentSpread ||
-                spread.length !== currentSpread.length ||
-                spread.some((s, i) => Math.abs(s - (currentSpread[i] || 0)) > 1);
-            const shapeChanged = this.pattern.patternShape !== targetShape;
-
-            if (spreadChanged || shapeChanged) {
-                // Use preservePosition flag to maintain playback continuity
-                if (spreadChanged) {
-                    this.pattern.setIntervalSpread(spread, true);
-                }
-                if (shapeChanged) {
-                    this.pattern.setPatternShape(targetShape, true);
-                }
-            }
+            this.patternEngine.setComplexity(x);
         }
 
         // === Y-AXIS: Rate / Trill Speed ===
@@ -888,7 +935,7 @@ export class Voice {
         // Only update on meaningful Y changes
         if (Math.abs(y - prevY) > 0.02) {
             const gateLength = 0.9 - y * 0.6; // 0.9 at bottom, 0.3 at top
-            this.pattern.setGateLength(gateLength);
+            this.patternEngine.setGateLength(gateLength);
         }
 
         // === FILTER MODULATION ===
@@ -903,7 +950,7 @@ export class Voice {
         // === ACCENT INTENSITY ===
         // Higher Y = more pronounced accents (for rhythmic clarity at fast speeds)
         const accentStrength = 1.0 + y * 0.4; // 1.0 to 1.4
-        this.pattern.accentStrength = accentStrength;
+        this.patternEngine.accentStrength = accentStrength;
     }
 
     // Trigger a burst arpeggio (for flick gesture)
@@ -924,30 +971,219 @@ export class Voice {
     sustainNote(sustain) {
         if (sustain) {
             // Freeze pattern, hold current note
-            this._sustainedGateLength = this.pattern.gateLength;
-            this.pattern.setGateLength(1.0);
+            this._sustainedGateLength = this.patternEngine.gateLength;
+            this.patternEngine.setGateLength(1.0);
         } else {
             // Restore
             if (this._sustainedGateLength !== undefined) {
-                this.pattern.setGateLength(this._sustainedGateLength);
+                this.patternEngine.setGateLength(this._sustainedGateLength);
+            }
+        }
+    }
+
+    // === PANEL PARAMETERS ===
+
+    setParam(name, value) {
+        const now = this.ctx.currentTime;
+
+        switch (name) {
+            case 'octave':
+                this.params.octave = Math.max(-2, Math.min(2, Math.round(value)));
+                this._updateFrequencies();
+                break;
+
+            case 'attack':
+                this.params.attack = Math.max(0.001, Math.min(2, value));
+                this.setADSRParam('attack', this.params.attack);
+                break;
+
+            case 'decay':
+                this.params.decay = Math.max(0.001, Math.min(4, value));
+                this.setADSRParam('decay', this.params.decay);
+                this.setADSRParam('release', this.params.decay);
+                break;
+
+            case 'envMode': {
+                const oldMode = this.params.envMode;
+                this.params.envMode = value;
+                // Trigger decays to silence, gate holds, drone stays open
+                this.setADSRParam('sustain', value === 'trigger' ? 0 : value === 'drone' ? 1 : 0.7);
+                if (value === 'drone' && oldMode !== 'drone' && !this.isMuted) {
+                    this._openGate();
+                } else if (value !== 'drone' && oldMode === 'drone') {
+                    this._scheduleNoteOff(now);
+                }
+                break;
             }
+
+            case 'lpgCutoff':
+                this.params.lpgCutoff = Math.max(50, Math.min(12000, value));
+                this.filterCutoffBase = this.params.lpgCutoff;
+                this._updateFilterCutoff();
+                break;
+
+            case 'lpgResonance':
+                this.params.lpgResonance = Math.max(0, Math.min(20, value));
+                this.modTargets.get('filterQ')?.setTargetAtTime(this.params.lpgResonance, now, 0.02);
+                break;
+
+            case 'level':
+                this.params.level = Math.max(0, Math.min(1, value));
+                this.setVolume(this.params.level);
+                break;
+
+            case 'pan':
+                this.params.pan = Math.max(-1, Math.min(1, value));
+                this.panner.pan.setTargetAtTime(this.params.pan, now, 0.02);
+                break;
         }
     }
 
-    // Get current state
+    getParams() {
+        return { ...this.params };
+    }
+
+    setParams(params) {
+        for (const [name, value] of Object.entries(params)) {
+            this.setParam(name, value);
+        }
+    }
+
+    // Patch filter cutoff: knob, opened further by pressure
+    _updateFilterCutoff() {
+        const cutoff = this.filterCutoffBase * Math.pow(2, this.expression.pressure * 3);
+        this.modTargets.get('filterCutoff')?.setTargetAtTime(Math.min(20000, cutoff), this.ctx.currentTime, 0.02);
+    }
+
+    _openGate() {
+        this.envelope.gain.cancelScheduledValues(this.ctx.currentTime);
+        this.envelope.gain.setTargetAtTime(1, this.ctx.currentTime, 0.05);
+    }
+
+    // === EXPRESSION ===
+
+    // Set any of { pressure, slide, bend } from a performance controller
+    // pressure opens the patch filter, slide pushes the modulation amount toward its maximum,
+    // bend detunes the oscillators (semitones)
+    setExpression(changes) {
+        if (Number.isFinite(changes.pressure)) {
+            this.expression.pressure = Math.max(0, Math.min(1, changes.pressure));
+            this._updateFilterCutoff();
+        }
+
+        if (Number.isFinite(changes.slide)) {
+            this.expression.slide = Math.max(0, Math.min(1, changes.slide));
+            const base = this.patch?.modulation?.amount ?? 0.5;
+            this.setModulationAmount(base + (1 - base) * this.expression.slide);
+        }
+
+        if (Number.isFinite(changes.bend)) {
+            this.expression.bend = changes.bend;
+            this._updateFrequencies();
+        }
+    }
+
+    resetExpression() {
+        this.setExpression({ pressure: 0, slide: 0, bend: 0 });
+    }
+
+    // === STATE ===
+
+    // Full voice state for session serialization (same shape as BuchlaVoice, plus the patch)
     getState() {
         return {
             id: this.id,
-            name: this.name,
-            isPlaying: this.isPlaying,
-            volume: this.voiceGain.gain.value,
-            pitch: this.pitchBus.getState(),
-            pattern: this.pattern.getState(),
-            xy: this.xyState,
-            currentFreq: this.currentFreq
+            params: this.getParams(),
+            isMuted: this.isMuted,
+            pattern: this.patternEngine.getConfig(),
+            patch: this.patch
         };
     }
 
+    // Restore voice state (mute is restored by GlassMachine alongside the voice clock)
+    restoreState(state) {
+        if (!state) return;
+
+        // Patch first, so the knobs land on its filter
+        if (state.patch && JSON.stringify(state.patch) !== JSON.stringify(this.patch)) {
+            this.buildPatch(state.patch);
+        }
+        if (state.params) {
+            this.setParams(state.params);
+        }
+        if (state.pattern) {
+            this.patternEngine.setConfig(state.pattern);
+        }
+    }
+
+    // === MUTE CONTROL ===
+
+    setMuted(muted) {
+        this.isMuted = muted;
+        if (muted) {
+            this._scheduleNoteOff(this.ctx.currentTime);
+        } else if (this.params.envMode === 'drone') {
+            this._openGate();
+        }
+    }
+
+    // === PATTERN CONTROL ===
+
+    setPatternDensity(density) {
+        this.patternEngine.setDensity(density);
+    }
+
+    setRandom(random) {
+        this.random = random || Math.random;
+        this.patternEngine.setRandom(this.random);
+    }
+
+    randomizePattern() {
+        this.patternEngine.randomize();
+    }
+
+    // Copy knobs and pattern (and the patch, from another modular voice)
+    copyFrom(sourceVoice) {
+        if (sourceVoice instanceof Voice && sourceVoice.patch) {
+            this.buildPatch(sourceVoice.patch);
+        }
+        this.setParams(sourceVoice.getParams());
+        if (sourceVoice.patternEngine) {
+            this.patternEngine.setConfig(sourceVoice.patternEngine.getConfig());
+        }
+    }
+
+    // === MODULATABLE PARAM ACCESS (for LFOs) ===
+    // Ids match BuchlaVoice where the meaning does, so LFO routings survive an engine change
+
+    getModulatableParamList() {
+        const list = [];
+        const cutoff = this.modTargets.get('filterCutoff');
+        const q = this.modTargets.get('filterQ');
+        if (cutoff) {
+            list.push({ id: `v${this.id}_lpgCutoff`, label: `V${this.id + 1} Filter Cut`, param: cutoff, range: { min: 50, max: 12000 } });
+        }
+        if (q) {
+            list.push({ id: `v${this.id}_lpgResonance`, label: `V${this.id + 1} Filter Res`, param: q, range: { min: 0, max: 20 } });
+        }
+        list.push(
+            { id: `v${this.id}_level`, label: `V${this.id + 1} Level`, param: this.voiceGain.gain, range: { min: 0, max: 1 } },
+            { id: `v${this.id}_pan`, label: `V${this.id + 1} Pan`, param: this.panner.pan, range: { min: -1, max: 1 } }
+        );
+        return list;
+    }
+
+    // === XY PAD CONTROL ===
+    // X: pattern complexity, Y: speed (see setXY)
+
+    setXPosition(x) {
+        this.setXY(x, this.xyState.y);
+    }
+
+    setYPosition(y) {
+        this.setXY(this.xyState.x, y);
+    }
+
     // Cleanup resources
     cleanup() {
         // CRITICAL: Clear active modulators FIRST (LFOs, tremolo, etc.)
@@ -1080,6 +1316,7 @@ export class Voice {
         this.pitchBus.dispose();
         this.voiceGain.disconnect();
         this.envelope.disconnect();
+        this.panner.disconnect();
     }
 }
 
@@ -1168,16 +1405,11 @@ export function createVoice(audioContext, masterOutput, voiceId, archetype = nul
             name: archetypeConfig.name,
             patternPreset: archetypeConfig.patternPreset,
             rangeMin: archetypeConfig.rangeMin,
-            rangeMax: archetypeConfig.rangeMax
+            rangeMax: archetypeConfig.rangeMax,
+            patch: options.patch || archetypeConfig.patch
         } : {})
     };
 
-    const voice = new Voice(audioContext, masterOutput, voiceId, voiceOptions);
-
-    // Build patch if archetype provided
-    if (archetypeConfig && archetypeConfig.patch) {
-        voice.buildPatch(archetypeConfig.patch);
-    }
-
-    return voice;
+    // The patch is built by initialize()
+    return new Voice(audioContext, masterOutput, voiceId, voiceOptions);
 }
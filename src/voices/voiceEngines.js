@@ -0,0 +1,33 @@
+// VOICE ENGINES
+// Every ensemble slot runs one engine behind the same voice interface:
+//   initialize(), scheduleNote(event), setParam(name, value), getParams()/setParams(),
+//   getState()/restoreState(), setRoot()/setScale(), setMuted(), setRandom(), copyFrom(),
+//   setExpression(), getModulatableParamList(), setXPosition()/setYPosition(), dispose()
+// plus the patternEngine, clock, onNote, isMuted and id fields GlassMachine drives.
+
+import { createBuchlaVoice } from './BuchlaVoice.js';
+import { createVoice, VOICE_ARCHETYPES } from './Voice.js';
+
+export const DEFAULT_VOICE_ENGINE = 'buchla';
+
+// Engine name -> { name, create(ctx, output, id, options) }
+// The modular Voice archetypes (glassOrgan, barbieriLadder, ...) are engines of their own
+export const VOICE_ENGINES = {
+    buchla: { name: 'Buchla 200', create: createBuchlaVoice },
+    ...Object.fromEntries(Object.entries(VOICE_ARCHETYPES).map(([key, archetype]) => [
+        key,
+        { name: archetype.name, create: (ctx, output, id, options) => createVoice(ctx, output, id, key, options) }
+    ]))
+};
+
+// Create a voice of the named engine (initialize() it before use)
+export function createVoiceEngine(engine, ctx, output, id, options = {}) {
+    const entry = VOICE_ENGINES[engine];
+    if (!entry) {
+        throw new Error(`VoiceEngines: unknown engine "${engine}"`);
+    }
+
+    const voice = entry.create(ctx, output, id, options);
+    voice.engine = engine;
+    return voice;
+}